@@ -0,0 +1,104 @@
+// normalize-phones.js - One-off migration of stored phones to E.164
+// Usage: node normalize-phones.js [--dry-run]
+require("dotenv").config();
+const { sequelize } = require("./src/config/database");
+const { Customer, Vehicle } = require("./src/models");
+const { toE164 } = require("./src/utils/phoneUtils");
+
+const dryRun = process.argv.includes("--dry-run");
+
+/**
+ * Normalize one phone column of a model. Rows are written with a bulk
+ * update so hooks and other validations are not re-run on old data.
+ *
+ * @returns {object} { checked, updated, unchanged, invalid: [row] }
+ */
+async function normalizeColumn(
+  model,
+  field,
+  { attributes, getCountry, describe }
+) {
+  const rows = await model.findAll({
+    attributes: ["id", field, ...attributes],
+  });
+  const report = {
+    checked: rows.length,
+    updated: 0,
+    unchanged: 0,
+    invalid: [],
+  };
+
+  for (const row of rows) {
+    const normalized = toE164(row[field], getCountry(row));
+
+    if (!normalized) {
+      report.invalid.push({ id: row.id, value: row[field], ...describe(row) });
+    } else if (normalized === row[field]) {
+      report.unchanged++;
+    } else {
+      if (!dryRun) {
+        await model.update(
+          { [field]: normalized },
+          { where: { id: row.id }, hooks: false, validate: false }
+        );
+      }
+      report.updated++;
+    }
+  }
+
+  return report;
+}
+
+function printReport(label, report) {
+  console.log(`\n📞 ${label}`);
+  console.log(`   Checked:   ${report.checked}`);
+  console.log(`   ${dryRun ? "To update" : "Updated"}: ${report.updated}`);
+  console.log(`   Unchanged: ${report.unchanged}`);
+  console.log(`   Invalid:   ${report.invalid.length}`);
+  report.invalid.forEach((row) => console.log("   ⚠️ ", row));
+}
+
+async function normalizePhones() {
+  try {
+    await sequelize.authenticate();
+    console.log("🔗 Connected to database");
+    if (dryRun) console.log("🧪 Dry run: nothing will be written");
+
+    const customers = await normalizeColumn(Customer, "phone", {
+      attributes: ["firstName", "lastName", "country"],
+      getCountry: (customer) => customer.country,
+      describe: (customer) => ({
+        name: `${customer.firstName} ${customer.lastName}`,
+        country: customer.country,
+      }),
+    });
+    printReport("Customers (phone)", customers);
+
+    const vehicles = await normalizeColumn(Vehicle, "whatsappNumber", {
+      attributes: ["brand", "name", "licensePlate"],
+      getCountry: () => null,
+      describe: (vehicle) => ({
+        vehicle: `${vehicle.brand} ${vehicle.name}`,
+        licensePlate: vehicle.licensePlate,
+      }),
+    });
+    printReport("Vehicles (whatsappNumber)", vehicles);
+
+    if (customers.invalid.length + vehicles.invalid.length > 0) {
+      console.log(
+        "\n📝 Invalid numbers were left as they are: fix them by hand"
+      );
+    }
+    console.log(
+      "📝 Customers now sharing a phone can be reviewed with GET /api/customers/duplicates"
+    );
+    console.log("\n✅ Phone normalization completed!");
+  } catch (error) {
+    console.error("❌ Error normalizing phones:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+normalizePhones();
@@ -19,7 +19,30 @@ async function resetDatabase() {
     console.log("🗑️ Dropping existing tables...");
 
     await client.query(`
+      DROP TABLE IF EXISTS pricing_rules CASCADE;
+      DROP TABLE IF EXISTS driver_age_rules CASCADE;
+      DROP TABLE IF EXISTS promo_codes CASCADE;
+      DROP TABLE IF EXISTS invoices CASCADE;
+      DROP TABLE IF EXISTS document_sequences CASCADE;
+      DROP TABLE IF EXISTS payments CASCADE;
+      DROP TABLE IF EXISTS fines CASCADE;
+      DROP TABLE IF EXISTS maintenance_records CASCADE;
+      DROP TABLE IF EXISTS service_plans CASCADE;
+      DROP TABLE IF EXISTS vehicle_documents CASCADE;
+      DROP TABLE IF EXISTS vehicle_blocks CASCADE;
+      DROP TABLE IF EXISTS expenses CASCADE;
+      DROP TABLE IF EXISTS damage_claim_photos CASCADE;
+      DROP TABLE IF EXISTS damage_claims CASCADE;
+      DROP TABLE IF EXISTS inspection_photos CASCADE;
+      DROP TABLE IF EXISTS inspections CASCADE;
+      DROP TABLE IF EXISTS booking_reassignments CASCADE;
+      DROP TABLE IF EXISTS booking_modifications CASCADE;
+      DROP TABLE IF EXISTS booking_extras CASCADE;
+      DROP TABLE IF EXISTS extras CASCADE;
       DROP TABLE IF EXISTS bookings CASCADE;
+      DROP TABLE IF EXISTS cancellation_policies CASCADE;
+      DROP TABLE IF EXISTS customer_merges CASCADE;
+      DROP TABLE IF EXISTS blacklist_entries CASCADE;
       DROP TABLE IF EXISTS customers CASCADE; 
       DROP TABLE IF EXISTS vehicles CASCADE;
       DROP TABLE IF EXISTS admins CASCADE;
@@ -30,15 +53,45 @@ async function resetDatabase() {
       DROP TYPE IF EXISTS "enum_vehicles_fuel_type" CASCADE;
       DROP TYPE IF EXISTS "enum_vehicles_location" CASCADE;
       DROP TYPE IF EXISTS "enum_vehicles_status" CASCADE;
+      DROP TYPE IF EXISTS "enum_vehicles_mileage_limit_type" CASCADE;
+      DROP TYPE IF EXISTS "enum_vehicles_category" CASCADE;
       DROP TYPE IF EXISTS "enum_customers_status" CASCADE;
       DROP TYPE IF EXISTS "enum_customers_source" CASCADE;
       DROP TYPE IF EXISTS "enum_bookings_status" CASCADE;
       DROP TYPE IF EXISTS "enum_bookings_source" CASCADE;
       DROP TYPE IF EXISTS "enum_bookings_pickup_location" CASCADE;
       DROP TYPE IF EXISTS "enum_bookings_return_location" CASCADE;
+      DROP TYPE IF EXISTS "enum_bookings_mileage_limit_type" CASCADE;
       DROP TYPE IF EXISTS "enum_bookings_payment_status" CASCADE;
       DROP TYPE IF EXISTS "enum_bookings_payment_method" CASCADE;
       DROP TYPE IF EXISTS "enum_bookings_discount_type" CASCADE;
+      DROP TYPE IF EXISTS "enum_pricing_rules_rule_type" CASCADE;
+      DROP TYPE IF EXISTS "enum_pricing_rules_adjustment_type" CASCADE;
+      DROP TYPE IF EXISTS "enum_driver_age_rules_vehicle_category" CASCADE;
+      DROP TYPE IF EXISTS "enum_driver_age_rules_action" CASCADE;
+      DROP TYPE IF EXISTS "enum_promo_codes_discount_type" CASCADE;
+      DROP TYPE IF EXISTS "enum_extras_category" CASCADE;
+      DROP TYPE IF EXISTS "enum_extras_pricing_type" CASCADE;
+      DROP TYPE IF EXISTS "enum_payments_type" CASCADE;
+      DROP TYPE IF EXISTS "enum_payments_method" CASCADE;
+      DROP TYPE IF EXISTS "enum_invoices_document_type" CASCADE;
+      DROP TYPE IF EXISTS "enum_document_sequences_document_type" CASCADE;
+      DROP TYPE IF EXISTS "enum_cancellation_policies_source" CASCADE;
+      DROP TYPE IF EXISTS "enum_booking_modifications_type" CASCADE;
+      DROP TYPE IF EXISTS "enum_inspections_type" CASCADE;
+      DROP TYPE IF EXISTS "enum_inspection_photos_zone" CASCADE;
+      DROP TYPE IF EXISTS "enum_damage_claims_zone" CASCADE;
+      DROP TYPE IF EXISTS "enum_damage_claims_damage_type" CASCADE;
+      DROP TYPE IF EXISTS "enum_damage_claims_status" CASCADE;
+      DROP TYPE IF EXISTS "enum_fines_type" CASCADE;
+      DROP TYPE IF EXISTS "enum_fines_payment_status" CASCADE;
+      DROP TYPE IF EXISTS "enum_service_plans_maintenance_type" CASCADE;
+      DROP TYPE IF EXISTS "enum_maintenance_records_type" CASCADE;
+      DROP TYPE IF EXISTS "enum_maintenance_records_status" CASCADE;
+      DROP TYPE IF EXISTS "enum_vehicle_documents_type" CASCADE;
+      DROP TYPE IF EXISTS "enum_vehicle_blocks_reason" CASCADE;
+      DROP TYPE IF EXISTS "enum_expenses_category" CASCADE;
+      DROP TYPE IF EXISTS "enum_blacklist_entries_category" CASCADE;
     `);
 
     console.log("✅ Database reset completed!");
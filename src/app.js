@@ -16,6 +16,17 @@ const auth = require("./routes/auth");
 const vehicles = require("./routes/vehicles");
 const customers = require("./routes/customers");
 const bookings = require("./routes/bookings");
+const pricingRules = require("./routes/pricingRules");
+const driverAgeRules = require("./routes/driverAgeRules");
+const promotions = require("./routes/promotions");
+const extras = require("./routes/extras");
+const invoices = require("./routes/invoices");
+const cancellationPolicies = require("./routes/cancellationPolicies");
+const damages = require("./routes/damages");
+const fines = require("./routes/fines");
+const blacklist = require("./routes/blacklist");
+const expenses = require("./routes/expenses");
+const reports = require("./routes/reports");
 
 const app = express();
 
@@ -132,6 +143,17 @@ app.use("/api/auth", auth);
 app.use("/api/vehicles", vehicles);
 app.use("/api/customers", customers);
 app.use("/api/bookings", bookings);
+app.use("/api/pricing-rules", pricingRules);
+app.use("/api/driver-age-rules", driverAgeRules);
+app.use("/api/promotions", promotions);
+app.use("/api/extras", extras);
+app.use("/api/invoices", invoices);
+app.use("/api/cancellation-policies", cancellationPolicies);
+app.use("/api/damages", damages);
+app.use("/api/fines", fines);
+app.use("/api/blacklist", blacklist);
+app.use("/api/expenses", expenses);
+app.use("/api/reports", reports);
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -167,6 +189,15 @@ app.get("/api", (req, res) => {
           delete: "DELETE /api/customers/:id (super-admin only)",
           search: "GET /api/customers/search (admin only)",
           stats: "GET /api/customers/stats (admin only)",
+          export:
+            "GET /api/customers/export?format=csv|xlsx&lang=fr|en (admin only)",
+          import:
+            "POST /api/customers/import?dryRun=false (admin only, CSV file)",
+          damages: "GET /api/customers/:id/damages (admin only)",
+          duplicates:
+            "GET /api/customers/duplicates?minScore=&customerId= (admin only)",
+          merge: "POST /api/customers/:id/merge (super-admin only)",
+          merges: "GET /api/customers/:id/merges (admin only)",
         },
         vehicles: {
           getAll: "GET /api/vehicles",
@@ -175,7 +206,36 @@ app.get("/api", (req, res) => {
           update: "PUT /api/vehicles/:id (admin only)",
           delete: "DELETE /api/vehicles/:id (admin only)",
           stats: "GET /api/vehicles/stats (admin only)",
+          export:
+            "GET /api/vehicles/export?format=csv|xlsx&lang=fr|en (admin only)",
+          import:
+            "POST /api/vehicles/import?dryRun=false (admin only, CSV file)",
           availability: "GET /api/vehicles/availability",
+          damages: "GET /api/vehicles/:id/damages (admin only)",
+          maintenance: "GET/POST /api/vehicles/:id/maintenance (admin only)",
+          updateMaintenance:
+            "PUT/DELETE /api/vehicles/:id/maintenance/:recordId (admin only)",
+          maintenanceInvoice:
+            "GET /api/vehicles/:id/maintenance/:recordId/invoice (admin only)",
+          upcomingMaintenance:
+            "GET /api/vehicles/maintenance/upcoming?days=&km= (admin only)",
+          servicePlans: "GET/POST /api/vehicles/maintenance/plans (admin only)",
+          updateServicePlan:
+            "PUT/DELETE /api/vehicles/maintenance/plans/:planId (admin only)",
+          documents: "GET/POST /api/vehicles/:id/documents (admin only)",
+          updateDocument:
+            "PUT/DELETE /api/vehicles/:id/documents/:documentId (admin only)",
+          documentFile:
+            "GET /api/vehicles/:id/documents/:documentId/file (admin only)",
+          expiringDocuments:
+            "GET /api/vehicles/documents/expiring?days= (admin only)",
+          blocks: "GET/POST /api/vehicles/:id/blocks (admin only)",
+          updateBlock:
+            "PUT/DELETE /api/vehicles/:id/blocks/:blockId (admin only)",
+          profitability:
+            "GET /api/vehicles/:id/profitability?from=&to= (admin only)",
+          fleetProfitability:
+            "GET /api/vehicles/profitability?from=&to= (admin only)",
         },
         bookings: {
           getAll: "GET /api/bookings",
@@ -183,13 +243,120 @@ app.get("/api", (req, res) => {
           create: "POST /api/bookings (admin only)",
           update: "PUT /api/bookings/:id (admin only)",
           delete: "DELETE /api/bookings/:id (super-admin only)",
-          confirm: "PUT /api/bookings/:id/confirm (admin only)",
+          confirm:
+            "PUT /api/bookings/:id/confirm (admin only, overrideBlacklist: super-admin only)",
           cancel: "PUT /api/bookings/:id/cancel (admin only)",
           pickup: "PUT /api/bookings/:id/pickup (admin only)",
           return: "PUT /api/bookings/:id/return (admin only)",
           stats: "GET /api/bookings/stats (admin only)",
+          export:
+            "GET /api/bookings/export?format=csv|xlsx&lang=fr|en (admin only)",
           availability:
             "GET /api/bookings/availability/:vehicleId (admin only)",
+          payments: "GET /api/bookings/:id/payments (admin only)",
+          recordPayment: "POST /api/bookings/:id/payments (admin only)",
+          receipt:
+            "GET /api/bookings/:id/payments/:paymentId/receipt (admin only)",
+          invoice: "GET /api/bookings/:id/invoice (admin only)",
+          extend: "POST /api/bookings/:id/extend (admin only)",
+          modify: "POST /api/bookings/:id/modify (admin only)",
+          modifications: "GET /api/bookings/:id/modifications (admin only)",
+          addendum:
+            "GET /api/bookings/:id/modifications/:modificationId/addendum (admin only)",
+          reassignOptions: "GET /api/bookings/:id/reassign (admin only)",
+          reassign: "PUT /api/bookings/:id/reassign (admin only)",
+          inspections: "GET /api/bookings/:id/inspections (admin only)",
+          recordInspection:
+            "POST /api/bookings/:id/inspections (admin only, multipart)",
+          inspectionReport:
+            "GET /api/bookings/:id/inspection-report (admin only)",
+        },
+        pricingRules: {
+          getAll: "GET /api/pricing-rules (admin only)",
+          getOne: "GET /api/pricing-rules/:id (admin only)",
+          create: "POST /api/pricing-rules (admin only)",
+          update: "PUT /api/pricing-rules/:id (admin only)",
+          delete: "DELETE /api/pricing-rules/:id (admin only)",
+        },
+        driverAgeRules: {
+          getAll:
+            "GET /api/driver-age-rules?vehicleCategory=&age= (admin only)",
+          getOne: "GET /api/driver-age-rules/:id (admin only)",
+          create:
+            "POST /api/driver-age-rules (admin only, daily surcharge or refusal per age band)",
+          update: "PUT /api/driver-age-rules/:id (admin only)",
+          delete: "DELETE /api/driver-age-rules/:id (admin only)",
+        },
+        promotions: {
+          getAll: "GET /api/promotions (admin only)",
+          getOne: "GET /api/promotions/:id (admin only)",
+          create: "POST /api/promotions (admin only)",
+          update: "PUT /api/promotions/:id (admin only)",
+          delete: "DELETE /api/promotions/:id (admin only)",
+        },
+        extras: {
+          getAll:
+            "GET /api/extras (public, ?pickupDate&returnDate for remaining stock)",
+          getOne: "GET /api/extras/:id (admin only)",
+          create: "POST /api/extras (admin only)",
+          update: "PUT /api/extras/:id (admin only)",
+          delete: "DELETE /api/extras/:id (admin only)",
+        },
+        invoices: {
+          getAll: "GET /api/invoices (admin only)",
+          getOne: "GET /api/invoices/:id (admin only)",
+          pdf: "GET /api/invoices/:id/pdf (admin only)",
+        },
+        cancellationPolicies: {
+          getAll: "GET /api/cancellation-policies (admin only)",
+          getOne: "GET /api/cancellation-policies/:id (admin only)",
+          create: "POST /api/cancellation-policies (admin only)",
+          update: "PUT /api/cancellation-policies/:id (admin only)",
+          delete: "DELETE /api/cancellation-policies/:id (admin only)",
+        },
+        damages: {
+          getAll: "GET /api/damages (admin only)",
+          getOne: "GET /api/damages/:id (admin only)",
+          create: "POST /api/damages (admin only, multipart)",
+          update: "PUT /api/damages/:id (admin only)",
+          delete: "DELETE /api/damages/:id (admin only)",
+          addPhotos: "POST /api/damages/:id/photos (admin only, multipart)",
+          charge: "PUT /api/damages/:id/charge (admin only)",
+          writeOff: "PUT /api/damages/:id/write-off (admin only)",
+        },
+        fines: {
+          getAll: "GET /api/fines (admin only)",
+          getOne: "GET /api/fines/:id (admin only)",
+          create:
+            "POST /api/fines (admin only, licensePlate + offenceAt resolve the renter)",
+          update: "PUT /api/fines/:id (admin only)",
+          delete: "DELETE /api/fines/:id (admin only)",
+          payment: "PUT /api/fines/:id/payment (admin only)",
+          designationLetter:
+            "GET /api/fines/:id/designation-letter (admin only)",
+        },
+        blacklist: {
+          getAll:
+            "GET /api/blacklist?state=active|lifted|expired|all (admin only)",
+          getOne: "GET /api/blacklist/:id (admin only)",
+          create:
+            "POST /api/blacklist (admin only, customerId and/or CIN, passport, license number)",
+          update: "PUT /api/blacklist/:id (admin only)",
+          lift: "PUT /api/blacklist/:id/lift (super-admin only)",
+          customer: "GET /api/customers/:id/blacklist (admin only)",
+        },
+        expenses: {
+          getAll: "GET /api/expenses (admin only)",
+          getOne: "GET /api/expenses/:id (admin only)",
+          create: "POST /api/expenses (admin only)",
+          update: "PUT /api/expenses/:id (admin only)",
+          delete: "DELETE /api/expenses/:id (admin only)",
+        },
+        reports: {
+          revenue:
+            "GET /api/reports/revenue?from=&to=&groupBy=day|week|month&definition=confirmed|completed&compare=previous|year (admin only)",
+          occupancy:
+            "GET /api/reports/occupancy?from=&to=&brand=&vehicleId= (admin only)",
         },
       },
     },
@@ -0,0 +1,326 @@
+// src/controllers/blacklist.js - Blacklisted identities (reason, evidence, expiry, lifting)
+const { BlacklistEntry, Customer, Admin } = require("../models");
+const { Op } = require("sequelize");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+
+// Fields an admin can set on an entry
+const ENTRY_FIELDS = [
+  "firstName",
+  "lastName",
+  "cinNumber",
+  "passportNumber",
+  "driverLicenseNumber",
+  "category",
+  "reason",
+  "evidence",
+  "expiresAt",
+];
+
+const ENTRY_INCLUDES = [
+  {
+    model: Customer,
+    as: "customer",
+    attributes: ["id", "firstName", "lastName", "phone", "email", "status"],
+  },
+  {
+    model: Admin,
+    as: "addedBy",
+    attributes: ["id", "name", "email"],
+  },
+  {
+    model: Admin,
+    as: "liftedBy",
+    attributes: ["id", "name", "email"],
+  },
+];
+
+const today = () => new Date().toISOString().split("T")[0];
+
+// Unblock the customer once no entry in force names it any more
+const releaseCustomer = async (customerId) => {
+  if (!customerId) return;
+
+  const remaining = await BlacklistEntry.count({
+    where: { customerId, ...BlacklistEntry.activeWhere() },
+  });
+  if (remaining > 0) return;
+
+  await Customer.update(
+    { status: "active" },
+    { where: { id: customerId, status: "blocked" } }
+  );
+};
+
+// @desc    Get blacklist entries with filtering and pagination
+// @route   GET /api/blacklist
+// @access  Private (admin)
+exports.getBlacklist = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 25,
+    state = "active",
+    category,
+    customerId,
+    search,
+  } = req.query;
+
+  // --- Build Where Clause ---
+  const conditions = [];
+
+  if (state === "active") {
+    conditions.push(BlacklistEntry.activeWhere());
+  } else if (state === "lifted") {
+    conditions.push({ liftedAt: { [Op.ne]: null } });
+  } else if (state === "expired") {
+    conditions.push({ liftedAt: null, expiresAt: { [Op.lt]: today() } });
+  }
+
+  if (category) {
+    conditions.push({ category });
+  }
+
+  if (customerId) {
+    conditions.push({ customerId });
+  }
+
+  if (search) {
+    const documentSearch = search.toUpperCase().replace(/[^A-Z0-9]/g, "");
+    conditions.push({
+      [Op.or]: [
+        { firstName: { [Op.iLike]: `%${search}%` } },
+        { lastName: { [Op.iLike]: `%${search}%` } },
+        ...(documentSearch
+          ? BlacklistEntry.DOCUMENT_FIELDS.map((field) => ({
+              [field]: { [Op.like]: `%${documentSearch}%` },
+            }))
+          : []),
+      ],
+    });
+  }
+
+  // --- Pagination ---
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  const offset = (pageNum - 1) * limitNum;
+
+  const { count, rows: entries } = await BlacklistEntry.findAndCountAll({
+    where: { [Op.and]: conditions },
+    limit: limitNum,
+    offset,
+    order: [["createdAt", "DESC"]],
+    include: ENTRY_INCLUDES,
+  });
+
+  // --- Build Pagination Result ---
+  const pagination = {};
+  const totalPages = Math.ceil(count / limitNum);
+
+  if (pageNum < totalPages) {
+    pagination.next = { page: pageNum + 1, limit: limitNum };
+  }
+
+  if (pageNum > 1) {
+    pagination.prev = { page: pageNum - 1, limit: limitNum };
+  }
+
+  pagination.current = pageNum;
+  pagination.totalPages = totalPages;
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total: count,
+    pagination,
+    data: entries,
+  });
+});
+
+// @desc    Get single blacklist entry
+// @route   GET /api/blacklist/:id
+// @access  Private (admin)
+exports.getBlacklistEntry = asyncHandler(async (req, res, next) => {
+  const entry = await BlacklistEntry.findByPk(req.params.id, {
+    include: ENTRY_INCLUDES,
+  });
+
+  if (!entry) {
+    return next(new ErrorResponse("Blacklist entry not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: entry,
+  });
+});
+
+// @desc    Blacklist a customer or an identity (document numbers)
+// @route   POST /api/blacklist
+// @access  Private (admin)
+exports.createBlacklistEntry = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const data = {};
+  ENTRY_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+
+  // Identity taken from the customer record unless given
+  let customer = null;
+  if (req.body.customerId) {
+    customer = await Customer.findByPk(req.body.customerId);
+    if (!customer) {
+      return next(new ErrorResponse("Customer not found", 404));
+    }
+
+    ["firstName", "lastName", ...BlacklistEntry.DOCUMENT_FIELDS].forEach(
+      (field) => {
+        if (!data[field] && customer[field]) data[field] = customer[field];
+      }
+    );
+  }
+
+  if (!data.firstName || !data.lastName) {
+    return next(
+      new ErrorResponse(
+        "First and last name are required without a customer",
+        400
+      )
+    );
+  }
+
+  const entry = await BlacklistEntry.create({
+    ...data,
+    customerId: customer ? customer.id : null,
+    addedById: req.admin.id,
+  });
+
+  if (customer && customer.status !== "blocked") {
+    await customer.update({ status: "blocked" });
+  }
+
+  console.log("Identity blacklisted:", {
+    entryId: entry.id,
+    customerId: entry.customerId,
+    category: entry.category,
+    admin: req.admin.email,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `${entry.firstName} ${entry.lastName} added to the blacklist`,
+    data: entry,
+  });
+});
+
+// @desc    Update reason, evidence, expiry or document numbers of an entry
+// @route   PUT /api/blacklist/:id
+// @access  Private (admin)
+exports.updateBlacklistEntry = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const entry = await BlacklistEntry.findByPk(req.params.id);
+
+  if (!entry) {
+    return next(new ErrorResponse("Blacklist entry not found", 404));
+  }
+
+  if (entry.liftedAt) {
+    return next(
+      new ErrorResponse("A lifted blacklist entry cannot be changed", 400)
+    );
+  }
+
+  const updates = {};
+  ENTRY_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  await entry.update(updates);
+
+  // An expiry moved to the past ends the block
+  if (!entry.isActive()) {
+    await releaseCustomer(entry.customerId);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Blacklist entry updated successfully",
+    data: entry,
+  });
+});
+
+// @desc    Lift a blacklist entry (kept for the record)
+// @route   PUT /api/blacklist/:id/lift
+// @access  Private (super-admin only)
+exports.liftBlacklistEntry = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const entry = await BlacklistEntry.findByPk(req.params.id);
+
+  if (!entry) {
+    return next(new ErrorResponse("Blacklist entry not found", 404));
+  }
+
+  if (entry.liftedAt) {
+    return next(new ErrorResponse("Blacklist entry is already lifted", 400));
+  }
+
+  await entry.update({
+    liftedAt: new Date(),
+    liftedById: req.admin.id,
+    liftReason: req.body.reason,
+  });
+  await releaseCustomer(entry.customerId);
+
+  console.log("Blacklist entry lifted:", {
+    entryId: entry.id,
+    customerId: entry.customerId,
+    admin: req.admin.email,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${entry.firstName} ${entry.lastName} removed from the blacklist`,
+    data: entry,
+  });
+});
+
+// @desc    Blacklist entries matching a customer (record or documents)
+// @route   GET /api/customers/:id/blacklist
+// @access  Private (admin)
+exports.getCustomerBlacklistStatus = asyncHandler(async (req, res, next) => {
+  const customer = await Customer.findByPk(req.params.id, {
+    attributes: [
+      "id",
+      "firstName",
+      "lastName",
+      "status",
+      ...BlacklistEntry.DOCUMENT_FIELDS,
+    ],
+  });
+
+  if (!customer) {
+    return next(new ErrorResponse("Client non trouvé", 404));
+  }
+
+  const blacklist = await BlacklistEntry.checkCustomer(customer);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      customerId: customer.id,
+      ...blacklist,
+    },
+  });
+});
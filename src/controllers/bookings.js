@@ -1,5 +1,5 @@
 // src/controllers/bookings.js - REFACTORED: Update exports and recalculation logic
-const { Booking, Customer, Vehicle, Admin } = require("../models");
+const { Booking, Customer, Vehicle, Admin, Invoice } = require("../models");
 const { validationResult } = require("express-validator");
 const { Op } = require("sequelize");
 const asyncHandler = require("../middleware/asyncHandler");
@@ -7,6 +7,11 @@ const ErrorResponse = require("../utils/errorResponse");
 const {
   calculateChargedDaysWithLatenessRule,
 } = require("../utils/bookingUtils");
+const {
+  toNumber,
+  getExportAttributes,
+  streamExport,
+} = require("../utils/exportUtils");
 
 // Import other parts
 const {
@@ -28,27 +33,46 @@ const {
   checkAvailability,
   getCustomerBookings,
   getVehicleCalendar,
+  getBookingInvoice,
 } = require("./bookings/bookingUtilities");
 
-// @desc    Get all bookings with filtering and pagination
-// @route   GET /api/bookings
-// @access  Private (admin)
-exports.getBookings = asyncHandler(async (req, res, next) => {
+const {
+  getBookingPayments,
+  createBookingPayment,
+  getPaymentReceipt,
+} = require("./bookings/bookingPayments");
+
+const {
+  extendBooking,
+  modifyBooking,
+  getBookingModifications,
+  getModificationAddendum,
+} = require("./bookings/bookingModifications");
+
+const {
+  getReassignmentOptions,
+  reassignBooking,
+} = require("./bookings/bookingReassignment");
+
+const {
+  getBookingInspections,
+  createInspection,
+  getInspectionReport,
+} = require("./bookings/bookingInspections");
+
+// Where clause of the booking list filters (list and export)
+const buildBookingFilters = (query) => {
   const {
-    page = 1,
-    limit = 25,
     search,
     status,
-    sort = "createdAt",
-    order = "DESC",
     source,
     customerId,
     vehicleId,
     dateFrom,
     dateTo,
-  } = req.query;
+    flaggedForReview,
+  } = query;
 
-  // --- Build Where Clause ---
   const where = {};
 
   if (status) {
@@ -67,6 +91,11 @@ exports.getBookings = asyncHandler(async (req, res, next) => {
     where.vehicleId = vehicleId;
   }
 
+  // Bookings waiting for a review (blacklist match...)
+  if (flaggedForReview === "true") {
+    where.flaggedForReview = true;
+  }
+
   // Date filtering
   if (dateFrom || dateTo) {
     where.pickupDate = {};
@@ -86,6 +115,22 @@ exports.getBookings = asyncHandler(async (req, res, next) => {
     ];
   }
 
+  return where;
+};
+
+// @desc    Get all bookings with filtering and pagination
+// @route   GET /api/bookings
+// @access  Private (admin)
+exports.getBookings = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 25,
+    sort = "createdAt",
+    order = "DESC",
+  } = req.query;
+
+  const where = buildBookingFilters(req.query);
+
   // --- Pagination ---
   const pageNum = parseInt(page, 10);
   const limitNum = parseInt(limit, 10);
@@ -152,6 +197,147 @@ exports.getBookings = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Spreadsheet columns of the booking export
+const BOOKING_EXPORT_COLUMNS = [
+  {
+    field: "bookingNumber",
+    header: { fr: "N° réservation", en: "Booking number" },
+  },
+  { field: "status", header: { fr: "Statut", en: "Status" }, width: 12 },
+  { field: "source", header: { fr: "Source", en: "Source" }, width: 10 },
+  {
+    header: { fr: "Client", en: "Customer" },
+    value: (booking) =>
+      booking.customer
+        ? `${booking.customer.firstName} ${booking.customer.lastName}`
+        : null,
+    width: 25,
+  },
+  {
+    header: { fr: "Email client", en: "Customer email" },
+    value: (booking) => booking.customer && booking.customer.email,
+    width: 28,
+  },
+  {
+    header: { fr: "Téléphone client", en: "Customer phone" },
+    value: (booking) => booking.customer && booking.customer.phone,
+  },
+  {
+    header: { fr: "Véhicule", en: "Vehicle" },
+    value: (booking) =>
+      booking.vehicle
+        ? `${booking.vehicle.brand} ${booking.vehicle.name}`
+        : null,
+    width: 25,
+  },
+  {
+    header: { fr: "Immatriculation", en: "License plate" },
+    value: (booking) => booking.vehicle && booking.vehicle.licensePlate,
+  },
+  { field: "pickupDate", header: { fr: "Date départ", en: "Pickup date" } },
+  {
+    field: "pickupTime",
+    header: { fr: "Heure départ", en: "Pickup time" },
+    width: 10,
+  },
+  { field: "returnDate", header: { fr: "Date retour", en: "Return date" } },
+  {
+    field: "returnTime",
+    header: { fr: "Heure retour", en: "Return time" },
+    width: 10,
+  },
+  {
+    field: "pickupLocation",
+    header: { fr: "Lieu départ", en: "Pickup location" },
+  },
+  {
+    field: "returnLocation",
+    header: { fr: "Lieu retour", en: "Return location" },
+  },
+  { field: "totalDays", header: { fr: "Jours", en: "Days" }, width: 8 },
+  {
+    field: "dailyRate",
+    header: { fr: "Tarif journalier", en: "Daily rate" },
+    value: (booking) => toNumber(booking.dailyRate),
+  },
+  {
+    field: "discountAmount",
+    header: { fr: "Remise", en: "Discount" },
+    value: (booking) => toNumber(booking.discountAmount),
+  },
+  {
+    field: "totalAmount",
+    header: { fr: "Montant total", en: "Total amount" },
+    value: (booking) => toNumber(booking.totalAmount),
+  },
+  {
+    field: "amountPaid",
+    header: { fr: "Montant payé", en: "Amount paid" },
+    value: (booking) => toNumber(booking.amountPaid),
+  },
+  {
+    field: "cancellationFee",
+    header: { fr: "Frais d'annulation", en: "Cancellation fee" },
+    value: (booking) => toNumber(booking.cancellationFee),
+  },
+  {
+    header: { fr: "Reste à payer", en: "Balance due" },
+    value: (booking) => toNumber(booking.balanceDue),
+  },
+  { field: "createdAt", header: { fr: "Créée le", en: "Created at" } },
+  { field: "confirmedAt", header: { fr: "Confirmée le", en: "Confirmed at" } },
+  { field: "cancelledAt", header: { fr: "Annulée le", en: "Cancelled at" } },
+];
+
+// @desc    Export bookings (same filters as the list) as CSV or Excel
+// @route   GET /api/bookings/export
+// @access  Private (admin)
+exports.exportBookings = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const {
+    format = "csv",
+    lang = "fr",
+    sort = "createdAt",
+    order = "DESC",
+  } = req.query;
+  const where = buildBookingFilters(req.query);
+
+  await streamExport(res, {
+    format,
+    lang,
+    filename: "reservations",
+    sheetName: lang === "fr" ? "Réservations" : "Bookings",
+    columns: BOOKING_EXPORT_COLUMNS,
+    fetchBatch: (offset, limit) =>
+      Booking.findAll({
+        where,
+        attributes: getExportAttributes(BOOKING_EXPORT_COLUMNS),
+        order: [
+          [sort, order],
+          ["id", "ASC"],
+        ],
+        offset,
+        limit,
+        include: [
+          {
+            model: Customer,
+            as: "customer",
+            attributes: ["id", "firstName", "lastName", "email", "phone"],
+          },
+          {
+            model: Vehicle,
+            as: "vehicle",
+            attributes: ["id", "name", "brand", "licensePlate"],
+          },
+        ],
+      }),
+  });
+});
+
 // @desc    Get single booking
 // @route   GET /api/bookings/:id
 // @access  Private (admin)
@@ -280,30 +466,42 @@ exports.updateBooking = asyncHandler(async (req, res, next) => {
       );
     }
 
-    // Recalculate charged days with lateness rule
-    const pricing = calculateChargedDaysWithLatenessRule(
-      newPickupDate,
-      newReturnDate,
-      newPickupTime,
-      newReturnTime
-    );
+    const extrasCheck = await booking.checkExtrasAvailability({
+      pickupDate: newPickupDate,
+      returnDate: newReturnDate,
+      pickupTime: newPickupTime,
+      returnTime: newReturnTime,
+    });
 
-    req.body.totalDays = pricing.chargedDays;
-    req.body.totalAmount =
-      parseFloat(booking.vehicle.price) * pricing.chargedDays;
+    if (!extrasCheck.isAvailable) {
+      return next(
+        new ErrorResponse(
+          "Some extras are not available for the updated dates",
+          400,
+          extrasCheck.errors
+        )
+      );
+    }
 
-    console.log("Booking update - recalculated pricing:", {
-      bookingId: booking.id,
-      originalChargedDays: booking.totalDays,
-      newChargedDays: pricing.chargedDays,
-      latenessMinutes: pricing.latenessMinutes,
-      latenessFeeApplied: pricing.latenessMinutes >= 90,
-    });
+    // Totals are repriced with pricing rules by the beforeUpdate hook
+    delete req.body.totalDays;
+    delete req.body.totalAmount;
+    delete req.body.pricingBreakdown;
   }
 
   // --- Update Booking ---
+  const originalChargedDays = booking.totalDays;
   await booking.update(req.body);
 
+  if (booking.totalDays !== originalChargedDays) {
+    console.log("Booking update - recalculated pricing:", {
+      bookingId: booking.id,
+      originalChargedDays,
+      newChargedDays: booking.totalDays,
+      totalAmount: booking.totalAmount,
+    });
+  }
+
   // Fetch updated booking with associations
   const updatedBooking = await Booking.findByPk(req.params.id, {
     include: [
@@ -352,6 +550,16 @@ exports.deleteBooking = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Issued invoices and credit notes are legal documents: keep the booking
+  const invoicesCount = await Invoice.count({
+    where: { bookingId: booking.id },
+  });
+  if (invoicesCount > 0) {
+    return next(
+      new ErrorResponse("Bookings with issued invoices cannot be deleted", 400)
+    );
+  }
+
   await booking.destroy();
 
   res.status(200).json({
@@ -378,3 +586,16 @@ exports.getBookingStatsDebug = getBookingStatsDebug;
 exports.checkAvailability = checkAvailability;
 exports.getCustomerBookings = getCustomerBookings;
 exports.getVehicleCalendar = getVehicleCalendar;
+exports.getBookingPayments = getBookingPayments;
+exports.createBookingPayment = createBookingPayment;
+exports.getPaymentReceipt = getPaymentReceipt;
+exports.getBookingInvoice = getBookingInvoice;
+exports.extendBooking = extendBooking;
+exports.modifyBooking = modifyBooking;
+exports.getBookingModifications = getBookingModifications;
+exports.getModificationAddendum = getModificationAddendum;
+exports.getReassignmentOptions = getReassignmentOptions;
+exports.reassignBooking = reassignBooking;
+exports.getBookingInspections = getBookingInspections;
+exports.createInspection = createInspection;
+exports.getInspectionReport = getInspectionReport;
@@ -1,18 +1,76 @@
 // src/controllers/bookings/bookingCreation.js - REFACTORED: Admin sub-day bookings + new pricing
-const { Booking, Customer, Vehicle, Admin } = require("../../models");
+const {
+  Booking,
+  Customer,
+  Vehicle,
+  Admin,
+  PricingRule,
+  PromoCode,
+  Extra,
+  BookingExtra,
+  VehicleDocument,
+  BlacklistEntry,
+  DriverAgeRule,
+} = require("../../models");
 const { validationResult } = require("express-validator");
 const { Op } = require("sequelize");
+const { sequelize } = require("../../config/database");
 const asyncHandler = require("../../middleware/asyncHandler");
 const ErrorResponse = require("../../utils/errorResponse");
 
 // --- Import New Utility Functions ---
 const {
-  calculateChargedDaysWithLatenessRule,
-  calculateRentalDaysWithTimeLogic, // Website legacy
   validateBookingDates, // Website validation (1-day min)
   validateAdminBookingDates, // Admin validation (sub-day OK)
-  checkAdvancedAvailability,
 } = require("../../utils/bookingUtils");
+const { summarizePricing } = require("../../utils/pricingUtils");
+const {
+  getPromoDiscount,
+  getTierDiscount,
+  selectBestDiscount,
+} = require("../../utils/discountUtils");
+const { toE164 } = require("../../utils/phoneUtils");
+const { getBlacklistError } = require("../../utils/blacklistUtils");
+const { getAgeRefusalError } = require("../../utils/driverAgeUtils");
+
+// Resolve the booking discount from a promo code and the customer tier.
+// Discounts do not stack: the largest reduction wins.
+const resolveBookingDiscount = async ({
+  promoCode,
+  customer,
+  vehicle,
+  rentalAmount,
+}) => {
+  let promo = null;
+  let promoDiscount = null;
+
+  if (promoCode) {
+    promo = await PromoCode.findByCode(promoCode);
+    if (!promo) {
+      return { error: `Promo code ${promoCode} does not exist` };
+    }
+
+    const eligibility = await promo.validateForBooking({
+      vehicle,
+      customerId: customer ? customer.id : null,
+    });
+    if (!eligibility.isValid) {
+      return { error: promo.formatRejection(eligibility.reason) };
+    }
+
+    promoDiscount = getPromoDiscount(promo);
+  }
+
+  const discount = selectBestDiscount(
+    [promoDiscount, getTierDiscount(customer)],
+    rentalAmount
+  );
+
+  return {
+    discount,
+    promo: discount && discount.source === "promo" ? promo : null,
+  };
+};
 
 // @desc    Create new booking from website
 // @route   POST /api/bookings/website
@@ -37,6 +95,8 @@ exports.createWebsiteBooking = asyncHandler(async (req, res, next) => {
     lastName,
     phone,
     email,
+    promoCode,
+    extras,
   } = req.body;
 
   console.log("Website booking request:", req.body);
@@ -91,19 +151,80 @@ exports.createWebsiteBooking = asyncHandler(async (req, res, next) => {
       return next(new ErrorResponse(errorMessage, 409));
     }
 
-    // --- Pricing (Website uses legacy 1-day minimum) ---
-    const totalDays = calculateRentalDaysWithTimeLogic(
+    // --- Extras Availability Check ---
+    const extrasCheck = await Extra.checkBookingExtras(
+      extras,
       pickupDate,
       returnDate,
       pickupTime,
       returnTime
     );
 
+    if (!extrasCheck.isAvailable) {
+      return next(
+        new ErrorResponse(
+          "Some extras are not available for the selected dates",
+          409,
+          extrasCheck.errors
+        )
+      );
+    }
+
+    // --- Pricing (Day by day with pricing rules, 1-day minimum) ---
+    let pricing = await PricingRule.calculateBookingPricing(
+      vehicle,
+      pickupDate,
+      returnDate,
+      pickupTime,
+      returnTime
+    );
+    const totalDays = pricing.chargedDays;
+
     if (totalDays < 1) {
       return next(new ErrorResponse("Minimum rental period is 1 day", 400));
     }
 
-    const totalAmount = parseFloat(vehicle.price) * totalDays;
+    // --- Customer Lookup (phones are stored in E.164) ---
+    let customer = await Customer.findOne({
+      where: { phone: toE164(phone) || phone },
+    });
+
+    if (!customer && email) {
+      customer = await Customer.findOne({ where: { email } });
+    }
+
+    // --- Driver Age Band (known customers with a date of birth) ---
+    const ageCheck = await DriverAgeRule.resolveForDriver(
+      customer,
+      vehicle,
+      pickupDate
+    );
+    const ageRefusalError = getAgeRefusalError(ageCheck);
+    if (ageRefusalError) {
+      return next(ageRefusalError);
+    }
+
+    // --- Discount (promo code / customer tier) ---
+    const { discount, promo, error: discountError } =
+      await resolveBookingDiscount({
+        promoCode,
+        customer,
+        vehicle,
+        rentalAmount: pricing.rentalAmount,
+      });
+
+    if (discountError) {
+      return next(new ErrorResponse(discountError, 400));
+    }
+
+    pricing = summarizePricing({
+      ...pricing,
+      discount,
+      extras: extrasCheck.lines,
+      ageSurcharge: ageCheck.surcharge,
+    });
+
+    const totalAmount = pricing.totalAmount;
     const bookingNumber = await Booking.generateBookingNumber();
 
     console.log("Website booking calculation (1-day min):", {
@@ -111,15 +232,11 @@ exports.createWebsiteBooking = asyncHandler(async (req, res, next) => {
       totalDays,
       totalAmount,
       dailyRate: vehicle.price,
+      rulesApplied: pricing.days.filter((day) => day.ruleId).length,
+      discountAmount: pricing.discountAmount,
     });
 
-    // --- Customer Lookup/Creation ---
-    let customer = await Customer.findOne({ where: { phone } });
-
-    if (!customer && email) {
-      customer = await Customer.findOne({ where: { email } });
-    }
-
+    // --- Customer Creation ---
     if (!customer) {
       customer = await Customer.create({
         firstName,
@@ -134,24 +251,73 @@ exports.createWebsiteBooking = asyncHandler(async (req, res, next) => {
       console.log("Found existing customer:", customer.id);
     }
 
+    // --- Blacklist: the request is taken but flagged for review ---
+    const blacklist = await BlacklistEntry.checkCustomer(customer);
+    if (blacklist.isBlacklisted) {
+      console.warn("Website booking from a blacklisted identity:", {
+        customerId: customer.id,
+        matches: blacklist.matches,
+      });
+    }
+
     // --- Persistence ---
-    const booking = await Booking.create({
-      bookingNumber,
-      customerId: customer.id,
-      vehicleId,
-      pickupDate,
-      returnDate,
-      pickupTime,
-      returnTime,
-      pickupLocation,
-      returnLocation,
-      dailyRate: vehicle.price,
-      totalDays,
-      totalAmount,
-      source: "website",
-      status: "pending",
+    // The promo use is claimed in the same transaction: the code can run
+    // out between validation and now, and a failed booking gives it back
+    let promoError = null;
+    const booking = await sequelize.transaction(async (transaction) => {
+      if (promo) {
+        const usage = await promo.recordUsage(transaction, {
+          customerId: customer.id,
+        });
+        if (!usage.isValid) {
+          promoError = promo.formatRejection(usage.reason);
+          return null;
+        }
+      }
+
+      const created = await Booking.create(
+        {
+          bookingNumber,
+          customerId: customer.id,
+          vehicleId,
+          pickupDate,
+          returnDate,
+          pickupTime,
+          returnTime,
+          pickupLocation,
+          returnLocation,
+          dailyRate: vehicle.price,
+          totalDays,
+          totalAmount,
+          pricingBreakdown: pricing,
+          promoCodeId: promo ? promo.id : null,
+          discountAmount: pricing.discountAmount,
+          source: "website",
+          status: "pending",
+          flaggedForReview: blacklist.isBlacklisted,
+          reviewReasons: blacklist.matches.map((match) => ({
+            type: "blacklist",
+            reason: match.reason,
+            entryId: match.entryId,
+            matchedOn: match.matchedOn,
+          })),
+        },
+        { transaction }
+      );
+
+      await BookingExtra.createForBooking(
+        created.id,
+        extrasCheck.lines,
+        transaction
+      );
+
+      return created;
     });
 
+    if (!booking) {
+      return next(new ErrorResponse(promoError, 400));
+    }
+
     console.log("Website booking created:", {
       id: booking.id,
       bookingNumber: booking.bookingNumber,
@@ -185,6 +351,13 @@ exports.createWebsiteBooking = asyncHandler(async (req, res, next) => {
         totalAmount: `€${totalAmount}`,
         dailyRate: `€${vehicle.price}/day`,
         minimumMet: totalDays >= 1,
+        pricingBreakdown: pricing.days,
+        discount: discount
+          ? { label: discount.label, amount: pricing.discountAmount }
+          : null,
+        extras: pricing.extras,
+        extrasAmount: pricing.extrasAmount,
+        ageSurcharge: pricing.ageSurcharge,
       },
     });
   } catch (error) {
@@ -214,6 +387,11 @@ exports.createAdminBooking = asyncHandler(async (req, res, next) => {
     returnTime,
     pickupLocation,
     returnLocation,
+    promoCode,
+    extras,
+    mileageLimitType,
+    dailyMileageLimit,
+    excessKmRate,
   } = req.body;
 
   console.log("Admin booking request:", req.body);
@@ -237,10 +415,17 @@ exports.createAdminBooking = asyncHandler(async (req, res, next) => {
     if (!customer) {
       return next(new ErrorResponse("Customer not found", 404));
     }
-    if (customer.status !== "active") {
+    if (customer.status === "inactive") {
       return next(new ErrorResponse("Customer account is not active", 400));
     }
 
+    // --- Blacklist (blocked account, CIN, passport or license number) ---
+    const blacklist = await BlacklistEntry.checkCustomer(customer);
+    const blacklistError = getBlacklistError(blacklist, req.admin, req.body);
+    if (blacklistError) {
+      return next(blacklistError);
+    }
+
     // --- Vehicle Verification ---
     const vehicle = await Vehicle.findByPk(vehicleId);
     if (!vehicle) {
@@ -251,6 +436,33 @@ exports.createAdminBooking = asyncHandler(async (req, res, next) => {
       return next(new ErrorResponse("Vehicle is not active", 400));
     }
 
+    // --- Driver Eligibility (licence, age, identity document) ---
+    const eligibility = customer.checkRentalEligibility(
+      vehicle,
+      pickupDate,
+      returnDate
+    );
+    if (!eligibility.isEligible) {
+      return next(
+        new ErrorResponse(
+          "Driver does not meet the rental requirements",
+          400,
+          eligibility.reasons
+        )
+      );
+    }
+
+    // --- Driver Age Band (surcharge or refusal per vehicle category) ---
+    const ageCheck = await DriverAgeRule.resolveForDriver(
+      customer,
+      vehicle,
+      pickupDate
+    );
+    const ageRefusalError = getAgeRefusalError(ageCheck);
+    if (ageRefusalError) {
+      return next(ageRefusalError);
+    }
+
     // --- Availability Check ---
     const availabilityDetails = await Booking.getVehicleAvailabilityDetails(
       vehicleId,
@@ -278,21 +490,112 @@ exports.createAdminBooking = asyncHandler(async (req, res, next) => {
         errorMessage += ` Conflicting bookings: ${conflictDetails}.`;
       }
 
+      if (availabilityDetails.maintenanceConflicts.length > 0) {
+        const windows = availabilityDetails.maintenanceConflicts
+          .map(
+            (period) =>
+              `${period.pickupDate} ${period.pickupTime} to ${period.returnDate} ${period.returnTime}`
+          )
+          .join(", ");
+        errorMessage += ` Scheduled maintenance: ${windows}.`;
+      }
+
+      if (availabilityDetails.blockConflicts.length > 0) {
+        const blocks = availabilityDetails.blockConflicts
+          .map(
+            (period) =>
+              `${period.reason} from ${period.pickupDate} ${period.pickupTime} to ${period.returnDate} ${period.returnTime}`
+          )
+          .join(", ");
+        errorMessage += ` Vehicle blocked: ${blocks}.`;
+      }
+
       return next(new ErrorResponse(errorMessage, 400));
     }
 
-    // --- Pricing (Charged Days with Lateness Rule) ---
-    const pricingResult = calculateChargedDaysWithLatenessRule(
+    // --- Extras Availability Check ---
+    const extrasCheck = await Extra.checkBookingExtras(
+      extras,
       pickupDate,
       returnDate,
       pickupTime,
       returnTime
     );
 
+    if (!extrasCheck.isAvailable) {
+      return next(
+        new ErrorResponse(
+          "Some extras are not available for the selected dates",
+          400,
+          extrasCheck.errors
+        )
+      );
+    }
+
+    // --- Vehicle Papers (valid for the whole rental unless overridden) ---
+    const documentCheck = await VehicleDocument.checkVehicleCompliance(
+      vehicleId,
+      pickupDate,
+      returnDate
+    );
+    const allowExpiredDocuments =
+      req.body.allowExpiredDocuments === true ||
+      req.body.allowExpiredDocuments === "true";
+
+    if (!documentCheck.isCompliant && !allowExpiredDocuments) {
+      return next(
+        new ErrorResponse(
+          "Vehicle documents are not valid for the whole rental",
+          400,
+          documentCheck.issues
+        )
+      );
+    }
+
+    const warnings = [
+      ...documentCheck.issues,
+      ...documentCheck.warnings,
+      ...eligibility.warnings,
+    ];
+    if (blacklist.isBlacklisted) {
+      warnings.push(
+        "Customer is blacklisted: created with a super-admin override"
+      );
+    }
+
+    // --- Pricing (Charged Days with Lateness Rule, priced day by day) ---
+    let pricing = await PricingRule.calculateBookingPricing(
+      vehicle,
+      pickupDate,
+      returnDate,
+      pickupTime,
+      returnTime
+    );
+
+    // --- Discount (promo code / customer tier) ---
+    const { discount, promo, error: discountError } =
+      await resolveBookingDiscount({
+        promoCode,
+        customer,
+        vehicle,
+        rentalAmount: pricing.rentalAmount,
+      });
+
+    if (discountError) {
+      return next(new ErrorResponse(discountError, 400));
+    }
+
+    pricing = summarizePricing({
+      ...pricing,
+      discount,
+      extras: extrasCheck.lines,
+      ageSurcharge: ageCheck.surcharge,
+    });
+
     const { fullDays, latenessMinutes, chargedDays, durationMinutes } =
-      pricingResult;
+      pricing;
 
-    const totalAmount = parseFloat(vehicle.price) * chargedDays;
+    const totalAmount = pricing.totalAmount;
     const bookingNumber = await Booking.generateBookingNumber();
 
     console.log("Admin booking calculation (lateness rule):", {
@@ -307,26 +610,65 @@ exports.createAdminBooking = asyncHandler(async (req, res, next) => {
     });
 
     // --- Persistence ---
-    const booking = await Booking.create({
-      bookingNumber,
-      customerId,
-      vehicleId,
-      pickupDate,
-      returnDate,
-      pickupTime,
-      returnTime,
-      pickupLocation,
-      returnLocation,
-      dailyRate: vehicle.price,
-      totalDays: chargedDays, // Store charged days
-      totalAmount,
-      createdById: req.admin.id,
-      source: "admin",
-      status: "confirmed", // Admin bookings auto-confirmed
-      confirmedById: req.admin.id,
-      confirmedAt: new Date(),
+    // Promo use claimed with the booking (see createWebsiteBooking)
+    let promoError = null;
+    const booking = await sequelize.transaction(async (transaction) => {
+      if (promo) {
+        const usage = await promo.recordUsage(transaction, {
+          customerId: customerId,
+        });
+        if (!usage.isValid) {
+          promoError = promo.formatRejection(usage.reason);
+          return null;
+        }
+      }
+
+      const created = await Booking.create(
+        {
+          bookingNumber,
+          customerId,
+          vehicleId,
+          pickupDate,
+          returnDate,
+          pickupTime,
+          returnTime,
+          pickupLocation,
+          returnLocation,
+          dailyRate: vehicle.price,
+          totalDays: chargedDays, // Store charged days
+          totalAmount,
+          pricingBreakdown: pricing,
+          promoCodeId: promo ? promo.id : null,
+          discountAmount: pricing.discountAmount,
+          // Mileage allowance override (defaults to the vehicle allowance)
+          mileageLimitType: mileageLimitType || null,
+          dailyMileageLimit: mileageLimitType
+            ? dailyMileageLimit || null
+            : null,
+          excessKmRate: mileageLimitType ? excessKmRate || null : null,
+          createdById: req.admin.id,
+          source: "admin",
+          status: "confirmed", // Admin bookings auto-confirmed
+          confirmedById: req.admin.id,
+          confirmedAt: new Date(),
+          blacklistOverrideById: blacklist.isBlacklisted ? req.admin.id : null,
+        },
+        { transaction }
+      );
+
+      await BookingExtra.createForBooking(
+        created.id,
+        extrasCheck.lines,
+        transaction
+      );
+
+      return created;
     });
 
+    if (!booking) {
+      return next(new ErrorResponse(promoError, 400));
+    }
+
     console.log("Admin booking created:", {
       id: booking.id,
       bookingNumber: booking.bookingNumber,
@@ -380,10 +722,18 @@ exports.createAdminBooking = asyncHandler(async (req, res, next) => {
         latenessFeeApplied: latenessMinutes >= 90,
         totalAmount: `€${totalAmount}`,
         dailyRate: `€${vehicle.price}/day`,
+        pricingBreakdown: pricing.days,
+        discount: discount
+          ? { label: discount.label, amount: pricing.discountAmount }
+          : null,
+        extras: pricing.extras,
+        extrasAmount: pricing.extrasAmount,
+        ageSurcharge: pricing.ageSurcharge,
         autoConfirmed: true,
       },
       contractAvailable: true,
       contractDownloadUrl: `/api/bookings/${booking.id}/contract`,
+      ...(warnings.length > 0 && { warnings }),
     });
   } catch (error) {
     console.error("Error in createAdminBooking:", error);
@@ -0,0 +1,315 @@
+// src/controllers/bookings/bookingInspections.js - Pickup / return inspections
+const {
+  Booking,
+  Customer,
+  Vehicle,
+  Admin,
+  Inspection,
+  InspectionPhoto,
+} = require("../../models");
+const { sequelize } = require("../../config/database");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../../middleware/asyncHandler");
+const ErrorResponse = require("../../utils/errorResponse");
+const InspectionGenerator = require("../../services/inspectionGenerator");
+const {
+  INSPECTION_ZONES,
+  normalizeChecklist,
+  compareInspections,
+} = require("../../utils/inspectionUtils");
+
+// Statuses in which each inspection can be recorded. The return inspection
+// comes before completion: excess-km and fuel charges are billed from it.
+const INSPECTION_STATUSES = {
+  pickup: ["confirmed", "active"],
+  return: ["active"],
+};
+
+// Transform inspection BYTEA images to data URLs for response
+const transformInspectionForResponse = (inspection) => {
+  const data = inspection.toJSON();
+
+  delete data.signatureImageData;
+  data.signatureImage = inspection.getSignatureImageDataUrl();
+
+  data.photos = (inspection.photos || []).map((photo) => ({
+    id: photo.id,
+    zone: photo.zone,
+    annotation: photo.annotation,
+    image: {
+      dataUrl: photo.getImageDataUrl(),
+      mimetype: photo.imageMimetype,
+      name: photo.imageName || "photo",
+    },
+  }));
+
+  return data;
+};
+
+// Photo annotations are sent as a JSON array aligned with the photos
+const parsePhotoAnnotations = (raw) => {
+  if (!raw) return [];
+  try {
+    const annotations = typeof raw === "string" ? JSON.parse(raw) : raw;
+    return Array.isArray(annotations) ? annotations : [];
+  } catch {
+    return [];
+  }
+};
+
+// Zone (when known) and free-text annotation of one photo
+const buildPhotoAnnotation = (annotation) => ({
+  zone:
+    annotation && INSPECTION_ZONES.includes(annotation.zone)
+      ? annotation.zone
+      : null,
+  annotation:
+    annotation && annotation.annotation ? annotation.annotation : null,
+});
+
+// @desc    Get pickup / return inspections of a booking
+// @route   GET /api/bookings/:id/inspections
+// @access  Private (admin)
+exports.getBookingInspections = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.findByPk(req.params.id, {
+    attributes: ["id", "bookingNumber"],
+  });
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  const inspections = await Inspection.findAll({
+    where: { bookingId: booking.id },
+    order: [["createdAt", "ASC"]],
+    include: [
+      {
+        model: InspectionPhoto,
+        as: "photos",
+      },
+      {
+        model: Admin,
+        as: "inspectedBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    count: inspections.length,
+    data: inspections.map(transformInspectionForResponse),
+  });
+});
+
+// @desc    Record a pickup or return inspection
+// @route   POST /api/bookings/:id/inspections
+// @access  Private (admin)
+exports.createInspection = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const { type, notes } = req.body;
+  const odometer = parseInt(req.body.odometer, 10);
+  const fuelLevel = parseInt(req.body.fuelLevel, 10);
+  const customerAcknowledged =
+    req.body.customerAcknowledged === true ||
+    req.body.customerAcknowledged === "true";
+
+  const booking = await Booking.findByPk(req.params.id);
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  if (type === "return" && booking.status === "completed") {
+    return next(
+      new ErrorResponse(
+        "The return inspection must be recorded before the booking is completed (excess kilometres and fuel are charged at completion)",
+        400
+      )
+    );
+  }
+
+  if (!INSPECTION_STATUSES[type].includes(booking.status)) {
+    return next(
+      new ErrorResponse(
+        `A ${type} inspection cannot be recorded on a ${booking.status} booking`,
+        400
+      )
+    );
+  }
+
+  const existing = await Inspection.findOne({
+    where: { bookingId: booking.id, type },
+    attributes: ["id"],
+  });
+  if (existing) {
+    return next(
+      new ErrorResponse(`A ${type} inspection was already recorded`, 400)
+    );
+  }
+
+  const { checklist, errors: checklistErrors } = normalizeChecklist(
+    req.body.checklist
+  );
+  if (checklistErrors.length > 0) {
+    return next(
+      new ErrorResponse("Invalid damage checklist", 400, checklistErrors)
+    );
+  }
+
+  // --- Return: compare with the pickup readings ---
+  let comparison = null;
+  if (type === "return") {
+    const pickup = await Inspection.findOne({
+      where: { bookingId: booking.id, type: "pickup" },
+    });
+
+    if (pickup && odometer < pickup.odometer) {
+      return next(
+        new ErrorResponse(
+          `Return odometer (${odometer} km) is below the pickup reading (${pickup.odometer} km)`,
+          400
+        )
+      );
+    }
+
+    comparison = compareInspections(pickup, {
+      odometer,
+      fuelLevel,
+      checklist,
+    });
+  }
+
+  const files = req.files || {};
+  const signature = files.signature ? files.signature[0] : null;
+  const annotations = parsePhotoAnnotations(req.body.photoAnnotations);
+
+  const inspection = await sequelize.transaction(async (transaction) => {
+    const inspection = await Inspection.create(
+      {
+        bookingId: booking.id,
+        vehicleId: booking.vehicleId,
+        type,
+        odometer,
+        fuelLevel,
+        checklist,
+        notes,
+        kilometresDriven: comparison ? comparison.kilometresDriven : null,
+        fuelShortfall: comparison ? comparison.fuelShortfall : null,
+        customerAcknowledged,
+        signatureImageData: signature ? signature.buffer : null,
+        signatureImageMimetype: signature ? signature.mimetype : null,
+        inspectedById: req.admin.id,
+      },
+      { transaction }
+    );
+
+    await InspectionPhoto.bulkCreate(
+      (files.photos || []).map((file, index) => ({
+        inspectionId: inspection.id,
+        imageData: file.buffer,
+        imageMimetype: file.mimetype,
+        imageName: file.originalname,
+        ...buildPhotoAnnotation(annotations[index]),
+      })),
+      { transaction }
+    );
+
+    // The odometer reading is the vehicle mileage from now on
+    const vehicle = await Vehicle.findByPk(booking.vehicleId, {
+      attributes: ["id", "mileage"],
+      transaction,
+    });
+    if (odometer > (vehicle.mileage || 0)) {
+      await vehicle.update({ mileage: odometer }, { transaction });
+    }
+
+    return inspection;
+  });
+
+  console.log("Inspection recorded:", {
+    bookingNumber: booking.bookingNumber,
+    type,
+    odometer,
+    fuelLevel,
+    damages: checklist.length,
+    photos: (files.photos || []).length,
+    kilometresDriven: inspection.kilometresDriven,
+  });
+
+  const data = inspection.toJSON();
+  delete data.signatureImageData;
+
+  res.status(201).json({
+    success: true,
+    message: `${type === "pickup" ? "Pickup" : "Return"} inspection recorded`,
+    data: {
+      inspection: data,
+      photosCount: (files.photos || []).length,
+      comparison,
+      reportUrl: `/api/bookings/${booking.id}/inspection-report`,
+    },
+    ...(!customerAcknowledged && {
+      warnings: ["The customer has not acknowledged this inspection"],
+    }),
+  });
+});
+
+// @desc    Download the inspection report PDF
+// @route   GET /api/bookings/:id/inspection-report
+// @access  Private (admin)
+exports.getInspectionReport = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.findByPk(req.params.id, {
+    include: [
+      {
+        model: Customer,
+        as: "customer",
+        attributes: ["id", "firstName", "lastName", "phone"],
+      },
+      {
+        model: Vehicle,
+        as: "vehicle",
+        attributes: ["id", "name", "brand", "licensePlate"],
+      },
+    ],
+  });
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  const inspections = await Inspection.findAll({
+    where: { bookingId: booking.id },
+    include: [
+      {
+        model: InspectionPhoto,
+        as: "photos",
+      },
+    ],
+  });
+
+  if (inspections.length === 0) {
+    return next(
+      new ErrorResponse("No inspection recorded for this booking", 404)
+    );
+  }
+
+  const inspectionGenerator = new InspectionGenerator();
+  const pdfBuffer = await inspectionGenerator.generateReport(
+    booking,
+    inspections
+  );
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="Inspection_${booking.bookingNumber}.pdf"`,
+    "Content-Length": pdfBuffer.length,
+    "Cache-Control": "no-cache, no-store, must-revalidate",
+  });
+
+  res.send(pdfBuffer);
+});
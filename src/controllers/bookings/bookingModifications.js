@@ -0,0 +1,359 @@
+// src/controllers/bookings/bookingModifications.js - Extensions and date modifications
+const {
+  Booking,
+  Customer,
+  Vehicle,
+  Admin,
+  BookingModification,
+} = require("../../models");
+const { sequelize } = require("../../config/database");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../../middleware/asyncHandler");
+const ErrorResponse = require("../../utils/errorResponse");
+const ContractGenerator = require("../../services/contractGenerator");
+const {
+  calculateChargedDaysWithLatenessRule,
+  validateAdminBookingDates,
+  getAddedPeriods,
+} = require("../../utils/bookingUtils");
+
+/**
+ * Move a booking to new dates: check availability of the added periods
+ * only, reprice (beforeUpdate hook) and record the previous terms.
+ *
+ * @returns {object} { modification, error, statusCode, errors }
+ */
+const applyDateChange = async (booking, changes, { type, reason, adminId }) => {
+  const previous = {
+    pickupDate: booking.pickupDate,
+    pickupTime: booking.pickupTime,
+    returnDate: booking.returnDate,
+    returnTime: booking.returnTime,
+  };
+  const next = { ...previous, ...changes };
+
+  const dateValidation = validateAdminBookingDates(
+    next.pickupDate,
+    next.returnDate,
+    next.pickupTime,
+    next.returnTime
+  );
+  if (!dateValidation.isValid) {
+    return { error: dateValidation.error, statusCode: 400 };
+  }
+
+  const previousPricing = calculateChargedDaysWithLatenessRule(
+    previous.pickupDate,
+    previous.returnDate,
+    previous.pickupTime,
+    previous.returnTime
+  );
+  const nextPricing = calculateChargedDaysWithLatenessRule(
+    next.pickupDate,
+    next.returnDate,
+    next.pickupTime,
+    next.returnTime
+  );
+
+  // --- Availability of the added periods only ---
+  const addedPeriods = getAddedPeriods(previous, next);
+  const conflicts = [];
+
+  for (const period of addedPeriods) {
+    const availability = await Booking.getVehicleAvailabilityDetails(
+      booking.vehicleId,
+      period.pickupDate,
+      period.returnDate,
+      period.pickupTime,
+      period.returnTime,
+      booking.id
+    );
+
+    if (!availability.isAvailable) {
+      conflicts.push({
+        period,
+        message: availability.message,
+        conflictingBookings: [
+          ...availability.conflictingBookings,
+          ...(availability.sameDayConflicts || []),
+        ].map((conflict) => ({
+          id: conflict.id,
+          bookingNumber: conflict.bookingNumber,
+          pickupDate: conflict.pickupDate,
+          pickupTime: conflict.pickupTime,
+          returnDate: conflict.returnDate,
+          returnTime: conflict.returnTime,
+          customer: conflict.customer
+            ? `${conflict.customer.firstName} ${conflict.customer.lastName}`
+            : null,
+        })),
+      });
+    }
+  }
+
+  if (conflicts.length > 0) {
+    return {
+      error: "Vehicle is not available for the added period",
+      statusCode: 409,
+      errors: conflicts,
+    };
+  }
+
+  const extrasCheck = await booking.checkExtrasAvailability(next);
+  if (!extrasCheck.isAvailable) {
+    return {
+      error: "Some extras are not available for the new dates",
+      statusCode: 409,
+      errors: extrasCheck.errors,
+    };
+  }
+
+  // --- Reprice & Record History ---
+  const previousTotalAmount = parseFloat(booking.totalAmount);
+
+  const modification = await sequelize.transaction(async (transaction) => {
+    // Serialize modifications of the same booking (addendum numbering)
+    await Booking.findByPk(booking.id, {
+      attributes: ["id"],
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    // Totals are repriced with pricing rules by the beforeUpdate hook
+    await booking.update(changes, { transaction });
+
+    const newTotalAmount = parseFloat(booking.totalAmount);
+
+    return await BookingModification.create(
+      {
+        bookingId: booking.id,
+        sequence: await BookingModification.getNextSequence(
+          booking.id,
+          transaction
+        ),
+        type,
+        previousPickupDate: previous.pickupDate,
+        previousPickupTime: previous.pickupTime,
+        previousReturnDate: previous.returnDate,
+        previousReturnTime: previous.returnTime,
+        previousTotalDays: previousPricing.chargedDays,
+        previousTotalAmount,
+        newPickupDate: next.pickupDate,
+        newPickupTime: next.pickupTime,
+        newReturnDate: next.returnDate,
+        newReturnTime: next.returnTime,
+        newTotalDays: nextPricing.chargedDays,
+        newTotalAmount,
+        amountDifference:
+          Math.round((newTotalAmount - previousTotalAmount) * 100) / 100,
+        reason,
+        modifiedById: adminId,
+      },
+      { transaction }
+    );
+  });
+
+  console.log(`Booking ${type} recorded:`, {
+    bookingNumber: booking.bookingNumber,
+    addedPeriods: addedPeriods.length,
+    previousChargedDays: previousPricing.chargedDays,
+    newChargedDays: nextPricing.chargedDays,
+    amountDifference: modification.amountDifference,
+  });
+
+  return { modification };
+};
+
+// Response shared by extend and modify
+const buildModificationResponse = (booking, modification) => ({
+  booking,
+  modification,
+  balanceDue: booking.balanceDue,
+  addendumUrl: `/api/bookings/${booking.id}/modifications/${modification.id}/addendum`,
+});
+
+// @desc    Extend a rental (later return)
+// @route   POST /api/bookings/:id/extend
+// @access  Private (admin)
+exports.extendBooking = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const booking = await Booking.findByPk(req.params.id);
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  if (!["confirmed", "active"].includes(booking.status)) {
+    return next(
+      new ErrorResponse("Only confirmed or active bookings can be extended", 400)
+    );
+  }
+
+  const returnDate = req.body.returnDate;
+  const returnTime = req.body.returnTime || booking.returnTime;
+
+  const currentReturn = new Date(
+    `${booking.returnDate}T${booking.returnTime}:00`
+  );
+  const newReturn = new Date(`${returnDate}T${returnTime}:00`);
+
+  if (newReturn <= currentReturn) {
+    return next(
+      new ErrorResponse(
+        "New return must be later than the current return date and time",
+        400
+      )
+    );
+  }
+
+  const result = await applyDateChange(
+    booking,
+    { returnDate, returnTime },
+    { type: "extension", reason: req.body.reason, adminId: req.admin.id }
+  );
+
+  if (result.error) {
+    return next(
+      new ErrorResponse(result.error, result.statusCode, result.errors)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Booking extended successfully",
+    data: buildModificationResponse(booking, result.modification),
+  });
+});
+
+// @desc    Modify the dates of an upcoming booking
+// @route   POST /api/bookings/:id/modify
+// @access  Private (admin)
+exports.modifyBooking = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const booking = await Booking.findByPk(req.params.id);
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  if (!["pending", "confirmed"].includes(booking.status)) {
+    return next(
+      new ErrorResponse(
+        "Only pending or confirmed bookings can be modified. Use extend for active rentals.",
+        400
+      )
+    );
+  }
+
+  const changes = {};
+  ["pickupDate", "pickupTime", "returnDate", "returnTime"].forEach((field) => {
+    if (req.body[field] && req.body[field] !== booking[field]) {
+      changes[field] = req.body[field];
+    }
+  });
+
+  if (Object.keys(changes).length === 0) {
+    return next(new ErrorResponse("No date or time change requested", 400));
+  }
+
+  const result = await applyDateChange(booking, changes, {
+    type: "modification",
+    reason: req.body.reason,
+    adminId: req.admin.id,
+  });
+
+  if (result.error) {
+    return next(
+      new ErrorResponse(result.error, result.statusCode, result.errors)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Booking modified successfully",
+    data: buildModificationResponse(booking, result.modification),
+  });
+});
+
+// @desc    Get modification history of a booking
+// @route   GET /api/bookings/:id/modifications
+// @access  Private (admin)
+exports.getBookingModifications = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.findByPk(req.params.id, {
+    attributes: ["id", "bookingNumber"],
+  });
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  const modifications = await BookingModification.findAll({
+    where: { bookingId: booking.id },
+    order: [["sequence", "ASC"]],
+    include: [
+      {
+        model: Admin,
+        as: "modifiedBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    count: modifications.length,
+    data: modifications,
+  });
+});
+
+// @desc    Download the contract addendum of a modification
+// @route   GET /api/bookings/:id/modifications/:modificationId/addendum
+// @access  Private (admin)
+exports.getModificationAddendum = asyncHandler(async (req, res, next) => {
+  const modification = await BookingModification.findOne({
+    where: { id: req.params.modificationId, bookingId: req.params.id },
+  });
+
+  if (!modification) {
+    return next(new ErrorResponse("Modification not found", 404));
+  }
+
+  const booking = await Booking.findByPk(req.params.id, {
+    include: [
+      {
+        model: Customer,
+        as: "customer",
+        attributes: ["id", "firstName", "lastName", "phone", "email"],
+      },
+      {
+        model: Vehicle,
+        as: "vehicle",
+        attributes: ["id", "name", "brand", "licensePlate"],
+      },
+    ],
+  });
+
+  const contractGenerator = new ContractGenerator();
+  const pdfBuffer = await contractGenerator.generateAddendum(
+    booking,
+    modification
+  );
+  const addendumNumber = modification.getAddendumNumber(booking.bookingNumber);
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="Addendum_${addendumNumber}.pdf"`,
+    "Content-Length": pdfBuffer.length,
+    "Cache-Control": "no-cache, no-store, must-revalidate",
+  });
+
+  res.send(pdfBuffer);
+});
@@ -0,0 +1,245 @@
+// src/controllers/bookings/bookingPayments.js - Payments ledger per booking
+const {
+  Booking,
+  Customer,
+  Vehicle,
+  Admin,
+  Payment,
+  Invoice,
+} = require("../../models");
+const { sequelize } = require("../../config/database");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../../middleware/asyncHandler");
+const ErrorResponse = require("../../utils/errorResponse");
+const InvoiceGenerator = require("../../services/invoiceGenerator");
+const {
+  summarizePayments,
+  calculateBalanceDue,
+  validatePaymentEntry,
+  calculateRefundCredit,
+} = require("../../utils/paymentUtils");
+
+// Build the balance summary returned with ledger responses
+const buildPaymentSummary = (booking, payments) => {
+  const summary = summarizePayments(payments);
+
+  return {
+    totalAmount: parseFloat(booking.totalAmount),
+    ...summary,
+    balanceDue: calculateBalanceDue(
+      booking.status === "cancelled"
+        ? booking.cancellationFee || 0
+        : booking.totalAmount,
+      summary.amountPaid
+    ),
+    expectedDeposit: booking.vehicle
+      ? parseFloat(booking.vehicle.caution)
+      : null,
+  };
+};
+
+// @desc    Get payments ledger of a booking
+// @route   GET /api/bookings/:id/payments
+// @access  Private (admin)
+exports.getBookingPayments = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.findByPk(req.params.id, {
+    include: [
+      {
+        model: Vehicle,
+        as: "vehicle",
+        attributes: ["id", "name", "brand", "licensePlate", "caution"],
+      },
+    ],
+  });
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  const payments = await Payment.findAll({
+    where: { bookingId: booking.id },
+    order: [["paidAt", "ASC"]],
+    include: [
+      {
+        model: Admin,
+        as: "recordedBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    count: payments.length,
+    data: {
+      bookingNumber: booking.bookingNumber,
+      summary: buildPaymentSummary(booking, payments),
+      payments,
+    },
+  });
+});
+
+// @desc    Record a payment, deposit movement or refund on a booking
+// @route   POST /api/bookings/:id/payments
+// @access  Private (admin)
+exports.createBookingPayment = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const booking = await Booking.findByPk(req.params.id, {
+    include: [
+      {
+        model: Vehicle,
+        as: "vehicle",
+        attributes: ["id", "name", "brand", "licensePlate", "caution"],
+      },
+    ],
+  });
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  const { type, method, reference, notes, paidAt } = req.body;
+
+  // Deposit hold defaults to the vehicle security deposit (caution)
+  let amount = req.body.amount;
+  if ((amount === undefined || amount === null) && type === "deposit_hold") {
+    amount = booking.vehicle ? booking.vehicle.caution : null;
+  }
+
+  const check = validatePaymentEntry(
+    { type, amount },
+    {
+      status: booking.status,
+      amountPaid: booking.amountPaid,
+      depositHeld: booking.depositHeld,
+      balanceDue: booking.balanceDue,
+    }
+  );
+
+  if (!check.isValid) {
+    return next(new ErrorResponse(check.reason, 400));
+  }
+
+  // A refund is only credited on the invoice when it lowers the amount billed
+  const creditAmount =
+    type === "refund"
+      ? calculateRefundCredit(
+          amount,
+          {
+            amountPaid: booking.amountPaid,
+            amountDue:
+              booking.status === "cancelled"
+                ? booking.cancellationFee || 0
+                : booking.totalAmount,
+          },
+          req.body.creditInvoice === true || req.body.creditInvoice === "true"
+        )
+      : 0;
+
+  // Entry, receipt number and refund credit note are committed together
+  const { payment, creditNote } = await sequelize.transaction(
+    async (transaction) => {
+      const payment = await Payment.record(
+        {
+          bookingId: booking.id,
+          type,
+          method,
+          amount,
+          reference,
+          notes,
+          paidAt: paidAt || new Date(),
+          recordedById: req.admin.id,
+        },
+        transaction
+      );
+
+      const creditNote =
+        creditAmount > 0
+          ? await Invoice.creditForBooking(
+              booking.id,
+              {
+                amount: creditAmount,
+                reason: "Remboursement",
+                paymentId: payment.id,
+                adminId: req.admin.id,
+              },
+              transaction
+            )
+          : null;
+
+      return { payment, creditNote };
+    }
+  );
+
+  console.log("Payment recorded:", {
+    bookingNumber: booking.bookingNumber,
+    receiptNumber: payment.receiptNumber,
+    type,
+    method,
+    amount,
+  });
+
+  const payments = await Payment.findAll({
+    where: { bookingId: booking.id },
+    attributes: ["type", "amount"],
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Payment recorded successfully",
+    data: {
+      payment,
+      creditNote,
+      summary: buildPaymentSummary(booking, payments),
+      receiptUrl: `/api/bookings/${booking.id}/payments/${payment.id}/receipt`,
+    },
+  });
+});
+
+// @desc    Download the receipt of a ledger entry
+// @route   GET /api/bookings/:id/payments/:paymentId/receipt
+// @access  Private (admin)
+exports.getPaymentReceipt = asyncHandler(async (req, res, next) => {
+  const payment = await Payment.findOne({
+    where: { id: req.params.paymentId, bookingId: req.params.id },
+  });
+
+  if (!payment) {
+    return next(new ErrorResponse("Payment not found", 404));
+  }
+
+  if (!payment.receiptNumber) {
+    return next(new ErrorResponse("No receipt for this payment", 404));
+  }
+
+  const booking = await Booking.findByPk(req.params.id, {
+    include: [
+      {
+        model: Customer,
+        as: "customer",
+        attributes: ["id", "firstName", "lastName", "phone", "email"],
+      },
+      {
+        model: Vehicle,
+        as: "vehicle",
+        attributes: ["id", "name", "brand", "licensePlate"],
+      },
+    ],
+  });
+
+  const pdfBuffer = await new InvoiceGenerator().generateReceipt(
+    payment,
+    booking
+  );
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="Recu_${payment.receiptNumber}.pdf"`,
+    "Content-Length": pdfBuffer.length,
+  });
+  res.send(pdfBuffer);
+});
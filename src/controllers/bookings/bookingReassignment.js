@@ -0,0 +1,234 @@
+// src/controllers/bookings/bookingReassignment.js - Vehicle swap on an existing booking
+const {
+  Booking,
+  Vehicle,
+  Admin,
+  BookingReassignment,
+} = require("../../models");
+const { sequelize } = require("../../config/database");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../../middleware/asyncHandler");
+const ErrorResponse = require("../../utils/errorResponse");
+
+const REASSIGNABLE_STATUSES = ["pending", "confirmed", "active"];
+
+// @desc    Suggest compatible vehicles for a booking and list past swaps
+// @route   GET /api/bookings/:id/reassign
+// @access  Private (admin)
+exports.getReassignmentOptions = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.findByPk(req.params.id);
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  const vehicle = await Vehicle.findByPk(booking.vehicleId);
+  const priceTolerance = parseFloat(req.query.priceTolerance) || 20;
+
+  const candidates = REASSIGNABLE_STATUSES.includes(booking.status)
+    ? await Vehicle.getReassignmentCandidates(booking, vehicle, {
+        priceTolerance,
+      })
+    : [];
+
+  const history = await BookingReassignment.findAll({
+    where: { bookingId: booking.id },
+    order: [["createdAt", "ASC"]],
+    include: [
+      {
+        model: Vehicle,
+        as: "previousVehicle",
+        attributes: ["id", "name", "brand", "licensePlate"],
+      },
+      {
+        model: Vehicle,
+        as: "newVehicle",
+        attributes: ["id", "name", "brand", "licensePlate"],
+      },
+      {
+        model: Admin,
+        as: "reassignedBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    count: candidates.length,
+    data: {
+      criteria: {
+        transmission: vehicle.transmission,
+        fuelType: vehicle.fuelType,
+        seats: vehicle.seats,
+        price: parseFloat(vehicle.price),
+        priceTolerance,
+      },
+      candidates,
+      history,
+    },
+  });
+});
+
+// @desc    Move a booking to another vehicle
+// @route   PUT /api/bookings/:id/reassign
+// @access  Private (admin)
+exports.reassignBooking = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const {
+    vehicleId,
+    keepDailyRate = true,
+    reason,
+    previousVehicleStatus,
+  } = req.body;
+
+  const booking = await Booking.findByPk(req.params.id);
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  if (!REASSIGNABLE_STATUSES.includes(booking.status)) {
+    return next(
+      new ErrorResponse(
+        "Only pending, confirmed or active bookings can be reassigned",
+        400
+      )
+    );
+  }
+
+  if (vehicleId === booking.vehicleId) {
+    return next(
+      new ErrorResponse("Booking is already assigned to this vehicle", 400)
+    );
+  }
+
+  const previousVehicle = await Vehicle.findByPk(booking.vehicleId);
+  const newVehicle = await Vehicle.findByPk(vehicleId);
+
+  if (!newVehicle) {
+    return next(new ErrorResponse("Vehicle not found", 404));
+  }
+
+  if (newVehicle.status !== "active") {
+    return next(
+      new ErrorResponse(
+        `Vehicle is not in service (${newVehicle.status})`,
+        400
+      )
+    );
+  }
+
+  // --- Minute-precision availability of the new vehicle ---
+  const availability = await Booking.getVehicleAvailabilityDetails(
+    newVehicle.id,
+    booking.pickupDate,
+    booking.returnDate,
+    booking.pickupTime,
+    booking.returnTime,
+    booking.id
+  );
+
+  // A rental in progress needs the new vehicle at the agency now
+  const isAtAgency = booking.status !== "active" || newVehicle.available;
+
+  if (!availability.isAvailable || !isAtAgency) {
+    const candidates = await Vehicle.getReassignmentCandidates(
+      booking,
+      previousVehicle
+    );
+
+    return next(
+      new ErrorResponse(
+        availability.isAvailable
+          ? "Vehicle is currently out on another rental"
+          : availability.message,
+        409,
+        candidates.map((candidate) => ({
+          vehicleId: candidate.id,
+          vehicle: `${candidate.brand} ${candidate.name}`,
+          licensePlate: candidate.licensePlate,
+          price: parseFloat(candidate.price),
+          priceDifference: candidate.priceDifference,
+        }))
+      )
+    );
+  }
+
+  // --- Daily rate: keep the agreed one, override, or take the new price ---
+  let dailyRate = booking.dailyRate;
+  if (req.body.dailyRate !== undefined && req.body.dailyRate !== null) {
+    dailyRate = req.body.dailyRate;
+  } else if (keepDailyRate === false || keepDailyRate === "false") {
+    dailyRate = newVehicle.price;
+  }
+
+  const previousDailyRate = booking.dailyRate;
+  const previousTotalAmount = booking.totalAmount;
+
+  const reassignment = await sequelize.transaction(async (transaction) => {
+    // Totals are repriced with pricing rules by the beforeUpdate hook
+    await booking.update(
+      { vehicleId: newVehicle.id, dailyRate },
+      { transaction }
+    );
+
+    if (previousVehicleStatus) {
+      await previousVehicle.update(
+        { status: previousVehicleStatus },
+        { transaction }
+      );
+    }
+
+    // A vehicle is unavailable while it is out on a rental
+    await previousVehicle.syncAvailability(transaction);
+    await newVehicle.syncAvailability(transaction);
+
+    return await BookingReassignment.create(
+      {
+        bookingId: booking.id,
+        previousVehicleId: previousVehicle.id,
+        newVehicleId: newVehicle.id,
+        bookingStatus: booking.status,
+        previousDailyRate,
+        newDailyRate: booking.dailyRate,
+        previousTotalAmount,
+        newTotalAmount: booking.totalAmount,
+        reason,
+        reassignedById: req.admin.id,
+      },
+      { transaction }
+    );
+  });
+
+  console.log("Booking reassigned:", {
+    bookingNumber: booking.bookingNumber,
+    from: previousVehicle.licensePlate,
+    to: newVehicle.licensePlate,
+    previousTotalAmount,
+    newTotalAmount: booking.totalAmount,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Booking moved to ${newVehicle.brand} ${newVehicle.name} (${newVehicle.licensePlate})`,
+    data: {
+      booking,
+      reassignment,
+      previousVehicle: {
+        id: previousVehicle.id,
+        status: previousVehicle.status,
+        available: previousVehicle.available,
+      },
+      newVehicle: {
+        id: newVehicle.id,
+        status: newVehicle.status,
+        available: newVehicle.available,
+      },
+    },
+  });
+});
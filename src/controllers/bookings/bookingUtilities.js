@@ -1,12 +1,19 @@
 // src/controllers/bookings/bookingUtilities.js - REFACTORED: Update availability endpoint for lateness rule
-const { Booking, Customer, Vehicle, Admin } = require("../../models");
+const {
+  Booking,
+  Customer,
+  Vehicle,
+  Admin,
+  PricingRule,
+  Invoice,
+  MaintenanceRecord,
+  VehicleBlock,
+} = require("../../models");
 const { Op, Sequelize } = require("sequelize");
 const asyncHandler = require("../../middleware/asyncHandler");
 const ErrorResponse = require("../../utils/errorResponse");
 const ContractGenerator = require("../../services/contractGenerator");
-const {
-  calculateChargedDaysWithLatenessRule,
-} = require("../../utils/bookingUtils");
+const InvoiceGenerator = require("../../services/invoiceGenerator");
 
 // @desc    Generate contract PDF for booking
 // @route   GET /api/bookings/:id/contract
@@ -30,9 +37,14 @@ exports.generateContract = asyncHandler(async (req, res, next) => {
             "address",
             "country",
             "driverLicenseNumber",
+            "driverLicenseCategory",
+            "driverLicenseIssueDate",
+            "driverLicenseExpiryDate",
             "passportNumber",
             "passportIssuedAt",
+            "passportExpiryDate",
             "cinNumber",
+            "cinExpiryDate",
           ],
         },
         {
@@ -124,6 +136,67 @@ exports.generateContract = asyncHandler(async (req, res, next) => {
   }
 });
 
+// @desc    Download booking invoice PDF (issued on first request)
+// @route   GET /api/bookings/:id/invoice
+// @access  Private (admin)
+exports.getBookingInvoice = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.findByPk(req.params.id, {
+    include: [
+      {
+        model: Customer,
+        as: "customer",
+        attributes: [
+          "id",
+          "firstName",
+          "lastName",
+          "phone",
+          "email",
+          "address",
+        ],
+      },
+      {
+        model: Vehicle,
+        as: "vehicle",
+        attributes: ["id", "name", "brand", "licensePlate"],
+      },
+    ],
+  });
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  let invoice;
+
+  if (["confirmed", "active", "completed"].includes(booking.status)) {
+    ({ invoice } = await Invoice.issueForBooking(booking, {
+      adminId: req.admin.id,
+    }));
+  } else {
+    // Cancelled bookings keep their last invoice (credited by an avoir)
+    invoice = await Invoice.findCurrentForBooking(booking.id);
+  }
+
+  if (!invoice) {
+    return next(
+      new ErrorResponse(
+        "Invoices can only be issued for confirmed, active, or completed bookings",
+        400
+      )
+    );
+  }
+
+  const pdfBuffer = await new InvoiceGenerator().generateInvoice(invoice);
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="Facture_${invoice.number}.pdf"`,
+    "Content-Length": pdfBuffer.length,
+    "Cache-Control": "no-cache, no-store, must-revalidate",
+  });
+  res.send(pdfBuffer);
+});
+
 // @desc    Get booking statistics
 // @route   GET /api/bookings/stats
 // @access  Private (admin)
@@ -380,15 +453,14 @@ exports.checkAvailability = asyncHandler(async (req, res, next) => {
   // Calculate pricing if times provided
   let pricingPreview = null;
   if (pickupTime && returnTime) {
-    const pricing = calculateChargedDaysWithLatenessRule(
+    const pricing = await PricingRule.calculateBookingPricing(
+      vehicle,
       pickupDate,
       returnDate,
       pickupTime,
       returnTime
     );
 
-    const totalAmount = parseFloat(vehicle.price) * pricing.chargedDays;
-
     pricingPreview = {
       durationMinutes: pricing.durationMinutes,
       durationHours: (pricing.durationMinutes / 60).toFixed(1),
@@ -397,7 +469,8 @@ exports.checkAvailability = asyncHandler(async (req, res, next) => {
       chargedDays: pricing.chargedDays,
       latenessFeeApplied: pricing.latenessMinutes >= 90,
       dailyRate: vehicle.price,
-      totalAmount: totalAmount,
+      totalAmount: pricing.totalAmount,
+      breakdown: pricing.days,
     };
   }
 
@@ -425,6 +498,8 @@ exports.checkAvailability = asyncHandler(async (req, res, next) => {
             : null,
         })
       ),
+      maintenanceConflicts: availabilityDetails.maintenanceConflicts,
+      blockConflicts: availabilityDetails.blockConflicts,
       pricingPreview,
       message: availabilityDetails.message,
     },
@@ -583,7 +658,45 @@ exports.getVehicleCalendar = asyncHandler(async (req, res, next) => {
     }
   });
 
-  const uniqueBlockedDates = [...new Set(blockedDates)];
+  // --- Blackout periods and maintenance windows (shown apart) ---
+  const searchStart = start.toISOString().split("T")[0];
+  const searchEnd = end.toISOString().split("T")[0];
+  const blockPeriods = [
+    ...(await VehicleBlock.getBlockingPeriods(
+      vehicleId,
+      searchStart,
+      searchEnd
+    )),
+    ...(await MaintenanceRecord.getBlockingPeriods(
+      vehicleId,
+      searchStart,
+      searchEnd
+    )),
+  ].sort((a, b) => (a.pickupDate < b.pickupDate ? -1 : 1));
+
+  const blockedPeriods = blockPeriods.map((period) => ({
+    id: period.id,
+    source: period.isBlock ? "block" : "maintenance",
+    reason: period.reason || "maintenance",
+    startDate: period.pickupDate,
+    startTime: period.pickupTime,
+    endDate: period.returnDate,
+    endTime: period.returnTime,
+  }));
+
+  const blockDates = [];
+  blockedPeriods.forEach((period) => {
+    const currentDate = new Date(period.startDate);
+    const lastDate = new Date(period.endDate);
+    while (currentDate <= lastDate) {
+      const dateStr = currentDate.toISOString().split("T")[0];
+      blockDates.push(dateStr);
+      blockedDates.push(dateStr);
+      currentDate.setDate(currentDate.getDate() + 1);
+    }
+  });
+
+  const uniqueBlockedDates = [...new Set(blockedDates)].sort();
   console.log("Blocked dates:", uniqueBlockedDates);
 
   const todayStr = today.toISOString().split("T")[0];
@@ -592,6 +705,10 @@ exports.getVehicleCalendar = asyncHandler(async (req, res, next) => {
     (period) => todayStr >= period.pickupDate && todayStr <= period.returnDate
   );
 
+  const currentBlock = blockedPeriods.find(
+    (period) => todayStr >= period.startDate && todayStr <= period.endDate
+  );
+
   const upcomingBooking = bookedPeriods
     .filter((period) => period.pickupDate > todayStr)
     .sort(
@@ -599,7 +716,7 @@ exports.getVehicleCalendar = asyncHandler(async (req, res, next) => {
         new Date(a.pickupDate).getTime() - new Date(b.pickupDate).getTime()
     )[0];
 
-  const isCurrentlyAvailable = !currentBooking;
+  const isCurrentlyAvailable = !currentBooking && !currentBlock;
 
   let nextAvailableDate = null;
   let nextAvailableTime = null;
@@ -633,6 +750,12 @@ exports.getVehicleCalendar = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Off the road: available again at the end of the block
+  if (!currentBooking && currentBlock) {
+    nextAvailableDate = currentBlock.endDate;
+    nextAvailableTime = currentBlock.endTime;
+  }
+
   console.log("Next available:", { nextAvailableDate, nextAvailableTime });
   console.log("Current booking:", currentBooking);
   console.log("Upcoming booking:", upcomingBooking);
@@ -645,10 +768,13 @@ exports.getVehicleCalendar = asyncHandler(async (req, res, next) => {
       available: isCurrentlyAvailable,
       currentBooking: currentBooking || null,
       upcomingBooking: upcomingBooking || null,
+      currentBlock: currentBlock || null,
       nextAvailableDate,
       nextAvailableTime,
       blockedDates: uniqueBlockedDates,
       bookedPeriods,
+      blockedPeriods,
+      blockDates: [...new Set(blockDates)].sort(),
       searchPeriod: {
         startDate: start.toISOString().split("T")[0],
         endDate: end.toISOString().split("T")[0],
@@ -1,8 +1,29 @@
 // src/controllers/bookings/bookingWorkflow.js - REFACTORED: Update to use charged days calculation
-const { Booking, Customer, Vehicle, Admin } = require("../../models");
+const {
+  Booking,
+  Customer,
+  Vehicle,
+  Admin,
+  PromoCode,
+  Invoice,
+  Payment,
+  CancellationPolicy,
+  Inspection,
+  DamageClaim,
+  VehicleDocument,
+  BlacklistEntry,
+} = require("../../models");
+const { sequelize } = require("../../config/database");
+const { validationResult } = require("express-validator");
 const asyncHandler = require("../../middleware/asyncHandler");
 const ErrorResponse = require("../../utils/errorResponse");
 const ContractGenerator = require("../../services/contractGenerator");
+const { calculateBalanceDue } = require("../../utils/paymentUtils");
+const { summarizePricing } = require("../../utils/pricingUtils");
+const {
+  calculateCancellationPenalty,
+} = require("../../utils/cancellationUtils");
+const { getBlacklistError } = require("../../utils/blacklistUtils");
 
 // @desc    Confirm booking
 // @route   PUT /api/bookings/:id/confirm
@@ -23,9 +44,15 @@ exports.confirmBooking = asyncHandler(async (req, res, next) => {
           "address",
           "country",
           "driverLicenseNumber",
+          "driverLicenseCategory",
+          "driverLicenseIssueDate",
+          "driverLicenseExpiryDate",
           "passportNumber",
           "passportIssuedAt",
+          "passportExpiryDate",
           "cinNumber",
+          "cinExpiryDate",
+          "status",
         ],
       },
       {
@@ -39,6 +66,9 @@ exports.confirmBooking = asyncHandler(async (req, res, next) => {
           "licensePlate",
           "price",
           "mileage",
+          "minimumAge",
+          "minimumLicenseYears",
+          "requiredLicenseCategory",
         ],
       },
       {
@@ -59,6 +89,29 @@ exports.confirmBooking = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // --- Blacklist (blocked account, CIN, passport or license number) ---
+  const blacklist = await BlacklistEntry.checkCustomer(booking.customer);
+  const blacklistError = getBlacklistError(blacklist, req.admin, req.body);
+  if (blacklistError) {
+    return next(blacklistError);
+  }
+
+  // --- Driver Eligibility (licence, age, identity document) ---
+  const eligibility = booking.customer.checkRentalEligibility(
+    booking.vehicle,
+    booking.pickupDate,
+    booking.returnDate
+  );
+  if (!eligibility.isEligible) {
+    return next(
+      new ErrorResponse(
+        "Driver does not meet the rental requirements",
+        400,
+        eligibility.reasons
+      )
+    );
+  }
+
   // --- Availability Check ---
   const isAvailable = await Booking.checkVehicleAvailability(
     booking.vehicleId,
@@ -78,11 +131,68 @@ exports.confirmBooking = asyncHandler(async (req, res, next) => {
     );
   }
 
+  const extrasCheck = await booking.checkExtrasAvailability();
+  if (!extrasCheck.isAvailable) {
+    return next(
+      new ErrorResponse(
+        "Some extras are no longer available for the selected dates",
+        400,
+        extrasCheck.errors
+      )
+    );
+  }
+
+  // --- Vehicle Papers (valid for the whole rental unless overridden) ---
+  const documentCheck = await VehicleDocument.checkVehicleCompliance(
+    booking.vehicleId,
+    booking.pickupDate,
+    booking.returnDate
+  );
+  const allowExpiredDocuments =
+    req.body.allowExpiredDocuments === true ||
+    req.body.allowExpiredDocuments === "true";
+
+  if (!documentCheck.isCompliant && !allowExpiredDocuments) {
+    return next(
+      new ErrorResponse(
+        "Vehicle documents are not valid for the whole rental",
+        400,
+        documentCheck.issues
+      )
+    );
+  }
+
+  // --- Customer Damage History ---
+  const damageHistory = await DamageClaim.getCustomerHistory(
+    booking.customerId,
+    { excludeBookingId: booking.id }
+  );
+  const warnings = [
+    ...documentCheck.issues,
+    ...documentCheck.warnings,
+    ...eligibility.warnings,
+  ];
+
+  if (blacklist.isBlacklisted) {
+    warnings.push(
+      "Customer is blacklisted: confirmed with a super-admin override"
+    );
+  }
+
+  if (damageHistory.hasHistory) {
+    warnings.push(
+      `Customer has ${damageHistory.totalClaims} previous damage claim(s), ${damageHistory.openClaims} still open (€${damageHistory.chargedAmount} charged)`
+    );
+  }
+
   // --- Update Status ---
   await booking.update({
     status: "confirmed",
     confirmedById: req.admin.id,
     confirmedAt: new Date(),
+    // Confirming is the review of a flagged booking
+    flaggedForReview: false,
+    ...(blacklist.isBlacklisted && { blacklistOverrideById: req.admin.id }),
   });
 
   // --- Update Stats ---
@@ -120,6 +230,8 @@ exports.confirmBooking = asyncHandler(async (req, res, next) => {
       data: booking,
       contractReady: true,
       contractDownloadUrl: `/api/bookings/${booking.id}/contract`,
+      damageHistory,
+      ...(warnings.length > 0 && { warnings }),
     });
   } catch (contractError) {
     console.error("Contract generation error:", contractError);
@@ -128,6 +240,8 @@ exports.confirmBooking = asyncHandler(async (req, res, next) => {
       message: "Booking confirmed successfully (contract generation failed)",
       data: booking,
       contractReady: false,
+      damageHistory,
+      ...(warnings.length > 0 && { warnings }),
     });
   }
 });
@@ -136,7 +250,12 @@ exports.confirmBooking = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/bookings/:id/cancel
 // @access  Private (admin)
 exports.cancelBooking = asyncHandler(async (req, res, next) => {
-  const { cancellationReason } = req.body;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const { cancellationReason, noShow, refundMethod } = req.body;
   const booking = await Booking.findByPk(req.params.id);
 
   if (!booking) {
@@ -147,21 +266,118 @@ exports.cancelBooking = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("This booking cannot be cancelled", 400));
   }
 
-  await booking.update({
-    status: "cancelled",
-    cancelledById: req.admin.id,
-    cancelledAt: new Date(),
-    cancellationReason: cancellationReason || "Cancelled by admin",
+  // --- Penalty & Refund (vehicle, source or default policy) ---
+  const policy = await CancellationPolicy.resolveForBooking(booking);
+  const cancellation = calculateCancellationPenalty(policy, booking, {
+    noShow: noShow === true || noShow === "true",
+  });
+
+  // Refund with the method of the last rental payment unless specified
+  const lastPayment = await Payment.findOne({
+    where: { bookingId: booking.id, type: "rental_payment" },
+    order: [["paidAt", "DESC"]],
   });
+  const method = refundMethod || (lastPayment ? lastPayment.method : "cash");
+  const depositHeld = parseFloat(booking.depositHeld) || 0;
+
+  // Status, ledger entries and credit note are committed together
+  const { entries, creditNote } = await sequelize.transaction(
+    async (transaction) => {
+      await booking.update(
+        {
+          status: "cancelled",
+          cancelledById: req.admin.id,
+          cancelledAt: new Date(),
+          cancellationReason: cancellationReason || "Cancelled by admin",
+          cancellationPolicyId: cancellation.policyId,
+          cancellationFee: cancellation.penaltyAmount,
+          isNoShow: cancellation.isNoShow,
+        },
+        { transaction }
+      );
+
+      const entries = [];
+      const recordEntry = async (type, amount, entryMethod) => {
+        const entry = await Payment.record(
+          {
+            bookingId: booking.id,
+            type,
+            method: entryMethod,
+            amount,
+            notes: cancellation.policyName
+              ? `Politique d'annulation: ${cancellation.policyName}`
+              : null,
+            paidAt: new Date(),
+            recordedById: req.admin.id,
+          },
+          transaction
+        );
+        entries.push(entry);
+        return entry;
+      };
+
+      if (cancellation.penaltyAmount > 0) {
+        await recordEntry("penalty", cancellation.penaltyAmount, null);
+      }
+
+      const refund =
+        cancellation.refundDue > 0
+          ? await recordEntry("refund", cancellation.refundDue, method)
+          : null;
+
+      if (depositHeld > 0) {
+        await recordEntry("deposit_release", depositHeld, method);
+      }
+
+      // Credit the invoice if one was issued, keeping the penalty invoiced
+      const creditNote = await Invoice.creditForBooking(
+        booking.id,
+        {
+          retainAmount: cancellation.penaltyAmount,
+          reason: "Annulation de la réservation",
+          paymentId: refund ? refund.id : null,
+          adminId: req.admin.id,
+        },
+        transaction
+      );
+
+      return { entries, creditNote };
+    }
+  );
+
+  // Give the promo code usage back
+  if (booking.promoCodeId) {
+    const promoCode = await PromoCode.findByPk(booking.promoCodeId);
+    if (promoCode) {
+      await promoCode.releaseUsage();
+    }
+  }
 
   // Make vehicle available again
   const vehicle = await Vehicle.findByPk(booking.vehicleId);
   await vehicle.update({ available: true });
 
+  await booking.reload();
+
+  console.log("Booking cancelled:", {
+    bookingNumber: booking.bookingNumber,
+    policy: cancellation.policyName,
+    rule: cancellation.rule,
+    penaltyAmount: cancellation.penaltyAmount,
+    refundDue: cancellation.refundDue,
+  });
+
   res.status(200).json({
     success: true,
     message: "Booking cancelled successfully",
     data: booking,
+    cancellation: {
+      ...cancellation,
+      refundMethod: cancellation.refundDue > 0 ? method : null,
+      depositReleased: depositHeld,
+      payments: entries,
+    },
+    creditNote,
   });
 });
 
@@ -189,10 +405,19 @@ exports.pickupVehicle = asyncHandler(async (req, res, next) => {
   const vehicle = await Vehicle.findByPk(booking.vehicleId);
   await vehicle.update({ available: false });
 
+  const pickupInspection = await Inspection.findOne({
+    where: { bookingId: booking.id, type: "pickup" },
+    attributes: ["id", "odometer", "fuelLevel", "customerAcknowledged"],
+  });
+
   res.status(200).json({
     success: true,
     message: "Booking marked as active (vehicle picked up)",
     data: booking,
+    inspection: pickupInspection,
+    ...(!pickupInspection && {
+      warnings: ["No pickup inspection was recorded for this booking"],
+    }),
   });
 });
 
@@ -200,6 +425,15 @@ exports.pickupVehicle = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/bookings/:id/return
 // @access  Private (admin)
 exports.returnVehicle = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const allowOutstandingBalance =
+    req.body.allowOutstandingBalance === true ||
+    req.body.allowOutstandingBalance === "true";
+
   const booking = await Booking.findByPk(req.params.id, {
     include: [
       {
@@ -226,7 +460,9 @@ exports.returnVehicle = asyncHandler(async (req, res, next) => {
     `${booking.returnDate}T${booking.returnTime}:00`
   );
 
-  let finalChargedDays = booking.totalDays;
+  const originalChargedDays = booking.totalDays;
+  const originalAmount = parseFloat(booking.totalAmount);
+  let finalPricing = null;
   let lateReturnFee = 0;
   let wasLateReturn = false;
 
@@ -238,40 +474,105 @@ exports.returnVehicle = asyncHandler(async (req, res, next) => {
       "0"
     )}:${String(now.getMinutes()).padStart(2, "0")}`;
 
-    const pricing = booking.calculateChargedDays();
-    const {
-      calculateChargedDaysWithLatenessRule,
-    } = require("../../utils/bookingUtils");
-
-    const actualPricing = calculateChargedDaysWithLatenessRule(
-      booking.pickupDate,
-      actualReturnDate,
-      booking.pickupTime,
-      actualReturnTime
-    );
+    // Reprice the actual period with the same pricing rules
+    const actualPricing = await booking.calculatePricing({
+      returnDate: actualReturnDate,
+      returnTime: actualReturnTime,
+    });
 
-    if (actualPricing.chargedDays > booking.totalDays) {
-      finalChargedDays = actualPricing.chargedDays;
+    if (actualPricing.chargedDays > originalChargedDays) {
+      finalPricing = actualPricing;
       lateReturnFee =
-        (finalChargedDays - booking.totalDays) *
-        parseFloat(booking.vehicle.price);
+        Math.round((actualPricing.totalAmount - originalAmount) * 100) / 100;
       wasLateReturn = true;
 
       console.log("Late return detected:", {
         scheduled: scheduledReturn,
         actual: now,
-        originalChargedDays: booking.totalDays,
-        finalChargedDays: finalChargedDays,
+        originalChargedDays,
+        finalChargedDays: actualPricing.chargedDays,
         lateReturnFee: lateReturnFee,
       });
     }
   }
 
+  // --- Return Charges (excess kilometres, missing fuel) ---
+  const returnInspection = await Inspection.findOne({
+    where: { bookingId: booking.id, type: "return" },
+    attributes: [
+      "id",
+      "odometer",
+      "fuelLevel",
+      "kilometresDriven",
+      "fuelShortfall",
+    ],
+  });
+
+  const returnCharges = await booking.calculateReturnCharges(
+    returnInspection,
+    finalPricing ? finalPricing.chargedDays : originalChargedDays
+  );
+
+  if (returnCharges.charges.length > 0) {
+    const pricing =
+      finalPricing ||
+      booking.pricingBreakdown ||
+      (await booking.calculatePricing());
+    finalPricing = summarizePricing({
+      ...pricing,
+      charges: [...(pricing.charges || []), ...returnCharges.charges],
+    });
+  }
+
+  // --- Outstanding Balance Check ---
+  const finalAmount = finalPricing
+    ? finalPricing.totalAmount
+    : parseFloat(booking.totalAmount);
+  const balanceDue = calculateBalanceDue(finalAmount, booking.amountPaid);
+  const warnings = [];
+
+  if (balanceDue > 0) {
+    if (!allowOutstandingBalance) {
+      return next(
+        new ErrorResponse(
+          `Outstanding balance of €${balanceDue} must be settled before completing the booking`,
+          400,
+          [
+            {
+              balanceDue,
+              totalAmount: finalAmount,
+              amountPaid: parseFloat(booking.amountPaid),
+              lateReturnFee,
+              returnCharges: returnCharges.charges,
+              hint: "Record the payment or set allowOutstandingBalance to complete anyway",
+            },
+          ]
+        )
+      );
+    }
+    warnings.push(
+      `Booking completed with an outstanding balance of €${balanceDue}`
+    );
+  }
+
+  if (parseFloat(booking.depositHeld) > 0) {
+    warnings.push(
+      `Security deposit of €${booking.depositHeld} is still held and must be released`
+    );
+  }
+
+  if (!returnInspection) {
+    warnings.push("No return inspection was recorded for this booking");
+  }
+
   // --- Complete Booking ---
   await booking.update({
     status: "completed",
-    totalDays: finalChargedDays,
-    totalAmount: parseFloat(booking.dailyRate) * finalChargedDays,
+    ...(finalPricing && {
+      totalDays: finalPricing.chargedDays,
+      totalAmount: finalPricing.totalAmount,
+      pricingBreakdown: finalPricing,
+    }),
   });
 
   // Always make vehicle available again when booking is completed
@@ -281,24 +582,43 @@ exports.returnVehicle = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    message: wasLateReturn
-      ? "Booking completed successfully with late return fee applied"
-      : "Booking completed successfully",
+    message:
+      wasLateReturn || returnCharges.charges.length > 0
+        ? "Booking completed successfully with return charges applied"
+        : "Booking completed successfully",
     data: booking,
     lateReturnInfo: wasLateReturn
       ? {
           wasLate: true,
-          originalChargedDays:
-            booking.totalDays - (finalChargedDays - booking.totalDays),
-          finalChargedDays: finalChargedDays,
+          originalChargedDays,
+          finalChargedDays: finalPricing.chargedDays,
           lateReturnFee: lateReturnFee,
-          originalAmount:
-            parseFloat(booking.dailyRate) *
-            (booking.totalDays - (finalChargedDays - booking.totalDays)),
-          finalAmount: booking.totalAmount,
+          originalAmount,
+          finalAmount: finalPricing.totalAmount,
+          lateDays: finalPricing.days.slice(originalChargedDays),
         }
       : {
           wasLate: false,
         },
+    returnChargesInfo: {
+      allowance: returnCharges.allowance,
+      kilometresDriven: returnInspection
+        ? returnInspection.kilometresDriven
+        : null,
+      fuelShortfall: returnInspection ? returnInspection.fuelShortfall : null,
+      excessKm: returnCharges.mileage,
+      fuel: returnCharges.fuel,
+      chargesAmount: finalPricing ? finalPricing.chargesAmount || 0 : 0,
+      originalAmount,
+      finalAmount,
+    },
+    inspection: returnInspection,
+    paymentSummary: {
+      totalAmount: finalAmount,
+      amountPaid: parseFloat(booking.amountPaid),
+      balanceDue,
+      depositHeld: parseFloat(booking.depositHeld),
+    },
+    ...(warnings.length > 0 && { warnings }),
   });
 });
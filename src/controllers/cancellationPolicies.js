@@ -0,0 +1,134 @@
+// src/controllers/cancellationPolicies.js - Cancellation policies management
+const { CancellationPolicy, Vehicle, Booking } = require("../models");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+
+// @desc    Get all cancellation policies
+// @route   GET /api/cancellation-policies
+// @access  Private (admin)
+exports.getCancellationPolicies = asyncHandler(async (req, res, next) => {
+  const { isActive } = req.query;
+
+  const where = {};
+
+  if (isActive !== undefined) {
+    where.isActive = isActive === "true";
+  }
+
+  const policies = await CancellationPolicy.findAll({
+    where,
+    order: [
+      ["isDefault", "DESC"],
+      ["name", "ASC"],
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    count: policies.length,
+    data: policies,
+  });
+});
+
+// @desc    Get single cancellation policy with its vehicles
+// @route   GET /api/cancellation-policies/:id
+// @access  Private (admin)
+exports.getCancellationPolicy = asyncHandler(async (req, res, next) => {
+  const policy = await CancellationPolicy.findByPk(req.params.id, {
+    include: [
+      {
+        model: Vehicle,
+        as: "vehicles",
+        attributes: ["id", "name", "brand", "licensePlate"],
+      },
+    ],
+  });
+
+  if (!policy) {
+    return next(new ErrorResponse("Cancellation policy not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: policy,
+  });
+});
+
+// @desc    Create cancellation policy
+// @route   POST /api/cancellation-policies
+// @access  Private (admin)
+exports.createCancellationPolicy = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const policy = await CancellationPolicy.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Cancellation policy created successfully",
+    data: policy,
+  });
+});
+
+// @desc    Update cancellation policy
+// @route   PUT /api/cancellation-policies/:id
+// @access  Private (admin)
+exports.updateCancellationPolicy = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const policy = await CancellationPolicy.findByPk(req.params.id);
+
+  if (!policy) {
+    return next(new ErrorResponse("Cancellation policy not found", 404));
+  }
+
+  await policy.update(req.body);
+
+  res.status(200).json({
+    success: true,
+    message: "Cancellation policy updated successfully",
+    data: policy,
+  });
+});
+
+// @desc    Delete cancellation policy
+// @route   DELETE /api/cancellation-policies/:id
+// @access  Private (admin)
+exports.deleteCancellationPolicy = asyncHandler(async (req, res, next) => {
+  const policy = await CancellationPolicy.findByPk(req.params.id);
+
+  if (!policy) {
+    return next(new ErrorResponse("Cancellation policy not found", 404));
+  }
+
+  // Policies applied to past cancellations are kept: deactivate instead
+  const bookingsCount = await Booking.count({
+    where: { cancellationPolicyId: policy.id },
+  });
+  if (bookingsCount > 0) {
+    return next(
+      new ErrorResponse(
+        `Policy was applied to ${bookingsCount} cancellation(s). Deactivate it instead.`,
+        400
+      )
+    );
+  }
+
+  await Vehicle.update(
+    { cancellationPolicyId: null },
+    { where: { cancellationPolicyId: policy.id } }
+  );
+  await policy.destroy();
+
+  res.status(200).json({
+    success: true,
+    message: "Cancellation policy deleted successfully",
+    data: {},
+  });
+});
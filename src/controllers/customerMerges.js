@@ -0,0 +1,307 @@
+// src/controllers/customerMerges.js - Duplicate customer detection and merging
+const {
+  Customer,
+  Booking,
+  Invoice,
+  DamageClaim,
+  Fine,
+  CustomerMerge,
+  BlacklistEntry,
+  Admin,
+} = require("../models");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+const { sequelize } = require("../config/database");
+const {
+  DEFAULT_MIN_SCORE,
+  scoreCustomerPair,
+  findDuplicatePairs,
+} = require("../utils/customerMatching");
+
+// Columns compared by the finder and shown with each pair (no images)
+const MATCH_ATTRIBUTES = [
+  "id",
+  "firstName",
+  "lastName",
+  "email",
+  "phone",
+  "country",
+  "cinNumber",
+  "passportNumber",
+  "driverLicenseNumber",
+  "status",
+  "totalBookings",
+  "totalSpent",
+  "createdAt",
+];
+
+// Empty fields of the survivor taken from the merged customer
+const FILLABLE_FIELDS = ["email", "dateOfBirth", "address"];
+
+// Each document is taken whole (number with its details, image with its type)
+const DOCUMENT_GROUPS = [
+  [
+    "driverLicenseNumber",
+    "driverLicenseCategory",
+    "driverLicenseIssueDate",
+    "driverLicenseExpiryDate",
+  ],
+  [
+    "passportNumber",
+    "passportIssuedAt",
+    "passportIssueDate",
+    "passportExpiryDate",
+  ],
+  ["cinNumber", "cinIssueDate", "cinExpiryDate"],
+  [
+    "driverLicenseImageData",
+    "driverLicenseImageMimetype",
+    "driverLicenseImageName",
+  ],
+  ["passportImageData", "passportImageMimetype", "passportImageName"],
+  ["cinImageData", "cinImageMimetype", "cinImageName"],
+];
+
+// Records pointing at a customer, moved to the survivor
+const LINKED_MODELS = {
+  bookings: { model: Booking, foreignKey: "customerId" },
+  invoices: { model: Invoice, foreignKey: "customerId" },
+  damageClaims: { model: DamageClaim, foreignKey: "customerId" },
+  fines: { model: Fine, foreignKey: "customerId" },
+  // Entries made from the duplicate keep naming (and blocking) the person
+  blacklistEntries: { model: BlacklistEntry, foreignKey: "customerId" },
+  // Earlier merges into the duplicate keep their trail
+  merges: { model: CustomerMerge, foreignKey: "survivorId" },
+};
+
+const isEmpty = (value) =>
+  value === null || value === undefined || value === "";
+
+// The customer with more history (then the older one) is the one to keep
+const suggestSurvivor = (a, b) => {
+  if (a.totalBookings !== b.totalBookings) {
+    return a.totalBookings > b.totalBookings ? a : b;
+  }
+  return new Date(a.createdAt) <= new Date(b.createdAt) ? a : b;
+};
+
+/**
+ * Survivor updates taken from the duplicate: empty fields and missing
+ * documents, preferences (survivor wins), verification flags and a block.
+ *
+ * @returns {object} { updates, fieldsTaken }
+ */
+const buildMergeUpdates = (survivor, duplicate) => {
+  const updates = {};
+  const fieldsTaken = [];
+
+  FILLABLE_FIELDS.forEach((field) => {
+    if (isEmpty(survivor[field]) && !isEmpty(duplicate[field])) {
+      updates[field] = duplicate[field];
+      fieldsTaken.push(field);
+    }
+  });
+
+  DOCUMENT_GROUPS.forEach((fields) => {
+    const [main] = fields;
+    if (isEmpty(survivor[main]) && !isEmpty(duplicate[main])) {
+      fields.forEach((field) => {
+        updates[field] = duplicate[field];
+      });
+      fieldsTaken.push(main);
+    }
+  });
+
+  const duplicatePreferences = duplicate.preferences || {};
+  if (Object.keys(duplicatePreferences).length > 0) {
+    updates.preferences = {
+      ...duplicatePreferences,
+      ...(survivor.preferences || {}),
+    };
+    fieldsTaken.push("preferences");
+  }
+
+  ["emailVerified", "phoneVerified"].forEach((field) => {
+    if (!survivor[field] && duplicate[field]) {
+      updates[field] = true;
+      fieldsTaken.push(field);
+    }
+  });
+
+  // A block on either record must survive the merge
+  if (duplicate.status === "blocked" && survivor.status !== "blocked") {
+    updates.status = "blocked";
+    fieldsTaken.push("status");
+  }
+
+  return { updates, fieldsTaken };
+};
+
+// Merged customer as stored in the audit trail (images are only named)
+const toSnapshot = (customer) => {
+  const data = customer.toJSON();
+  delete data.driverLicenseImageData;
+  delete data.passportImageData;
+  delete data.cinImageData;
+  return data;
+};
+
+// @desc    List likely duplicate customers with their match score
+// @route   GET /api/customers/duplicates
+// @access  Private (admin)
+exports.getDuplicateCustomers = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation échouée", 400, errors.array()));
+  }
+
+  const minScore = parseInt(req.query.minScore, 10) || DEFAULT_MIN_SCORE;
+  const limit = parseInt(req.query.limit, 10) || 50;
+  const { customerId } = req.query;
+
+  const customers = await Customer.findAll({
+    attributes: MATCH_ATTRIBUTES,
+    raw: true,
+  });
+
+  const pairs = findDuplicatePairs(customers, { minScore, customerId });
+
+  res.status(200).json({
+    success: true,
+    count: Math.min(pairs.length, limit),
+    total: pairs.length,
+    data: pairs.slice(0, limit).map((pair) => ({
+      score: pair.score,
+      matches: pair.matches,
+      conflicts: pair.conflicts,
+      suggestedSurvivorId: suggestSurvivor(...pair.customers).id,
+      customers: pair.customers,
+    })),
+  });
+});
+
+// @desc    Merge a duplicate into this customer (bookings, documents, preferences)
+// @route   POST /api/customers/:id/merge
+// @access  Private (super-admin only)
+exports.mergeCustomers = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation échouée", 400, errors.array()));
+  }
+
+  const { duplicateId, reason } = req.body;
+
+  if (duplicateId === req.params.id) {
+    return next(
+      new ErrorResponse(
+        "Un client ne peut pas être fusionné avec lui-même",
+        400
+      )
+    );
+  }
+
+  const survivor = await Customer.findByPk(req.params.id);
+  const duplicate = await Customer.findByPk(duplicateId);
+
+  if (!survivor) {
+    return next(new ErrorResponse("Client non trouvé", 404));
+  }
+  if (!duplicate) {
+    return next(new ErrorResponse("Client à fusionner non trouvé", 404));
+  }
+
+  const merge = await sequelize.transaction(async (transaction) => {
+    const { score } = scoreCustomerPair(survivor, duplicate);
+    const { updates, fieldsTaken } = buildMergeUpdates(survivor, duplicate);
+    const snapshot = toSnapshot(duplicate);
+
+    const movedRecords = {};
+    for (const [key, { model, foreignKey }] of Object.entries(LINKED_MODELS)) {
+      const [count] = await model.update(
+        { [foreignKey]: survivor.id },
+        { where: { [foreignKey]: duplicate.id }, transaction }
+      );
+      movedRecords[key] = count;
+    }
+
+    // Deleted first so its email is free for the survivor
+    await duplicate.destroy({ transaction });
+
+    if (Object.keys(updates).length > 0) {
+      await survivor.update(updates, { transaction });
+    }
+    await survivor.recalculateStats({ transaction });
+
+    return CustomerMerge.create(
+      {
+        survivorId: survivor.id,
+        mergedCustomerId: duplicate.id,
+        mergedSnapshot: snapshot,
+        fieldsTaken,
+        movedRecords,
+        matchScore: score,
+        reason,
+        mergedById: req.admin.id,
+      },
+      { transaction }
+    );
+  });
+
+  console.log("Customers merged:", {
+    survivor: survivor.id,
+    merged: duplicateId,
+    movedRecords: merge.movedRecords,
+    admin: req.admin.email,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Client fusionné dans ${survivor.getFullName()}`,
+    data: {
+      customer: {
+        id: survivor.id,
+        firstName: survivor.firstName,
+        lastName: survivor.lastName,
+        email: survivor.email,
+        phone: survivor.phone,
+        status: survivor.status,
+        totalBookings: survivor.totalBookings,
+        totalSpent: survivor.totalSpent,
+        lastBookingDate: survivor.lastBookingDate,
+      },
+      merge,
+    },
+  });
+});
+
+// @desc    Merges made into a customer (audit trail)
+// @route   GET /api/customers/:id/merges
+// @access  Private (admin)
+exports.getCustomerMerges = asyncHandler(async (req, res, next) => {
+  const customer = await Customer.findByPk(req.params.id, {
+    attributes: ["id"],
+  });
+
+  if (!customer) {
+    return next(new ErrorResponse("Client non trouvé", 404));
+  }
+
+  const merges = await CustomerMerge.findAll({
+    where: { survivorId: customer.id },
+    include: [
+      {
+        model: Admin,
+        as: "mergedBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+    order: [["createdAt", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    count: merges.length,
+    data: merges,
+  });
+});
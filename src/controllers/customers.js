@@ -4,6 +4,11 @@ const { validationResult } = require("express-validator");
 const { Op } = require("sequelize");
 const asyncHandler = require("../middleware/asyncHandler");
 const ErrorResponse = require("../utils/errorResponse");
+const {
+  toNumber,
+  getExportAttributes,
+  streamExport,
+} = require("../utils/exportUtils");
 
 // UPDATED: Helper function to transform customer data for response with simplified fields
 const transformCustomerForResponse = (customer) => {
@@ -50,21 +55,9 @@ const transformCustomerForResponse = (customer) => {
   return customerData;
 };
 
-// @desc    Get all customers with filtering and pagination
-// @route   GET /api/customers
-// @access  Private (admin)
-exports.getCustomers = asyncHandler(async (req, res, next) => {
-  const {
-    page = 1,
-    limit = 25,
-    search,
-    status,
-    sort = "createdAt",
-    order = "DESC",
-    source,
-    tier,
-    documentStatus,
-  } = req.query;
+// Where clause of the customer list filters (list and export)
+const buildCustomerFilters = (query) => {
+  const { search, status, source, tier, documentStatus } = query;
 
   // Build where clause
   const where = {};
@@ -141,6 +134,22 @@ exports.getCustomers = asyncHandler(async (req, res, next) => {
     }
   }
 
+  return where;
+};
+
+// @desc    Get all customers with filtering and pagination
+// @route   GET /api/customers
+// @access  Private (admin)
+exports.getCustomers = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 25,
+    sort = "createdAt",
+    order = "DESC",
+  } = req.query;
+
+  const where = buildCustomerFilters(req.query);
+
   // Pagination
   const pageNum = parseInt(page, 10);
   const limitNum = parseInt(limit, 10);
@@ -188,6 +197,97 @@ exports.getCustomers = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Spreadsheet columns of the customer export (no document images)
+const CUSTOMER_EXPORT_COLUMNS = [
+  { field: "lastName", header: { fr: "Nom", en: "Last name" } },
+  { field: "firstName", header: { fr: "Prénom", en: "First name" } },
+  { field: "email", header: { fr: "Email", en: "Email" }, width: 28 },
+  { field: "phone", header: { fr: "Téléphone", en: "Phone" } },
+  {
+    field: "dateOfBirth",
+    header: { fr: "Date de naissance", en: "Date of birth" },
+  },
+  {
+    header: { fr: "Âge", en: "Age" },
+    value: (customer) => customer.getAge(),
+    width: 8,
+  },
+  { field: "country", header: { fr: "Pays", en: "Country" } },
+  { field: "address", header: { fr: "Adresse", en: "Address" }, width: 30 },
+  { field: "cinNumber", header: { fr: "N° CIN", en: "ID card number" } },
+  {
+    field: "passportNumber",
+    header: { fr: "N° passeport", en: "Passport number" },
+  },
+  {
+    field: "driverLicenseNumber",
+    header: { fr: "N° permis", en: "Driver license number" },
+  },
+  {
+    field: "driverLicenseCategory",
+    header: { fr: "Catégorie permis", en: "License category" },
+    width: 10,
+  },
+  {
+    field: "driverLicenseExpiryDate",
+    header: { fr: "Expiration permis", en: "License expiry" },
+  },
+  { field: "status", header: { fr: "Statut", en: "Status" }, width: 12 },
+  { field: "source", header: { fr: "Source", en: "Source" }, width: 10 },
+  {
+    field: "totalBookings",
+    header: { fr: "Réservations", en: "Bookings" },
+    width: 12,
+  },
+  {
+    field: "totalSpent",
+    header: { fr: "Total dépensé", en: "Total spent" },
+    value: (customer) => toNumber(customer.totalSpent),
+  },
+  {
+    field: "lastBookingDate",
+    header: { fr: "Dernière réservation", en: "Last booking" },
+  },
+  { field: "createdAt", header: { fr: "Créé le", en: "Created at" } },
+];
+
+// @desc    Export customers (same filters as the list) as CSV or Excel
+// @route   GET /api/customers/export
+// @access  Private (admin)
+exports.exportCustomers = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const {
+    format = "csv",
+    lang = "fr",
+    sort = "createdAt",
+    order = "DESC",
+  } = req.query;
+  const where = buildCustomerFilters(req.query);
+
+  await streamExport(res, {
+    format,
+    lang,
+    filename: "clients",
+    sheetName: lang === "fr" ? "Clients" : "Customers",
+    columns: CUSTOMER_EXPORT_COLUMNS,
+    fetchBatch: (offset, limit) =>
+      Customer.findAll({
+        where,
+        attributes: getExportAttributes(CUSTOMER_EXPORT_COLUMNS),
+        order: [
+          [sort, order],
+          ["id", "ASC"],
+        ],
+        offset,
+        limit,
+      }),
+  });
+});
+
 // @desc    Get single customer
 // @route   GET /api/customers/:id
 // @access  Private (admin)
@@ -0,0 +1,614 @@
+// src/controllers/damages.js - Damage claims and repair cost tracking
+const {
+  DamageClaim,
+  DamageClaimPhoto,
+  Booking,
+  Customer,
+  Vehicle,
+  Admin,
+  Inspection,
+  Payment,
+} = require("../models");
+const { Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+const { summarizePricing, roundAmount } = require("../utils/pricingUtils");
+
+// Damages can only be found once the vehicle left the agency
+const CLAIMABLE_BOOKING_STATUSES = ["active", "completed"];
+
+// Transform claim BYTEA photos to data URLs for response
+const transformClaimForResponse = (claim) => {
+  const data = claim.toJSON();
+
+  data.photos = (claim.photos || []).map((photo) => ({
+    id: photo.id,
+    caption: photo.caption,
+    image: {
+      dataUrl: photo.getImageDataUrl(),
+      mimetype: photo.imageMimetype,
+      name: photo.imageName || "photo",
+    },
+  }));
+
+  return data;
+};
+
+// Photo captions are sent as a JSON array aligned with the photos
+const parsePhotoCaptions = (raw) => {
+  if (!raw) return [];
+  try {
+    const captions = typeof raw === "string" ? JSON.parse(raw) : raw;
+    return Array.isArray(captions) ? captions : [];
+  } catch {
+    return [];
+  }
+};
+
+const buildPhotoRows = (claimId, files, captions) =>
+  (files || []).map((file, index) => ({
+    damageClaimId: claimId,
+    imageData: file.buffer,
+    imageMimetype: file.mimetype,
+    imageName: file.originalname,
+    caption: captions[index] ? String(captions[index]) : null,
+  }));
+
+const CLAIM_INCLUDES = [
+  {
+    model: Booking,
+    as: "booking",
+    attributes: ["id", "bookingNumber", "status", "pickupDate", "returnDate"],
+  },
+  {
+    model: Vehicle,
+    as: "vehicle",
+    attributes: ["id", "name", "brand", "licensePlate"],
+  },
+  {
+    model: Customer,
+    as: "customer",
+    attributes: ["id", "firstName", "lastName", "phone"],
+  },
+];
+
+// @desc    Get damage claims with filtering and pagination
+// @route   GET /api/damages
+// @access  Private (admin)
+exports.getDamageClaims = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 25,
+    status,
+    vehicleId,
+    customerId,
+    bookingId,
+    dateFrom,
+    dateTo,
+  } = req.query;
+
+  // --- Build Where Clause ---
+  const where = {};
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (vehicleId) {
+    where.vehicleId = vehicleId;
+  }
+
+  if (customerId) {
+    where.customerId = customerId;
+  }
+
+  if (bookingId) {
+    where.bookingId = bookingId;
+  }
+
+  if (dateFrom || dateTo) {
+    where.createdAt = {};
+    if (dateFrom) where.createdAt[Op.gte] = new Date(dateFrom);
+    if (dateTo) where.createdAt[Op.lte] = new Date(`${dateTo}T23:59:59`);
+  }
+
+  // --- Pagination ---
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  const offset = (pageNum - 1) * limitNum;
+
+  const { count, rows: claims } = await DamageClaim.findAndCountAll({
+    where,
+    limit: limitNum,
+    offset,
+    order: [["createdAt", "DESC"]],
+    include: CLAIM_INCLUDES,
+  });
+
+  // --- Build Pagination Result ---
+  const pagination = {};
+  const totalPages = Math.ceil(count / limitNum);
+
+  if (pageNum < totalPages) {
+    pagination.next = { page: pageNum + 1, limit: limitNum };
+  }
+
+  if (pageNum > 1) {
+    pagination.prev = { page: pageNum - 1, limit: limitNum };
+  }
+
+  pagination.current = pageNum;
+  pagination.totalPages = totalPages;
+
+  res.status(200).json({
+    success: true,
+    count: claims.length,
+    total: count,
+    pagination,
+    data: claims,
+  });
+});
+
+// @desc    Get single damage claim with photos
+// @route   GET /api/damages/:id
+// @access  Private (admin)
+exports.getDamageClaim = asyncHandler(async (req, res, next) => {
+  const claim = await DamageClaim.findByPk(req.params.id, {
+    include: [
+      ...CLAIM_INCLUDES,
+      {
+        model: DamageClaimPhoto,
+        as: "photos",
+      },
+      {
+        model: Admin,
+        as: "reportedBy",
+        attributes: ["id", "name", "email"],
+      },
+      {
+        model: Admin,
+        as: "resolvedBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+  });
+
+  if (!claim) {
+    return next(new ErrorResponse("Damage claim not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: transformClaimForResponse(claim),
+  });
+});
+
+// @desc    Open a damage claim on a booking
+// @route   POST /api/damages
+// @access  Private (admin)
+exports.createDamageClaim = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const {
+    bookingId,
+    inspectionId,
+    zone,
+    damageType,
+    description,
+    estimatedCost,
+    notes,
+  } = req.body;
+
+  const booking = await Booking.findByPk(bookingId, {
+    attributes: ["id", "bookingNumber", "status", "vehicleId", "customerId"],
+  });
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  if (!CLAIMABLE_BOOKING_STATUSES.includes(booking.status)) {
+    return next(
+      new ErrorResponse(
+        `A damage claim cannot be opened on a ${booking.status} booking`,
+        400
+      )
+    );
+  }
+
+  if (inspectionId) {
+    const inspection = await Inspection.findOne({
+      where: { id: inspectionId, bookingId: booking.id },
+      attributes: ["id"],
+    });
+    if (!inspection) {
+      return next(
+        new ErrorResponse("Inspection not found for this booking", 404)
+      );
+    }
+  }
+
+  const captions = parsePhotoCaptions(req.body.photoCaptions);
+
+  const claim = await sequelize.transaction(async (transaction) => {
+    const claim = await DamageClaim.create(
+      {
+        bookingId: booking.id,
+        vehicleId: booking.vehicleId,
+        customerId: booking.customerId,
+        inspectionId: inspectionId || null,
+        zone: zone || null,
+        damageType: damageType || null,
+        description,
+        estimatedCost:
+          estimatedCost !== undefined && estimatedCost !== ""
+            ? estimatedCost
+            : null,
+        notes,
+        reportedById: req.admin.id,
+      },
+      { transaction }
+    );
+
+    await DamageClaimPhoto.bulkCreate(
+      buildPhotoRows(claim.id, req.files, captions),
+      { transaction }
+    );
+
+    return claim;
+  });
+
+  console.log("Damage claim opened:", {
+    bookingNumber: booking.bookingNumber,
+    claimId: claim.id,
+    status: claim.status,
+    photos: (req.files || []).length,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Damage claim opened successfully",
+    data: claim,
+    photosCount: (req.files || []).length,
+  });
+});
+
+// @desc    Update a damage claim (description, repair estimate, final cost)
+// @route   PUT /api/damages/:id
+// @access  Private (admin)
+exports.updateDamageClaim = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const claim = await DamageClaim.findByPk(req.params.id);
+
+  if (!claim) {
+    return next(new ErrorResponse("Damage claim not found", 404));
+  }
+
+  if (claim.isResolved()) {
+    return next(
+      new ErrorResponse(`A ${claim.status} damage claim cannot be changed`, 400)
+    );
+  }
+
+  const fields = [
+    "zone",
+    "damageType",
+    "description",
+    "estimatedCost",
+    "finalCost",
+    "notes",
+  ];
+  const updates = {};
+  fields.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      updates[field] = req.body[field] === "" ? null : req.body[field];
+    }
+  });
+
+  await claim.update(updates);
+
+  res.status(200).json({
+    success: true,
+    message: "Damage claim updated successfully",
+    data: claim,
+  });
+});
+
+// @desc    Add photos to a damage claim
+// @route   POST /api/damages/:id/photos
+// @access  Private (admin)
+exports.addDamageClaimPhotos = asyncHandler(async (req, res, next) => {
+  const claim = await DamageClaim.findByPk(req.params.id, {
+    attributes: ["id"],
+  });
+
+  if (!claim) {
+    return next(new ErrorResponse("Damage claim not found", 404));
+  }
+
+  if (!req.files || req.files.length === 0) {
+    return next(new ErrorResponse("Please upload at least one photo", 400));
+  }
+
+  const photos = await DamageClaimPhoto.bulkCreate(
+    buildPhotoRows(
+      claim.id,
+      req.files,
+      parsePhotoCaptions(req.body.photoCaptions)
+    )
+  );
+
+  res.status(201).json({
+    success: true,
+    message: `${photos.length} photo(s) added to the damage claim`,
+    count: photos.length,
+  });
+});
+
+// @desc    Charge the repair to the customer, deducted from the deposit first
+// @route   PUT /api/damages/:id/charge
+// @access  Private (admin)
+exports.chargeDamageClaim = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const { deductFromDeposit = true, notes } = req.body;
+
+  const claim = await DamageClaim.findByPk(req.params.id);
+
+  if (!claim) {
+    return next(new ErrorResponse("Damage claim not found", 404));
+  }
+
+  if (claim.isResolved()) {
+    return next(
+      new ErrorResponse(`Damage claim is already ${claim.status}`, 400)
+    );
+  }
+
+  const finalCost = roundAmount(
+    parseFloat(
+      req.body.finalCost !== undefined ? req.body.finalCost : claim.finalCost
+    )
+  );
+
+  if (!finalCost || finalCost <= 0) {
+    return next(
+      new ErrorResponse("A final repair cost is required to charge", 400)
+    );
+  }
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const booking = await Booking.findByPk(claim.bookingId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    // --- Bill the repair on the booking (shown on the invoice) ---
+    const pricing =
+      booking.pricingBreakdown || (await booking.calculatePricing());
+    const finalPricing = summarizePricing({
+      ...pricing,
+      charges: [
+        ...(pricing.charges || []),
+        {
+          type: "damage",
+          label: "Réparation dommages",
+          damageClaimId: claim.id,
+          description: claim.description,
+          quantity: 1,
+          unitPrice: finalCost,
+          amount: finalCost,
+        },
+      ],
+    });
+
+    await booking.update(
+      {
+        totalAmount: finalPricing.totalAmount,
+        pricingBreakdown: finalPricing,
+      },
+      { transaction }
+    );
+
+    // --- Take what the deposit covers ---
+    const depositDeducted =
+      deductFromDeposit === false || deductFromDeposit === "false"
+        ? 0
+        : roundAmount(
+            Math.min(parseFloat(booking.depositHeld) || 0, finalCost)
+          );
+
+    if (depositDeducted > 0) {
+      await Payment.record(
+        {
+          bookingId: booking.id,
+          type: "deposit_deduction",
+          method: null,
+          amount: depositDeducted,
+          notes: `Dommage: ${claim.description}`.slice(0, 500),
+          paidAt: new Date(),
+          recordedById: req.admin.id,
+        },
+        transaction
+      );
+    }
+
+    await claim.update(
+      {
+        status: "charged",
+        finalCost,
+        chargedAmount: finalCost,
+        depositDeducted,
+        resolvedById: req.admin.id,
+        ...(notes && { notes }),
+      },
+      { transaction }
+    );
+
+    await booking.reload({ transaction });
+
+    return { booking, depositDeducted };
+  });
+
+  console.log("Damage claim charged:", {
+    claimId: claim.id,
+    bookingNumber: result.booking.bookingNumber,
+    finalCost,
+    depositDeducted: result.depositDeducted,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Damage charged to the customer",
+    data: claim,
+    charge: {
+      finalCost,
+      depositDeducted: result.depositDeducted,
+      remainingToCollect: roundAmount(finalCost - result.depositDeducted),
+      bookingTotalAmount: parseFloat(result.booking.totalAmount),
+      bookingBalanceDue: result.booking.balanceDue,
+      depositHeld: parseFloat(result.booking.depositHeld),
+    },
+  });
+});
+
+// @desc    Write off a damage claim (repair absorbed by the agency)
+// @route   PUT /api/damages/:id/write-off
+// @access  Private (admin)
+exports.writeOffDamageClaim = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const claim = await DamageClaim.findByPk(req.params.id);
+
+  if (!claim) {
+    return next(new ErrorResponse("Damage claim not found", 404));
+  }
+
+  if (claim.isResolved()) {
+    return next(
+      new ErrorResponse(`Damage claim is already ${claim.status}`, 400)
+    );
+  }
+
+  await claim.update({
+    status: "written_off",
+    ...(req.body.finalCost !== undefined && {
+      finalCost: req.body.finalCost,
+    }),
+    ...(req.body.notes && { notes: req.body.notes }),
+    resolvedById: req.admin.id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Damage claim written off",
+    data: claim,
+  });
+});
+
+// @desc    Delete an unresolved damage claim
+// @route   DELETE /api/damages/:id
+// @access  Private (admin)
+exports.deleteDamageClaim = asyncHandler(async (req, res, next) => {
+  const claim = await DamageClaim.findByPk(req.params.id);
+
+  if (!claim) {
+    return next(new ErrorResponse("Damage claim not found", 404));
+  }
+
+  if (claim.isResolved()) {
+    return next(
+      new ErrorResponse(`A ${claim.status} damage claim cannot be deleted`, 400)
+    );
+  }
+
+  await claim.destroy();
+
+  res.status(200).json({
+    success: true,
+    message: "Damage claim deleted successfully",
+  });
+});
+
+// @desc    Damage history of a vehicle
+// @route   GET /api/vehicles/:id/damages
+// @access  Private (admin)
+exports.getVehicleDamageHistory = asyncHandler(async (req, res, next) => {
+  const vehicle = await Vehicle.findByPk(req.params.id, {
+    attributes: ["id", "name", "brand", "licensePlate"],
+  });
+
+  if (!vehicle) {
+    return next(new ErrorResponse("Vehicle not found", 404));
+  }
+
+  const claims = await DamageClaim.findAll({
+    where: { vehicleId: vehicle.id },
+    order: [["createdAt", "DESC"]],
+    include: CLAIM_INCLUDES.filter((include) => include.as !== "vehicle"),
+  });
+
+  const totals = claims.reduce(
+    (acc, claim) => {
+      acc.repairCost += parseFloat(claim.finalCost || claim.estimatedCost || 0);
+      acc.chargedAmount += parseFloat(claim.chargedAmount || 0);
+      return acc;
+    },
+    { repairCost: 0, chargedAmount: 0 }
+  );
+
+  res.status(200).json({
+    success: true,
+    count: claims.length,
+    data: {
+      vehicle,
+      summary: {
+        totalClaims: claims.length,
+        openClaims: claims.filter((claim) => !claim.isResolved()).length,
+        repairCost: roundAmount(totals.repairCost),
+        chargedAmount: roundAmount(totals.chargedAmount),
+        unrecoveredCost: roundAmount(totals.repairCost - totals.chargedAmount),
+      },
+      claims,
+    },
+  });
+});
+
+// @desc    Damage history of a customer (check before confirming a booking)
+// @route   GET /api/customers/:id/damages
+// @access  Private (admin)
+exports.getCustomerDamageHistory = asyncHandler(async (req, res, next) => {
+  const customer = await Customer.findByPk(req.params.id, {
+    attributes: ["id", "firstName", "lastName"],
+  });
+
+  if (!customer) {
+    return next(new ErrorResponse("Client non trouvé", 404));
+  }
+
+  const history = await DamageClaim.getCustomerHistory(customer.id);
+
+  res.status(200).json({
+    success: true,
+    count: history.totalClaims,
+    data: {
+      customer,
+      ...history,
+    },
+  });
+});
@@ -0,0 +1,146 @@
+// src/controllers/driverAgeRules.js - Young / senior driver age bands management
+const { DriverAgeRule, Admin } = require("../models");
+const { validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+
+// @desc    Get all driver age rules
+// @route   GET /api/driver-age-rules
+// @access  Private (admin)
+exports.getDriverAgeRules = asyncHandler(async (req, res, next) => {
+  const { vehicleCategory, action, isActive, age } = req.query;
+
+  const where = {};
+
+  if (vehicleCategory) {
+    where.vehicleCategory = vehicleCategory;
+  }
+
+  if (action) {
+    where.action = action;
+  }
+
+  if (isActive !== undefined) {
+    where.isActive = isActive === "true";
+  }
+
+  // Bands covering a given age
+  if (age) {
+    const driverAge = parseInt(age, 10);
+    where[Op.and] = [
+      { [Op.or]: [{ minAge: null }, { minAge: { [Op.lte]: driverAge } }] },
+      { [Op.or]: [{ maxAge: null }, { maxAge: { [Op.gte]: driverAge } }] },
+    ];
+  }
+
+  const rules = await DriverAgeRule.findAll({
+    where,
+    order: [
+      ["vehicleCategory", "ASC"],
+      ["minAge", "ASC"],
+    ],
+    include: [
+      {
+        model: Admin,
+        as: "createdBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: rules,
+  });
+});
+
+// @desc    Get single driver age rule
+// @route   GET /api/driver-age-rules/:id
+// @access  Private (admin)
+exports.getDriverAgeRule = asyncHandler(async (req, res, next) => {
+  const rule = await DriverAgeRule.findByPk(req.params.id, {
+    include: [
+      {
+        model: Admin,
+        as: "createdBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+  });
+
+  if (!rule) {
+    return next(new ErrorResponse("Driver age rule not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rule,
+  });
+});
+
+// @desc    Create driver age rule
+// @route   POST /api/driver-age-rules
+// @access  Private (admin)
+exports.createDriverAgeRule = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const rule = await DriverAgeRule.create({
+    ...req.body,
+    createdById: req.admin.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Driver age rule created successfully",
+    data: rule,
+  });
+});
+
+// @desc    Update driver age rule (existing bookings keep their surcharge)
+// @route   PUT /api/driver-age-rules/:id
+// @access  Private (admin)
+exports.updateDriverAgeRule = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const rule = await DriverAgeRule.findByPk(req.params.id);
+
+  if (!rule) {
+    return next(new ErrorResponse("Driver age rule not found", 404));
+  }
+
+  delete req.body.createdById;
+  await rule.update(req.body);
+
+  res.status(200).json({
+    success: true,
+    message: "Driver age rule updated successfully",
+    data: rule,
+  });
+});
+
+// @desc    Delete driver age rule
+// @route   DELETE /api/driver-age-rules/:id
+// @access  Private (admin)
+exports.deleteDriverAgeRule = asyncHandler(async (req, res, next) => {
+  const rule = await DriverAgeRule.findByPk(req.params.id);
+
+  if (!rule) {
+    return next(new ErrorResponse("Driver age rule not found", 404));
+  }
+
+  await rule.destroy();
+
+  res.status(200).json({
+    success: true,
+    message: "Driver age rule deleted successfully",
+    data: {},
+  });
+});
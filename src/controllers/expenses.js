@@ -0,0 +1,222 @@
+// src/controllers/expenses.js - Per-vehicle running costs
+const { Expense, Vehicle, Admin } = require("../models");
+const { Op } = require("sequelize");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+
+const EXPENSE_FIELDS = [
+  "category",
+  "amount",
+  "date",
+  "description",
+  "supplier",
+  "reference",
+  "notes",
+];
+
+const EXPENSE_INCLUDES = [
+  {
+    model: Vehicle,
+    as: "vehicle",
+    attributes: ["id", "name", "brand", "licensePlate"],
+  },
+  {
+    model: Admin,
+    as: "recordedBy",
+    attributes: ["id", "name", "email"],
+  },
+];
+
+// @desc    Get expenses (filter by vehicle, category, dates)
+// @route   GET /api/expenses
+// @access  Private (admin)
+exports.getExpenses = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 25,
+    vehicleId,
+    category,
+    dateFrom,
+    dateTo,
+    search,
+  } = req.query;
+
+  // --- Build Where Clause ---
+  const where = {};
+
+  if (vehicleId) {
+    where.vehicleId = vehicleId;
+  }
+
+  if (category) {
+    where.category = category;
+  }
+
+  if (dateFrom || dateTo) {
+    where.date = {};
+    if (dateFrom) where.date[Op.gte] = dateFrom;
+    if (dateTo) where.date[Op.lte] = dateTo;
+  }
+
+  if (search) {
+    where[Op.or] = [
+      { description: { [Op.iLike]: `%${search}%` } },
+      { supplier: { [Op.iLike]: `%${search}%` } },
+      { reference: { [Op.iLike]: `%${search}%` } },
+    ];
+  }
+
+  // --- Pagination ---
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  const offset = (pageNum - 1) * limitNum;
+
+  const { count, rows: expenses } = await Expense.findAndCountAll({
+    where,
+    limit: limitNum,
+    offset,
+    order: [
+      ["date", "DESC"],
+      ["createdAt", "DESC"],
+    ],
+    include: EXPENSE_INCLUDES,
+  });
+
+  const totalAmount = await Expense.sum("amount", { where });
+
+  // --- Build Pagination Result ---
+  const pagination = {};
+  const totalPages = Math.ceil(count / limitNum);
+
+  if (pageNum < totalPages) {
+    pagination.next = { page: pageNum + 1, limit: limitNum };
+  }
+
+  if (pageNum > 1) {
+    pagination.prev = { page: pageNum - 1, limit: limitNum };
+  }
+
+  pagination.current = pageNum;
+  pagination.totalPages = totalPages;
+
+  res.status(200).json({
+    success: true,
+    count: expenses.length,
+    total: count,
+    totalAmount: parseFloat(totalAmount) || 0,
+    pagination,
+    data: expenses,
+  });
+});
+
+// @desc    Get single expense
+// @route   GET /api/expenses/:id
+// @access  Private (admin)
+exports.getExpense = asyncHandler(async (req, res, next) => {
+  const expense = await Expense.findByPk(req.params.id, {
+    include: EXPENSE_INCLUDES,
+  });
+
+  if (!expense) {
+    return next(new ErrorResponse("Expense not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: expense,
+  });
+});
+
+// @desc    Record an expense on a vehicle
+// @route   POST /api/expenses
+// @access  Private (admin)
+exports.createExpense = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const vehicle = await Vehicle.findByPk(req.body.vehicleId, {
+    attributes: ["id", "licensePlate"],
+  });
+
+  if (!vehicle) {
+    return next(new ErrorResponse("Vehicle not found", 404));
+  }
+
+  const fields = {};
+  EXPENSE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      fields[field] = req.body[field];
+    }
+  });
+
+  const expense = await Expense.create({
+    ...fields,
+    vehicleId: vehicle.id,
+    recordedById: req.admin.id,
+  });
+
+  console.log("Expense recorded:", {
+    licensePlate: vehicle.licensePlate,
+    category: expense.category,
+    amount: expense.amount,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Expense recorded",
+    data: expense,
+  });
+});
+
+// @desc    Update an expense
+// @route   PUT /api/expenses/:id
+// @access  Private (admin)
+exports.updateExpense = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const expense = await Expense.findByPk(req.params.id);
+
+  if (!expense) {
+    return next(new ErrorResponse("Expense not found", 404));
+  }
+
+  const updates = {};
+  EXPENSE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      updates[field] = req.body[field];
+    }
+  });
+
+  await expense.update(updates);
+
+  res.status(200).json({
+    success: true,
+    message: "Expense updated",
+    data: expense,
+  });
+});
+
+// @desc    Delete an expense
+// @route   DELETE /api/expenses/:id
+// @access  Private (admin)
+exports.deleteExpense = asyncHandler(async (req, res, next) => {
+  const expense = await Expense.findByPk(req.params.id);
+
+  if (!expense) {
+    return next(new ErrorResponse("Expense not found", 404));
+  }
+
+  await expense.destroy();
+
+  res.status(200).json({
+    success: true,
+    message: "Expense deleted",
+    data: {},
+  });
+});
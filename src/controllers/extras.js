@@ -0,0 +1,157 @@
+// src/controllers/extras.js - Rental extras catalog management
+const { Extra, BookingExtra, Admin } = require("../models");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+
+// @desc    Get extras (with remaining stock when a period is given)
+// @route   GET /api/extras
+// @access  Public (inactive extras visible to admins only)
+exports.getExtras = asyncHandler(async (req, res, next) => {
+  const { category, pickupDate, returnDate, pickupTime, returnTime } =
+    req.query;
+
+  const where = {};
+
+  if (category) {
+    where.category = category;
+  }
+
+  if (!req.admin) {
+    where.isActive = true;
+  } else if (req.query.isActive !== undefined) {
+    where.isActive = req.query.isActive === "true";
+  }
+
+  const extras = await Extra.findAll({
+    where,
+    order: [
+      ["category", "ASC"],
+      ["name", "ASC"],
+    ],
+  });
+
+  let data = extras;
+
+  if (pickupDate && returnDate) {
+    data = await Promise.all(
+      extras.map(async (extra) => ({
+        ...extra.toJSON(),
+        availableQuantity: await extra.getAvailableQuantity(
+          pickupDate,
+          returnDate,
+          pickupTime || "00:00",
+          returnTime || "23:59"
+        ),
+      }))
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+});
+
+// @desc    Get single extra
+// @route   GET /api/extras/:id
+// @access  Private (admin)
+exports.getExtra = asyncHandler(async (req, res, next) => {
+  const extra = await Extra.findByPk(req.params.id, {
+    include: [
+      {
+        model: Admin,
+        as: "createdBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+  });
+
+  if (!extra) {
+    return next(new ErrorResponse("Extra not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: extra,
+  });
+});
+
+// @desc    Create extra
+// @route   POST /api/extras
+// @access  Private (admin)
+exports.createExtra = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const extra = await Extra.create({
+    ...req.body,
+    createdById: req.admin.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Extra created successfully",
+    data: extra,
+  });
+});
+
+// @desc    Update extra
+// @route   PUT /api/extras/:id
+// @access  Private (admin)
+exports.updateExtra = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const extra = await Extra.findByPk(req.params.id);
+
+  if (!extra) {
+    return next(new ErrorResponse("Extra not found", 404));
+  }
+
+  delete req.body.createdById;
+  await extra.update(req.body);
+
+  res.status(200).json({
+    success: true,
+    message: "Extra updated successfully",
+    data: extra,
+  });
+});
+
+// @desc    Delete extra
+// @route   DELETE /api/extras/:id
+// @access  Private (admin)
+exports.deleteExtra = asyncHandler(async (req, res, next) => {
+  const extra = await Extra.findByPk(req.params.id);
+
+  if (!extra) {
+    return next(new ErrorResponse("Extra not found", 404));
+  }
+
+  // Extras already booked are kept for history: deactivate instead
+  const bookingsCount = await BookingExtra.count({
+    where: { extraId: extra.id },
+  });
+  if (bookingsCount > 0) {
+    return next(
+      new ErrorResponse(
+        `Extra is used by ${bookingsCount} booking(s). Deactivate it instead.`,
+        400
+      )
+    );
+  }
+
+  await extra.destroy();
+
+  res.status(200).json({
+    success: true,
+    message: "Extra deleted successfully",
+    data: {},
+  });
+});
@@ -0,0 +1,462 @@
+// src/controllers/fines.js - Traffic fines and tolls assigned to renting customers
+const { Fine, Booking, Customer, Vehicle, Admin } = require("../models");
+const { Op } = require("sequelize");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+const FineGenerator = require("../services/fineGenerator");
+
+// "YYYY-MM-DDTHH:MM" (agency local time) -> { offenceDate, offenceTime }
+const splitOffenceAt = (offenceAt) => ({
+  offenceDate: offenceAt.slice(0, 10),
+  offenceTime: offenceAt.slice(11, 16),
+});
+
+const FINE_INCLUDES = [
+  {
+    model: Vehicle,
+    as: "vehicle",
+    attributes: ["id", "name", "brand", "licensePlate"],
+  },
+  {
+    model: Booking,
+    as: "booking",
+    attributes: [
+      "id",
+      "bookingNumber",
+      "status",
+      "pickupDate",
+      "pickupTime",
+      "returnDate",
+      "returnTime",
+    ],
+  },
+  {
+    model: Customer,
+    as: "customer",
+    attributes: ["id", "firstName", "lastName", "phone", "email"],
+  },
+];
+
+// Resolve vehicle / booking / customer and report what could not be found
+const resolveFine = async (licensePlate, offenceDate, offenceTime) => {
+  const { vehicle, booking } = await Fine.resolveResponsibility(
+    licensePlate,
+    offenceDate,
+    offenceTime
+  );
+
+  if (!vehicle) {
+    return {
+      error: `No vehicle found with license plate ${Fine.normalizePlate(
+        licensePlate
+      )}`,
+      statusCode: 404,
+    };
+  }
+
+  return {
+    vehicleId: vehicle.id,
+    bookingId: booking ? booking.id : null,
+    customerId: booking ? booking.customerId : null,
+    warnings: booking
+      ? []
+      : [
+          "No rental covered the vehicle at the offence time: the fine stays with the agency",
+        ],
+  };
+};
+
+// @desc    Get fines with filtering and pagination
+// @route   GET /api/fines
+// @access  Private (admin)
+exports.getFines = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 25,
+    paymentStatus,
+    type,
+    vehicleId,
+    customerId,
+    bookingId,
+    unassigned,
+    dateFrom,
+    dateTo,
+    search,
+  } = req.query;
+
+  // --- Build Where Clause ---
+  const where = {};
+
+  if (paymentStatus) {
+    where.paymentStatus = paymentStatus;
+  }
+
+  if (type) {
+    where.type = type;
+  }
+
+  if (vehicleId) {
+    where.vehicleId = vehicleId;
+  }
+
+  if (customerId) {
+    where.customerId = customerId;
+  }
+
+  if (bookingId) {
+    where.bookingId = bookingId;
+  }
+
+  if (unassigned === "true") {
+    where.bookingId = null;
+  }
+
+  if (dateFrom || dateTo) {
+    where.offenceDate = {};
+    if (dateFrom) where.offenceDate[Op.gte] = dateFrom;
+    if (dateTo) where.offenceDate[Op.lte] = dateTo;
+  }
+
+  if (search) {
+    where[Op.or] = [
+      { referenceNumber: { [Op.iLike]: `%${search}%` } },
+      { licensePlate: { [Op.iLike]: `%${Fine.normalizePlate(search)}%` } },
+    ];
+  }
+
+  // --- Pagination ---
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  const offset = (pageNum - 1) * limitNum;
+
+  const { count, rows: fines } = await Fine.findAndCountAll({
+    where,
+    limit: limitNum,
+    offset,
+    order: [
+      ["offenceDate", "DESC"],
+      ["offenceTime", "DESC"],
+    ],
+    include: FINE_INCLUDES,
+  });
+
+  // --- Build Pagination Result ---
+  const pagination = {};
+  const totalPages = Math.ceil(count / limitNum);
+
+  if (pageNum < totalPages) {
+    pagination.next = { page: pageNum + 1, limit: limitNum };
+  }
+
+  if (pageNum > 1) {
+    pagination.prev = { page: pageNum - 1, limit: limitNum };
+  }
+
+  pagination.current = pageNum;
+  pagination.totalPages = totalPages;
+
+  res.status(200).json({
+    success: true,
+    count: fines.length,
+    total: count,
+    pagination,
+    data: fines,
+  });
+});
+
+// @desc    Get single fine
+// @route   GET /api/fines/:id
+// @access  Private (admin)
+exports.getFine = asyncHandler(async (req, res, next) => {
+  const fine = await Fine.findByPk(req.params.id, {
+    include: [
+      ...FINE_INCLUDES,
+      {
+        model: Admin,
+        as: "recordedBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+  });
+
+  if (!fine) {
+    return next(new ErrorResponse("Fine not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: fine,
+  });
+});
+
+// @desc    Record a fine by plate and offence time, assigned to the renter
+// @route   POST /api/fines
+// @access  Private (admin)
+exports.createFine = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const {
+    licensePlate,
+    offenceAt,
+    type,
+    referenceNumber,
+    authority,
+    location,
+    description,
+    amount,
+    dueDate,
+    notes,
+  } = req.body;
+
+  const { offenceDate, offenceTime } = splitOffenceAt(offenceAt);
+
+  const resolution = await resolveFine(licensePlate, offenceDate, offenceTime);
+  if (resolution.error) {
+    return next(new ErrorResponse(resolution.error, resolution.statusCode));
+  }
+
+  const fine = await Fine.create({
+    type,
+    referenceNumber,
+    authority,
+    licensePlate,
+    offenceDate,
+    offenceTime,
+    location,
+    description,
+    amount,
+    dueDate: dueDate || null,
+    notes,
+    vehicleId: resolution.vehicleId,
+    bookingId: resolution.bookingId,
+    customerId: resolution.customerId,
+    recordedById: req.admin.id,
+  });
+
+  console.log("Fine recorded:", {
+    id: fine.id,
+    licensePlate: fine.licensePlate,
+    offence: `${offenceDate} ${offenceTime}`,
+    bookingId: fine.bookingId,
+  });
+
+  const createdFine = await Fine.findByPk(fine.id, {
+    include: FINE_INCLUDES,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: fine.bookingId
+      ? "Fine recorded and assigned to the renting customer"
+      : "Fine recorded without a responsible booking",
+    data: createdFine,
+    ...(fine.bookingId && {
+      designationLetterUrl: `/api/fines/${fine.id}/designation-letter`,
+    }),
+    ...(resolution.warnings.length > 0 && { warnings: resolution.warnings }),
+  });
+});
+
+// @desc    Update a fine (re-assigned when plate or offence time changes)
+// @route   PUT /api/fines/:id
+// @access  Private (admin)
+exports.updateFine = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const fine = await Fine.findByPk(req.params.id);
+
+  if (!fine) {
+    return next(new ErrorResponse("Fine not found", 404));
+  }
+
+  const fields = [
+    "type",
+    "referenceNumber",
+    "authority",
+    "location",
+    "description",
+    "amount",
+    "dueDate",
+    "notes",
+  ];
+  const updates = {};
+  fields.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      updates[field] = req.body[field];
+    }
+  });
+
+  let warnings = [];
+
+  if (req.body.licensePlate || req.body.offenceAt) {
+    const { offenceDate, offenceTime } = req.body.offenceAt
+      ? splitOffenceAt(req.body.offenceAt)
+      : fine;
+    const licensePlate = req.body.licensePlate || fine.licensePlate;
+
+    const resolution = await resolveFine(
+      licensePlate,
+      offenceDate,
+      offenceTime
+    );
+    if (resolution.error) {
+      return next(new ErrorResponse(resolution.error, resolution.statusCode));
+    }
+
+    Object.assign(updates, {
+      licensePlate,
+      offenceDate,
+      offenceTime,
+      vehicleId: resolution.vehicleId,
+      bookingId: resolution.bookingId,
+      customerId: resolution.customerId,
+    });
+    warnings = resolution.warnings;
+  }
+
+  await fine.update(updates);
+
+  res.status(200).json({
+    success: true,
+    message: "Fine updated successfully",
+    data: fine,
+    ...(warnings.length > 0 && { warnings }),
+  });
+});
+
+// @desc    Update the payment status of a fine
+// @route   PUT /api/fines/:id/payment
+// @access  Private (admin)
+exports.updateFinePayment = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const { paymentStatus, paidAt, notes } = req.body;
+
+  const fine = await Fine.findByPk(req.params.id);
+
+  if (!fine) {
+    return next(new ErrorResponse("Fine not found", 404));
+  }
+
+  if (paymentStatus === "paid_by_customer" && !fine.customerId) {
+    return next(new ErrorResponse("No customer is assigned to this fine", 400));
+  }
+
+  await fine.update({
+    paymentStatus,
+    paidAt: ["paid_by_customer", "paid_by_agency"].includes(paymentStatus)
+      ? paidAt || fine.paidAt || new Date()
+      : null,
+    ...(notes !== undefined && { notes }),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Fine marked as ${paymentStatus}`,
+    data: fine,
+  });
+});
+
+// @desc    Download the driver designation letter PDF
+// @route   GET /api/fines/:id/designation-letter
+// @access  Private (admin)
+exports.getDesignationLetter = asyncHandler(async (req, res, next) => {
+  const fine = await Fine.findByPk(req.params.id, {
+    include: [
+      {
+        model: Vehicle,
+        as: "vehicle",
+        attributes: ["id", "name", "brand", "licensePlate"],
+      },
+      {
+        model: Booking,
+        as: "booking",
+        attributes: [
+          "id",
+          "bookingNumber",
+          "pickupDate",
+          "pickupTime",
+          "returnDate",
+          "returnTime",
+        ],
+      },
+      {
+        model: Customer,
+        as: "customer",
+        attributes: [
+          "id",
+          "firstName",
+          "lastName",
+          "dateOfBirth",
+          "address",
+          "country",
+          "driverLicenseNumber",
+          "passportNumber",
+          "cinNumber",
+        ],
+      },
+    ],
+  });
+
+  if (!fine) {
+    return next(new ErrorResponse("Fine not found", 404));
+  }
+
+  if (!fine.booking || !fine.customer) {
+    return next(
+      new ErrorResponse(
+        "No renting customer is assigned to this fine: no driver to designate",
+        400
+      )
+    );
+  }
+
+  // PV numbers may contain slashes
+  const fileId = String(
+    fine.referenceNumber || fine.booking.bookingNumber
+  ).replace(/[^A-Za-z0-9_-]/g, "_");
+
+  const fineGenerator = new FineGenerator();
+  const pdfBuffer = await fineGenerator.generateDesignationLetter(fine);
+
+  if (!fine.designatedAt) {
+    await fine.update({ designatedAt: new Date() });
+  }
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="Designation_${fileId}.pdf"`,
+    "Content-Length": pdfBuffer.length,
+    "Cache-Control": "no-cache, no-store, must-revalidate",
+  });
+
+  res.send(pdfBuffer);
+});
+
+// @desc    Delete fine
+// @route   DELETE /api/fines/:id
+// @access  Private (admin)
+exports.deleteFine = asyncHandler(async (req, res, next) => {
+  const fine = await Fine.findByPk(req.params.id);
+
+  if (!fine) {
+    return next(new ErrorResponse("Fine not found", 404));
+  }
+
+  await fine.destroy();
+
+  res.status(200).json({
+    success: true,
+    message: "Fine deleted successfully",
+  });
+});
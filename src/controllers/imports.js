@@ -0,0 +1,291 @@
+// src/controllers/imports.js - CSV import of vehicles and customers (dry run, then one transaction)
+const { Vehicle, Customer } = require("../models");
+const { Op } = require("sequelize");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+const { sequelize } = require("../config/database");
+const { validateVehicle, validateCustomer } = require("../utils/validation");
+const {
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  mapColumns,
+  runValidators,
+  flagDuplicates,
+} = require("../utils/importUtils");
+
+// Plates, phones and document numbers are compared without spaces
+const compact = (value) => String(value).replace(/\s/g, "").toUpperCase();
+
+const VEHICLE_IMPORT = {
+  model: Vehicle,
+  validators: validateVehicle,
+  fields: [
+    "name",
+    "brand",
+    "year",
+    "price",
+    "transmission",
+    "fuelType",
+    "seats",
+    "doors",
+    "category",
+    "licensePlate",
+    "whatsappNumber",
+    "caution",
+    "mileage",
+    "description",
+    "features",
+    "mileageLimitType",
+    "dailyMileageLimit",
+    "excessKmRate",
+    "fuelTankCapacity",
+    "fuelRefillRate",
+    "purchasePrice",
+    "purchaseDate",
+    "residualValue",
+    "usefulLifeYears",
+    "minimumAge",
+    "minimumLicenseYears",
+    "requiredLicenseCategory",
+    "lastTechnicalVisit",
+    "lastOilChange",
+  ],
+  uniqueKeys: [
+    {
+      field: "licensePlate",
+      normalize: (value) => compact(value).replace(/-/g, ""),
+    },
+  ],
+  // Features are listed in one cell: "gps|bluetooth"
+  prepare: (record) =>
+    record.features
+      ? {
+          ...record,
+          features: record.features
+            .split(/[|,]/)
+            .map((feature) => feature.trim())
+            .filter(Boolean),
+        }
+      : record,
+  findExisting: () =>
+    Vehicle.findAll({ attributes: ["id", "name", "brand", "licensePlate"] }),
+  toModel: (data, admin) => ({ ...data, createdById: admin.id }),
+  describe: (vehicle) => ({
+    id: vehicle.id,
+    licensePlate: vehicle.licensePlate,
+    name: `${vehicle.brand} ${vehicle.name}`,
+  }),
+  messages: {
+    noFile: "Please upload a CSV file",
+    empty: "The file has no data rows",
+    tooLarge: `The file has more than ${MAX_IMPORT_ROWS} rows, please split it`,
+    rejected: "Import rejected: fix the invalid rows and upload the file again",
+    existing: (vehicle) =>
+      `Vehicle ${vehicle.brand} ${vehicle.name} (${vehicle.licensePlate}) already exists`,
+    file: (line) => `Same value as line ${line} of the file`,
+    report: (valid, total) => `${valid} of ${total} vehicles ready to import`,
+    created: (count) => `${count} vehicles imported`,
+  },
+};
+
+const CUSTOMER_IMPORT = {
+  model: Customer,
+  validators: validateCustomer,
+  fields: [
+    "firstName",
+    "lastName",
+    "email",
+    "phone",
+    "dateOfBirth",
+    "address",
+    "country",
+    "driverLicenseNumber",
+    "driverLicenseCategory",
+    "driverLicenseIssueDate",
+    "driverLicenseExpiryDate",
+    "passportNumber",
+    "passportIssuedAt",
+    "passportIssueDate",
+    "passportExpiryDate",
+    "cinNumber",
+    "cinIssueDate",
+    "cinExpiryDate",
+  ],
+  uniqueKeys: [
+    { field: "email", normalize: (value) => String(value).toLowerCase() },
+    { field: "phone", normalize: compact },
+    { field: "cinNumber", normalize: compact },
+    { field: "passportNumber", normalize: compact },
+  ],
+  prepare: (record) => record,
+  // Only customers sharing a value with the file are loaded
+  findExisting: (rows) => {
+    const valuesOf = (field) =>
+      rows.filter((data) => data[field]).map((data) => data[field]);
+    const compactColumn = (column) =>
+      sequelize.fn(
+        "UPPER",
+        sequelize.fn("REPLACE", sequelize.col(column), " ", "")
+      );
+
+    const conditions = [
+      { email: valuesOf("email").map((email) => email.toLowerCase()) },
+      sequelize.where(compactColumn("phone"), {
+        [Op.in]: valuesOf("phone").map(compact),
+      }),
+      sequelize.where(compactColumn("cin_number"), {
+        [Op.in]: valuesOf("cinNumber").map(compact),
+      }),
+      sequelize.where(compactColumn("passport_number"), {
+        [Op.in]: valuesOf("passportNumber").map(compact),
+      }),
+    ];
+
+    return Customer.findAll({
+      where: { [Op.or]: conditions },
+      attributes: [
+        "id",
+        "firstName",
+        "lastName",
+        "email",
+        "phone",
+        "cinNumber",
+        "passportNumber",
+      ],
+    });
+  },
+  toModel: (data, admin) => ({
+    ...data,
+    email: data.email || null,
+    source: "admin",
+    createdById: admin.id,
+  }),
+  describe: (customer) => ({
+    id: customer.id,
+    name: `${customer.firstName} ${customer.lastName}`,
+    phone: customer.phone,
+  }),
+  messages: {
+    noFile: "Veuillez joindre un fichier CSV",
+    empty: "Le fichier ne contient aucune ligne de données",
+    tooLarge: `Le fichier dépasse ${MAX_IMPORT_ROWS} lignes, veuillez le découper`,
+    rejected:
+      "Import refusé : corrigez les lignes invalides et renvoyez le fichier",
+    existing: (customer) =>
+      `Déjà utilisé par le client ${customer.firstName} ${customer.lastName}`,
+    file: (line) => `Même valeur qu'à la ligne ${line} du fichier`,
+    report: (valid, total) =>
+      `${valid} clients sur ${total} prêts à être importés`,
+    created: (count) => `${count} clients importés`,
+  },
+};
+
+/**
+ * Check every row of the uploaded CSV with the create validators and
+ * against existing records. Rows are only written when the whole file is
+ * valid and the request is not a dry run (?dryRun=false), in a single
+ * transaction.
+ */
+const runImport = async (req, res, next, options) => {
+  const { messages } = options;
+
+  if (!req.file) {
+    return next(new ErrorResponse(messages.noFile, 400));
+  }
+
+  const { headers, rows } = parseCsv(req.file.buffer.toString("utf8"));
+
+  if (rows.length === 0) {
+    return next(new ErrorResponse(messages.empty, 400));
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return next(new ErrorResponse(messages.tooLarge, 400));
+  }
+
+  const { toRecord, unknownColumns } = mapColumns(headers, options.fields);
+
+  const checked = [];
+  for (const row of rows) {
+    const { data, errors } = await runValidators(
+      options.validators,
+      options.prepare(toRecord(row.values))
+    );
+    checked.push({ line: row.line, data, errors });
+  }
+
+  const existing = await options.findExisting(checked.map((row) => row.data));
+  flagDuplicates(checked, options.uniqueKeys, existing, messages);
+
+  const invalid = checked.filter((row) => row.errors.length > 0);
+  const summary = {
+    total: checked.length,
+    valid: checked.length - invalid.length,
+    invalid: invalid.length,
+  };
+  const dryRun = req.query.dryRun !== "false";
+
+  if (!dryRun && invalid.length > 0) {
+    return next(
+      new ErrorResponse(
+        messages.rejected,
+        400,
+        invalid.map((row) => ({ line: row.line, errors: row.errors }))
+      )
+    );
+  }
+
+  if (dryRun) {
+    return res.status(200).json({
+      success: true,
+      dryRun: true,
+      message: messages.report(summary.valid, summary.total),
+      data: {
+        summary,
+        unknownColumns,
+        rows: checked,
+      },
+    });
+  }
+
+  const created = await sequelize.transaction(async (transaction) => {
+    const records = [];
+    for (const row of checked) {
+      records.push(
+        await options.model.create(options.toModel(row.data, req.admin), {
+          transaction,
+        })
+      );
+    }
+    return records;
+  });
+
+  console.log(`${options.model.name} import:`, {
+    rows: created.length,
+    admin: req.admin.email,
+  });
+
+  res.status(201).json({
+    success: true,
+    dryRun: false,
+    message: messages.created(created.length),
+    data: {
+      summary,
+      unknownColumns,
+      created: created.map(options.describe),
+    },
+  });
+};
+
+// @desc    Import vehicles from a CSV file (dry run unless ?dryRun=false)
+// @route   POST /api/vehicles/import
+// @access  Private (admin)
+exports.importVehicles = asyncHandler(async (req, res, next) =>
+  runImport(req, res, next, VEHICLE_IMPORT)
+);
+
+// @desc    Import customers from a CSV file (dry run unless ?dryRun=false)
+// @route   POST /api/customers/import
+// @access  Private (admin)
+exports.importCustomers = asyncHandler(async (req, res, next) =>
+  runImport(req, res, next, CUSTOMER_IMPORT)
+);
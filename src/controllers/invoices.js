@@ -0,0 +1,181 @@
+// src/controllers/invoices.js - Invoices and credit notes register
+const { Invoice, Booking, Customer, Admin } = require("../models");
+const { Op } = require("sequelize");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+const InvoiceGenerator = require("../services/invoiceGenerator");
+
+// @desc    Get invoices and credit notes with filtering and pagination
+// @route   GET /api/invoices
+// @access  Private (admin)
+exports.getInvoices = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 25,
+    documentType,
+    year,
+    bookingId,
+    customerId,
+    dateFrom,
+    dateTo,
+    search,
+  } = req.query;
+
+  // --- Build Where Clause ---
+  const where = {};
+
+  if (documentType) {
+    where.documentType = documentType;
+  }
+
+  if (year) {
+    where.year = parseInt(year, 10);
+  }
+
+  if (bookingId) {
+    where.bookingId = bookingId;
+  }
+
+  if (customerId) {
+    where.customerId = customerId;
+  }
+
+  if (dateFrom || dateTo) {
+    where.issueDate = {};
+    if (dateFrom) where.issueDate[Op.gte] = new Date(dateFrom);
+    if (dateTo) where.issueDate[Op.lte] = new Date(`${dateTo}T23:59:59`);
+  }
+
+  if (search) {
+    where[Op.or] = [
+      { number: { [Op.iLike]: `%${search}%` } },
+      { "$booking.bookingNumber$": { [Op.iLike]: `%${search}%` } },
+      { "$customer.firstName$": { [Op.iLike]: `%${search}%` } },
+      { "$customer.lastName$": { [Op.iLike]: `%${search}%` } },
+    ];
+  }
+
+  // --- Pagination ---
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  const offset = (pageNum - 1) * limitNum;
+
+  const { count, rows: invoices } = await Invoice.findAndCountAll({
+    where,
+    limit: limitNum,
+    offset,
+    order: [
+      ["year", "DESC"],
+      ["documentType", "ASC"],
+      ["sequence", "DESC"],
+    ],
+    include: [
+      {
+        model: Booking,
+        as: "booking",
+        attributes: ["id", "bookingNumber", "status"],
+      },
+      {
+        model: Customer,
+        as: "customer",
+        attributes: ["id", "firstName", "lastName"],
+      },
+      {
+        model: Invoice,
+        as: "creditedInvoice",
+        attributes: ["id", "number"],
+      },
+    ],
+  });
+
+  // --- Build Pagination Result ---
+  const pagination = {};
+  const totalPages = Math.ceil(count / limitNum);
+
+  if (pageNum < totalPages) {
+    pagination.next = { page: pageNum + 1, limit: limitNum };
+  }
+
+  if (pageNum > 1) {
+    pagination.prev = { page: pageNum - 1, limit: limitNum };
+  }
+
+  pagination.current = pageNum;
+  pagination.totalPages = totalPages;
+
+  res.status(200).json({
+    success: true,
+    count: invoices.length,
+    total: count,
+    pagination,
+    data: invoices,
+  });
+});
+
+// @desc    Get single invoice or credit note
+// @route   GET /api/invoices/:id
+// @access  Private (admin)
+exports.getInvoice = asyncHandler(async (req, res, next) => {
+  const invoice = await Invoice.findByPk(req.params.id, {
+    include: [
+      {
+        model: Booking,
+        as: "booking",
+        attributes: ["id", "bookingNumber", "status", "totalAmount"],
+      },
+      {
+        model: Invoice,
+        as: "creditedInvoice",
+        attributes: ["id", "number", "totalAmount"],
+      },
+      {
+        model: Invoice,
+        as: "creditNotes",
+        attributes: ["id", "number", "totalAmount", "issueDate", "reason"],
+      },
+      {
+        model: Admin,
+        as: "issuedBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+  });
+
+  if (!invoice) {
+    return next(new ErrorResponse("Invoice not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: invoice,
+  });
+});
+
+// @desc    Download invoice or credit note PDF
+// @route   GET /api/invoices/:id/pdf
+// @access  Private (admin)
+exports.getInvoicePdf = asyncHandler(async (req, res, next) => {
+  const invoice = await Invoice.findByPk(req.params.id, {
+    include: [
+      {
+        model: Invoice,
+        as: "creditedInvoice",
+        attributes: ["id", "number"],
+      },
+    ],
+  });
+
+  if (!invoice) {
+    return next(new ErrorResponse("Invoice not found", 404));
+  }
+
+  const pdfBuffer = await new InvoiceGenerator().generateInvoice(invoice);
+  const prefix = invoice.documentType === "credit_note" ? "Avoir" : "Facture";
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${prefix}_${invoice.number}.pdf"`,
+    "Content-Length": pdfBuffer.length,
+  });
+  res.send(pdfBuffer);
+});
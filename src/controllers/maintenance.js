@@ -0,0 +1,634 @@
+// src/controllers/maintenance.js - Maintenance log, service plans and scheduled windows
+const {
+  MaintenanceRecord,
+  ServicePlan,
+  Vehicle,
+  Booking,
+  Admin,
+} = require("../models");
+const { Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+const { getServiceUrgency } = require("../utils/maintenanceUtils");
+
+// Vehicle attributes needed to compute due services
+const SERVICE_VEHICLE_ATTRIBUTES = [
+  "id",
+  "name",
+  "brand",
+  "licensePlate",
+  "mileage",
+  "status",
+  "createdAt",
+  "lastOilChange",
+  "lastTechnicalVisit",
+  "nextMaintenanceDue",
+];
+
+// Record fields editable from the API
+const RECORD_FIELDS = [
+  "type",
+  "servicePlanId",
+  "startDate",
+  "startTime",
+  "endDate",
+  "endTime",
+  "date",
+  "odometer",
+  "cost",
+  "garage",
+  "notes",
+];
+
+const pickRecordFields = (body) =>
+  RECORD_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key] === "" ? null : body[key];
+    }
+    return fields;
+  }, {});
+
+// Invoice bytes are only sent through the download route
+const transformRecordForResponse = (record) => {
+  const data = record.toJSON();
+  delete data.invoiceData;
+  data.hasInvoice = !!record.invoiceMimetype;
+  return data;
+};
+
+// Due service shaped for the API
+const formatService = (service, urgency) => ({
+  vehicle: {
+    id: service.vehicle.id,
+    name: service.vehicle.name,
+    brand: service.vehicle.brand,
+    licensePlate: service.vehicle.licensePlate,
+    mileage: service.vehicle.mileage,
+  },
+  plan: {
+    id: service.plan.id,
+    name: service.plan.name,
+    maintenanceType: service.plan.maintenanceType,
+    intervalKm: service.plan.intervalKm,
+    intervalMonths: service.plan.intervalMonths,
+  },
+  lastServiceDate: service.lastServiceDate,
+  lastServiceOdometer: service.lastServiceOdometer,
+  dueDate: service.dueDate,
+  dueMileage: service.dueMileage,
+  ...urgency,
+});
+
+// Confirmed / active bookings overlapping a maintenance window
+const findBookingConflicts = (vehicleId, window) =>
+  Booking.getConflictingBookings(
+    vehicleId,
+    window.startDate,
+    window.endDate,
+    window.startTime || "08:00",
+    window.endTime || "18:00"
+  );
+
+const conflictError = (conflicts) =>
+  new ErrorResponse(
+    "The maintenance window overlaps confirmed bookings",
+    409,
+    conflicts.map((booking) => ({
+      bookingId: booking.id,
+      bookingNumber: booking.bookingNumber,
+      pickup: `${booking.pickupDate} ${booking.pickupTime}`,
+      return: `${booking.returnDate} ${booking.returnTime}`,
+    }))
+  );
+
+// A completed service moves the odometer and the legacy maintenance dates
+const applyCompletedService = async (vehicle, record, transaction) => {
+  const updates = {};
+
+  if (record.odometer && record.odometer > (vehicle.mileage || 0)) {
+    updates.mileage = record.odometer;
+  }
+  if (record.type === "oil_change") {
+    updates.lastOilChange = record.date;
+  }
+  if (record.type === "technical_visit") {
+    updates.lastTechnicalVisit = record.date;
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await vehicle.update(updates, { transaction });
+  }
+  await vehicle.refreshMaintenanceDue(transaction);
+};
+
+// @desc    Services due soon (by date or mileage) and scheduled windows
+// @route   GET /api/vehicles/maintenance/upcoming
+// @access  Private (admin)
+exports.getUpcomingMaintenance = asyncHandler(async (req, res, next) => {
+  const daysAhead = parseInt(req.query.days, 10) || 30;
+  const kmAhead = parseInt(req.query.km, 10) || 1000;
+  const today = new Date().toISOString().split("T")[0];
+
+  const vehicles = await Vehicle.findAll({
+    where: { status: { [Op.ne]: "inactive" } },
+    attributes: SERVICE_VEHICLE_ATTRIBUTES,
+  });
+
+  const services = (await ServicePlan.getDueServices(vehicles))
+    .map((service) =>
+      formatService(
+        service,
+        getServiceUrgency(service, {
+          today,
+          mileage: service.vehicle.mileage,
+          daysAhead,
+          kmAhead,
+        })
+      )
+    )
+    .filter((service) => service.isUpcoming);
+
+  const scheduled = await MaintenanceRecord.findAll({
+    where: {
+      status: "scheduled",
+      endDate: { [Op.gte]: today },
+    },
+    attributes: { exclude: ["invoiceData"] },
+    order: [
+      ["startDate", "ASC"],
+      ["startTime", "ASC"],
+    ],
+    include: [
+      {
+        model: Vehicle,
+        as: "vehicle",
+        attributes: ["id", "name", "brand", "licensePlate"],
+      },
+    ],
+  });
+
+  // Link each due service to the window already booked for it, if any
+  services.forEach((service) => {
+    const window = scheduled.find(
+      (record) =>
+        record.vehicleId === service.vehicle.id &&
+        record.type === service.plan.maintenanceType
+    );
+    service.scheduledMaintenanceId = window ? window.id : null;
+  });
+
+  // Overdue first, then the closest by date or mileage
+  services.sort((a, b) => {
+    if (a.isOverdue !== b.isOverdue) return a.isOverdue ? -1 : 1;
+    const aDays = a.daysRemaining !== null ? a.daysRemaining : Infinity;
+    const bDays = b.daysRemaining !== null ? b.daysRemaining : Infinity;
+    if (aDays !== bDays) return aDays - bDays;
+    const aKm = a.kmRemaining !== null ? a.kmRemaining : Infinity;
+    const bKm = b.kmRemaining !== null ? b.kmRemaining : Infinity;
+    return aKm - bKm;
+  });
+
+  res.status(200).json({
+    success: true,
+    count: services.length,
+    data: {
+      criteria: { days: daysAhead, km: kmAhead },
+      overdue: services.filter((service) => service.isOverdue).length,
+      services,
+      scheduled,
+    },
+  });
+});
+
+// @desc    Get service plans
+// @route   GET /api/vehicles/maintenance/plans
+// @access  Private (admin)
+exports.getServicePlans = asyncHandler(async (req, res, next) => {
+  const whereClause = {};
+
+  if (req.query.vehicleId) {
+    whereClause.vehicleId = req.query.vehicleId;
+  }
+  if (req.query.isActive !== undefined) {
+    whereClause.isActive = req.query.isActive === "true";
+  }
+
+  const plans = await ServicePlan.findAll({
+    where: whereClause,
+    order: [
+      ["maintenanceType", "ASC"],
+      ["name", "ASC"],
+    ],
+    include: [
+      {
+        model: Vehicle,
+        as: "vehicle",
+        attributes: ["id", "name", "brand", "licensePlate"],
+      },
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    count: plans.length,
+    data: plans,
+  });
+});
+
+// @desc    Create a service plan (fleet-wide or for one vehicle)
+// @route   POST /api/vehicles/maintenance/plans
+// @access  Private (admin)
+exports.createServicePlan = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const { name, maintenanceType, vehicleId, intervalKm, intervalMonths } =
+    req.body;
+
+  let vehicle = null;
+  if (vehicleId) {
+    vehicle = await Vehicle.findByPk(vehicleId);
+    if (!vehicle) {
+      return next(new ErrorResponse("Vehicle not found", 404));
+    }
+  }
+
+  const plan = await ServicePlan.create({
+    name,
+    maintenanceType,
+    vehicleId: vehicleId || null,
+    intervalKm: intervalKm || null,
+    intervalMonths: intervalMonths || null,
+    notes: req.body.notes,
+  });
+
+  if (vehicle) {
+    await vehicle.refreshMaintenanceDue();
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Service plan created",
+    data: plan,
+  });
+});
+
+// @desc    Update a service plan
+// @route   PUT /api/vehicles/maintenance/plans/:planId
+// @access  Private (admin)
+exports.updateServicePlan = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const plan = await ServicePlan.findByPk(req.params.planId);
+
+  if (!plan) {
+    return next(new ErrorResponse("Service plan not found", 404));
+  }
+
+  const fields = [
+    "name",
+    "maintenanceType",
+    "intervalKm",
+    "intervalMonths",
+    "isActive",
+    "notes",
+  ];
+  const updates = {};
+  fields.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      updates[field] = req.body[field] === "" ? null : req.body[field];
+    }
+  });
+
+  await plan.update(updates);
+
+  if (plan.vehicleId) {
+    const vehicle = await Vehicle.findByPk(plan.vehicleId);
+    await vehicle.refreshMaintenanceDue();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Service plan updated",
+    data: plan,
+  });
+});
+
+// @desc    Delete a service plan (logged maintenance is kept)
+// @route   DELETE /api/vehicles/maintenance/plans/:planId
+// @access  Private (admin)
+exports.deleteServicePlan = asyncHandler(async (req, res, next) => {
+  const plan = await ServicePlan.findByPk(req.params.planId);
+
+  if (!plan) {
+    return next(new ErrorResponse("Service plan not found", 404));
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await MaintenanceRecord.update(
+      { servicePlanId: null },
+      { where: { servicePlanId: plan.id }, transaction }
+    );
+    await plan.destroy({ transaction });
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Service plan deleted",
+    data: {},
+  });
+});
+
+// @desc    Maintenance log and due services of a vehicle
+// @route   GET /api/vehicles/:id/maintenance
+// @access  Private (admin)
+exports.getVehicleMaintenance = asyncHandler(async (req, res, next) => {
+  const vehicle = await Vehicle.findByPk(req.params.id, {
+    attributes: SERVICE_VEHICLE_ATTRIBUTES,
+  });
+
+  if (!vehicle) {
+    return next(new ErrorResponse("Vehicle not found", 404));
+  }
+
+  const whereClause = { vehicleId: vehicle.id };
+  if (req.query.status) {
+    whereClause.status = req.query.status;
+  }
+  if (req.query.type) {
+    whereClause.type = req.query.type;
+  }
+
+  const records = await MaintenanceRecord.findAll({
+    where: whereClause,
+    attributes: { exclude: ["invoiceData"] },
+    order: [
+      ["startDate", "DESC NULLS LAST"],
+      ["date", "DESC NULLS LAST"],
+      ["createdAt", "DESC"],
+    ],
+    include: [
+      {
+        model: ServicePlan,
+        as: "servicePlan",
+        attributes: ["id", "name", "intervalKm", "intervalMonths"],
+      },
+      {
+        model: Admin,
+        as: "recordedBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+  });
+
+  const today = new Date().toISOString().split("T")[0];
+  const services = (await ServicePlan.getDueServices([vehicle])).map(
+    (service) =>
+      formatService(
+        service,
+        getServiceUrgency(service, {
+          today,
+          mileage: vehicle.mileage,
+          daysAhead: 30,
+          kmAhead: 1000,
+        })
+      )
+  );
+
+  const completed = records.filter((record) => record.status === "completed");
+
+  res.status(200).json({
+    success: true,
+    count: records.length,
+    data: {
+      vehicle,
+      services,
+      totalCost: completed.reduce(
+        (sum, record) => sum + (parseFloat(record.cost) || 0),
+        0
+      ),
+      records: records.map(transformRecordForResponse),
+    },
+  });
+});
+
+// @desc    Log a maintenance or schedule a maintenance window
+// @route   POST /api/vehicles/:id/maintenance
+// @access  Private (admin)
+exports.createMaintenanceRecord = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const vehicle = await Vehicle.findByPk(req.params.id);
+
+  if (!vehicle) {
+    return next(new ErrorResponse("Vehicle not found", 404));
+  }
+
+  const fields = pickRecordFields(req.body);
+  const status = req.body.status || "completed";
+
+  if (fields.servicePlanId) {
+    const plan = await ServicePlan.findByPk(fields.servicePlanId);
+    if (!plan) {
+      return next(new ErrorResponse("Service plan not found", 404));
+    }
+  }
+
+  // --- A scheduled window cannot overlap confirmed rentals ---
+  if (status === "scheduled") {
+    const conflicts = await findBookingConflicts(vehicle.id, fields);
+    if (conflicts.length > 0) {
+      return next(conflictError(conflicts));
+    }
+  }
+
+  const invoice = req.file;
+
+  const record = await sequelize.transaction(async (transaction) => {
+    const record = await MaintenanceRecord.create(
+      {
+        ...fields,
+        vehicleId: vehicle.id,
+        status,
+        invoiceData: invoice ? invoice.buffer : null,
+        invoiceMimetype: invoice ? invoice.mimetype : null,
+        invoiceName: invoice ? invoice.originalname : null,
+        recordedById: req.admin.id,
+      },
+      { transaction }
+    );
+
+    if (status === "completed") {
+      await applyCompletedService(vehicle, record, transaction);
+    }
+    await vehicle.syncAvailability(transaction);
+
+    return record;
+  });
+
+  console.log("Maintenance recorded:", {
+    licensePlate: vehicle.licensePlate,
+    type: record.type,
+    status: record.status,
+    window: record.startDate
+      ? `${record.startDate} ${record.startTime} - ${record.endDate} ${record.endTime}`
+      : null,
+  });
+
+  res.status(201).json({
+    success: true,
+    message:
+      status === "scheduled"
+        ? "Maintenance scheduled, the vehicle is blocked for this window"
+        : "Maintenance recorded",
+    data: {
+      record: transformRecordForResponse(record),
+      nextMaintenanceDue: vehicle.nextMaintenanceDue,
+      available: vehicle.available,
+    },
+  });
+});
+
+// @desc    Update, complete or cancel a maintenance record
+// @route   PUT /api/vehicles/:id/maintenance/:recordId
+// @access  Private (admin)
+exports.updateMaintenanceRecord = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const record = await MaintenanceRecord.findOne({
+    where: { id: req.params.recordId, vehicleId: req.params.id },
+  });
+
+  if (!record) {
+    return next(new ErrorResponse("Maintenance record not found", 404));
+  }
+
+  const status = req.body.status || record.status;
+
+  if (record.status !== "scheduled" && status !== record.status) {
+    return next(
+      new ErrorResponse(
+        `A ${record.status} maintenance cannot be moved back to ${status}`,
+        400
+      )
+    );
+  }
+
+  const fields = pickRecordFields(req.body);
+
+  // --- A moved window is checked again against confirmed rentals ---
+  if (status === "scheduled") {
+    const conflicts = await findBookingConflicts(record.vehicleId, {
+      startDate: fields.startDate || record.startDate,
+      startTime: fields.startTime || record.startTime,
+      endDate: fields.endDate || record.endDate,
+      endTime: fields.endTime || record.endTime,
+    });
+    if (conflicts.length > 0) {
+      return next(conflictError(conflicts));
+    }
+  }
+
+  const invoice = req.file;
+  if (invoice) {
+    fields.invoiceData = invoice.buffer;
+    fields.invoiceMimetype = invoice.mimetype;
+    fields.invoiceName = invoice.originalname;
+  }
+
+  const completing = record.status !== "completed" && status === "completed";
+  const vehicle = await Vehicle.findByPk(record.vehicleId);
+
+  await sequelize.transaction(async (transaction) => {
+    await record.update({ ...fields, status }, { transaction });
+
+    if (completing || (status === "completed" && fields.date)) {
+      await applyCompletedService(vehicle, record, transaction);
+    }
+    await vehicle.syncAvailability(transaction);
+  });
+
+  res.status(200).json({
+    success: true,
+    message: completing
+      ? "Maintenance completed"
+      : status === "cancelled"
+      ? "Maintenance cancelled, the vehicle is released"
+      : "Maintenance updated",
+    data: {
+      record: transformRecordForResponse(record),
+      nextMaintenanceDue: vehicle.nextMaintenanceDue,
+      available: vehicle.available,
+    },
+  });
+});
+
+// @desc    Download the garage invoice of a maintenance record
+// @route   GET /api/vehicles/:id/maintenance/:recordId/invoice
+// @access  Private (admin)
+exports.getMaintenanceInvoice = asyncHandler(async (req, res, next) => {
+  const record = await MaintenanceRecord.findOne({
+    where: { id: req.params.recordId, vehicleId: req.params.id },
+    attributes: ["id", "invoiceData", "invoiceMimetype", "invoiceName"],
+  });
+
+  if (!record) {
+    return next(new ErrorResponse("Maintenance record not found", 404));
+  }
+
+  if (!record.invoiceData) {
+    return next(
+      new ErrorResponse("No invoice attached to this maintenance", 404)
+    );
+  }
+
+  res.set({
+    "Content-Type": record.invoiceMimetype,
+    "Content-Disposition": `attachment; filename="${(
+      record.invoiceName || "facture"
+    ).replace(/"/g, "")}"`,
+    "Content-Length": record.invoiceData.length,
+  });
+
+  res.send(record.invoiceData);
+});
+
+// @desc    Delete a maintenance record
+// @route   DELETE /api/vehicles/:id/maintenance/:recordId
+// @access  Private (admin)
+exports.deleteMaintenanceRecord = asyncHandler(async (req, res, next) => {
+  const record = await MaintenanceRecord.findOne({
+    where: { id: req.params.recordId, vehicleId: req.params.id },
+  });
+
+  if (!record) {
+    return next(new ErrorResponse("Maintenance record not found", 404));
+  }
+
+  const vehicle = await Vehicle.findByPk(record.vehicleId);
+
+  await sequelize.transaction(async (transaction) => {
+    await record.destroy({ transaction });
+    await vehicle.refreshMaintenanceDue(transaction);
+    await vehicle.syncAvailability(transaction);
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Maintenance record deleted",
+    data: {},
+  });
+});
@@ -0,0 +1,185 @@
+// src/controllers/pricingRules.js - Seasonal and date-based pricing rules management
+const { PricingRule, Vehicle, Admin } = require("../models");
+const { validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+
+// Ensure a rule targets either a vehicle, a brand or the whole fleet
+const validateRuleTarget = async (data) => {
+  if (data.vehicleId && data.brand) {
+    return "A pricing rule can target a vehicle or a brand, not both";
+  }
+
+  if (data.vehicleId) {
+    const vehicle = await Vehicle.findByPk(data.vehicleId);
+    if (!vehicle) {
+      return "Vehicle not found";
+    }
+  }
+
+  return null;
+};
+
+// @desc    Get all pricing rules
+// @route   GET /api/pricing-rules
+// @access  Private (admin)
+exports.getPricingRules = asyncHandler(async (req, res, next) => {
+  const { vehicleId, brand, isActive, date } = req.query;
+
+  const where = {};
+
+  if (vehicleId) {
+    where.vehicleId = vehicleId;
+  }
+
+  if (brand) {
+    where.brand = brand;
+  }
+
+  if (isActive !== undefined) {
+    where.isActive = isActive === "true";
+  }
+
+  // Rules in effect on a given date
+  if (date) {
+    where[Op.and] = [
+      { [Op.or]: [{ startDate: null }, { startDate: { [Op.lte]: date } }] },
+      { [Op.or]: [{ endDate: null }, { endDate: { [Op.gte]: date } }] },
+    ];
+  }
+
+  const rules = await PricingRule.findAll({
+    where,
+    order: [
+      ["priority", "DESC"],
+      ["startDate", "ASC"],
+    ],
+    include: [
+      {
+        model: Vehicle,
+        as: "vehicle",
+        attributes: ["id", "name", "brand", "licensePlate"],
+      },
+      {
+        model: Admin,
+        as: "createdBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: rules,
+  });
+});
+
+// @desc    Get single pricing rule
+// @route   GET /api/pricing-rules/:id
+// @access  Private (admin)
+exports.getPricingRule = asyncHandler(async (req, res, next) => {
+  const rule = await PricingRule.findByPk(req.params.id, {
+    include: [
+      {
+        model: Vehicle,
+        as: "vehicle",
+        attributes: ["id", "name", "brand", "licensePlate"],
+      },
+      {
+        model: Admin,
+        as: "createdBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+  });
+
+  if (!rule) {
+    return next(new ErrorResponse("Pricing rule not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rule,
+  });
+});
+
+// @desc    Create pricing rule
+// @route   POST /api/pricing-rules
+// @access  Private (admin)
+exports.createPricingRule = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const targetError = await validateRuleTarget(req.body);
+  if (targetError) {
+    return next(new ErrorResponse(targetError, 400));
+  }
+
+  const rule = await PricingRule.create({
+    ...req.body,
+    createdById: req.admin.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Pricing rule created successfully",
+    data: rule,
+  });
+});
+
+// @desc    Update pricing rule
+// @route   PUT /api/pricing-rules/:id
+// @access  Private (admin)
+exports.updatePricingRule = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const rule = await PricingRule.findByPk(req.params.id);
+
+  if (!rule) {
+    return next(new ErrorResponse("Pricing rule not found", 404));
+  }
+
+  const targetError = await validateRuleTarget({
+    vehicleId:
+      req.body.vehicleId !== undefined ? req.body.vehicleId : rule.vehicleId,
+    brand: req.body.brand !== undefined ? req.body.brand : rule.brand,
+  });
+  if (targetError) {
+    return next(new ErrorResponse(targetError, 400));
+  }
+
+  delete req.body.createdById;
+  await rule.update(req.body);
+
+  res.status(200).json({
+    success: true,
+    message: "Pricing rule updated successfully",
+    data: rule,
+  });
+});
+
+// @desc    Delete pricing rule
+// @route   DELETE /api/pricing-rules/:id
+// @access  Private (admin)
+exports.deletePricingRule = asyncHandler(async (req, res, next) => {
+  const rule = await PricingRule.findByPk(req.params.id);
+
+  if (!rule) {
+    return next(new ErrorResponse("Pricing rule not found", 404));
+  }
+
+  await rule.destroy();
+
+  res.status(200).json({
+    success: true,
+    message: "Pricing rule deleted successfully",
+    data: {},
+  });
+});
@@ -0,0 +1,176 @@
+// src/controllers/promotions.js - Promo codes management
+const { PromoCode, Booking, Admin } = require("../models");
+const { validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+
+// @desc    Get all promo codes
+// @route   GET /api/promotions
+// @access  Private (admin)
+exports.getPromoCodes = asyncHandler(async (req, res, next) => {
+  const { isActive, search } = req.query;
+
+  const where = {};
+
+  if (isActive !== undefined) {
+    where.isActive = isActive === "true";
+  }
+
+  if (search) {
+    where[Op.or] = [
+      { code: { [Op.iLike]: `%${search}%` } },
+      { description: { [Op.iLike]: `%${search}%` } },
+    ];
+  }
+
+  const promoCodes = await PromoCode.findAll({
+    where,
+    order: [["createdAt", "DESC"]],
+    include: [
+      {
+        model: Admin,
+        as: "createdBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    count: promoCodes.length,
+    data: promoCodes,
+  });
+});
+
+// @desc    Get single promo code with its bookings
+// @route   GET /api/promotions/:id
+// @access  Private (admin)
+exports.getPromoCode = asyncHandler(async (req, res, next) => {
+  const promoCode = await PromoCode.findByPk(req.params.id, {
+    include: [
+      {
+        model: Admin,
+        as: "createdBy",
+        attributes: ["id", "name", "email"],
+      },
+      {
+        model: Booking,
+        as: "bookings",
+        attributes: [
+          "id",
+          "bookingNumber",
+          "status",
+          "totalAmount",
+          "discountAmount",
+          "createdAt",
+        ],
+      },
+    ],
+  });
+
+  if (!promoCode) {
+    return next(new ErrorResponse("Promo code not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: promoCode,
+  });
+});
+
+// @desc    Create promo code
+// @route   POST /api/promotions
+// @access  Private (admin)
+exports.createPromoCode = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const existing = await PromoCode.findByCode(req.body.code);
+  if (existing) {
+    return next(
+      new ErrorResponse(`Promo code ${existing.code} already exists`, 400)
+    );
+  }
+
+  delete req.body.usesCount;
+  const promoCode = await PromoCode.create({
+    ...req.body,
+    createdById: req.admin.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Promo code created successfully",
+    data: promoCode,
+  });
+});
+
+// @desc    Update promo code
+// @route   PUT /api/promotions/:id
+// @access  Private (admin)
+exports.updatePromoCode = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const promoCode = await PromoCode.findByPk(req.params.id);
+
+  if (!promoCode) {
+    return next(new ErrorResponse("Promo code not found", 404));
+  }
+
+  if (req.body.code) {
+    const existing = await PromoCode.findByCode(req.body.code);
+    if (existing && existing.id !== promoCode.id) {
+      return next(
+        new ErrorResponse(`Promo code ${existing.code} already exists`, 400)
+      );
+    }
+  }
+
+  delete req.body.createdById;
+  delete req.body.usesCount;
+  await promoCode.update(req.body);
+
+  res.status(200).json({
+    success: true,
+    message: "Promo code updated successfully",
+    data: promoCode,
+  });
+});
+
+// @desc    Delete promo code
+// @route   DELETE /api/promotions/:id
+// @access  Private (admin)
+exports.deletePromoCode = asyncHandler(async (req, res, next) => {
+  const promoCode = await PromoCode.findByPk(req.params.id);
+
+  if (!promoCode) {
+    return next(new ErrorResponse("Promo code not found", 404));
+  }
+
+  // Codes already used by bookings are kept for history: deactivate instead
+  const bookingsCount = await Booking.count({
+    where: { promoCodeId: promoCode.id },
+  });
+  if (bookingsCount > 0) {
+    return next(
+      new ErrorResponse(
+        `Promo code is used by ${bookingsCount} booking(s). Deactivate it instead.`,
+        400
+      )
+    );
+  }
+
+  await promoCode.destroy();
+
+  res.status(200).json({
+    success: true,
+    message: "Promo code deleted successfully",
+    data: {},
+  });
+});
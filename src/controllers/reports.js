@@ -0,0 +1,719 @@
+// src/controllers/reports.js - Revenue, profitability and occupancy reports
+const {
+  Vehicle,
+  Booking,
+  Expense,
+  MaintenanceRecord,
+  VehicleBlock,
+} = require("../models");
+const { Op } = require("sequelize");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  REVENUE_STATUSES,
+  REVENUE_DEFINITIONS,
+  getReportRange,
+  getDefaultRange,
+  getPeriodBuckets,
+  getComparisonRange,
+  getPercentChange,
+  toInterval,
+  mergeIntervals,
+  sumOverlapMs,
+  allocateBookingRevenue,
+  calculateDepreciation,
+  roundAmount,
+} = require("../utils/reportUtils");
+
+const EXPENSE_CATEGORIES = [
+  "fuel",
+  "repair",
+  "insurance",
+  "loan_installment",
+  "cleaning",
+  "other",
+];
+
+const REPORT_VEHICLE_ATTRIBUTES = [
+  "id",
+  "name",
+  "brand",
+  "year",
+  "licensePlate",
+  "status",
+  "mileage",
+  "purchasePrice",
+  "purchaseDate",
+  "residualValue",
+  "usefulLifeYears",
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const toHours = (ms) => roundAmount(ms / HOUR_MS);
+
+const average = (values) =>
+  values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+
+const toOccupancy = (bookedMs, availableMs) =>
+  availableMs > 0 ? roundAmount((bookedMs / availableMs) * 100) : null;
+
+// Report range from the query string (last 12 months by default)
+const resolveRange = (query) => {
+  const defaults = getDefaultRange();
+  return {
+    from: query.from || defaults.from,
+    to: query.to || defaults.to,
+  };
+};
+
+/**
+ * Revenue, expenses, maintenance and depreciation of vehicles over a range.
+ * Booking revenue is recognised over the rental days falling in the range.
+ */
+const buildProfitability = async (vehicles, from, to) => {
+  const vehicleIds = vehicles.map((vehicle) => vehicle.id);
+  const { start, end } = getReportRange(from, to);
+
+  const bookings = await Booking.findAll({
+    where: {
+      vehicleId: vehicleIds,
+      status: REVENUE_STATUSES,
+      pickupDate: { [Op.lte]: to },
+      returnDate: { [Op.gte]: from },
+    },
+    attributes: [
+      "id",
+      "vehicleId",
+      "pickupDate",
+      "pickupTime",
+      "returnDate",
+      "returnTime",
+      "totalDays",
+      "totalAmount",
+    ],
+  });
+
+  const expenseTotals = await Expense.getTotalsByVehicle(vehicleIds, from, to);
+  const maintenanceCosts = await MaintenanceRecord.getCostsByVehicle(
+    vehicleIds,
+    from,
+    to
+  );
+
+  return vehicles.map((vehicle) => {
+    const rentals = bookings
+      .filter((booking) => booking.vehicleId === vehicle.id)
+      .map((booking) => allocateBookingRevenue(booking, start, end))
+      .filter((allocation) => allocation.share > 0);
+
+    const revenue = rentals.reduce((sum, item) => sum + item.revenue, 0);
+    const rentalDays = rentals.reduce((sum, item) => sum + item.rentalDays, 0);
+
+    const byCategory = EXPENSE_CATEGORIES.reduce((totals, category) => {
+      totals[category] = (expenseTotals[vehicle.id] || {})[category] || 0;
+      return totals;
+    }, {});
+    const expenses = Object.values(byCategory).reduce((a, b) => a + b, 0);
+    const maintenanceCost = maintenanceCosts[vehicle.id] || 0;
+    const depreciation = calculateDepreciation(vehicle, from, to);
+
+    const totalCosts =
+      expenses + maintenanceCost + (depreciation ? depreciation.amount : 0);
+    const profit = revenue - totalCosts;
+
+    return {
+      vehicle: {
+        id: vehicle.id,
+        name: vehicle.name,
+        brand: vehicle.brand,
+        year: vehicle.year,
+        licensePlate: vehicle.licensePlate,
+        status: vehicle.status,
+        mileage: vehicle.mileage,
+        purchasePrice: vehicle.purchasePrice
+          ? parseFloat(vehicle.purchasePrice)
+          : null,
+        purchaseDate: vehicle.purchaseDate,
+      },
+      bookings: rentals.length,
+      rentalDays: roundAmount(rentalDays),
+      revenue: roundAmount(revenue),
+      expenses: {
+        byCategory,
+        total: roundAmount(expenses),
+      },
+      maintenanceCost: roundAmount(maintenanceCost),
+      depreciation: depreciation ? depreciation.amount : null,
+      bookValue: depreciation ? depreciation.bookValue : null,
+      totalCosts: roundAmount(totalCosts),
+      profit: roundAmount(profit),
+      margin: revenue > 0 ? roundAmount((profit / revenue) * 100) : null,
+      profitPerRentalDay:
+        rentalDays > 0 ? roundAmount(profit / rentalDays) : null,
+    };
+  });
+};
+
+// @desc    Profitability of one vehicle over a date range
+// @route   GET /api/vehicles/:id/profitability
+// @access  Private (admin)
+exports.getVehicleProfitability = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const vehicle = await Vehicle.findByPk(req.params.id, {
+    attributes: REPORT_VEHICLE_ATTRIBUTES,
+  });
+
+  if (!vehicle) {
+    return next(new ErrorResponse("Vehicle not found", 404));
+  }
+
+  const { from, to } = resolveRange(req.query);
+  const [report] = await buildProfitability([vehicle], from, to);
+
+  const expenses = await Expense.findAll({
+    where: {
+      vehicleId: vehicle.id,
+      date: { [Op.between]: [from, to] },
+    },
+    order: [["date", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      period: { from, to },
+      ...report,
+      expenseEntries: expenses,
+      ...(!vehicle.purchasePrice && {
+        warnings: ["No purchase price recorded: depreciation is not included"],
+      }),
+    },
+  });
+});
+
+// @desc    Fleet profitability, least profitable vehicles first
+// @route   GET /api/vehicles/profitability
+// @access  Private (admin)
+exports.getFleetProfitability = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const { from, to } = resolveRange(req.query);
+
+  const whereClause = {};
+  if (req.query.status) {
+    whereClause.status = req.query.status;
+  }
+  if (req.query.brand) {
+    whereClause.brand = req.query.brand;
+  }
+
+  const vehicles = await Vehicle.findAll({
+    where: whereClause,
+    attributes: REPORT_VEHICLE_ATTRIBUTES,
+  });
+
+  const reports = (await buildProfitability(vehicles, from, to)).sort(
+    (a, b) => a.profit - b.profit
+  );
+
+  const sum = (field) =>
+    roundAmount(reports.reduce((total, item) => total + (item[field] || 0), 0));
+
+  const revenue = sum("revenue");
+  const profit = sum("profit");
+
+  res.status(200).json({
+    success: true,
+    count: reports.length,
+    data: {
+      period: { from, to },
+      totals: {
+        revenue,
+        expenses: roundAmount(
+          reports.reduce((total, item) => total + item.expenses.total, 0)
+        ),
+        maintenanceCost: sum("maintenanceCost"),
+        depreciation: sum("depreciation"),
+        totalCosts: sum("totalCosts"),
+        profit,
+        margin: revenue > 0 ? roundAmount((profit / revenue) * 100) : null,
+        rentalDays: sum("rentalDays"),
+        bookValue: sum("bookValue"),
+      },
+      // Vehicles losing money over the period
+      unprofitable: reports.filter((item) => item.profit < 0).length,
+      vehicles: reports,
+    },
+  });
+});
+
+/**
+ * Time each vehicle spends off the road over a range: scheduled or
+ * completed maintenance windows and blackout periods.
+ *
+ * @returns {object} { vehicleId: [{ start, end }] }
+ */
+const getOffRoadIntervals = async (vehicleIds, from, to) => {
+  const overlapping = {
+    vehicleId: vehicleIds,
+    startDate: { [Op.lte]: to },
+    endDate: { [Op.gte]: from },
+  };
+
+  const [windows, blocks] = await Promise.all([
+    MaintenanceRecord.findAll({
+      where: { ...overlapping, status: ["scheduled", "completed"] },
+      attributes: ["vehicleId", "startDate", "startTime", "endDate", "endTime"],
+    }),
+    VehicleBlock.findAll({
+      where: overlapping,
+      attributes: ["vehicleId", "startDate", "startTime", "endDate", "endTime"],
+    }),
+  ]);
+
+  return [...windows, ...blocks].reduce((intervals, period) => {
+    intervals[period.vehicleId] = intervals[period.vehicleId] || [];
+    intervals[period.vehicleId].push(
+      toInterval(
+        period.startDate,
+        period.startTime,
+        period.endDate,
+        period.endTime
+      )
+    );
+    return intervals;
+  }, {});
+};
+
+/**
+ * Occupancy of vehicles over a range, month by month.
+ * Occupancy = booked hours / available hours, where available hours are
+ * the calendar hours minus maintenance and blackout time.
+ */
+const buildOccupancy = async (vehicles, from, to) => {
+  const vehicleIds = vehicles.map((vehicle) => vehicle.id);
+  const { start, end } = getReportRange(from, to);
+  const months = getPeriodBuckets(from, to, "month");
+
+  const bookings = await Booking.findAll({
+    where: {
+      vehicleId: vehicleIds,
+      status: REVENUE_STATUSES,
+      pickupDate: { [Op.lte]: to },
+      returnDate: { [Op.gte]: from },
+    },
+    attributes: [
+      "id",
+      "vehicleId",
+      "pickupDate",
+      "pickupTime",
+      "returnDate",
+      "returnTime",
+      "createdAt",
+    ],
+  });
+
+  const offRoad = await getOffRoadIntervals(vehicleIds, from, to);
+
+  return vehicles.map((vehicle) => {
+    const unavailable = mergeIntervals(offRoad[vehicle.id] || []);
+    const rentals = bookings
+      .filter((booking) => booking.vehicleId === vehicle.id)
+      .map((booking) => ({
+        ...toInterval(
+          booking.pickupDate,
+          booking.pickupTime,
+          booking.returnDate,
+          booking.returnTime
+        ),
+        createdAt: new Date(booking.createdAt),
+      }));
+
+    // Booked time never exceeds the time the vehicle could be rented
+    const measure = (periodStart, periodEnd) => {
+      const availableMs =
+        periodEnd -
+        periodStart -
+        sumOverlapMs(unavailable, periodStart, periodEnd);
+      const bookedMs = Math.min(
+        sumOverlapMs(rentals, periodStart, periodEnd),
+        availableMs
+      );
+      return { availableMs, bookedMs };
+    };
+
+    const monthly = months.map((month) => {
+      const { availableMs, bookedMs } = measure(month.start, month.end);
+      return {
+        month: month.key,
+        availableMs,
+        bookedMs,
+      };
+    });
+    const total = measure(start, end);
+
+    // Rentals starting inside the range
+    const started = rentals.filter(
+      (rental) => rental.start >= start && rental.start < end
+    );
+    const rentalHours = started.map(
+      (rental) => (rental.end - rental.start) / HOUR_MS
+    );
+    const leadTimes = started.map(
+      (rental) => Math.max(0, rental.start - rental.createdAt) / DAY_MS
+    );
+
+    // Rentable time between two consecutive rentals
+    const merged = mergeIntervals(rentals);
+    const idleGaps = [];
+    for (let i = 1; i < merged.length; i++) {
+      const gapStart = new Date(Math.max(merged[i - 1].end, start));
+      const gapEnd = new Date(Math.min(merged[i].start, end));
+      if (gapEnd <= gapStart) continue;
+
+      const idleMs =
+        gapEnd - gapStart - sumOverlapMs(unavailable, gapStart, gapEnd);
+      if (idleMs > 0) {
+        idleGaps.push(idleMs / HOUR_MS);
+      }
+    }
+
+    return {
+      vehicle: {
+        id: vehicle.id,
+        name: vehicle.name,
+        brand: vehicle.brand,
+        licensePlate: vehicle.licensePlate,
+        status: vehicle.status,
+      },
+      availableMs: total.availableMs,
+      bookedMs: total.bookedMs,
+      unavailableMs: end - start - total.availableMs,
+      months: monthly,
+      rentalHours,
+      leadTimes,
+      idleGaps,
+    };
+  });
+};
+
+// Averages over a list of vehicle occupancies
+const summarizeRentals = (items) => {
+  const rentalHours = items.flatMap((item) => item.rentalHours);
+  const leadTimes = items.flatMap((item) => item.leadTimes);
+  const idleGaps = items.flatMap((item) => item.idleGaps);
+
+  const averageRentalHours = average(rentalHours);
+  const averageLeadTime = average(leadTimes);
+  const averageIdleGap = average(idleGaps);
+
+  return {
+    rentals: rentalHours.length,
+    averageRentalDays:
+      averageRentalHours !== null ? roundAmount(averageRentalHours / 24) : null,
+    averageLeadTimeDays:
+      averageLeadTime !== null ? roundAmount(averageLeadTime) : null,
+    idleGaps: {
+      count: idleGaps.length,
+      averageHours:
+        averageIdleGap !== null ? roundAmount(averageIdleGap) : null,
+      longestHours:
+        idleGaps.length > 0 ? roundAmount(Math.max(...idleGaps)) : null,
+    },
+  };
+};
+
+// Booked / available hours of a group of vehicles, overall and per month
+const summarizeOccupancy = (items, months) => {
+  const sum = (list, field) =>
+    list.reduce((total, item) => total + item[field], 0);
+
+  const bookedMs = sum(items, "bookedMs");
+  const availableMs = sum(items, "availableMs");
+
+  return {
+    bookedHours: toHours(bookedMs),
+    availableHours: toHours(availableMs),
+    unavailableHours: toHours(sum(items, "unavailableMs")),
+    occupancy: toOccupancy(bookedMs, availableMs),
+    months: months.map((month, index) => {
+      const periods = items.map((item) => item.months[index]);
+      const monthBooked = sum(periods, "bookedMs");
+      const monthAvailable = sum(periods, "availableMs");
+      return {
+        month: month.key,
+        bookedHours: toHours(monthBooked),
+        availableHours: toHours(monthAvailable),
+        occupancy: toOccupancy(monthBooked, monthAvailable),
+      };
+    }),
+    ...summarizeRentals(items),
+  };
+};
+
+// @desc    Fleet occupancy per vehicle, brand and month (heatmap data)
+// @route   GET /api/reports/occupancy
+// @access  Private (admin)
+exports.getOccupancyReport = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const { from, to } = resolveRange(req.query);
+  const months = getPeriodBuckets(from, to, "month");
+
+  const whereClause = {};
+  if (req.query.vehicleId) {
+    whereClause.id = req.query.vehicleId;
+  }
+  if (req.query.status) {
+    whereClause.status = req.query.status;
+  }
+  if (req.query.brand) {
+    whereClause.brand = req.query.brand;
+  }
+
+  const vehicles = await Vehicle.findAll({
+    where: whereClause,
+    attributes: ["id", "name", "brand", "licensePlate", "status"],
+    order: [
+      ["brand", "ASC"],
+      ["name", "ASC"],
+    ],
+  });
+
+  const items = await buildOccupancy(vehicles, from, to);
+
+  const byVehicle = items.map((item) => ({
+    vehicle: item.vehicle,
+    ...summarizeOccupancy([item], months),
+  }));
+
+  const brands = [...new Set(items.map((item) => item.vehicle.brand))];
+  const byBrand = brands.map((brand) => ({
+    brand,
+    vehicles: items.filter((item) => item.vehicle.brand === brand).length,
+    ...summarizeOccupancy(
+      items.filter((item) => item.vehicle.brand === brand),
+      months
+    ),
+  }));
+
+  const fleet = summarizeOccupancy(items, months);
+
+  res.status(200).json({
+    success: true,
+    count: byVehicle.length,
+    data: {
+      period: { from, to },
+      fleet,
+      byBrand,
+      byVehicle,
+      // Occupancy (%) grid: one row per vehicle or brand, one column per month
+      heatmap: {
+        months: months.map((month) => month.key),
+        vehicles: byVehicle.map((item) => ({
+          id: item.vehicle.id,
+          label: `${item.vehicle.brand} ${item.vehicle.name} (${item.vehicle.licensePlate})`,
+          values: item.months.map((month) => month.occupancy),
+        })),
+        brands: byBrand.map((item) => ({
+          label: item.brand,
+          values: item.months.map((month) => month.occupancy),
+        })),
+      },
+    },
+  });
+});
+
+/**
+ * Bookings counted as revenue under a definition and overlapping a range,
+ * with their vehicle.
+ */
+const findRevenueBookings = (filters, statuses, from, to) =>
+  Booking.findAll({
+    where: {
+      ...filters.booking,
+      status: statuses,
+      pickupDate: { [Op.lte]: to },
+      returnDate: { [Op.gte]: from },
+    },
+    attributes: [
+      "id",
+      "vehicleId",
+      "source",
+      "status",
+      "pickupDate",
+      "pickupTime",
+      "returnDate",
+      "returnTime",
+      "totalDays",
+      "totalAmount",
+    ],
+    include: [
+      {
+        model: Vehicle,
+        as: "vehicle",
+        attributes: ["id", "name", "brand", "licensePlate"],
+        ...(filters.vehicle && { where: filters.vehicle }),
+      },
+    ],
+  });
+
+// Revenue and rental days of each booking falling inside [start, end)
+const allocateRevenue = (bookings, start, end) =>
+  bookings
+    .map((booking) => ({
+      booking,
+      ...allocateBookingRevenue(booking, start, end),
+    }))
+    .filter((allocation) => allocation.share > 0);
+
+// Revenue totals of allocations grouped by a key
+const groupRevenue = (allocations, keyOf) =>
+  allocations.reduce((groups, allocation) => {
+    const key = keyOf(allocation.booking);
+    groups[key] = groups[key] || { revenue: 0, rentalDays: 0, bookings: 0 };
+    groups[key].revenue += allocation.revenue;
+    groups[key].rentalDays += allocation.rentalDays;
+    groups[key].bookings += 1;
+    return groups;
+  }, {});
+
+const formatRevenue = (group = { revenue: 0, rentalDays: 0, bookings: 0 }) => ({
+  revenue: roundAmount(group.revenue),
+  rentalDays: roundAmount(group.rentalDays),
+  bookings: group.bookings,
+});
+
+// Current figures of each group next to the comparison period ones
+const compareGroups = (current, previous, describe) =>
+  [...new Set([...Object.keys(current), ...Object.keys(previous)])]
+    .map((key) => {
+      const figures = formatRevenue(current[key]);
+      const previousRevenue = roundAmount((previous[key] || {}).revenue || 0);
+      return {
+        ...describe(key),
+        ...figures,
+        previousRevenue,
+        change: roundAmount(figures.revenue - previousRevenue),
+        changePercent: getPercentChange(figures.revenue, previousRevenue),
+      };
+    })
+    .sort((a, b) => b.revenue - a.revenue);
+
+// @desc    Revenue over time by source, brand and vehicle with comparison
+// @route   GET /api/reports/revenue
+// @access  Private (admin)
+exports.getRevenueReport = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const { from, to } = resolveRange(req.query);
+  const {
+    groupBy = "month",
+    definition = "confirmed",
+    compare = "previous",
+  } = req.query;
+  const statuses = REVENUE_DEFINITIONS[definition];
+  const comparison = getComparisonRange(from, to, compare);
+
+  const filters = { booking: {}, vehicle: null };
+  if (req.query.source) {
+    filters.booking.source = req.query.source;
+  }
+  if (req.query.vehicleId) {
+    filters.booking.vehicleId = req.query.vehicleId;
+  }
+  if (req.query.brand) {
+    filters.vehicle = { brand: req.query.brand };
+  }
+
+  const [bookings, previousBookings] = await Promise.all([
+    findRevenueBookings(filters, statuses, from, to),
+    findRevenueBookings(filters, statuses, comparison.from, comparison.to),
+  ]);
+
+  const range = getReportRange(from, to);
+  const previousRange = getReportRange(comparison.from, comparison.to);
+  const current = allocateRevenue(bookings, range.start, range.end);
+  const previous = allocateRevenue(
+    previousBookings,
+    previousRange.start,
+    previousRange.end
+  );
+
+  const series = getPeriodBuckets(from, to, groupBy).map((bucket) => {
+    const allocations = allocateRevenue(bookings, bucket.start, bucket.end);
+    const bySource = groupRevenue(allocations, (booking) => booking.source);
+
+    return {
+      period: bucket.key,
+      ...formatRevenue(groupRevenue(allocations, () => "all").all),
+      bySource: {
+        website: formatRevenue(bySource.website).revenue,
+        admin: formatRevenue(bySource.admin).revenue,
+      },
+    };
+  });
+
+  const vehicles = bookings.concat(previousBookings).reduce((list, booking) => {
+    list[booking.vehicleId] = booking.vehicle;
+    return list;
+  }, {});
+
+  const totals = formatRevenue(groupRevenue(current, () => "all").all);
+  const previousTotals = formatRevenue(groupRevenue(previous, () => "all").all);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      period: { from, to, groupBy },
+      comparisonPeriod: { ...comparison, compare },
+      // Pending and cancelled bookings never count as revenue
+      definition: { name: definition, statuses },
+      totals: {
+        ...totals,
+        averageDailyRate:
+          totals.rentalDays > 0
+            ? roundAmount(totals.revenue / totals.rentalDays)
+            : null,
+        previousRevenue: previousTotals.revenue,
+        previousRentalDays: previousTotals.rentalDays,
+        change: roundAmount(totals.revenue - previousTotals.revenue),
+        changePercent: getPercentChange(totals.revenue, previousTotals.revenue),
+      },
+      series,
+      bySource: compareGroups(
+        groupRevenue(current, (booking) => booking.source),
+        groupRevenue(previous, (booking) => booking.source),
+        (source) => ({ source })
+      ),
+      byBrand: compareGroups(
+        groupRevenue(current, (booking) => booking.vehicle.brand),
+        groupRevenue(previous, (booking) => booking.vehicle.brand),
+        (brand) => ({ brand })
+      ),
+      byVehicle: compareGroups(
+        groupRevenue(current, (booking) => booking.vehicleId),
+        groupRevenue(previous, (booking) => booking.vehicleId),
+        (vehicleId) => ({ vehicle: vehicles[vehicleId] })
+      ),
+    },
+  });
+});
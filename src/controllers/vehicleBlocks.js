@@ -0,0 +1,216 @@
+// src/controllers/vehicleBlocks.js - Blackout periods (private use, transfer, body shop...)
+const { VehicleBlock, Vehicle, Booking, Admin } = require("../models");
+const { Op } = require("sequelize");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+
+const BLOCK_FIELDS = [
+  "reason",
+  "startDate",
+  "startTime",
+  "endDate",
+  "endTime",
+  "notes",
+];
+
+// A block cannot take away a vehicle promised to a customer
+const checkBookingConflicts = async (vehicleId, block) => {
+  const conflicts = await Booking.getConflictingBookings(
+    vehicleId,
+    block.startDate,
+    block.endDate,
+    block.startTime,
+    block.endTime
+  );
+
+  if (conflicts.length === 0) return null;
+
+  return new ErrorResponse(
+    "The blackout period overlaps confirmed bookings",
+    409,
+    conflicts.map((booking) => ({
+      bookingId: booking.id,
+      bookingNumber: booking.bookingNumber,
+      pickup: `${booking.pickupDate} ${booking.pickupTime}`,
+      return: `${booking.returnDate} ${booking.returnTime}`,
+    }))
+  );
+};
+
+// @desc    Get blackout periods of a vehicle
+// @route   GET /api/vehicles/:id/blocks
+// @access  Private (admin)
+exports.getVehicleBlocks = asyncHandler(async (req, res, next) => {
+  const vehicle = await Vehicle.findByPk(req.params.id, {
+    attributes: ["id", "name", "brand", "licensePlate"],
+  });
+
+  if (!vehicle) {
+    return next(new ErrorResponse("Vehicle not found", 404));
+  }
+
+  // Current and future blocks unless a range is given
+  const from = req.query.from || new Date().toISOString().split("T")[0];
+  const whereClause = {
+    vehicleId: vehicle.id,
+    endDate: { [Op.gte]: from },
+  };
+  if (req.query.to) {
+    whereClause.startDate = { [Op.lte]: req.query.to };
+  }
+
+  const blocks = await VehicleBlock.findAll({
+    where: whereClause,
+    order: [
+      ["startDate", "ASC"],
+      ["startTime", "ASC"],
+    ],
+    include: [
+      {
+        model: Admin,
+        as: "createdBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    count: blocks.length,
+    data: {
+      vehicle,
+      blocks,
+    },
+  });
+});
+
+// @desc    Block a vehicle for a period
+// @route   POST /api/vehicles/:id/blocks
+// @access  Private (admin)
+exports.createVehicleBlock = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const vehicle = await Vehicle.findByPk(req.params.id);
+
+  if (!vehicle) {
+    return next(new ErrorResponse("Vehicle not found", 404));
+  }
+
+  const {
+    reason,
+    startDate,
+    startTime = "00:00",
+    endDate,
+    endTime = "23:59",
+    notes,
+  } = req.body;
+
+  const conflictError = await checkBookingConflicts(vehicle.id, {
+    startDate,
+    startTime,
+    endDate,
+    endTime,
+  });
+  if (conflictError) {
+    return next(conflictError);
+  }
+
+  const block = await VehicleBlock.create({
+    vehicleId: vehicle.id,
+    reason,
+    startDate,
+    startTime,
+    endDate,
+    endTime,
+    notes,
+    createdById: req.admin.id,
+  });
+  await vehicle.syncAvailability();
+
+  console.log("Vehicle blocked:", {
+    licensePlate: vehicle.licensePlate,
+    reason,
+    from: `${startDate} ${startTime}`,
+    to: `${endDate} ${endTime}`,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Vehicle blocked from ${startDate} ${startTime} to ${endDate} ${endTime}`,
+    data: block,
+  });
+});
+
+// @desc    Update a blackout period
+// @route   PUT /api/vehicles/:id/blocks/:blockId
+// @access  Private (admin)
+exports.updateVehicleBlock = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const block = await VehicleBlock.findOne({
+    where: { id: req.params.blockId, vehicleId: req.params.id },
+  });
+
+  if (!block) {
+    return next(new ErrorResponse("Vehicle block not found", 404));
+  }
+
+  const updates = {};
+  BLOCK_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      updates[field] = req.body[field];
+    }
+  });
+
+  const conflictError = await checkBookingConflicts(block.vehicleId, {
+    startDate: updates.startDate || block.startDate,
+    startTime: updates.startTime || block.startTime,
+    endDate: updates.endDate || block.endDate,
+    endTime: updates.endTime || block.endTime,
+  });
+  if (conflictError) {
+    return next(conflictError);
+  }
+
+  await block.update(updates);
+
+  const vehicle = await Vehicle.findByPk(block.vehicleId);
+  await vehicle.syncAvailability();
+
+  res.status(200).json({
+    success: true,
+    message: "Vehicle block updated",
+    data: block,
+  });
+});
+
+// @desc    Remove a blackout period
+// @route   DELETE /api/vehicles/:id/blocks/:blockId
+// @access  Private (admin)
+exports.deleteVehicleBlock = asyncHandler(async (req, res, next) => {
+  const block = await VehicleBlock.findOne({
+    where: { id: req.params.blockId, vehicleId: req.params.id },
+  });
+
+  if (!block) {
+    return next(new ErrorResponse("Vehicle block not found", 404));
+  }
+
+  await block.destroy();
+
+  const vehicle = await Vehicle.findByPk(block.vehicleId);
+  await vehicle.syncAvailability();
+
+  res.status(200).json({
+    success: true,
+    message: "Vehicle block removed",
+    data: {},
+  });
+});
@@ -0,0 +1,238 @@
+// src/controllers/vehicleDocuments.js - Vehicle compliance documents and expiry alerts
+const { VehicleDocument, Vehicle, Admin } = require("../models");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../middleware/asyncHandler");
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  VEHICLE_DOCUMENT_TYPES,
+  VEHICLE_DOCUMENT_LABELS,
+  getCurrentDocuments,
+} = require("../utils/vehicleDocumentUtils");
+
+// Document fields editable from the API
+const DOCUMENT_FIELDS = [
+  "type",
+  "documentNumber",
+  "issuer",
+  "issueDate",
+  "expiryDate",
+  "notes",
+];
+
+// File bytes are only sent through the download route
+const transformDocumentForResponse = (document) => {
+  const data = document.toJSON();
+  delete data.fileData;
+  data.label = VEHICLE_DOCUMENT_LABELS[document.type];
+  data.hasFile = !!document.fileMimetype;
+  data.daysUntilExpiry = document.getDaysUntilExpiry();
+  return data;
+};
+
+// @desc    Fleet documents expired or expiring soon
+// @route   GET /api/vehicles/documents/expiring
+// @access  Private (admin)
+exports.getExpiringDocuments = asyncHandler(async (req, res, next) => {
+  const daysAhead = parseInt(req.query.days, 10) || 30;
+
+  const { expired, expiringSoon, byType, documents } =
+    await VehicleDocument.getExpiringDocuments(daysAhead);
+
+  res.status(200).json({
+    success: true,
+    count: documents.length,
+    data: {
+      criteria: { days: daysAhead },
+      expired,
+      expiringSoon,
+      byType,
+      documents: documents.map(transformDocumentForResponse),
+    },
+  });
+});
+
+// @desc    Documents of a vehicle, current and past
+// @route   GET /api/vehicles/:id/documents
+// @access  Private (admin)
+exports.getVehicleDocuments = asyncHandler(async (req, res, next) => {
+  const vehicle = await Vehicle.findByPk(req.params.id, {
+    attributes: ["id", "name", "brand", "licensePlate"],
+  });
+
+  if (!vehicle) {
+    return next(new ErrorResponse("Vehicle not found", 404));
+  }
+
+  const documents = await VehicleDocument.findAll({
+    where: { vehicleId: vehicle.id },
+    attributes: { exclude: ["fileData"] },
+    order: [
+      ["type", "ASC"],
+      ["expiryDate", "DESC"],
+    ],
+    include: [
+      {
+        model: Admin,
+        as: "uploadedBy",
+        attributes: ["id", "name", "email"],
+      },
+    ],
+  });
+
+  const current = getCurrentDocuments(documents);
+
+  res.status(200).json({
+    success: true,
+    count: documents.length,
+    data: {
+      vehicle,
+      current: VEHICLE_DOCUMENT_TYPES.map((type) => ({
+        type,
+        label: VEHICLE_DOCUMENT_LABELS[type],
+        document: current[type]
+          ? transformDocumentForResponse(current[type])
+          : null,
+      })),
+      documents: documents.map(transformDocumentForResponse),
+    },
+  });
+});
+
+// @desc    Upload a vehicle document (renewals are added, not replaced)
+// @route   POST /api/vehicles/:id/documents
+// @access  Private (admin)
+exports.createVehicleDocument = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const vehicle = await Vehicle.findByPk(req.params.id, {
+    attributes: ["id", "licensePlate"],
+  });
+
+  if (!vehicle) {
+    return next(new ErrorResponse("Vehicle not found", 404));
+  }
+
+  if (!req.file) {
+    return next(new ErrorResponse("Please upload the document file", 400));
+  }
+
+  const fields = {};
+  DOCUMENT_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined && req.body[field] !== "") {
+      fields[field] = req.body[field];
+    }
+  });
+
+  const document = await VehicleDocument.create({
+    ...fields,
+    vehicleId: vehicle.id,
+    fileData: req.file.buffer,
+    fileMimetype: req.file.mimetype,
+    fileName: req.file.originalname,
+    uploadedById: req.admin.id,
+  });
+
+  console.log("Vehicle document uploaded:", {
+    licensePlate: vehicle.licensePlate,
+    type: document.type,
+    expiryDate: document.expiryDate,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `${VEHICLE_DOCUMENT_LABELS[document.type]} uploaded`,
+    data: transformDocumentForResponse(document),
+  });
+});
+
+// @desc    Update a vehicle document (optionally replacing its file)
+// @route   PUT /api/vehicles/:id/documents/:documentId
+// @access  Private (admin)
+exports.updateVehicleDocument = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const document = await VehicleDocument.findOne({
+    where: { id: req.params.documentId, vehicleId: req.params.id },
+  });
+
+  if (!document) {
+    return next(new ErrorResponse("Document not found", 404));
+  }
+
+  const updates = {};
+  DOCUMENT_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      updates[field] = req.body[field] === "" ? null : req.body[field];
+    }
+  });
+
+  if (req.file) {
+    updates.fileData = req.file.buffer;
+    updates.fileMimetype = req.file.mimetype;
+    updates.fileName = req.file.originalname;
+  }
+
+  await document.update(updates);
+
+  res.status(200).json({
+    success: true,
+    message: "Document updated",
+    data: transformDocumentForResponse(document),
+  });
+});
+
+// @desc    Download the scanned document
+// @route   GET /api/vehicles/:id/documents/:documentId/file
+// @access  Private (admin)
+exports.getVehicleDocumentFile = asyncHandler(async (req, res, next) => {
+  const document = await VehicleDocument.findOne({
+    where: { id: req.params.documentId, vehicleId: req.params.id },
+    attributes: ["id", "type", "fileData", "fileMimetype", "fileName"],
+  });
+
+  if (!document) {
+    return next(new ErrorResponse("Document not found", 404));
+  }
+
+  if (!document.fileData) {
+    return next(new ErrorResponse("No file attached to this document", 404));
+  }
+
+  res.set({
+    "Content-Type": document.fileMimetype,
+    "Content-Disposition": `attachment; filename="${(
+      document.fileName || document.type
+    ).replace(/"/g, "")}"`,
+    "Content-Length": document.fileData.length,
+  });
+
+  res.send(document.fileData);
+});
+
+// @desc    Delete a vehicle document
+// @route   DELETE /api/vehicles/:id/documents/:documentId
+// @access  Private (admin)
+exports.deleteVehicleDocument = asyncHandler(async (req, res, next) => {
+  const document = await VehicleDocument.findOne({
+    where: { id: req.params.documentId, vehicleId: req.params.id },
+    attributes: ["id"],
+  });
+
+  if (!document) {
+    return next(new ErrorResponse("Document not found", 404));
+  }
+
+  await document.destroy();
+
+  res.status(200).json({
+    success: true,
+    message: "Document deleted",
+    data: {},
+  });
+});
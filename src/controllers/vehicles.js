@@ -1,10 +1,16 @@
 // src/controllers/vehicles.js - Updated with BYTEA Image Storage
-const { Vehicle, Admin } = require("../models");
+const { Vehicle, Admin, VehicleDocument } = require("../models");
 const { validationResult } = require("express-validator");
 const { Op } = require("sequelize");
 const asyncHandler = require("../middleware/asyncHandler");
 const ErrorResponse = require("../utils/errorResponse");
 const { sequelize } = require("../config/database");
+const { calculateDepreciation, roundAmount } = require("../utils/reportUtils");
+const {
+  toNumber,
+  getExportAttributes,
+  streamExport,
+} = require("../utils/exportUtils");
 
 // @desc    Get available brands
 // @route   GET /api/vehicles/brands
@@ -52,6 +58,19 @@ const processImageForStorage = (file) => {
   };
 };
 
+// Ownership figures (profitability reports) are only shown to admins
+const OWNERSHIP_FIELDS = [
+  "purchasePrice",
+  "purchaseDate",
+  "residualValue",
+  "usefulLifeYears",
+];
+
+const hideOwnershipFields = (vehicleData) => {
+  OWNERSHIP_FIELDS.forEach((field) => delete vehicleData[field]);
+  return vehicleData;
+};
+
 // Helper function to transform vehicle data for frontend
 const transformVehicleForResponse = (vehicle) => {
   const vehicleData = vehicle.toJSON();
@@ -74,16 +93,9 @@ const transformVehicleForResponse = (vehicle) => {
   return vehicleData;
 };
 
-// @desc    Get all vehicles with advanced filtering and pagination
-// @route   GET /api/vehicles
-// @access  Public
-const getVehicles = asyncHandler(async (req, res, next) => {
-  // Extract query parameters
+// Where clause of the vehicle list filters (list and export)
+const buildVehicleFilters = (query) => {
   const {
-    select,
-    sort,
-    page = 1,
-    limit = 25,
     brand,
     transmission,
     fuelType,
@@ -93,12 +105,8 @@ const getVehicles = asyncHandler(async (req, res, next) => {
     seats,
     search,
     status,
-    ...otherFilters
-  } = req.query;
-
-  console.log("Search query received:", search); // DEBUG LOG
+  } = query;
 
-  // Build where clause
   const where = {};
 
   // Add basic filters
@@ -146,19 +154,35 @@ const getVehicles = asyncHandler(async (req, res, next) => {
       { licensePlate: { [Op.iLike]: `%${searchTerm}%` } },
     ];
   }
+
+  return where;
+};
+
+// Order clause from "?sort=price,-createdAt"
+const buildVehicleOrder = (sort) => {
+  if (!sort) return [["createdAt", "DESC"]];
+
+  return sort.split(",").map((field) => {
+    if (field.startsWith("-")) {
+      return [field.substring(1), "DESC"];
+    }
+    return [field, "ASC"];
+  });
+};
+
+// @desc    Get all vehicles with advanced filtering and pagination
+// @route   GET /api/vehicles
+// @access  Public
+const getVehicles = asyncHandler(async (req, res, next) => {
+  // Extract query parameters
+  const { select, sort, page = 1, limit = 25, search } = req.query;
+
+  console.log("Search query received:", search); // DEBUG LOG
+
+  const where = buildVehicleFilters(req.query);
   console.log("Final where clause:", JSON.stringify(where, null, 2)); // DEBUG LOG
 
-  // Build order clause
-  let order = [["createdAt", "DESC"]];
-  if (sort) {
-    const sortFields = sort.split(",").map((field) => {
-      if (field.startsWith("-")) {
-        return [field.substring(1), "DESC"];
-      }
-      return [field, "ASC"];
-    });
-    order = sortFields;
-  }
+  const order = buildVehicleOrder(sort);
 
   // Build attributes (select)
   let attributes;
@@ -191,7 +215,10 @@ const getVehicles = asyncHandler(async (req, res, next) => {
     console.log(`Found ${count} vehicles matching search criteria`); // DEBUG LOG
 
     // Transform vehicles for frontend (convert BYTEA to data URLs)
-    const transformedVehicles = vehicles.map(transformVehicleForResponse);
+    const transformedVehicles = vehicles.map((vehicle) => {
+      const vehicleData = transformVehicleForResponse(vehicle);
+      return req.admin ? vehicleData : hideOwnershipFields(vehicleData);
+    });
 
     // Build pagination result
     const pagination = {};
@@ -227,6 +254,98 @@ const getVehicles = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Spreadsheet columns of the vehicle export (no images)
+const VEHICLE_EXPORT_COLUMNS = [
+  { field: "brand", header: { fr: "Marque", en: "Brand" } },
+  { field: "name", header: { fr: "Modèle", en: "Model" } },
+  { field: "year", header: { fr: "Année", en: "Year" }, width: 8 },
+  {
+    field: "category",
+    header: { fr: "Catégorie", en: "Category" },
+    width: 12,
+  },
+  {
+    field: "licensePlate",
+    header: { fr: "Immatriculation", en: "License plate" },
+  },
+  { field: "status", header: { fr: "Statut", en: "Status" }, width: 12 },
+  {
+    field: "available",
+    header: { fr: "Disponible", en: "Available" },
+    width: 10,
+  },
+  {
+    field: "transmission",
+    header: { fr: "Boîte", en: "Transmission" },
+    width: 12,
+  },
+  { field: "fuelType", header: { fr: "Carburant", en: "Fuel" }, width: 12 },
+  { field: "seats", header: { fr: "Places", en: "Seats" }, width: 8 },
+  {
+    field: "price",
+    header: { fr: "Tarif journalier", en: "Daily rate" },
+    value: (vehicle) => toNumber(vehicle.price),
+  },
+  {
+    field: "caution",
+    header: { fr: "Caution", en: "Deposit" },
+    value: (vehicle) => toNumber(vehicle.caution),
+  },
+  { field: "mileage", header: { fr: "Kilométrage", en: "Mileage" } },
+  {
+    field: "totalBookings",
+    header: { fr: "Réservations", en: "Bookings" },
+    width: 12,
+  },
+  {
+    field: "whatsappNumber",
+    header: { fr: "WhatsApp", en: "WhatsApp" },
+  },
+  {
+    field: "purchaseDate",
+    header: { fr: "Date d'achat", en: "Purchase date" },
+  },
+  {
+    field: "purchasePrice",
+    header: { fr: "Prix d'achat", en: "Purchase price" },
+    value: (vehicle) => toNumber(vehicle.purchasePrice),
+  },
+  {
+    field: "nextMaintenanceDue",
+    header: { fr: "Prochain entretien", en: "Next maintenance" },
+  },
+  { field: "createdAt", header: { fr: "Créé le", en: "Created at" } },
+];
+
+// @desc    Export vehicles (same filters as the list) as CSV or Excel
+// @route   GET /api/vehicles/export
+// @access  Private (admin)
+const exportVehicles = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorResponse("Validation failed", 400, errors.array()));
+  }
+
+  const { format = "csv", lang = "fr", sort } = req.query;
+  const where = buildVehicleFilters(req.query);
+
+  await streamExport(res, {
+    format,
+    lang,
+    filename: "vehicules",
+    sheetName: lang === "fr" ? "Véhicules" : "Vehicles",
+    columns: VEHICLE_EXPORT_COLUMNS,
+    fetchBatch: (offset, limit) =>
+      Vehicle.findAll({
+        where,
+        attributes: getExportAttributes(VEHICLE_EXPORT_COLUMNS),
+        order: [...buildVehicleOrder(sort), ["id", "ASC"]],
+        offset,
+        limit,
+      }),
+  });
+});
+
 // @desc    Get single vehicle
 // @route   GET /api/vehicles/:id
 // @access  Public
@@ -247,6 +366,9 @@ const getVehicle = asyncHandler(async (req, res, next) => {
 
   // Transform vehicle data for frontend
   const vehicleData = transformVehicleForResponse(vehicle);
+  if (!req.admin) {
+    hideOwnershipFields(vehicleData);
+  }
 
   res.status(200).json({
     success: true,
@@ -634,14 +756,52 @@ const getVehicleStats = asyncHandler(async (req, res, next) => {
     },
   });
 
+  // Fleet value: purchase price and straight-line book value today
+  const today = new Date().toISOString().split("T")[0];
+  const ownedVehicles = await Vehicle.findAll({
+    where: {
+      status: ["active", "maintenance"],
+      purchasePrice: { [Op.ne]: null },
+    },
+    attributes: [
+      "id",
+      "purchasePrice",
+      "purchaseDate",
+      "residualValue",
+      "usefulLifeYears",
+    ],
+  });
+  const fleetValue = ownedVehicles.reduce(
+    (totals, vehicle) => {
+      const depreciation = calculateDepreciation(vehicle, today, today);
+      totals.purchaseValue += parseFloat(vehicle.purchasePrice);
+      totals.bookValue += depreciation
+        ? depreciation.bookValue
+        : parseFloat(vehicle.purchasePrice);
+      return totals;
+    },
+    { purchaseValue: 0, bookValue: 0 }
+  );
+
+  // Compliance documents expired or expiring within 30 days
+  const expiringDocuments = await VehicleDocument.getExpiringDocuments(30);
+
   res.status(200).json({
     success: true,
     data: {
       overview: {
         ...overallStats[0],
         maintenanceDue,
+        documentsExpired: expiringDocuments.expired,
+        documentsExpiringSoon: expiringDocuments.expiringSoon,
       },
       brandBreakdown: brandStats,
+      fleetValue: {
+        vehicles: ownedVehicles.length,
+        purchaseValue: roundAmount(fleetValue.purchaseValue),
+        bookValue: roundAmount(fleetValue.bookValue),
+      },
+      documentAlerts: expiringDocuments.byType,
     },
   });
 });
@@ -675,8 +835,8 @@ const getAvailableVehicles = asyncHandler(async (req, res, next) => {
     );
 
     // Transform vehicles for response
-    const transformedVehicles = availableVehicles.map(
-      transformVehicleForResponse
+    const transformedVehicles = availableVehicles.map((vehicle) =>
+      hideOwnershipFields(transformVehicleForResponse(vehicle))
     );
 
     res.status(200).json({
@@ -739,6 +899,7 @@ const updateVehicleStatus = asyncHandler(async (req, res, next) => {
 module.exports = {
   getBrands,
   getVehicles,
+  exportVehicles,
   getVehicle,
   createVehicle,
   updateVehicle,
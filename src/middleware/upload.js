@@ -29,6 +29,35 @@ const imageFileFilter = (req, file, cb) => {
   }
 };
 
+// File filter for scanned documents (images or PDF)
+const documentFileFilter = (req, file, cb) => {
+  if (
+    file.mimetype.startsWith("image/") ||
+    file.mimetype === "application/pdf"
+  ) {
+    cb(null, true);
+  } else {
+    cb(new Error("Seuls les fichiers image ou PDF sont autorisés"), false);
+  }
+};
+
+// File filter for spreadsheet imports (browsers report CSV in several ways)
+const csvFileFilter = (req, file, cb) => {
+  if (path.extname(file.originalname).toLowerCase() === ".csv") {
+    cb(null, true);
+  } else {
+    cb(new Error("Seuls les fichiers CSV sont autorisés"), false);
+  }
+};
+
+// Vehicle photos, plus scanned compliance documents (images or PDF)
+const vehicleFileFilter = (req, file, cb) => {
+  if (file.fieldname === "document") {
+    return documentFileFilter(req, file, cb);
+  }
+  return imageFileFilter(req, file, cb);
+};
+
 // Create multer upload instances with memory storage
 const vehicleUpload = multer({
   storage: memoryStorage,
@@ -36,7 +65,7 @@ const vehicleUpload = multer({
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
     files: 6, // 1 main image + 5 additional images
   },
-  fileFilter: imageFileFilter,
+  fileFilter: vehicleFileFilter,
 });
 
 // UPDATED: Customer upload for multiple document types
@@ -49,9 +78,42 @@ const customerUpload = multer({
   fileFilter: imageFileFilter,
 });
 
+// Inspection upload: damage photos + customer signature
+const inspectionUpload = multer({
+  storage: memoryStorage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
+    files: 11, // 10 damage photos + 1 signature
+  },
+  fileFilter: imageFileFilter,
+});
+
+// Maintenance upload: garage invoice
+const maintenanceUpload = multer({
+  storage: memoryStorage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
+    files: 1,
+  },
+  fileFilter: documentFileFilter,
+});
+
+// Import upload: one CSV file
+const importUpload = multer({
+  storage: memoryStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 1,
+  },
+  fileFilter: csvFileFilter,
+});
+
 // Middleware for single main image upload
 exports.uploadMainImage = vehicleUpload.single("mainImage");
 
+// Middleware for a vehicle compliance document (carte grise, insurance...)
+exports.uploadVehicleDocument = vehicleUpload.single("document");
+
 // Middleware for multiple images upload (max 5 additional images + 1 main image)
 exports.uploadMultipleImages = vehicleUpload.fields([
   { name: "mainImage", maxCount: 1 },
@@ -72,6 +134,21 @@ exports.uploadDriverLicense = customerUpload.single("driverLicenseImage");
 exports.uploadPassportImage = customerUpload.single("passportImage");
 exports.uploadCinImage = customerUpload.single("cinImage");
 
+// Middleware for inspection uploads (photos annotated via photoAnnotations)
+exports.uploadInspectionFiles = inspectionUpload.fields([
+  { name: "photos", maxCount: 10 },
+  { name: "signature", maxCount: 1 },
+]);
+
+// Middleware for damage claim photos (same limits as inspection photos)
+exports.uploadDamagePhotos = inspectionUpload.array("photos", 10);
+
+// Middleware for the garage invoice of a maintenance record
+exports.uploadMaintenanceInvoice = maintenanceUpload.single("invoice");
+
+// Middleware for the CSV file of a vehicle or customer import
+exports.uploadImportFile = importUpload.single("file");
+
 // Middleware for any single image
 exports.uploadSingleImage = vehicleUpload.single("image");
 
@@ -116,10 +193,7 @@ exports.handleUploadError = (err, req, res, next) => {
     });
   }
 
-  if (
-    err.message.includes("Seuls les fichiers image") ||
-    err.message.includes("Seuls les fichiers image avec les extensions")
-  ) {
+  if (err.message.startsWith("Seuls les fichiers")) {
     return res.status(400).json({
       success: false,
       message: err.message,
@@ -0,0 +1,227 @@
+// src/models/BlacklistEntry.js - Blacklisted identities (matched on customer and document numbers)
+const { DataTypes, Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+const { normalizeDocument } = require("../utils/customerMatching");
+
+// Identity documents an entry is matched on
+const BLACKLIST_DOCUMENT_FIELDS = [
+  "cinNumber",
+  "passportNumber",
+  "driverLicenseNumber",
+];
+
+const BlacklistEntry = sequelize.define(
+  "BlacklistEntry",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    // Customer record the entry was made from (kept if the record is deleted)
+    customerId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "customers",
+        key: "id",
+      },
+    },
+    firstName: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+    },
+    lastName: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+    },
+    // Document numbers, stored normalized (upper case, no spaces or dashes)
+    cinNumber: {
+      type: DataTypes.STRING(20),
+    },
+    passportNumber: {
+      type: DataTypes.STRING(20),
+    },
+    driverLicenseNumber: {
+      type: DataTypes.STRING(20),
+    },
+    category: {
+      type: DataTypes.ENUM(
+        "unpaid",
+        "damage",
+        "theft",
+        "fraud",
+        "behaviour",
+        "other"
+      ),
+      allowNull: false,
+      defaultValue: "other",
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    // Claim numbers, police report, messages... backing the decision
+    evidence: {
+      type: DataTypes.TEXT,
+    },
+    // No expiry: blacklisted until lifted
+    expiresAt: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    addedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+    // Lifted entries are kept for the record
+    liftedAt: {
+      type: DataTypes.DATE,
+    },
+    liftedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+    liftReason: {
+      type: DataTypes.TEXT,
+    },
+  },
+  {
+    tableName: "blacklist_entries",
+    timestamps: true,
+    hooks: {
+      beforeValidate: (entry) => {
+        BLACKLIST_DOCUMENT_FIELDS.forEach((field) => {
+          entry[field] = normalizeDocument(entry[field]);
+        });
+      },
+    },
+    validate: {
+      identifiesSomeone() {
+        if (
+          !this.customerId &&
+          !BLACKLIST_DOCUMENT_FIELDS.some((field) => this[field])
+        ) {
+          throw new Error(
+            "A blacklist entry needs a customer or an identity document number"
+          );
+        }
+      },
+    },
+    indexes: [
+      {
+        fields: ["customer_id"],
+      },
+      {
+        fields: ["cin_number"],
+      },
+      {
+        fields: ["passport_number"],
+      },
+      {
+        fields: ["driver_license_number"],
+      },
+    ],
+  }
+);
+
+// --- Instance Methods ---
+
+BlacklistEntry.prototype.isActive = function (date = new Date()) {
+  if (this.liftedAt) return false;
+  if (!this.expiresAt) return true;
+  return this.expiresAt >= date.toISOString().split("T")[0];
+};
+
+// --- Class Methods ---
+
+// Where clause of entries in force (not lifted, not expired)
+BlacklistEntry.activeWhere = function () {
+  return {
+    liftedAt: null,
+    [Op.or]: [
+      { expiresAt: null },
+      { expiresAt: { [Op.gte]: new Date().toISOString().split("T")[0] } },
+    ],
+  };
+};
+
+/**
+ * Entries in force matching a customer record or any of its document
+ * numbers, so a blacklisted person is found under a new phone or email.
+ * A customer whose status is "blocked" also counts as blacklisted.
+ *
+ * @param {object} customer - Customer (id, status and document numbers)
+ * @returns {object} { isBlacklisted, matches: [{ entryId, category, reason, matchedOn, expiresAt, addedAt }] }
+ */
+BlacklistEntry.checkCustomer = async function (customer) {
+  const conditions = [{ customerId: customer.id }];
+
+  BLACKLIST_DOCUMENT_FIELDS.forEach((field) => {
+    const value = normalizeDocument(customer[field]);
+    if (value) conditions.push({ [field]: value });
+  });
+
+  const entries = await BlacklistEntry.findAll({
+    where: {
+      [Op.and]: [BlacklistEntry.activeWhere(), { [Op.or]: conditions }],
+    },
+    order: [["createdAt", "DESC"]],
+  });
+
+  const matches = entries.map((entry) => ({
+    entryId: entry.id,
+    category: entry.category,
+    reason: entry.reason,
+    matchedOn: [
+      ...(entry.customerId === customer.id ? ["customer"] : []),
+      ...BLACKLIST_DOCUMENT_FIELDS.filter(
+        (field) =>
+          entry[field] && entry[field] === normalizeDocument(customer[field])
+      ),
+    ],
+    expiresAt: entry.expiresAt,
+    addedAt: entry.createdAt,
+  }));
+
+  // A block left by entries that have since expired no longer counts
+  const expiredEntries =
+    customer.status === "blocked" && matches.length === 0
+      ? await BlacklistEntry.count({
+          where: {
+            customerId: customer.id,
+            liftedAt: null,
+            expiresAt: { [Op.lt]: new Date().toISOString().split("T")[0] },
+          },
+        })
+      : 0;
+
+  if (
+    customer.status === "blocked" &&
+    matches.length === 0 &&
+    expiredEntries === 0
+  ) {
+    matches.push({
+      entryId: null,
+      category: null,
+      reason: "Customer account is blocked",
+      matchedOn: ["status"],
+      expiresAt: null,
+      addedAt: null,
+    });
+  }
+
+  return { isBlacklisted: matches.length > 0, matches };
+};
+
+BlacklistEntry.DOCUMENT_FIELDS = BLACKLIST_DOCUMENT_FIELDS;
+
+module.exports = BlacklistEntry;
@@ -5,7 +5,15 @@ const {
   calculateChargedDaysWithLatenessRule,
   getLatenessInfo,
   checkAdvancedAvailability,
+  findBookingAtTime,
 } = require("../utils/bookingUtils");
+const { calculateBalanceDue } = require("../utils/paymentUtils");
+const { getAgeRefusalError } = require("../utils/driverAgeUtils");
+const {
+  resolveMileageAllowance,
+  calculateExcessKmCharge,
+  calculateFuelCharge,
+} = require("../utils/pricingUtils");
 
 const Booking = sequelize.define(
   "Booking",
@@ -101,6 +109,47 @@ const Booking = sequelize.define(
         min: 0,
       },
     },
+    // Day-by-day line items from pricing rules (see utils/pricingUtils)
+    pricingBreakdown: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    // --- Discount ---
+    promoCodeId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "promo_codes",
+        key: "id",
+      },
+    },
+    discountAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0,
+      validate: {
+        min: 0,
+      },
+    },
+    // --- Payments (totals kept in sync by the Payment ledger) ---
+    amountPaid: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0,
+    },
+    depositHeld: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0,
+    },
+    balanceDue: {
+      type: DataTypes.VIRTUAL,
+      get() {
+        // Cancelled bookings only owe their cancellation fee
+        const amountDue =
+          this.status === "cancelled"
+            ? this.cancellationFee || 0
+            : this.totalAmount;
+        return calculateBalanceDue(amountDue, this.amountPaid);
+      },
+    },
     // --- Status ---
     status: {
       type: DataTypes.ENUM(
@@ -150,6 +199,64 @@ const Booking = sequelize.define(
     cancellationReason: {
       type: DataTypes.TEXT,
     },
+    // Policy applied at cancellation and resulting fee (see CancellationPolicy)
+    cancellationPolicyId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "cancellation_policies",
+        key: "id",
+      },
+    },
+    cancellationFee: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0,
+      },
+    },
+    isNoShow: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
+    // --- Review (e.g. website booking from a blacklisted identity) ---
+    flaggedForReview: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
+    // [{ type, reason, entryId, matchedOn }]
+    reviewReasons: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+    },
+    // Super-admin who confirmed the booking despite a blacklist match
+    blacklistOverrideById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+    // --- Mileage Allowance (null = vehicle allowance) ---
+    mileageLimitType: {
+      type: DataTypes.ENUM("unlimited", "per_day"),
+      allowNull: true,
+    },
+    dailyMileageLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1,
+      },
+    },
+    excessKmRate: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0,
+      },
+    },
   },
   {
     tableName: "bookings",
@@ -158,16 +265,34 @@ const Booking = sequelize.define(
       beforeUpdate: async (booking) => {
         // Recalculate totals if relevant fields changed
         if (
+          booking.changed("vehicleId") ||
+          booking.changed("customerId") ||
           booking.changed("dailyRate") ||
           booking.changed("pickupDate") ||
           booking.changed("returnDate") ||
           booking.changed("pickupTime") ||
           booking.changed("returnTime")
         ) {
-          const pricing = booking.calculateChargedDays();
+          // Driver age band follows the driver, vehicle category and pickup date
+          let ageSurcharge;
+          if (
+            booking.changed("vehicleId") ||
+            booking.changed("customerId") ||
+            booking.changed("pickupDate")
+          ) {
+            const ageCheck = await booking.checkDriverAge();
+            const refusalError = getAgeRefusalError(ageCheck);
+            if (refusalError) {
+              throw refusalError;
+            }
+            ageSurcharge = ageCheck.surcharge;
+          }
+
+          const pricing = await booking.calculatePricing({ ageSurcharge });
           booking.totalDays = pricing.chargedDays;
-          booking.totalAmount =
-            parseFloat(booking.dailyRate) * pricing.chargedDays;
+          booking.totalAmount = pricing.totalAmount;
+          booking.discountAmount = pricing.discountAmount;
+          booking.pricingBreakdown = pricing;
         }
 
         // Set timestamps
@@ -208,6 +333,9 @@ const Booking = sequelize.define(
       {
         fields: ["created_by_id"],
       },
+      {
+        fields: ["promo_code_id"],
+      },
     ],
   }
 );
@@ -238,6 +366,122 @@ Booking.prototype.calculateChargedDays = function () {
   );
 };
 
+// Adjustments stored on the breakdown that must survive a repricing
+Booking.prototype.getPricingAdjustments = function () {
+  const breakdown = this.pricingBreakdown || {};
+  return {
+    discount: breakdown.discount || null,
+    extras: breakdown.extras || [],
+    charges: breakdown.charges || [],
+    ageSurcharge: breakdown.ageSurcharge || null,
+  };
+};
+
+// Age band of the booking's driver for its vehicle on the pickup date
+Booking.prototype.checkDriverAge = async function () {
+  const Customer = require("./Customer");
+  const Vehicle = require("./Vehicle");
+  const DriverAgeRule = require("./DriverAgeRule");
+
+  const [customer, vehicle] = await Promise.all([
+    Customer.findByPk(this.customerId, { attributes: ["id", "dateOfBirth"] }),
+    Vehicle.findByPk(this.vehicleId, { attributes: ["id", "category"] }),
+  ]);
+
+  return DriverAgeRule.resolveForDriver(customer, vehicle, this.pickupDate);
+};
+
+// Re-check stock of the extras reserved by this booking (e.g. on confirmation)
+Booking.prototype.checkExtrasAvailability = async function (overrides = {}) {
+  const BookingExtra = require("./BookingExtra");
+  const Extra = require("./Extra");
+
+  const reservations = await BookingExtra.findAll({
+    where: { bookingId: this.id },
+  });
+
+  return Extra.checkBookingExtras(
+    reservations.map((reservation) => ({
+      extraId: reservation.extraId,
+      quantity: reservation.quantity,
+    })),
+    overrides.pickupDate || this.pickupDate,
+    overrides.returnDate || this.returnDate,
+    overrides.pickupTime || this.pickupTime,
+    overrides.returnTime || this.returnTime,
+    this.id
+  );
+};
+
+// Price the booking day by day with pricing rules (dailyRate is the base rate)
+// Overrides allow pricing an alternative period, e.g. the actual return time,
+// or a new age surcharge (the stored one is kept otherwise)
+Booking.prototype.calculatePricing = async function (overrides = {}) {
+  const Vehicle = require("./Vehicle");
+  const PricingRule = require("./PricingRule");
+
+  const vehicle = await Vehicle.findByPk(this.vehicleId, {
+    attributes: ["id", "brand", "price"],
+  });
+
+  return PricingRule.calculateBookingPricing(
+    vehicle,
+    overrides.pickupDate || this.pickupDate,
+    overrides.returnDate || this.returnDate,
+    overrides.pickupTime || this.pickupTime,
+    overrides.returnTime || this.returnTime,
+    this.dailyRate,
+    {
+      ...this.getPricingAdjustments(),
+      ...(overrides.ageSurcharge !== undefined && {
+        ageSurcharge: overrides.ageSurcharge,
+      }),
+    }
+  );
+};
+
+// Excess-kilometre and fuel charges owed from the return inspection
+Booking.prototype.calculateReturnCharges = async function (
+  inspection,
+  chargedDays = this.totalDays
+) {
+  const Vehicle = require("./Vehicle");
+
+  const vehicle = await Vehicle.findByPk(this.vehicleId, {
+    attributes: [
+      "id",
+      "mileageLimitType",
+      "dailyMileageLimit",
+      "excessKmRate",
+      "fuelTankCapacity",
+      "fuelRefillRate",
+    ],
+  });
+
+  const allowance = resolveMileageAllowance(this, vehicle);
+  const mileage = inspection
+    ? calculateExcessKmCharge(
+        allowance,
+        chargedDays,
+        inspection.kilometresDriven
+      )
+    : null;
+  const fuel = inspection
+    ? calculateFuelCharge(
+        inspection.fuelShortfall,
+        vehicle.fuelTankCapacity,
+        vehicle.fuelRefillRate
+      )
+    : null;
+
+  return {
+    allowance,
+    mileage,
+    fuel,
+    charges: [mileage, fuel].filter(Boolean),
+  };
+};
+
 // Get lateness info for display
 Booking.prototype.getLatenessInfo = function () {
   if (!this.pickupTime || !this.returnTime) return null;
@@ -314,9 +558,14 @@ Booking.getCustomerAttributes = function () {
     "address",
     "country",
     "driverLicenseNumber",
+    "driverLicenseCategory",
+    "driverLicenseIssueDate",
+    "driverLicenseExpiryDate",
     "passportNumber",
     "passportIssuedAt",
+    "passportExpiryDate",
     "cinNumber",
+    "cinExpiryDate",
   ];
 };
 
@@ -388,10 +637,30 @@ Booking.checkVehicleAvailability = async function (
     whereClause.id = { [require("sequelize").Op.ne]: excludeBookingId };
   }
 
-  const existingBookings = await Booking.findAll({
+  const bookings = await Booking.findAll({
     where: whereClause,
   });
 
+  // Scheduled maintenance windows and blackout periods block the vehicle
+  // like bookings
+  const MaintenanceRecord = require("./MaintenanceRecord");
+  const VehicleBlock = require("./VehicleBlock");
+  const maintenancePeriods = await MaintenanceRecord.getBlockingPeriods(
+    vehicleId,
+    pickupDate,
+    returnDate
+  );
+  const blockPeriods = await VehicleBlock.getBlockingPeriods(
+    vehicleId,
+    pickupDate,
+    returnDate
+  );
+  const existingBookings = [
+    ...bookings,
+    ...maintenancePeriods,
+    ...blockPeriods,
+  ];
+
   if (!pickupTime || !returnTime) {
     // Basic date overlap check (legacy)
     const conflictingBookings = existingBookings.filter((booking) => {
@@ -419,6 +688,58 @@ Booking.checkVehicleAvailability = async function (
   return availabilityCheck.isAvailable;
 };
 
+// Confirmed / active bookings overlapping a period the vehicle is taken off
+// the road (maintenance windows, blackout periods)
+Booking.getConflictingBookings = async function (
+  vehicleId,
+  startDate,
+  endDate,
+  startTime,
+  endTime
+) {
+  const { Op } = require("sequelize");
+
+  const bookings = await Booking.findAll({
+    where: {
+      vehicleId,
+      status: ["confirmed", "active"],
+      pickupDate: { [Op.lte]: endDate },
+      returnDate: { [Op.gte]: startDate },
+    },
+    attributes: [
+      "id",
+      "bookingNumber",
+      "status",
+      "pickupDate",
+      "pickupTime",
+      "returnDate",
+      "returnTime",
+    ],
+  });
+
+  return checkAdvancedAvailability(
+    bookings,
+    startDate,
+    endDate,
+    startTime,
+    endTime
+  ).conflictingBookings;
+};
+
+// Booking that had the vehicle at a given minute (traffic fines, tolls)
+Booking.findResponsibleBooking = async function (vehicleId, date, time) {
+  const bookings = await Booking.findAll({
+    where: {
+      vehicleId,
+      status: ["active", "completed"],
+      pickupDate: { [require("sequelize").Op.lte]: date },
+    },
+    order: [["pickupDate", "DESC"]],
+  });
+
+  return findBookingAtTime(bookings, date, time);
+};
+
 // Get detailed availability info
 Booking.getVehicleAvailabilityDetails = async function (
   vehicleId,
@@ -445,24 +766,53 @@ Booking.getVehicleAvailabilityDetails = async function (
     ],
   });
 
+  // Maintenance windows and blackout periods are reported apart from bookings
+  const MaintenanceRecord = require("./MaintenanceRecord");
+  const VehicleBlock = require("./VehicleBlock");
+  const maintenancePeriods = await MaintenanceRecord.getBlockingPeriods(
+    vehicleId,
+    pickupDate,
+    returnDate
+  );
+  const blockPeriods = await VehicleBlock.getBlockingPeriods(
+    vehicleId,
+    pickupDate,
+    returnDate
+  );
+
   if (!pickupTime || !returnTime) {
-    const conflicts = existingBookings.filter((booking) => {
+    const overlapsDates = (booking) => {
       const bookingStart = new Date(booking.pickupDate);
       const bookingEnd = new Date(booking.returnDate);
       const newStart = new Date(pickupDate);
       const newEnd = new Date(returnDate);
 
       return !(newEnd < bookingStart || newStart > bookingEnd);
-    });
+    };
+    const conflicts = existingBookings.filter(overlapsDates);
+    const maintenanceConflicts = maintenancePeriods.filter(overlapsDates);
+    const blockConflicts = blockPeriods.filter(overlapsDates);
+    const isAvailable =
+      conflicts.length === 0 &&
+      maintenanceConflicts.length === 0 &&
+      blockConflicts.length === 0;
+
+    let message = "Vehicle is available for selected dates";
+    if (maintenanceConflicts.length > 0) {
+      message = "Vehicle is scheduled for maintenance on selected dates";
+    } else if (blockConflicts.length > 0) {
+      message = "Vehicle is blocked on selected dates";
+    } else if (conflicts.length > 0) {
+      message = `Vehicle has ${conflicts.length} conflicting booking(s)`;
+    }
 
     return {
-      isAvailable: conflicts.length === 0,
+      isAvailable,
       conflictingBookings: conflicts,
       sameDayConflicts: [],
-      message:
-        conflicts.length === 0
-          ? "Vehicle is available for selected dates"
-          : `Vehicle has ${conflicts.length} conflicting booking(s)`,
+      maintenanceConflicts,
+      blockConflicts,
+      message,
     };
   }
 
@@ -474,9 +824,27 @@ Booking.getVehicleAvailabilityDetails = async function (
     returnTime,
     excludeBookingId
   );
+  const maintenanceCheck = checkAdvancedAvailability(
+    maintenancePeriods,
+    pickupDate,
+    returnDate,
+    pickupTime,
+    returnTime
+  );
+  const blockCheck = checkAdvancedAvailability(
+    blockPeriods,
+    pickupDate,
+    returnDate,
+    pickupTime,
+    returnTime
+  );
+  const isAvailable =
+    availabilityCheck.isAvailable &&
+    maintenanceCheck.isAvailable &&
+    blockCheck.isAvailable;
 
   let message = "";
-  if (availabilityCheck.isAvailable) {
+  if (isAvailable) {
     message = "Vehicle is available for selected dates and times";
   } else {
     const conflictTypes = [];
@@ -490,11 +858,24 @@ Booking.getVehicleAvailabilityDetails = async function (
         `${availabilityCheck.sameDayConflicts.length} same-day time conflict(s)`
       );
     }
+    if (!maintenanceCheck.isAvailable) {
+      conflictTypes.push(
+        `${maintenanceCheck.conflictingBookings.length} scheduled maintenance window(s)`
+      );
+    }
+    if (!blockCheck.isAvailable) {
+      conflictTypes.push(
+        `${blockCheck.conflictingBookings.length} blackout period(s)`
+      );
+    }
     message = `Vehicle not available: ${conflictTypes.join(", ")}`;
   }
 
   return {
     ...availabilityCheck,
+    isAvailable,
+    maintenanceConflicts: maintenanceCheck.conflictingBookings,
+    blockConflicts: blockCheck.conflictingBookings,
     message,
   };
 };
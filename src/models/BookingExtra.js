@@ -0,0 +1,85 @@
+// src/models/BookingExtra.js - Extras reserved by a booking (stock tracking)
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const BookingExtra = sequelize.define(
+  "BookingExtra",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "bookings",
+        key: "id",
+      },
+    },
+    extraId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "extras",
+        key: "id",
+      },
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1,
+      },
+    },
+    // Price at booking time (charged amounts live on Booking.pricingBreakdown)
+    unitPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0,
+      },
+    },
+  },
+  {
+    tableName: "booking_extras",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["booking_id"],
+      },
+      {
+        fields: ["extra_id"],
+      },
+      {
+        fields: ["booking_id", "extra_id"],
+        unique: true,
+      },
+    ],
+  }
+);
+
+// --- Class Methods ---
+
+// Store the extras lines of a booking pricing breakdown
+BookingExtra.createForBooking = async function (
+  bookingId,
+  lines,
+  transaction = null
+) {
+  if (!lines || lines.length === 0) return [];
+
+  return await BookingExtra.bulkCreate(
+    lines.map((line) => ({
+      bookingId,
+      extraId: line.extraId,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+    })),
+    { transaction }
+  );
+};
+
+module.exports = BookingExtra;
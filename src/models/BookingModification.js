@@ -0,0 +1,127 @@
+// src/models/BookingModification.js - History of booking date changes (contract addenda)
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const BookingModification = sequelize.define(
+  "BookingModification",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "bookings",
+        key: "id",
+      },
+    },
+    // Addendum number within the booking (1, 2, ...)
+    sequence: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    type: {
+      type: DataTypes.ENUM("extension", "modification"),
+      allowNull: false,
+    },
+    // --- Previous Period ---
+    previousPickupDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    previousPickupTime: {
+      type: DataTypes.TIME,
+      allowNull: false,
+    },
+    previousReturnDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    previousReturnTime: {
+      type: DataTypes.TIME,
+      allowNull: false,
+    },
+    previousTotalDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    previousTotalAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    // --- New Period ---
+    newPickupDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    newPickupTime: {
+      type: DataTypes.TIME,
+      allowNull: false,
+    },
+    newReturnDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    newReturnTime: {
+      type: DataTypes.TIME,
+      allowNull: false,
+    },
+    newTotalDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    newTotalAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    // New total minus previous total (negative when shortened)
+    amountDifference: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    reason: {
+      type: DataTypes.TEXT,
+    },
+    modifiedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+  },
+  {
+    tableName: "booking_modifications",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["booking_id", "sequence"],
+        unique: true,
+      },
+    ],
+  }
+);
+
+// --- Instance Methods ---
+
+// Addendum reference printed on the PDF, e.g. "BK012-A2"
+BookingModification.prototype.getAddendumNumber = function (bookingNumber) {
+  return `${bookingNumber}-A${this.sequence}`;
+};
+
+// --- Class Methods ---
+
+// Next addendum number of a booking (call with the booking row locked)
+BookingModification.getNextSequence = async function (bookingId, transaction) {
+  const last = await BookingModification.max("sequence", {
+    where: { bookingId },
+    transaction,
+  });
+  return (last || 0) + 1;
+};
+
+module.exports = BookingModification;
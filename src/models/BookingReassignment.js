@@ -0,0 +1,88 @@
+// src/models/BookingReassignment.js - Log of vehicle swaps on bookings
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const BookingReassignment = sequelize.define(
+  "BookingReassignment",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "bookings",
+        key: "id",
+      },
+    },
+    previousVehicleId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "vehicles",
+        key: "id",
+      },
+    },
+    newVehicleId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "vehicles",
+        key: "id",
+      },
+    },
+    // Booking status when swapped (an active swap happens mid-rental)
+    bookingStatus: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+    // --- Pricing before / after ---
+    previousDailyRate: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    newDailyRate: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    previousTotalAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    newTotalAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    reason: {
+      type: DataTypes.TEXT,
+    },
+    reassignedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+  },
+  {
+    tableName: "booking_reassignments",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["booking_id"],
+      },
+      {
+        fields: ["previous_vehicle_id"],
+      },
+      {
+        fields: ["new_vehicle_id"],
+      },
+    ],
+  }
+);
+
+module.exports = BookingReassignment;
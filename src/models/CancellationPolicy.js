@@ -0,0 +1,137 @@
+// src/models/CancellationPolicy.js - Named cancellation policies
+const { DataTypes, Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const CancellationPolicy = sequelize.define(
+  "CancellationPolicy",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true,
+        len: [1, 100],
+      },
+    },
+    description: {
+      type: DataTypes.TEXT,
+    },
+    // Free cancellation until this many hours before pickup
+    freeCancellationHours: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 48,
+      validate: {
+        min: 0,
+      },
+    },
+    // Percentage of the total charged after the free period
+    lateCancellationFeePercent: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 50,
+      validate: {
+        min: 0,
+        max: 100,
+      },
+    },
+    // Percentage of the total charged when the customer does not show up
+    noShowFeePercent: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 100,
+      validate: {
+        min: 0,
+        max: 100,
+      },
+    },
+    // Booking source using this policy when the vehicle has none
+    source: {
+      type: DataTypes.ENUM("website", "admin"),
+      allowNull: true,
+    },
+    // Fallback policy when neither vehicle nor source has one
+    isDefault: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+    },
+  },
+  {
+    tableName: "cancellation_policies",
+    timestamps: true,
+    hooks: {
+      // Only one default policy and one policy per source
+      afterSave: async (policy, options) => {
+        if (policy.isDefault) {
+          await CancellationPolicy.update(
+            { isDefault: false },
+            {
+              where: { id: { [Op.ne]: policy.id }, isDefault: true },
+              transaction: options.transaction,
+            }
+          );
+        }
+
+        if (policy.source) {
+          await CancellationPolicy.update(
+            { source: null },
+            {
+              where: { id: { [Op.ne]: policy.id }, source: policy.source },
+              transaction: options.transaction,
+            }
+          );
+        }
+      },
+    },
+    indexes: [
+      {
+        fields: ["source"],
+      },
+      {
+        fields: ["is_default"],
+      },
+    ],
+  }
+);
+
+// --- Class Methods ---
+
+/**
+ * Resolve the policy applying to a booking:
+ * vehicle policy, then booking source policy, then default policy.
+ */
+CancellationPolicy.resolveForBooking = async function (booking) {
+  const Vehicle = require("./Vehicle");
+
+  const vehicle = await Vehicle.findByPk(booking.vehicleId, {
+    attributes: ["id", "cancellationPolicyId"],
+  });
+
+  if (vehicle && vehicle.cancellationPolicyId) {
+    const policy = await CancellationPolicy.findOne({
+      where: { id: vehicle.cancellationPolicyId, isActive: true },
+    });
+    if (policy) return policy;
+  }
+
+  const sourcePolicy = await CancellationPolicy.findOne({
+    where: { source: booking.source, isActive: true },
+  });
+  if (sourcePolicy) return sourcePolicy;
+
+  return await CancellationPolicy.findOne({
+    where: { isDefault: true, isActive: true },
+  });
+};
+
+module.exports = CancellationPolicy;
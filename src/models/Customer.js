@@ -1,6 +1,7 @@
 // src/models/Customer.js - UPDATED: Removed city, postalCode, emergencyContact, notes, and referralCode
 const { DataTypes } = require("sequelize");
 const { sequelize } = require("../config/database");
+const { E164_REGEX, toE164, formatPhone } = require("../utils/phoneUtils");
 
 const Customer = sequelize.define(
   "Customer",
@@ -34,11 +35,12 @@ const Customer = sequelize.define(
         isEmail: true,
       },
     },
+    // E.164 (+212612345678), normalized on write
     phone: {
       type: DataTypes.STRING(20),
       allowNull: false,
       validate: {
-        is: /^\+\d{10,15}$/,
+        is: E164_REGEX,
       },
     },
     dateOfBirth: {
@@ -71,6 +73,22 @@ const Customer = sequelize.define(
         len: [0, 20],
       },
     },
+    // Categories held, e.g. "B" or "A1, B"
+    driverLicenseCategory: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      validate: {
+        len: [0, 20],
+      },
+    },
+    driverLicenseIssueDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    driverLicenseExpiryDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
     // Driver license image stored as BYTEA
     driverLicenseImageData: {
       type: DataTypes.BLOB("long"), // For PostgreSQL, this becomes BYTEA
@@ -100,6 +118,14 @@ const Customer = sequelize.define(
         len: [0, 100],
       },
     },
+    passportIssueDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    passportExpiryDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
     // Passport image stored as BYTEA
     passportImageData: {
       type: DataTypes.BLOB("long"), // For PostgreSQL, this becomes BYTEA
@@ -122,6 +148,14 @@ const Customer = sequelize.define(
         len: [0, 20],
       },
     },
+    cinIssueDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    cinExpiryDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
     // CIN image stored as BYTEA
     cinImageData: {
       type: DataTypes.BLOB("long"), // For PostgreSQL, this becomes BYTEA
@@ -204,6 +238,13 @@ const Customer = sequelize.define(
         if (customer.email && customer.email.trim() === "") {
           customer.email = null;
         }
+
+        // Local numbers are read in the customer's country (kept as typed
+        // when unparseable, so that validation rejects them)
+        if (customer.phone && customer.changed("phone")) {
+          customer.phone =
+            toE164(customer.phone, customer.country) || customer.phone;
+        }
       },
     },
     indexes: [
@@ -245,9 +286,10 @@ Customer.prototype.getFullName = function () {
   return `${this.firstName} ${this.lastName}`;
 };
 
-Customer.prototype.getAge = function () {
+// Age today, or on a given date (e.g. the pickup date of a rental)
+Customer.prototype.getAge = function (atDate = new Date()) {
   if (!this.dateOfBirth) return null;
-  const today = new Date();
+  const today = new Date(atDate);
   const birthDate = new Date(this.dateOfBirth);
   let age = today.getFullYear() - birthDate.getFullYear();
   const monthDiff = today.getMonth() - birthDate.getMonth();
@@ -260,6 +302,22 @@ Customer.prototype.getAge = function () {
   return age;
 };
 
+// Licence, identity documents and age checked against a vehicle and rental period
+Customer.prototype.checkRentalEligibility = function (
+  vehicle,
+  pickupDate,
+  returnDate
+) {
+  const { checkDriverEligibility } = require("../utils/customerDocumentUtils");
+  return checkDriverEligibility(
+    this,
+    vehicle,
+    pickupDate,
+    returnDate,
+    this.getAge(`${pickupDate}T00:00:00`)
+  );
+};
+
 // Get driver license image as base64 data URL for frontend
 Customer.prototype.getDriverLicenseImageDataUrl = function () {
   if (this.driverLicenseImageData && this.driverLicenseImageMimetype) {
@@ -289,18 +347,7 @@ Customer.prototype.getCinImageDataUrl = function () {
 
 // Format phone number for display
 Customer.prototype.getFormattedPhone = function () {
-  if (!this.phone) return "";
-  const cleaned = this.phone.replace(/\s/g, "");
-  if (cleaned.length === 10) {
-    return `${cleaned.substring(0, 2)} ${cleaned.substring(
-      2,
-      4
-    )} ${cleaned.substring(4, 6)} ${cleaned.substring(
-      6,
-      8
-    )} ${cleaned.substring(8, 10)}`;
-  }
-  return this.phone;
+  return formatPhone(this.phone);
 };
 
 Customer.prototype.incrementBookings = async function (amount = 0) {
@@ -317,6 +364,41 @@ Customer.prototype.incrementBookings = async function (amount = 0) {
   return this;
 };
 
+// Rebuild totalBookings / totalSpent / lastBookingDate from the bookings
+// themselves (confirmed, active and completed ones, as incrementBookings counts)
+Customer.prototype.recalculateStats = async function (options = {}) {
+  const Booking = require("./Booking");
+  const { Op } = require("sequelize");
+
+  const bookings = await Booking.findAll({
+    where: {
+      customerId: this.id,
+      status: { [Op.in]: ["confirmed", "active", "completed"] },
+    },
+    attributes: ["id", "totalAmount", "confirmedAt", "createdAt"],
+    transaction: options.transaction,
+  });
+
+  const lastBookingDate = bookings.reduce((latest, booking) => {
+    const date = booking.confirmedAt || booking.createdAt;
+    return !latest || date > latest ? date : latest;
+  }, null);
+
+  await this.update(
+    {
+      totalBookings: bookings.length,
+      totalSpent: bookings.reduce(
+        (sum, booking) => sum + (parseFloat(booking.totalAmount) || 0),
+        0
+      ),
+      lastBookingDate,
+    },
+    { transaction: options.transaction }
+  );
+
+  return this;
+};
+
 Customer.prototype.updateRating = async function (newRating) {
   // Simple average calculation - in production, you'd store individual ratings
   const currentRating = parseFloat(this.averageRating) || 0;
@@ -0,0 +1,73 @@
+// src/models/CustomerMerge.js - Log of duplicate customers merged into another record
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const CustomerMerge = sequelize.define(
+  "CustomerMerge",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    // Record kept after the merge
+    survivorId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "customers",
+        key: "id",
+      },
+    },
+    // Record deleted by the merge (no foreign key: it no longer exists)
+    mergedCustomerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    // Merged customer as it was, without document images
+    mergedSnapshot: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+    },
+    // Fields of the survivor filled from the merged customer
+    fieldsTaken: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+    },
+    // Records moved to the survivor: { bookings, invoices, damageClaims, fines }
+    movedRecords: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+    },
+    // Duplicate score when the merge was made
+    matchScore: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    reason: {
+      type: DataTypes.TEXT,
+    },
+    mergedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+  },
+  {
+    tableName: "customer_merges",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["survivor_id"],
+      },
+      {
+        fields: ["merged_customer_id"],
+      },
+    ],
+  }
+);
+
+module.exports = CustomerMerge;
@@ -0,0 +1,222 @@
+// src/models/DamageClaim.js - Damages found on a vehicle and their repair cost
+const { DataTypes, Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+const { INSPECTION_ZONES, DAMAGE_TYPES } = require("../utils/inspectionUtils");
+
+// open -> quoted (repair estimate) -> charged to customer / written off
+const DAMAGE_CLAIM_STATUSES = ["open", "quoted", "charged", "written_off"];
+
+const DamageClaim = sequelize.define(
+  "DamageClaim",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "bookings",
+        key: "id",
+      },
+    },
+    vehicleId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "vehicles",
+        key: "id",
+      },
+    },
+    customerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "customers",
+        key: "id",
+      },
+    },
+    // Return inspection where the damage was found
+    inspectionId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "inspections",
+        key: "id",
+      },
+    },
+    // --- Damage ---
+    zone: {
+      type: DataTypes.ENUM(...INSPECTION_ZONES),
+      allowNull: true,
+    },
+    damageType: {
+      type: DataTypes.ENUM(...DAMAGE_TYPES),
+      allowNull: true,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    status: {
+      type: DataTypes.ENUM(...DAMAGE_CLAIM_STATUSES),
+      defaultValue: "open",
+    },
+    // --- Repair Cost ---
+    estimatedCost: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0,
+      },
+    },
+    finalCost: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0,
+      },
+    },
+    // Part of the final cost billed to the customer
+    chargedAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0,
+    },
+    // Part of the charged amount taken from the security deposit
+    depositDeducted: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0,
+    },
+    notes: {
+      type: DataTypes.TEXT,
+    },
+    // --- Tracking ---
+    reportedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+    resolvedAt: {
+      type: DataTypes.DATE,
+    },
+    resolvedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+  },
+  {
+    tableName: "damage_claims",
+    timestamps: true,
+    hooks: {
+      beforeSave: (claim) => {
+        // Recording a repair estimate quotes an open claim
+        if (
+          claim.changed("estimatedCost") &&
+          claim.estimatedCost !== null &&
+          claim.status === "open"
+        ) {
+          claim.status = "quoted";
+        }
+
+        if (
+          claim.changed("status") &&
+          claim.isResolved() &&
+          !claim.resolvedAt
+        ) {
+          claim.resolvedAt = new Date();
+        }
+      },
+    },
+    indexes: [
+      {
+        fields: ["booking_id"],
+      },
+      {
+        fields: ["vehicle_id"],
+      },
+      {
+        fields: ["customer_id"],
+      },
+      {
+        fields: ["status"],
+      },
+    ],
+  }
+);
+
+// --- Instance Methods ---
+
+// Charged or written-off claims are closed
+DamageClaim.prototype.isResolved = function () {
+  return ["charged", "written_off"].includes(this.status);
+};
+
+// --- Class Methods ---
+
+/**
+ * Damage history of a customer (checked before confirming a booking).
+ *
+ * @returns {object} { hasHistory, totalClaims, openClaims, chargedAmount, writtenOffAmount, lastClaimAt, claims }
+ */
+DamageClaim.getCustomerHistory = async function (
+  customerId,
+  { excludeBookingId = null } = {}
+) {
+  const where = { customerId };
+  if (excludeBookingId) {
+    where.bookingId = { [Op.ne]: excludeBookingId };
+  }
+
+  const claims = await DamageClaim.findAll({
+    where,
+    attributes: [
+      "id",
+      "bookingId",
+      "vehicleId",
+      "zone",
+      "damageType",
+      "description",
+      "status",
+      "estimatedCost",
+      "finalCost",
+      "chargedAmount",
+      "createdAt",
+    ],
+    order: [["createdAt", "DESC"]],
+  });
+
+  const sum = (list, field) => {
+    const total = list.reduce(
+      (acc, claim) => acc + parseFloat(claim[field] || 0),
+      0
+    );
+    return Math.round(total * 100) / 100;
+  };
+
+  return {
+    hasHistory: claims.length > 0,
+    totalClaims: claims.length,
+    openClaims: claims.filter((claim) => !claim.isResolved()).length,
+    chargedAmount: sum(claims, "chargedAmount"),
+    writtenOffAmount: sum(
+      claims.filter((claim) => claim.status === "written_off"),
+      "finalCost"
+    ),
+    lastClaimAt: claims.length > 0 ? claims[0].createdAt : null,
+    claims,
+  };
+};
+
+module.exports = DamageClaim;
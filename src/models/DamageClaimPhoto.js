@@ -0,0 +1,60 @@
+// src/models/DamageClaimPhoto.js - Photos attached to a damage claim
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const DamageClaimPhoto = sequelize.define(
+  "DamageClaimPhoto",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    damageClaimId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "damage_claims",
+        key: "id",
+      },
+    },
+    // Photo stored as BYTEA
+    imageData: {
+      type: DataTypes.BLOB("long"),
+      allowNull: false,
+    },
+    imageMimetype: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+    imageName: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    caption: {
+      type: DataTypes.TEXT,
+    },
+  },
+  {
+    tableName: "damage_claim_photos",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["damage_claim_id"],
+      },
+    ],
+  }
+);
+
+// --- Instance Methods ---
+
+// Get photo as base64 data URL for frontend
+DamageClaimPhoto.prototype.getImageDataUrl = function () {
+  if (this.imageData && this.imageMimetype) {
+    const base64 = this.imageData.toString("base64");
+    return `data:${this.imageMimetype};base64,${base64}`;
+  }
+  return null;
+};
+
+module.exports = DamageClaimPhoto;
@@ -0,0 +1,84 @@
+// src/models/DocumentSequence.js - Gapless yearly counters for legal documents
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+const { formatDocumentNumber } = require("../utils/invoiceUtils");
+
+const DocumentSequence = sequelize.define(
+  "DocumentSequence",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    documentType: {
+      type: DataTypes.ENUM("invoice", "credit_note", "receipt"),
+      allowNull: false,
+    },
+    year: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    lastNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+  },
+  {
+    tableName: "document_sequences",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["document_type", "year"],
+        unique: true,
+      },
+    ],
+  }
+);
+
+// --- Class Methods ---
+
+/**
+ * Allocate the next number of a yearly sequence.
+ *
+ * Must run inside the transaction that creates the document: the counter
+ * row stays locked until commit, and a rollback gives the number back,
+ * so numbers are never skipped or reused.
+ *
+ * @returns {object} { year, sequence, number }
+ */
+DocumentSequence.allocate = async function (
+  documentType,
+  transaction,
+  date = new Date()
+) {
+  if (!transaction) {
+    throw new Error("Document numbers must be allocated inside a transaction");
+  }
+
+  const year = new Date(date).getFullYear();
+
+  // Create the counter of the year if needed (no-op when it exists)
+  await DocumentSequence.bulkCreate([{ documentType, year, lastNumber: 0 }], {
+    ignoreDuplicates: true,
+    transaction,
+  });
+
+  const counter = await DocumentSequence.findOne({
+    where: { documentType, year },
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+
+  counter.lastNumber += 1;
+  await counter.save({ transaction });
+
+  return {
+    year,
+    sequence: counter.lastNumber,
+    number: formatDocumentNumber(documentType, year, counter.lastNumber),
+  };
+};
+
+module.exports = DocumentSequence;
@@ -0,0 +1,162 @@
+// src/models/DriverAgeRule.js - Driver age bands (young / senior driver surcharge or refusal)
+const { DataTypes, Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+const {
+  VEHICLE_CATEGORIES,
+  AGE_RULE_ACTIONS,
+  resolveAgeRule,
+  buildAgeSurchargeLine,
+} = require("../utils/driverAgeUtils");
+
+const DriverAgeRule = sequelize.define(
+  "DriverAgeRule",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 100],
+      },
+    },
+    // --- Age Band (inclusive, age on the pickup date; no bound = open) ---
+    minAge: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 16,
+        max: 120,
+      },
+    },
+    maxAge: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 16,
+        max: 120,
+      },
+    },
+    // --- Target (none = whole fleet) ---
+    vehicleCategory: {
+      type: DataTypes.ENUM(...VEHICLE_CATEGORIES),
+      allowNull: true,
+    },
+    // --- Outcome ---
+    action: {
+      type: DataTypes.ENUM(...AGE_RULE_ACTIONS),
+      allowNull: false,
+      defaultValue: "surcharge",
+    },
+    dailyAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0,
+      validate: {
+        min: 0,
+      },
+    },
+    // Cap of the surcharge per rental (none = no cap)
+    maxAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0,
+      },
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+  },
+  {
+    tableName: "driver_age_rules",
+    timestamps: true,
+    validate: {
+      hasAgeBounds() {
+        const hasMin = this.minAge !== null && this.minAge !== undefined;
+        const hasMax = this.maxAge !== null && this.maxAge !== undefined;
+
+        if (!hasMin && !hasMax) {
+          throw new Error("An age band needs a minimum and/or maximum age");
+        }
+        if (hasMin && hasMax && this.minAge > this.maxAge) {
+          throw new Error("Maximum age cannot be below the minimum age");
+        }
+      },
+      hasSurchargeAmount() {
+        if (
+          this.action === "surcharge" &&
+          !(parseFloat(this.dailyAmount) > 0)
+        ) {
+          throw new Error("A surcharge band needs a daily amount");
+        }
+      },
+    },
+    indexes: [
+      {
+        fields: ["vehicle_category"],
+      },
+      {
+        fields: ["is_active"],
+      },
+    ],
+  }
+);
+
+// --- Class Methods ---
+
+/**
+ * Age band of a customer driving a vehicle, aged on the pickup date.
+ * Customers without a date of birth fall in no band.
+ *
+ * @param {object} customer - Customer (dateOfBirth)
+ * @param {object} vehicle - Vehicle (category)
+ * @param {string} pickupDate - YYYY-MM-DD
+ * @returns {object} { age, rule, isRefused, surcharge }
+ */
+DriverAgeRule.resolveForDriver = async function (
+  customer,
+  vehicle,
+  pickupDate
+) {
+  const age = customer ? customer.getAge(`${pickupDate}T00:00:00`) : null;
+
+  if (age === null) {
+    return { age, rule: null, isRefused: false, surcharge: null };
+  }
+
+  const rules = await DriverAgeRule.findAll({
+    where: {
+      isActive: true,
+      [Op.or]: [
+        { vehicleCategory: null },
+        { vehicleCategory: vehicle.category },
+      ],
+    },
+  });
+  const rule = resolveAgeRule(rules, vehicle, age);
+
+  return {
+    age,
+    rule,
+    isRefused: !!rule && rule.action === "refuse",
+    surcharge:
+      rule && rule.action === "surcharge"
+        ? buildAgeSurchargeLine(rule, age)
+        : null,
+  };
+};
+
+module.exports = DriverAgeRule;
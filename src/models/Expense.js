@@ -0,0 +1,107 @@
+// src/models/Expense.js - Running costs of a vehicle (fuel, repairs, insurance...)
+const { DataTypes, Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const Expense = sequelize.define(
+  "Expense",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    vehicleId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "vehicles",
+        key: "id",
+      },
+    },
+    category: {
+      type: DataTypes.ENUM(
+        "fuel",
+        "repair",
+        "insurance",
+        "loan_installment",
+        "cleaning",
+        "other"
+      ),
+      allowNull: false,
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0,
+      },
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    // Garage, insurer, bank or station
+    supplier: {
+      type: DataTypes.STRING(150),
+      allowNull: true,
+    },
+    reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+    },
+    notes: {
+      type: DataTypes.TEXT,
+    },
+    recordedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+  },
+  {
+    tableName: "expenses",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["vehicle_id", "date"],
+      },
+      {
+        fields: ["category"],
+      },
+    ],
+  }
+);
+
+// --- Class Methods ---
+
+// Expense totals per vehicle and category: { vehicleId: { category: amount } }
+Expense.getTotalsByVehicle = async function (vehicleIds, from, to) {
+  const rows = await Expense.findAll({
+    where: {
+      vehicleId: vehicleIds,
+      date: { [Op.between]: [from, to] },
+    },
+    attributes: [
+      "vehicleId",
+      "category",
+      [sequelize.fn("SUM", sequelize.col("amount")), "total"],
+    ],
+    group: ["vehicleId", "category"],
+    raw: true,
+  });
+
+  return rows.reduce((totals, row) => {
+    totals[row.vehicleId] = totals[row.vehicleId] || {};
+    totals[row.vehicleId][row.category] = parseFloat(row.total) || 0;
+    return totals;
+  }, {});
+};
+
+module.exports = Expense;
@@ -0,0 +1,240 @@
+// src/models/Extra.js - Rental extras catalog (child seat, GPS, insurance...)
+const { DataTypes, Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+const { checkAdvancedAvailability } = require("../utils/bookingUtils");
+const { buildExtraLine } = require("../utils/pricingUtils");
+
+const Extra = sequelize.define(
+  "Extra",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 100],
+      },
+    },
+    description: {
+      type: DataTypes.TEXT,
+    },
+    category: {
+      type: DataTypes.ENUM(
+        "child_seat",
+        "gps",
+        "additional_driver",
+        "insurance",
+        "other"
+      ),
+      defaultValue: "other",
+    },
+    // --- Pricing ---
+    pricingType: {
+      type: DataTypes.ENUM("per_day", "per_rental"),
+      allowNull: false,
+      defaultValue: "per_day",
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0,
+      },
+    },
+    // --- Stock (null = unlimited, e.g. insurance) ---
+    stockQuantity: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0,
+      },
+    },
+    maxPerBooking: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1,
+      validate: {
+        min: 1,
+      },
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+  },
+  {
+    tableName: "extras",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["category"],
+      },
+      {
+        fields: ["is_active"],
+      },
+    ],
+  }
+);
+
+// --- Instance Methods ---
+
+// Units of this extra held by confirmed/active bookings overlapping the period
+Extra.prototype.getReservedQuantity = async function (
+  pickupDate,
+  returnDate,
+  pickupTime,
+  returnTime,
+  excludeBookingId = null
+) {
+  const BookingExtra = require("./BookingExtra");
+  const Booking = require("./Booking");
+
+  const reservations = await BookingExtra.findAll({
+    where: { extraId: this.id },
+    include: [
+      {
+        model: Booking,
+        as: "booking",
+        attributes: [
+          "id",
+          "status",
+          "pickupDate",
+          "returnDate",
+          "pickupTime",
+          "returnTime",
+        ],
+        where: {
+          status: ["confirmed", "active"],
+          pickupDate: { [Op.lte]: returnDate },
+          returnDate: { [Op.gte]: pickupDate },
+        },
+      },
+    ],
+  });
+
+  const { conflictingBookings } = checkAdvancedAvailability(
+    reservations.map((reservation) => reservation.booking),
+    pickupDate,
+    returnDate,
+    pickupTime,
+    returnTime,
+    excludeBookingId
+  );
+
+  const conflictingIds = conflictingBookings.map((booking) => booking.id);
+
+  return reservations
+    .filter((reservation) => conflictingIds.includes(reservation.bookingId))
+    .reduce((sum, reservation) => sum + reservation.quantity, 0);
+};
+
+// Units still available for the period (null = unlimited)
+Extra.prototype.getAvailableQuantity = async function (
+  pickupDate,
+  returnDate,
+  pickupTime,
+  returnTime,
+  excludeBookingId = null
+) {
+  if (this.stockQuantity === null || this.stockQuantity === undefined) {
+    return null;
+  }
+
+  const reserved = await this.getReservedQuantity(
+    pickupDate,
+    returnDate,
+    pickupTime,
+    returnTime,
+    excludeBookingId
+  );
+
+  return Math.max(0, this.stockQuantity - reserved);
+};
+
+// --- Class Methods ---
+
+/**
+ * Check extras requested for a booking period.
+ *
+ * @param {Array} items - [{ extraId, quantity }]
+ * @returns {object} { isAvailable, errors, lines } where lines are the
+ *   pricing lines to store on the booking breakdown
+ */
+Extra.checkBookingExtras = async function (
+  items,
+  pickupDate,
+  returnDate,
+  pickupTime,
+  returnTime,
+  excludeBookingId = null
+) {
+  const errors = [];
+  const lines = [];
+  const seen = new Set();
+
+  for (const item of items || []) {
+    const quantity = parseInt(item.quantity) || 1;
+
+    if (seen.has(item.extraId)) {
+      errors.push({
+        extraId: item.extraId,
+        message: "Extra selected more than once, use quantity instead",
+      });
+      continue;
+    }
+    seen.add(item.extraId);
+
+    const extra = await Extra.findByPk(item.extraId);
+
+    if (!extra || !extra.isActive) {
+      errors.push({ extraId: item.extraId, message: "Extra not available" });
+      continue;
+    }
+
+    if (quantity > extra.maxPerBooking) {
+      errors.push({
+        extraId: extra.id,
+        message: `${extra.name}: maximum ${extra.maxPerBooking} per booking`,
+      });
+      continue;
+    }
+
+    const available = await extra.getAvailableQuantity(
+      pickupDate,
+      returnDate,
+      pickupTime,
+      returnTime,
+      excludeBookingId
+    );
+
+    if (available !== null && quantity > available) {
+      errors.push({
+        extraId: extra.id,
+        message: `${extra.name}: only ${available} available for the selected dates`,
+      });
+      continue;
+    }
+
+    lines.push(buildExtraLine(extra, quantity));
+  }
+
+  return {
+    isAvailable: errors.length === 0,
+    errors,
+    lines,
+  };
+};
+
+module.exports = Extra;
@@ -0,0 +1,192 @@
+// src/models/Fine.js - Traffic fines (PV) and tolls assigned to the renting customer
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const Fine = sequelize.define(
+  "Fine",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    type: {
+      type: DataTypes.ENUM("speeding", "parking", "red_light", "toll", "other"),
+      defaultValue: "speeding",
+    },
+    // PV number given by the issuing authority
+    referenceNumber: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+    },
+    authority: {
+      type: DataTypes.STRING(150),
+      allowNull: true,
+    },
+    // --- Offence (plate and local date/time as printed on the notice) ---
+    licensePlate: {
+      type: DataTypes.STRING(15),
+      allowNull: false,
+    },
+    offenceDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    offenceTime: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      validate: {
+        is: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
+      },
+    },
+    location: {
+      type: DataTypes.STRING(255),
+    },
+    description: {
+      type: DataTypes.TEXT,
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0,
+      },
+    },
+    dueDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    // --- Responsibility (null booking = agency vehicle not on rental) ---
+    vehicleId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "vehicles",
+        key: "id",
+      },
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "bookings",
+        key: "id",
+      },
+    },
+    customerId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "customers",
+        key: "id",
+      },
+    },
+    // Driver designation letter sent to the authority
+    designatedAt: {
+      type: DataTypes.DATE,
+    },
+    // --- Payment ---
+    paymentStatus: {
+      type: DataTypes.ENUM(
+        "unpaid",
+        "paid_by_customer",
+        "paid_by_agency",
+        "contested",
+        "cancelled"
+      ),
+      defaultValue: "unpaid",
+    },
+    paidAt: {
+      type: DataTypes.DATE,
+    },
+    notes: {
+      type: DataTypes.TEXT,
+    },
+    recordedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+  },
+  {
+    tableName: "fines",
+    timestamps: true,
+    hooks: {
+      beforeSave: (fine) => {
+        if (fine.changed("licensePlate")) {
+          fine.licensePlate = Fine.normalizePlate(fine.licensePlate);
+        }
+
+        if (
+          fine.changed("paymentStatus") &&
+          ["paid_by_customer", "paid_by_agency"].includes(fine.paymentStatus) &&
+          !fine.paidAt
+        ) {
+          fine.paidAt = new Date();
+        }
+      },
+    },
+    indexes: [
+      {
+        fields: ["license_plate", "offence_date"],
+      },
+      {
+        fields: ["booking_id"],
+      },
+      {
+        fields: ["customer_id"],
+      },
+      {
+        fields: ["payment_status"],
+      },
+    ],
+  }
+);
+
+// --- Class Methods ---
+
+// Plates are stored upper-case, without spaces or dashes
+Fine.normalizePlate = function (licensePlate) {
+  return String(licensePlate || "")
+    .replace(/[^A-Za-z0-9]/g, "")
+    .toUpperCase();
+};
+
+/**
+ * Resolve the vehicle, booking and customer responsible at the offence time.
+ *
+ * @returns {object} { vehicle, booking } (null when not found)
+ */
+Fine.resolveResponsibility = async function (
+  licensePlate,
+  offenceDate,
+  offenceTime
+) {
+  const { Op } = require("sequelize");
+  const Vehicle = require("./Vehicle");
+  const Booking = require("./Booking");
+
+  const vehicle = await Vehicle.findOne({
+    where: {
+      licensePlate: { [Op.iLike]: Fine.normalizePlate(licensePlate) },
+    },
+    attributes: ["id", "name", "brand", "licensePlate"],
+  });
+
+  if (!vehicle) {
+    return { vehicle: null, booking: null };
+  }
+
+  const booking = await Booking.findResponsibleBooking(
+    vehicle.id,
+    offenceDate,
+    offenceTime
+  );
+
+  return { vehicle, booking };
+};
+
+module.exports = Fine;
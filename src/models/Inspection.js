@@ -0,0 +1,132 @@
+// src/models/Inspection.js - Vehicle check-out / check-in inspections
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+const { FUEL_LEVEL_MAX } = require("../utils/inspectionUtils");
+
+const Inspection = sequelize.define(
+  "Inspection",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "bookings",
+        key: "id",
+      },
+    },
+    vehicleId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "vehicles",
+        key: "id",
+      },
+    },
+    type: {
+      type: DataTypes.ENUM("pickup", "return"),
+      allowNull: false,
+    },
+    // --- Readings ---
+    odometer: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 0,
+      },
+    },
+    // Fuel gauge in eighths (0 = empty, 8 = full)
+    fuelLevel: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 0,
+        max: FUEL_LEVEL_MAX,
+      },
+    },
+    // Damages found: [{ zone, damageType, notes }] (see utils/inspectionUtils)
+    checklist: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    },
+    notes: {
+      type: DataTypes.TEXT,
+    },
+    // --- Computed on return (against the pickup inspection) ---
+    kilometresDriven: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    fuelShortfall: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    // --- Customer Acknowledgement ---
+    customerAcknowledged: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
+    acknowledgedAt: {
+      type: DataTypes.DATE,
+    },
+    // Customer signature image stored as BYTEA
+    signatureImageData: {
+      type: DataTypes.BLOB("long"),
+      allowNull: true,
+    },
+    signatureImageMimetype: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+    },
+    inspectedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+  },
+  {
+    tableName: "inspections",
+    timestamps: true,
+    hooks: {
+      beforeSave: (inspection) => {
+        if (
+          inspection.changed("customerAcknowledged") &&
+          inspection.customerAcknowledged &&
+          !inspection.acknowledgedAt
+        ) {
+          inspection.acknowledgedAt = new Date();
+        }
+      },
+    },
+    indexes: [
+      {
+        fields: ["booking_id", "type"],
+        unique: true,
+      },
+      {
+        fields: ["vehicle_id"],
+      },
+    ],
+  }
+);
+
+// --- Instance Methods ---
+
+// Get signature image as base64 data URL for frontend
+Inspection.prototype.getSignatureImageDataUrl = function () {
+  if (this.signatureImageData && this.signatureImageMimetype) {
+    const base64 = this.signatureImageData.toString("base64");
+    return `data:${this.signatureImageMimetype};base64,${base64}`;
+  }
+  return null;
+};
+
+module.exports = Inspection;
@@ -0,0 +1,66 @@
+// src/models/InspectionPhoto.js - Annotated damage photos of an inspection
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+const { INSPECTION_ZONES } = require("../utils/inspectionUtils");
+
+const InspectionPhoto = sequelize.define(
+  "InspectionPhoto",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    inspectionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "inspections",
+        key: "id",
+      },
+    },
+    // Photo stored as BYTEA
+    imageData: {
+      type: DataTypes.BLOB("long"),
+      allowNull: false,
+    },
+    imageMimetype: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+    imageName: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    // --- Annotation ---
+    zone: {
+      type: DataTypes.ENUM(...INSPECTION_ZONES),
+      allowNull: true,
+    },
+    annotation: {
+      type: DataTypes.TEXT,
+    },
+  },
+  {
+    tableName: "inspection_photos",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["inspection_id"],
+      },
+    ],
+  }
+);
+
+// --- Instance Methods ---
+
+// Get photo as base64 data URL for frontend
+InspectionPhoto.prototype.getImageDataUrl = function () {
+  if (this.imageData && this.imageMimetype) {
+    const base64 = this.imageData.toString("base64");
+    return `data:${this.imageMimetype};base64,${base64}`;
+  }
+  return null;
+};
+
+module.exports = InspectionPhoto;
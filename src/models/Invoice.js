@@ -0,0 +1,343 @@
+// src/models/Invoice.js - Invoices and credit notes (legal numbering per year)
+const { DataTypes, Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+const {
+  buildInvoiceLines,
+  buildRefundCreditLines,
+  sumInvoiceLines,
+  buildBillingDetails,
+} = require("../utils/invoiceUtils");
+
+const Invoice = sequelize.define(
+  "Invoice",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    number: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      unique: true,
+    },
+    documentType: {
+      type: DataTypes.ENUM("invoice", "credit_note"),
+      allowNull: false,
+      defaultValue: "invoice",
+    },
+    year: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    sequence: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    issueDate: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "bookings",
+        key: "id",
+      },
+    },
+    customerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "customers",
+        key: "id",
+      },
+    },
+    // Credit notes: invoice being credited (and refund that triggered it)
+    creditedInvoiceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "invoices",
+        key: "id",
+      },
+    },
+    paymentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "payments",
+        key: "id",
+      },
+    },
+    // --- Content (frozen at issue time) ---
+    lines: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    },
+    totalAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0,
+      },
+    },
+    billingDetails: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    reason: {
+      type: DataTypes.TEXT,
+    },
+    issuedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+  },
+  {
+    tableName: "invoices",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["number"],
+        unique: true,
+      },
+      {
+        fields: ["document_type", "year", "sequence"],
+        unique: true,
+      },
+      {
+        fields: ["booking_id"],
+      },
+      {
+        fields: ["customer_id"],
+      },
+      {
+        fields: ["issue_date"],
+      },
+    ],
+  }
+);
+
+// --- Instance Methods ---
+
+// Total already credited on this invoice
+Invoice.prototype.getCreditedAmount = async function (transaction = null) {
+  const credited = await Invoice.sum("totalAmount", {
+    where: { creditedInvoiceId: this.id, documentType: "credit_note" },
+    transaction,
+  });
+  return Math.round((credited || 0) * 100) / 100;
+};
+
+// Amount of this invoice that has not been credited yet
+Invoice.prototype.getRemainingAmount = async function (transaction = null) {
+  const credited = await this.getCreditedAmount(transaction);
+  return Math.round((parseFloat(this.totalAmount) - credited) * 100) / 100;
+};
+
+// --- Class Methods ---
+
+// Create a document with the next number of its yearly sequence
+Invoice.createDocument = async function (data, transaction) {
+  const DocumentSequence = require("./DocumentSequence");
+  const issueDate = data.issueDate || new Date();
+
+  const { year, sequence, number } = await DocumentSequence.allocate(
+    data.documentType,
+    transaction,
+    issueDate
+  );
+
+  return await Invoice.create(
+    { ...data, issueDate, year, sequence, number },
+    { transaction }
+  );
+};
+
+// Latest invoice of a booking (credit notes excluded)
+Invoice.findCurrentForBooking = async function (bookingId, transaction = null) {
+  return await Invoice.findOne({
+    where: { bookingId, documentType: "invoice" },
+    order: [["sequence", "DESC"]],
+    transaction,
+  });
+};
+
+/**
+ * Issue the invoice of a booking, or return the current one.
+ *
+ * An issued invoice is never modified: when the booking total changed
+ * (late return, modification...) the remaining amount is credited and a
+ * new invoice is issued, still net of the refunds already credited.
+ *
+ * @param {object} booking - Booking with customer and vehicle
+ * @returns {object} { invoice, creditNote, created }
+ */
+Invoice.issueForBooking = async function (booking, { adminId = null } = {}) {
+  const Booking = require("./Booking");
+
+  return await sequelize.transaction(async (transaction) => {
+    // Serialize concurrent issuing for the same booking
+    await Booking.findByPk(booking.id, {
+      attributes: ["id"],
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    const bookingLines = buildInvoiceLines(booking);
+
+    const current = await Invoice.findCurrentForBooking(
+      booking.id,
+      transaction
+    );
+    let creditNote = null;
+
+    if (current) {
+      // Unchanged booking total: refunds stay credited on the current invoice
+      const currentBookingLines = (current.lines || []).filter(
+        (line) => !line.creditNoteId
+      );
+      if (
+        sumInvoiceLines(currentBookingLines) === sumInvoiceLines(bookingLines)
+      ) {
+        return { invoice: current, creditNote: null, created: false };
+      }
+
+      const remaining = await current.getRemainingAmount(transaction);
+      if (remaining > 0) {
+        creditNote = await Invoice.createCreditNote(
+          current,
+          {
+            amount: remaining,
+            reason: "Facture rectifiée",
+            adminId,
+          },
+          transaction
+        );
+      }
+    }
+
+    // Refunds credited on earlier invoices are carried over
+    const refundCreditNotes = await Invoice.findAll({
+      where: {
+        bookingId: booking.id,
+        documentType: "credit_note",
+        paymentId: { [Op.ne]: null },
+      },
+      order: [["issueDate", "ASC"]],
+      transaction,
+    });
+    const lines = [
+      ...bookingLines,
+      ...buildRefundCreditLines(refundCreditNotes),
+    ];
+    const totalAmount = sumInvoiceLines(lines);
+
+    const invoice = await Invoice.createDocument(
+      {
+        documentType: "invoice",
+        bookingId: booking.id,
+        customerId: booking.customerId,
+        lines,
+        totalAmount,
+        billingDetails: buildBillingDetails(booking),
+        issuedById: adminId,
+      },
+      transaction
+    );
+
+    console.log("Invoice issued:", {
+      number: invoice.number,
+      bookingNumber: booking.bookingNumber,
+      totalAmount: invoice.totalAmount,
+      replacedInvoice: current ? current.number : null,
+    });
+
+    return { invoice, creditNote, created: true };
+  });
+};
+
+// Credit (part of) an invoice
+Invoice.createCreditNote = async function (
+  invoice,
+  { amount, reason, paymentId = null, adminId = null },
+  transaction
+) {
+  return await Invoice.createDocument(
+    {
+      documentType: "credit_note",
+      bookingId: invoice.bookingId,
+      customerId: invoice.customerId,
+      creditedInvoiceId: invoice.id,
+      paymentId,
+      lines: [
+        {
+          description: `${reason} - facture ${invoice.number}`,
+          quantity: 1,
+          unitPrice: amount,
+          amount,
+        },
+      ],
+      totalAmount: amount,
+      billingDetails: invoice.billingDetails,
+      reason,
+      issuedById: adminId,
+    },
+    transaction
+  );
+};
+
+/**
+ * Credit the current invoice of a booking (cancellation or refund).
+ * Without amount, everything not yet credited is credited except
+ * `retainAmount` (cancellation fee kept on the invoice).
+ *
+ * @returns {object|null} The credit note, or null when nothing to credit
+ */
+Invoice.creditForBooking = async function (
+  bookingId,
+  {
+    amount = null,
+    retainAmount = 0,
+    reason,
+    paymentId = null,
+    adminId = null,
+  } = {},
+  transaction
+) {
+  const invoice = await Invoice.findCurrentForBooking(bookingId, transaction);
+  if (!invoice) return null;
+
+  const remaining = await invoice.getRemainingAmount(transaction);
+  const creditAmount =
+    amount === null
+      ? Math.round((remaining - parseFloat(retainAmount)) * 100) / 100
+      : Math.min(parseFloat(amount), remaining);
+
+  if (creditAmount <= 0) return null;
+
+  const creditNote = await Invoice.createCreditNote(
+    invoice,
+    { amount: creditAmount, reason, paymentId, adminId },
+    transaction
+  );
+
+  console.log("Credit note issued:", {
+    number: creditNote.number,
+    invoice: invoice.number,
+    amount: creditAmount,
+  });
+
+  return creditNote;
+};
+
+module.exports = Invoice;
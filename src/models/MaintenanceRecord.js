@@ -0,0 +1,233 @@
+// src/models/MaintenanceRecord.js - Vehicle maintenance log and scheduled windows
+const { DataTypes, Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+const {
+  MAINTENANCE_TYPES,
+  toBlockingPeriod,
+} = require("../utils/maintenanceUtils");
+
+const MaintenanceRecord = sequelize.define(
+  "MaintenanceRecord",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    vehicleId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "vehicles",
+        key: "id",
+      },
+    },
+    servicePlanId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "service_plans",
+        key: "id",
+      },
+    },
+    type: {
+      type: DataTypes.ENUM(...MAINTENANCE_TYPES),
+      allowNull: false,
+    },
+    // scheduled windows block the vehicle in availability checks
+    status: {
+      type: DataTypes.ENUM("scheduled", "completed", "cancelled"),
+      defaultValue: "completed",
+    },
+    // --- Window (vehicle off the road) ---
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    startTime: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+      defaultValue: "08:00",
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    endTime: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+      defaultValue: "18:00",
+    },
+    // --- Service Performed ---
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    odometer: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0,
+      },
+    },
+    cost: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0,
+      },
+    },
+    garage: {
+      type: DataTypes.STRING(150),
+    },
+    notes: {
+      type: DataTypes.TEXT,
+    },
+    // Garage invoice (PDF or image) stored as BYTEA
+    invoiceData: {
+      type: DataTypes.BLOB("long"),
+      allowNull: true,
+    },
+    invoiceMimetype: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+    },
+    invoiceName: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    recordedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+  },
+  {
+    tableName: "maintenance_records",
+    timestamps: true,
+    validate: {
+      windowIsValid() {
+        if (this.status === "scheduled" && (!this.startDate || !this.endDate)) {
+          throw new Error("A scheduled maintenance needs a start and end date");
+        }
+        if (
+          this.startDate &&
+          this.endDate &&
+          new Date(`${this.endDate}T${this.endTime || "18:00"}:00`) <=
+            new Date(`${this.startDate}T${this.startTime || "08:00"}:00`)
+        ) {
+          throw new Error("Maintenance end must be after its start");
+        }
+      },
+    },
+    hooks: {
+      beforeSave: (record) => {
+        // The service date defaults to the end of the window
+        if (record.status === "completed" && !record.date) {
+          record.date =
+            record.endDate || new Date().toISOString().split("T")[0];
+        }
+      },
+    },
+    indexes: [
+      {
+        fields: ["vehicle_id", "type"],
+      },
+      {
+        fields: ["status", "start_date"],
+      },
+    ],
+  }
+);
+
+// --- Class Methods ---
+
+/**
+ * Scheduled windows of a vehicle overlapping a date range, shaped as
+ * booking periods for checkAdvancedAvailability.
+ */
+MaintenanceRecord.getBlockingPeriods = async function (
+  vehicleId,
+  fromDate,
+  toDate,
+  { excludeId = null } = {}
+) {
+  const records = await MaintenanceRecord.findAll({
+    where: {
+      vehicleId,
+      status: "scheduled",
+      startDate: { [Op.lte]: toDate },
+      endDate: { [Op.gte]: fromDate },
+      ...(excludeId && { id: { [Op.ne]: excludeId } }),
+    },
+    attributes: ["id", "type", "startDate", "startTime", "endDate", "endTime"],
+  });
+
+  return records.map(toBlockingPeriod);
+};
+
+// Vehicles with a scheduled window overlapping a date range
+MaintenanceRecord.getBlockedVehicleIds = async function (fromDate, toDate) {
+  const records = await MaintenanceRecord.findAll({
+    where: {
+      status: "scheduled",
+      startDate: { [Op.lte]: toDate },
+      endDate: { [Op.gte]: fromDate },
+    },
+    attributes: ["vehicleId"],
+    group: ["vehicleId"],
+    raw: true,
+  });
+
+  return records.map((record) => record.vehicleId);
+};
+
+// Latest completed service per vehicle and type: { "vehicleId:type": { date, odometer } }
+MaintenanceRecord.getLastServices = async function (
+  vehicleIds,
+  transaction = null
+) {
+  const records = await MaintenanceRecord.findAll({
+    where: { vehicleId: vehicleIds, status: "completed" },
+    attributes: ["vehicleId", "type", "date", "odometer"],
+    order: [["date", "DESC"]],
+    raw: true,
+    transaction,
+  });
+
+  const lastServices = {};
+  for (const record of records) {
+    const key = `${record.vehicleId}:${record.type}`;
+    if (!lastServices[key]) {
+      lastServices[key] = { date: record.date, odometer: record.odometer };
+    }
+  }
+  return lastServices;
+};
+
+// Completed maintenance cost per vehicle over a range: { vehicleId: amount }
+MaintenanceRecord.getCostsByVehicle = async function (vehicleIds, from, to) {
+  const rows = await MaintenanceRecord.findAll({
+    where: {
+      vehicleId: vehicleIds,
+      status: "completed",
+      date: { [Op.between]: [from, to] },
+    },
+    attributes: [
+      "vehicleId",
+      [sequelize.fn("SUM", sequelize.col("cost")), "total"],
+    ],
+    group: ["vehicleId"],
+    raw: true,
+  });
+
+  return rows.reduce((costs, row) => {
+    costs[row.vehicleId] = parseFloat(row.total) || 0;
+    return costs;
+  }, {});
+};
+
+module.exports = MaintenanceRecord;
@@ -0,0 +1,142 @@
+// src/models/Payment.js - Booking payments ledger (payments, deposits, refunds)
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+const {
+  PAYMENT_TYPES,
+  PAYMENT_METHODS,
+  summarizePayments,
+} = require("../utils/paymentUtils");
+
+const Payment = sequelize.define(
+  "Payment",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "bookings",
+        key: "id",
+      },
+    },
+    type: {
+      type: DataTypes.ENUM(...PAYMENT_TYPES),
+      allowNull: false,
+    },
+    // Null for entries without money movement (penalty, deposit deduction)
+    method: {
+      type: DataTypes.ENUM(...PAYMENT_METHODS),
+      allowNull: true,
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01,
+      },
+    },
+    // Receipt number (RE-YYYY-NNNNN), allocated with the entry
+    receiptNumber: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      unique: true,
+    },
+    // Card authorization, transfer reference...
+    reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+    },
+    notes: {
+      type: DataTypes.TEXT,
+    },
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    recordedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+  },
+  {
+    tableName: "payments",
+    timestamps: true,
+    hooks: {
+      // Keep the booking balance columns in sync with the ledger
+      afterCreate: async (payment, options) => {
+        await Payment.syncBookingTotals(payment.bookingId, options.transaction);
+      },
+      afterDestroy: async (payment, options) => {
+        await Payment.syncBookingTotals(payment.bookingId, options.transaction);
+      },
+    },
+    indexes: [
+      {
+        fields: ["booking_id"],
+      },
+      {
+        fields: ["type"],
+      },
+      {
+        fields: ["paid_at"],
+      },
+    ],
+  }
+);
+
+// --- Class Methods ---
+
+// Record a ledger entry in the given transaction
+// Entries moving money (with a method) get a receipt number
+Payment.record = async function (data, transaction) {
+  const DocumentSequence = require("./DocumentSequence");
+  let receiptNumber = null;
+
+  if (data.method) {
+    ({ number: receiptNumber } = await DocumentSequence.allocate(
+      "receipt",
+      transaction,
+      data.paidAt || new Date()
+    ));
+  }
+
+  return await Payment.create({ ...data, receiptNumber }, { transaction });
+};
+
+// Summarize all ledger entries of a booking
+Payment.getBookingSummary = async function (bookingId, transaction = null) {
+  const payments = await Payment.findAll({
+    where: { bookingId },
+    attributes: ["type", "amount"],
+    transaction,
+  });
+
+  return summarizePayments(payments);
+};
+
+// Store ledger totals on the booking (amountPaid, depositHeld)
+Payment.syncBookingTotals = async function (bookingId, transaction = null) {
+  const Booking = require("./Booking");
+  const summary = await Payment.getBookingSummary(bookingId, transaction);
+
+  await Booking.update(
+    {
+      amountPaid: summary.amountPaid,
+      depositHeld: summary.depositHeld,
+    },
+    { where: { id: bookingId }, transaction }
+  );
+
+  return summary;
+};
+
+module.exports = Payment;
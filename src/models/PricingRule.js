@@ -0,0 +1,175 @@
+// src/models/PricingRule.js - Seasonal and date-based pricing rules
+const { DataTypes, Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+const { buildPricingBreakdown } = require("../utils/pricingUtils");
+
+const PricingRule = sequelize.define(
+  "PricingRule",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 100],
+      },
+    },
+    description: {
+      type: DataTypes.TEXT,
+    },
+    ruleType: {
+      type: DataTypes.ENUM("season", "holiday", "weekend", "custom"),
+      defaultValue: "custom",
+    },
+    // --- Target (none = whole fleet) ---
+    vehicleId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "vehicles",
+        key: "id",
+      },
+    },
+    brand: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+    },
+    // --- Validity ---
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      validate: {
+        isAfterStart(value) {
+          if (value && this.startDate && value < this.startDate) {
+            throw new Error("End date cannot be before start date");
+          }
+        },
+      },
+    },
+    // 0 = Sunday ... 6 = Saturday, empty = every day
+    daysOfWeek: {
+      type: DataTypes.ARRAY(DataTypes.INTEGER),
+      defaultValue: [],
+      validate: {
+        isValidDays(value) {
+          if (!Array.isArray(value)) {
+            throw new Error("Days of week must be an array");
+          }
+          for (const day of value) {
+            if (!Number.isInteger(Number(day)) || day < 0 || day > 6) {
+              throw new Error(`Invalid day of week: ${day}`);
+            }
+          }
+        },
+      },
+    },
+    // --- Adjustment ---
+    adjustmentType: {
+      type: DataTypes.ENUM("fixed", "percentage"),
+      allowNull: false,
+    },
+    adjustmentValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    priority: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+  },
+  {
+    tableName: "pricing_rules",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["vehicle_id"],
+      },
+      {
+        fields: ["brand"],
+      },
+      {
+        fields: ["start_date", "end_date"],
+      },
+      {
+        fields: ["is_active"],
+      },
+    ],
+  }
+);
+
+// --- Class Methods ---
+
+// Get active rules that may apply to a vehicle within a date range
+PricingRule.getRulesForVehicle = async function (vehicle, startDate, endDate) {
+  return await PricingRule.findAll({
+    where: {
+      isActive: true,
+      [Op.and]: [
+        {
+          [Op.or]: [
+            { vehicleId: vehicle.id },
+            { brand: vehicle.brand, vehicleId: null },
+            { brand: null, vehicleId: null },
+          ],
+        },
+        {
+          [Op.or]: [{ startDate: null }, { startDate: { [Op.lte]: endDate } }],
+        },
+        {
+          [Op.or]: [{ endDate: null }, { endDate: { [Op.gte]: startDate } }],
+        },
+      ],
+    },
+  });
+};
+
+// Price a rental day by day using the rules in effect
+PricingRule.calculateBookingPricing = async function (
+  vehicle,
+  pickupDate,
+  returnDate,
+  pickupTime,
+  returnTime,
+  baseRate = null,
+  adjustments = {}
+) {
+  const rules = await PricingRule.getRulesForVehicle(
+    vehicle,
+    pickupDate,
+    returnDate
+  );
+
+  return buildPricingBreakdown(
+    rules,
+    vehicle,
+    baseRate !== null ? baseRate : vehicle.price,
+    pickupDate,
+    returnDate,
+    pickupTime,
+    returnTime,
+    adjustments
+  );
+};
+
+module.exports = PricingRule;
@@ -0,0 +1,227 @@
+// src/models/PromoCode.js - Promo codes and discount campaigns
+const { DataTypes, Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+const {
+  PROMO_USAGE_REASONS,
+  checkPromoCodeEligibility,
+} = require("../utils/discountUtils");
+
+const PromoCode = sequelize.define(
+  "PromoCode",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    code: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true,
+        is: {
+          args: /^[A-Z0-9_-]+$/,
+          msg: "Promo code must contain only letters, numbers, - and _",
+        },
+      },
+    },
+    description: {
+      type: DataTypes.TEXT,
+    },
+    // --- Discount ---
+    discountType: {
+      type: DataTypes.ENUM("percentage", "fixed"),
+      allowNull: false,
+    },
+    discountValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0,
+        isValidPercentage(value) {
+          if (this.discountType === "percentage" && parseFloat(value) > 100) {
+            throw new Error("Percentage discount cannot exceed 100");
+          }
+        },
+      },
+    },
+    // --- Validity Window ---
+    validFrom: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    validUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      validate: {
+        isAfterStart(value) {
+          if (
+            value &&
+            this.validFrom &&
+            new Date(value) < new Date(this.validFrom)
+          ) {
+            throw new Error("Validity end cannot be before validity start");
+          }
+        },
+      },
+    },
+    // --- Usage Caps (null = unlimited) ---
+    maxUses: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1,
+      },
+    },
+    maxUsesPerCustomer: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1,
+      },
+    },
+    usesCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      validate: {
+        min: 0,
+      },
+    },
+    // --- Restrictions (empty = all vehicles) ---
+    vehicleIds: {
+      type: DataTypes.ARRAY(DataTypes.UUID),
+      defaultValue: [],
+    },
+    brands: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: [],
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+  },
+  {
+    tableName: "promo_codes",
+    timestamps: true,
+    hooks: {
+      beforeValidate: async (promoCode) => {
+        // Codes are case-insensitive: always store upper case
+        if (promoCode.code) {
+          promoCode.code = promoCode.code.trim().toUpperCase();
+        }
+      },
+    },
+    indexes: [
+      {
+        fields: ["code"],
+        unique: true,
+      },
+      {
+        fields: ["is_active"],
+      },
+    ],
+  }
+);
+
+// --- Instance Methods ---
+
+// Count non-cancelled bookings of a customer that used this code
+PromoCode.prototype.getCustomerUsageCount = async function (
+  customerId,
+  transaction = null
+) {
+  if (!customerId) return 0;
+
+  const Booking = require("./Booking");
+  return await Booking.count({
+    where: {
+      promoCodeId: this.id,
+      customerId,
+      status: { [Op.ne]: "cancelled" },
+    },
+    transaction,
+  });
+};
+
+// Check validity window, usage caps and vehicle/brand restrictions
+PromoCode.prototype.validateForBooking = async function ({
+  vehicle,
+  customerId = null,
+  date = new Date(),
+}) {
+  const customerUsageCount = await this.getCustomerUsageCount(customerId);
+
+  return checkPromoCodeEligibility(this, {
+    vehicle,
+    date,
+    customerUsageCount,
+  });
+};
+
+// Booking error for a code that cannot be used
+PromoCode.prototype.formatRejection = function (reason) {
+  return `${reason} (${this.code})`;
+};
+
+// Claim one use for a booking being created. The promo row stays locked
+// until the booking is committed, so concurrent bookings wait and count it
+// against both caps.
+PromoCode.prototype.recordUsage = async function (
+  transaction,
+  { customerId = null } = {}
+) {
+  const promo = await PromoCode.findByPk(this.id, {
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+
+  if (promo.maxUses !== null && promo.usesCount >= promo.maxUses) {
+    return { isValid: false, reason: PROMO_USAGE_REASONS.maxUses };
+  }
+
+  if (promo.maxUsesPerCustomer !== null) {
+    const customerUsageCount = await this.getCustomerUsageCount(
+      customerId,
+      transaction
+    );
+    if (customerUsageCount >= promo.maxUsesPerCustomer) {
+      return {
+        isValid: false,
+        reason: PROMO_USAGE_REASONS.maxUsesPerCustomer,
+      };
+    }
+  }
+
+  this.usesCount = promo.usesCount + 1;
+  await promo.increment("usesCount", { transaction });
+
+  return { isValid: true, reason: null };
+};
+
+PromoCode.prototype.releaseUsage = async function () {
+  if (this.usesCount > 0) {
+    await this.decrement("usesCount");
+  }
+  return this;
+};
+
+// --- Class Methods ---
+
+PromoCode.findByCode = async function (code) {
+  if (!code) return null;
+  return await PromoCode.findOne({
+    where: { code: code.trim().toUpperCase() },
+  });
+};
+
+module.exports = PromoCode;
@@ -0,0 +1,157 @@
+// src/models/ServicePlan.js - Recurring maintenance by mileage and/or time
+const { DataTypes, Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+const {
+  MAINTENANCE_TYPES,
+  calculateServiceDue,
+} = require("../utils/maintenanceUtils");
+
+const ServicePlan = sequelize.define(
+  "ServicePlan",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [2, 100],
+      },
+    },
+    maintenanceType: {
+      type: DataTypes.ENUM(...MAINTENANCE_TYPES),
+      allowNull: false,
+    },
+    // Vehicle the plan applies to (null = whole fleet)
+    vehicleId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "vehicles",
+        key: "id",
+      },
+    },
+    // Due every N km and/or every N months, whichever comes first
+    intervalKm: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1,
+      },
+    },
+    intervalMonths: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1,
+      },
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+    },
+    notes: {
+      type: DataTypes.TEXT,
+    },
+  },
+  {
+    tableName: "service_plans",
+    timestamps: true,
+    validate: {
+      hasInterval() {
+        if (!this.intervalKm && !this.intervalMonths) {
+          throw new Error("A service plan needs a km and/or months interval");
+        }
+      },
+    },
+    indexes: [
+      {
+        fields: ["vehicle_id"],
+      },
+      {
+        fields: ["is_active"],
+      },
+    ],
+  }
+);
+
+// --- Class Methods ---
+
+/**
+ * Due services of vehicles from the active plans and the last completed
+ * maintenance of each type.
+ *
+ * Oil changes and technical visits fall back on Vehicle.lastOilChange /
+ * Vehicle.lastTechnicalVisit when no maintenance was logged yet.
+ *
+ * @param {Array} vehicles - Vehicles ({ id, mileage, createdAt, lastOilChange, lastTechnicalVisit })
+ * @returns {Array} [{ vehicle, plan, lastServiceDate, lastServiceOdometer, dueDate, dueMileage }]
+ */
+ServicePlan.getDueServices = async function (vehicles, transaction = null) {
+  const MaintenanceRecord = require("./MaintenanceRecord");
+
+  if (vehicles.length === 0) return [];
+  const vehicleIds = vehicles.map((vehicle) => vehicle.id);
+
+  const plans = await ServicePlan.findAll({
+    where: {
+      isActive: true,
+      [Op.or]: [{ vehicleId: null }, { vehicleId: vehicleIds }],
+    },
+    transaction,
+  });
+
+  const lastServices = await MaintenanceRecord.getLastServices(
+    vehicleIds,
+    transaction
+  );
+
+  const legacyDates = {
+    oil_change: "lastOilChange",
+    technical_visit: "lastTechnicalVisit",
+  };
+
+  const services = [];
+  for (const vehicle of vehicles) {
+    // A vehicle-specific plan replaces the fleet plan of the same type
+    const vehiclePlans = plans.filter((plan) => plan.vehicleId === vehicle.id);
+    const applicable = [
+      ...vehiclePlans,
+      ...plans.filter(
+        (plan) =>
+          plan.vehicleId === null &&
+          !vehiclePlans.some(
+            (own) => own.maintenanceType === plan.maintenanceType
+          )
+      ),
+    ];
+
+    for (const plan of applicable) {
+      let lastService =
+        lastServices[`${vehicle.id}:${plan.maintenanceType}`] || null;
+
+      const legacyField = legacyDates[plan.maintenanceType];
+      if (!lastService && legacyField && vehicle[legacyField]) {
+        lastService = { date: vehicle[legacyField], odometer: null };
+      }
+
+      const fleetEntryDate = vehicle.createdAt
+        ? new Date(vehicle.createdAt).toISOString().split("T")[0]
+        : null;
+
+      services.push({
+        vehicle,
+        plan,
+        ...calculateServiceDue(plan, lastService, fleetEntryDate),
+      });
+    }
+  }
+
+  return services;
+};
+
+module.exports = ServicePlan;
@@ -1,6 +1,8 @@
 // src/models/Vehicle.js - Updated with year validation to 2030
 const { DataTypes } = require("sequelize");
 const { sequelize } = require("../config/database");
+const { E164_REGEX, toE164 } = require("../utils/phoneUtils");
+const { VEHICLE_CATEGORIES } = require("../utils/driverAgeUtils");
 
 const Vehicle = sequelize.define(
   "Vehicle",
@@ -84,6 +86,11 @@ const Vehicle = sequelize.define(
         max: 5,
       },
     },
+    // Rental category (driver age bands can target a category)
+    category: {
+      type: DataTypes.ENUM(...VEHICLE_CATEGORIES),
+      defaultValue: "economy",
+    },
     licensePlate: {
       type: DataTypes.STRING(15),
       allowNull: false,
@@ -96,11 +103,12 @@ const Vehicle = sequelize.define(
         },
       },
     },
+    // E.164 (+212612345678), normalized on write
     whatsappNumber: {
-      type: DataTypes.STRING(15),
+      type: DataTypes.STRING(16),
       allowNull: false,
       validate: {
-        is: /^0[67]\d{8}$/,
+        is: E164_REGEX,
       },
     },
     caution: {
@@ -203,6 +211,101 @@ const Vehicle = sequelize.define(
         key: "id",
       },
     },
+    // Cancellation policy (falls back to booking source / default policy)
+    cancellationPolicyId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "cancellation_policies",
+        key: "id",
+      },
+    },
+    // --- Mileage Allowance (bookings may override it) ---
+    mileageLimitType: {
+      type: DataTypes.ENUM("unlimited", "per_day"),
+      defaultValue: "unlimited",
+    },
+    dailyMileageLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1,
+      },
+    },
+    // Price per kilometre beyond the allowance
+    excessKmRate: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0,
+      },
+    },
+    // --- Fuel Refill (charged on fuel missing at return) ---
+    fuelTankCapacity: {
+      type: DataTypes.INTEGER, // litres
+      allowNull: true,
+      validate: {
+        min: 1,
+      },
+    },
+    // Price per litre
+    fuelRefillRate: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0,
+      },
+    },
+    // --- Driver Requirements (checked when a booking is created or confirmed) ---
+    minimumAge: {
+      type: DataTypes.INTEGER,
+      defaultValue: 21,
+      validate: {
+        min: 18,
+        max: 99,
+      },
+    },
+    // Years since the driving licence was issued
+    minimumLicenseYears: {
+      type: DataTypes.INTEGER,
+      defaultValue: 2,
+      validate: {
+        min: 0,
+        max: 50,
+      },
+    },
+    requiredLicenseCategory: {
+      type: DataTypes.STRING(5),
+      defaultValue: "B",
+    },
+    // --- Ownership (profitability report, straight-line depreciation) ---
+    purchasePrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0,
+      },
+    },
+    purchaseDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    // Expected resale value at the end of its useful life
+    residualValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0,
+      },
+    },
+    usefulLifeYears: {
+      type: DataTypes.INTEGER,
+      defaultValue: 5,
+      validate: {
+        min: 1,
+        max: 30,
+      },
+    },
     // Maintenance tracking
     nextMaintenanceDue: {
       type: DataTypes.DATEONLY,
@@ -216,6 +319,13 @@ const Vehicle = sequelize.define(
     tableName: "vehicles",
     timestamps: true,
     hooks: {
+      beforeValidate: async (vehicle) => {
+        // Local WhatsApp numbers are Moroccan (kept as typed when unparseable)
+        if (vehicle.whatsappNumber && vehicle.changed("whatsappNumber")) {
+          vehicle.whatsappNumber =
+            toE164(vehicle.whatsappNumber) || vehicle.whatsappNumber;
+        }
+      },
       beforeSave: async (vehicle) => {
         // Auto-calculate next maintenance due date
         if (vehicle.changed("lastTechnicalVisit")) {
@@ -268,6 +378,79 @@ Vehicle.prototype.updateRating = async function (newRating) {
   return this;
 };
 
+// Keep the available flag in line with rentals in progress (vehicle out)
+Vehicle.prototype.syncAvailability = async function (transaction = null) {
+  const { Op } = require("sequelize");
+  const { Booking, MaintenanceRecord, VehicleBlock } = require("./index");
+
+  const today = new Date().toISOString().split("T")[0];
+
+  // Rentals in progress, and confirmed rentals starting today (kept
+  // unavailable by the confirmation until pickup)
+  const activeRentals = await Booking.count({
+    where: {
+      vehicleId: this.id,
+      [Op.or]: [
+        { status: "active" },
+        {
+          status: "confirmed",
+          pickupDate: { [Op.lte]: today },
+          returnDate: { [Op.gte]: today },
+        },
+      ],
+    },
+    transaction,
+  });
+
+  // A maintenance window or blackout period running today keeps the vehicle
+  // off the road
+  const inMaintenance = await MaintenanceRecord.count({
+    where: {
+      vehicleId: this.id,
+      status: "scheduled",
+      startDate: { [Op.lte]: today },
+      endDate: { [Op.gte]: today },
+    },
+    transaction,
+  });
+  const blocked = await VehicleBlock.count({
+    where: {
+      vehicleId: this.id,
+      startDate: { [Op.lte]: today },
+      endDate: { [Op.gte]: today },
+    },
+    transaction,
+  });
+
+  await this.update(
+    {
+      available:
+        this.status === "active" &&
+        activeRentals === 0 &&
+        inMaintenance === 0 &&
+        blocked === 0,
+    },
+    { transaction }
+  );
+  return this;
+};
+
+// Next maintenance due = earliest due date of the vehicle service plans
+Vehicle.prototype.refreshMaintenanceDue = async function (transaction = null) {
+  const ServicePlan = require("./ServicePlan");
+
+  const services = await ServicePlan.getDueServices([this], transaction);
+  const dueDates = services
+    .map((service) => service.dueDate)
+    .filter(Boolean)
+    .sort();
+
+  if (dueDates.length > 0) {
+    await this.update({ nextMaintenanceDue: dueDates[0] }, { transaction });
+  }
+  return this;
+};
+
 // Get main image as base64 data URL for frontend
 Vehicle.prototype.getMainImageDataUrl = function () {
   if (this.mainImageData && this.mainImageMimetype) {
@@ -354,11 +537,110 @@ Vehicle.getAvailableForDateRange = async function (
     ],
   });
 
-  // Filter out vehicles with conflicting bookings
+  // Scheduled maintenance windows and blackout periods take vehicles off
+  // the road
+  const MaintenanceRecord = require("./MaintenanceRecord");
+  const VehicleBlock = require("./VehicleBlock");
+  const inMaintenance = await MaintenanceRecord.getBlockedVehicleIds(
+    startDate,
+    endDate
+  );
+  const blocked = await VehicleBlock.getBlockedVehicleIds(startDate, endDate);
+
+  // Filter out vehicles with conflicting bookings, maintenance or blocks
   return availableVehicles.filter(
     (vehicle) =>
-      !vehicle.vehicleBookings || vehicle.vehicleBookings.length === 0
+      (!vehicle.vehicleBookings || vehicle.vehicleBookings.length === 0) &&
+      !inMaintenance.includes(vehicle.id) &&
+      !blocked.includes(vehicle.id)
+  );
+};
+
+/**
+ * Replacement vehicles for a booking (breakdown, conflict): same
+ * transmission, fuel type and seats, price within +/- priceTolerance %.
+ *
+ * getAvailableForDateRange works per day: compatible vehicles it rejects
+ * get a minute-precision check (bookings, maintenance windows and blocks)
+ * so back-to-back swaps are still suggested.
+ */
+Vehicle.getReassignmentCandidates = async function (
+  booking,
+  vehicle,
+  { priceTolerance = 20 } = {}
+) {
+  const { Op } = require("sequelize");
+  const { Booking } = require("./index");
+
+  const price = parseFloat(vehicle.price);
+  const compatibleVehicles = await Vehicle.findAll({
+    where: {
+      id: { [Op.ne]: vehicle.id },
+      status: "active",
+      transmission: vehicle.transmission,
+      fuelType: vehicle.fuelType,
+      seats: vehicle.seats,
+      price: {
+        [Op.between]: [
+          price * (1 - priceTolerance / 100),
+          price * (1 + priceTolerance / 100),
+        ],
+      },
+    },
+    attributes: [
+      "id",
+      "name",
+      "brand",
+      "year",
+      "licensePlate",
+      "price",
+      "transmission",
+      "fuelType",
+      "seats",
+      "available",
+    ],
+  });
+
+  const freeForDates = new Set(
+    (
+      await Vehicle.getAvailableForDateRange(
+        booking.pickupDate,
+        booking.returnDate,
+        vehicle.id
+      )
+    ).map((candidate) => candidate.id)
   );
+
+  const candidates = [];
+  for (const candidate of compatibleVehicles) {
+    // A rental in progress needs a vehicle that is at the agency now
+    if (booking.status === "active" && !candidate.available) continue;
+
+    if (!freeForDates.has(candidate.id)) {
+      // Bookings, maintenance windows and blocks, to the minute
+      const availability = await Booking.getVehicleAvailabilityDetails(
+        candidate.id,
+        booking.pickupDate,
+        booking.returnDate,
+        booking.pickupTime,
+        booking.returnTime,
+        booking.id
+      );
+      if (!availability.isAvailable) continue;
+    }
+
+    candidates.push(candidate);
+  }
+
+  return candidates
+    .map((candidate) => ({
+      ...candidate.toJSON(),
+      priceDifference:
+        Math.round((parseFloat(candidate.price) - price) * 100) / 100,
+    }))
+    .sort(
+      (a, b) => Math.abs(a.priceDifference) - Math.abs(b.priceDifference)
+    );
 };
 
 module.exports = Vehicle;
@@ -0,0 +1,137 @@
+// src/models/VehicleBlock.js - Blackout periods keeping a vehicle off the rental calendar
+const { DataTypes, Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const VehicleBlock = sequelize.define(
+  "VehicleBlock",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    vehicleId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "vehicles",
+        key: "id",
+      },
+    },
+    reason: {
+      type: DataTypes.ENUM(
+        "maintenance",
+        "private_use",
+        "transfer",
+        "body_shop"
+      ),
+      allowNull: false,
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    startTime: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      defaultValue: "00:00",
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    endTime: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      defaultValue: "23:59",
+    },
+    notes: {
+      type: DataTypes.TEXT,
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+  },
+  {
+    tableName: "vehicle_blocks",
+    timestamps: true,
+    validate: {
+      endsAfterStart() {
+        if (
+          new Date(`${this.endDate}T${this.endTime}:00`) <=
+          new Date(`${this.startDate}T${this.startTime}:00`)
+        ) {
+          throw new Error("Block end must be after its start");
+        }
+      },
+    },
+    indexes: [
+      {
+        fields: ["vehicle_id", "start_date"],
+      },
+    ],
+  }
+);
+
+// --- Instance Methods ---
+
+// Block shaped as a booking period for checkAdvancedAvailability
+VehicleBlock.prototype.toBlockingPeriod = function () {
+  return {
+    id: this.id,
+    status: "active",
+    pickupDate: this.startDate,
+    pickupTime: this.startTime,
+    returnDate: this.endDate,
+    returnTime: this.endTime,
+    reason: this.reason,
+    isBlock: true,
+  };
+};
+
+// --- Class Methods ---
+
+// Blocks of a vehicle overlapping a date range, as booking periods
+VehicleBlock.getBlockingPeriods = async function (
+  vehicleId,
+  fromDate,
+  toDate,
+  { excludeId = null } = {}
+) {
+  const blocks = await VehicleBlock.findAll({
+    where: {
+      vehicleId,
+      startDate: { [Op.lte]: toDate },
+      endDate: { [Op.gte]: fromDate },
+      ...(excludeId && { id: { [Op.ne]: excludeId } }),
+    },
+    order: [
+      ["startDate", "ASC"],
+      ["startTime", "ASC"],
+    ],
+  });
+
+  return blocks.map((block) => block.toBlockingPeriod());
+};
+
+// Vehicles with a block overlapping a date range
+VehicleBlock.getBlockedVehicleIds = async function (fromDate, toDate) {
+  const blocks = await VehicleBlock.findAll({
+    where: {
+      startDate: { [Op.lte]: toDate },
+      endDate: { [Op.gte]: fromDate },
+    },
+    attributes: ["vehicleId"],
+    group: ["vehicleId"],
+    raw: true,
+  });
+
+  return blocks.map((block) => block.vehicleId);
+};
+
+module.exports = VehicleBlock;
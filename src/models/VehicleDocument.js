@@ -0,0 +1,181 @@
+// src/models/VehicleDocument.js - Registration, insurance, vignette and inspection papers
+const { DataTypes, Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+const {
+  VEHICLE_DOCUMENT_TYPES,
+  getCurrentDocuments,
+  checkDocumentCompliance,
+} = require("../utils/vehicleDocumentUtils");
+
+const VehicleDocument = sequelize.define(
+  "VehicleDocument",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    vehicleId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "vehicles",
+        key: "id",
+      },
+    },
+    type: {
+      type: DataTypes.ENUM(...VEHICLE_DOCUMENT_TYPES),
+      allowNull: false,
+    },
+    // Policy, vignette or certificate number
+    documentNumber: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+    },
+    // Insurer, tax office or inspection centre
+    issuer: {
+      type: DataTypes.STRING(150),
+      allowNull: true,
+    },
+    issueDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    // Last day the document is valid
+    expiryDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      validate: {
+        isDate: true,
+      },
+    },
+    // Scanned document (image or PDF) stored as BYTEA
+    fileData: {
+      type: DataTypes.BLOB("long"),
+      allowNull: true,
+    },
+    fileMimetype: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+    },
+    fileName: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    notes: {
+      type: DataTypes.TEXT,
+    },
+    uploadedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "admins",
+        key: "id",
+      },
+    },
+  },
+  {
+    tableName: "vehicle_documents",
+    timestamps: true,
+    validate: {
+      expiresAfterIssue() {
+        if (this.issueDate && this.expiryDate < this.issueDate) {
+          throw new Error("Expiry date cannot be before the issue date");
+        }
+      },
+    },
+    indexes: [
+      {
+        fields: ["vehicle_id", "type"],
+      },
+      {
+        fields: ["expiry_date"],
+      },
+    ],
+  }
+);
+
+// --- Instance Methods ---
+
+VehicleDocument.prototype.getDaysUntilExpiry = function () {
+  const today = new Date().toISOString().split("T")[0];
+  return Math.round(
+    (new Date(`${this.expiryDate}T00:00:00Z`) -
+      new Date(`${today}T00:00:00Z`)) /
+      (24 * 60 * 60 * 1000)
+  );
+};
+
+// --- Class Methods ---
+
+// Vehicle papers checked against a rental period (see vehicleDocumentUtils)
+VehicleDocument.checkVehicleCompliance = async function (
+  vehicleId,
+  pickupDate,
+  returnDate
+) {
+  const documents = await VehicleDocument.findAll({
+    where: { vehicleId },
+    attributes: ["id", "type", "expiryDate"],
+  });
+
+  return checkDocumentCompliance(documents, pickupDate, returnDate);
+};
+
+/**
+ * Current documents of the fleet expired or expiring within N days.
+ *
+ * @param {number} daysAhead - Alert window
+ * @returns {object} { expired, expiringSoon, byType, documents }
+ */
+VehicleDocument.getExpiringDocuments = async function (daysAhead = 30) {
+  const Vehicle = require("./Vehicle");
+
+  const today = new Date().toISOString().split("T")[0];
+  const limit = new Date();
+  limit.setDate(limit.getDate() + daysAhead);
+  const limitDate = limit.toISOString().split("T")[0];
+
+  const documents = await VehicleDocument.findAll({
+    attributes: { exclude: ["fileData"] },
+    include: [
+      {
+        model: Vehicle,
+        as: "vehicle",
+        attributes: ["id", "name", "brand", "licensePlate", "status"],
+        where: { status: { [Op.ne]: "inactive" } },
+      },
+    ],
+    order: [["expiryDate", "ASC"]],
+  });
+
+  // Only the latest document of each type counts (renewals replace it)
+  const byVehicle = documents.reduce((groups, document) => {
+    (groups[document.vehicleId] = groups[document.vehicleId] || []).push(
+      document
+    );
+    return groups;
+  }, {});
+
+  const alerts = Object.values(byVehicle)
+    .flatMap((vehicleDocuments) =>
+      Object.values(getCurrentDocuments(vehicleDocuments))
+    )
+    .filter((document) => document.expiryDate <= limitDate)
+    .sort((a, b) => (a.expiryDate < b.expiryDate ? -1 : 1));
+
+  const byType = VEHICLE_DOCUMENT_TYPES.reduce((counts, type) => {
+    counts[type] = alerts.filter((document) => document.type === type).length;
+    return counts;
+  }, {});
+
+  return {
+    expired: alerts.filter((document) => document.expiryDate < today).length,
+    expiringSoon: alerts.filter((document) => document.expiryDate >= today)
+      .length,
+    byType,
+    documents: alerts,
+  };
+};
+
+module.exports = VehicleDocument;
@@ -3,6 +3,29 @@ const Admin = require("./Admin");
 const Vehicle = require("./Vehicle");
 const Customer = require("./Customer");
 const Booking = require("./Booking");
+const PricingRule = require("./PricingRule");
+const DriverAgeRule = require("./DriverAgeRule");
+const PromoCode = require("./PromoCode");
+const Extra = require("./Extra");
+const BookingExtra = require("./BookingExtra");
+const Payment = require("./Payment");
+const Invoice = require("./Invoice");
+const DocumentSequence = require("./DocumentSequence");
+const CancellationPolicy = require("./CancellationPolicy");
+const BookingModification = require("./BookingModification");
+const BookingReassignment = require("./BookingReassignment");
+const Inspection = require("./Inspection");
+const InspectionPhoto = require("./InspectionPhoto");
+const DamageClaim = require("./DamageClaim");
+const DamageClaimPhoto = require("./DamageClaimPhoto");
+const Fine = require("./Fine");
+const ServicePlan = require("./ServicePlan");
+const MaintenanceRecord = require("./MaintenanceRecord");
+const VehicleDocument = require("./VehicleDocument");
+const VehicleBlock = require("./VehicleBlock");
+const Expense = require("./Expense");
+const CustomerMerge = require("./CustomerMerge");
+const BlacklistEntry = require("./BlacklistEntry");
 
 // Admin associations
 Admin.hasMany(Vehicle, {
@@ -75,6 +98,11 @@ Booking.belongsTo(Admin, {
   as: "cancelledBy",
 });
 
+Booking.belongsTo(Admin, {
+  foreignKey: "blacklistOverrideById",
+  as: "blacklistOverrideBy",
+});
+
 Booking.belongsTo(Customer, {
   foreignKey: "customerId",
   as: "customer",
@@ -85,10 +113,526 @@ Booking.belongsTo(Vehicle, {
   as: "vehicle",
 });
 
+// Pricing rule associations
+Admin.hasMany(PricingRule, {
+  foreignKey: "createdById",
+  as: "pricingRules",
+  onDelete: "SET NULL",
+});
+
+PricingRule.belongsTo(Admin, {
+  foreignKey: "createdById",
+  as: "createdBy",
+});
+
+Vehicle.hasMany(PricingRule, {
+  foreignKey: "vehicleId",
+  as: "pricingRules",
+  onDelete: "CASCADE",
+});
+
+PricingRule.belongsTo(Vehicle, {
+  foreignKey: "vehicleId",
+  as: "vehicle",
+});
+
+// Driver age rule associations
+Admin.hasMany(DriverAgeRule, {
+  foreignKey: "createdById",
+  as: "driverAgeRules",
+  onDelete: "SET NULL",
+});
+
+DriverAgeRule.belongsTo(Admin, {
+  foreignKey: "createdById",
+  as: "createdBy",
+});
+
+// Promo code associations
+Admin.hasMany(PromoCode, {
+  foreignKey: "createdById",
+  as: "promoCodes",
+  onDelete: "SET NULL",
+});
+
+PromoCode.belongsTo(Admin, {
+  foreignKey: "createdById",
+  as: "createdBy",
+});
+
+PromoCode.hasMany(Booking, {
+  foreignKey: "promoCodeId",
+  as: "bookings",
+  onDelete: "SET NULL",
+});
+
+Booking.belongsTo(PromoCode, {
+  foreignKey: "promoCodeId",
+  as: "promoCode",
+});
+
+// Extras associations
+Admin.hasMany(Extra, {
+  foreignKey: "createdById",
+  as: "extras",
+  onDelete: "SET NULL",
+});
+
+Extra.belongsTo(Admin, {
+  foreignKey: "createdById",
+  as: "createdBy",
+});
+
+Booking.hasMany(BookingExtra, {
+  foreignKey: "bookingId",
+  as: "bookingExtras",
+  onDelete: "CASCADE",
+});
+
+BookingExtra.belongsTo(Booking, {
+  foreignKey: "bookingId",
+  as: "booking",
+});
+
+Extra.hasMany(BookingExtra, {
+  foreignKey: "extraId",
+  as: "bookingExtras",
+  onDelete: "RESTRICT",
+});
+
+BookingExtra.belongsTo(Extra, {
+  foreignKey: "extraId",
+  as: "extra",
+});
+
+// Payment associations
+Booking.hasMany(Payment, {
+  foreignKey: "bookingId",
+  as: "payments",
+  onDelete: "CASCADE",
+});
+
+Payment.belongsTo(Booking, {
+  foreignKey: "bookingId",
+  as: "booking",
+});
+
+Admin.hasMany(Payment, {
+  foreignKey: "recordedById",
+  as: "recordedPayments",
+  onDelete: "SET NULL",
+});
+
+Payment.belongsTo(Admin, {
+  foreignKey: "recordedById",
+  as: "recordedBy",
+});
+
+// Invoice associations
+Booking.hasMany(Invoice, {
+  foreignKey: "bookingId",
+  as: "invoices",
+  onDelete: "RESTRICT",
+});
+
+Invoice.belongsTo(Booking, {
+  foreignKey: "bookingId",
+  as: "booking",
+});
+
+Customer.hasMany(Invoice, {
+  foreignKey: "customerId",
+  as: "invoices",
+  onDelete: "RESTRICT",
+});
+
+Invoice.belongsTo(Customer, {
+  foreignKey: "customerId",
+  as: "customer",
+});
+
+Invoice.belongsTo(Invoice, {
+  foreignKey: "creditedInvoiceId",
+  as: "creditedInvoice",
+});
+
+Invoice.hasMany(Invoice, {
+  foreignKey: "creditedInvoiceId",
+  as: "creditNotes",
+});
+
+Invoice.belongsTo(Payment, {
+  foreignKey: "paymentId",
+  as: "payment",
+});
+
+Invoice.belongsTo(Admin, {
+  foreignKey: "issuedById",
+  as: "issuedBy",
+});
+
+// Cancellation policy associations
+CancellationPolicy.hasMany(Vehicle, {
+  foreignKey: "cancellationPolicyId",
+  as: "vehicles",
+  onDelete: "SET NULL",
+});
+
+Vehicle.belongsTo(CancellationPolicy, {
+  foreignKey: "cancellationPolicyId",
+  as: "cancellationPolicy",
+});
+
+CancellationPolicy.hasMany(Booking, {
+  foreignKey: "cancellationPolicyId",
+  as: "cancelledBookings",
+  onDelete: "SET NULL",
+});
+
+Booking.belongsTo(CancellationPolicy, {
+  foreignKey: "cancellationPolicyId",
+  as: "cancellationPolicy",
+});
+
+// Booking modification associations
+Booking.hasMany(BookingModification, {
+  foreignKey: "bookingId",
+  as: "modifications",
+  onDelete: "CASCADE",
+});
+
+BookingModification.belongsTo(Booking, {
+  foreignKey: "bookingId",
+  as: "booking",
+});
+
+Admin.hasMany(BookingModification, {
+  foreignKey: "modifiedById",
+  as: "bookingModifications",
+  onDelete: "SET NULL",
+});
+
+BookingModification.belongsTo(Admin, {
+  foreignKey: "modifiedById",
+  as: "modifiedBy",
+});
+
+// Booking reassignment associations
+Booking.hasMany(BookingReassignment, {
+  foreignKey: "bookingId",
+  as: "reassignments",
+  onDelete: "CASCADE",
+});
+
+BookingReassignment.belongsTo(Booking, {
+  foreignKey: "bookingId",
+  as: "booking",
+});
+
+BookingReassignment.belongsTo(Vehicle, {
+  foreignKey: "previousVehicleId",
+  as: "previousVehicle",
+});
+
+BookingReassignment.belongsTo(Vehicle, {
+  foreignKey: "newVehicleId",
+  as: "newVehicle",
+});
+
+BookingReassignment.belongsTo(Admin, {
+  foreignKey: "reassignedById",
+  as: "reassignedBy",
+});
+
+// Inspection associations
+Booking.hasMany(Inspection, {
+  foreignKey: "bookingId",
+  as: "inspections",
+  onDelete: "CASCADE",
+});
+
+Inspection.belongsTo(Booking, {
+  foreignKey: "bookingId",
+  as: "booking",
+});
+
+Vehicle.hasMany(Inspection, {
+  foreignKey: "vehicleId",
+  as: "inspections",
+  onDelete: "CASCADE",
+});
+
+Inspection.belongsTo(Vehicle, {
+  foreignKey: "vehicleId",
+  as: "vehicle",
+});
+
+Inspection.belongsTo(Admin, {
+  foreignKey: "inspectedById",
+  as: "inspectedBy",
+});
+
+Inspection.hasMany(InspectionPhoto, {
+  foreignKey: "inspectionId",
+  as: "photos",
+  onDelete: "CASCADE",
+});
+
+InspectionPhoto.belongsTo(Inspection, {
+  foreignKey: "inspectionId",
+  as: "inspection",
+});
+
+// Damage claim associations
+Booking.hasMany(DamageClaim, {
+  foreignKey: "bookingId",
+  as: "damageClaims",
+  onDelete: "CASCADE",
+});
+
+DamageClaim.belongsTo(Booking, {
+  foreignKey: "bookingId",
+  as: "booking",
+});
+
+Vehicle.hasMany(DamageClaim, {
+  foreignKey: "vehicleId",
+  as: "damageClaims",
+  onDelete: "CASCADE",
+});
+
+DamageClaim.belongsTo(Vehicle, {
+  foreignKey: "vehicleId",
+  as: "vehicle",
+});
+
+Customer.hasMany(DamageClaim, {
+  foreignKey: "customerId",
+  as: "damageClaims",
+});
+
+DamageClaim.belongsTo(Customer, {
+  foreignKey: "customerId",
+  as: "customer",
+});
+
+DamageClaim.belongsTo(Inspection, {
+  foreignKey: "inspectionId",
+  as: "inspection",
+});
+
+DamageClaim.belongsTo(Admin, {
+  foreignKey: "reportedById",
+  as: "reportedBy",
+});
+
+DamageClaim.belongsTo(Admin, {
+  foreignKey: "resolvedById",
+  as: "resolvedBy",
+});
+
+DamageClaim.hasMany(DamageClaimPhoto, {
+  foreignKey: "damageClaimId",
+  as: "photos",
+  onDelete: "CASCADE",
+});
+
+DamageClaimPhoto.belongsTo(DamageClaim, {
+  foreignKey: "damageClaimId",
+  as: "damageClaim",
+});
+
+// Fine associations
+Vehicle.hasMany(Fine, {
+  foreignKey: "vehicleId",
+  as: "fines",
+});
+
+Fine.belongsTo(Vehicle, {
+  foreignKey: "vehicleId",
+  as: "vehicle",
+});
+
+Booking.hasMany(Fine, {
+  foreignKey: "bookingId",
+  as: "fines",
+});
+
+Fine.belongsTo(Booking, {
+  foreignKey: "bookingId",
+  as: "booking",
+});
+
+Customer.hasMany(Fine, {
+  foreignKey: "customerId",
+  as: "fines",
+});
+
+Fine.belongsTo(Customer, {
+  foreignKey: "customerId",
+  as: "customer",
+});
+
+Fine.belongsTo(Admin, {
+  foreignKey: "recordedById",
+  as: "recordedBy",
+});
+
+// Maintenance associations
+Vehicle.hasMany(ServicePlan, {
+  foreignKey: "vehicleId",
+  as: "servicePlans",
+  onDelete: "CASCADE",
+});
+
+ServicePlan.belongsTo(Vehicle, {
+  foreignKey: "vehicleId",
+  as: "vehicle",
+});
+
+Vehicle.hasMany(MaintenanceRecord, {
+  foreignKey: "vehicleId",
+  as: "maintenanceRecords",
+  onDelete: "CASCADE",
+});
+
+MaintenanceRecord.belongsTo(Vehicle, {
+  foreignKey: "vehicleId",
+  as: "vehicle",
+});
+
+ServicePlan.hasMany(MaintenanceRecord, {
+  foreignKey: "servicePlanId",
+  as: "maintenanceRecords",
+});
+
+MaintenanceRecord.belongsTo(ServicePlan, {
+  foreignKey: "servicePlanId",
+  as: "servicePlan",
+});
+
+MaintenanceRecord.belongsTo(Admin, {
+  foreignKey: "recordedById",
+  as: "recordedBy",
+});
+
+// Vehicle document associations
+Vehicle.hasMany(VehicleDocument, {
+  foreignKey: "vehicleId",
+  as: "documents",
+  onDelete: "CASCADE",
+});
+
+VehicleDocument.belongsTo(Vehicle, {
+  foreignKey: "vehicleId",
+  as: "vehicle",
+});
+
+VehicleDocument.belongsTo(Admin, {
+  foreignKey: "uploadedById",
+  as: "uploadedBy",
+});
+
+// Vehicle block associations
+Vehicle.hasMany(VehicleBlock, {
+  foreignKey: "vehicleId",
+  as: "blocks",
+  onDelete: "CASCADE",
+});
+
+VehicleBlock.belongsTo(Vehicle, {
+  foreignKey: "vehicleId",
+  as: "vehicle",
+});
+
+VehicleBlock.belongsTo(Admin, {
+  foreignKey: "createdById",
+  as: "createdBy",
+});
+
+// Expense associations
+Vehicle.hasMany(Expense, {
+  foreignKey: "vehicleId",
+  as: "expenses",
+  onDelete: "CASCADE",
+});
+
+Expense.belongsTo(Vehicle, {
+  foreignKey: "vehicleId",
+  as: "vehicle",
+});
+
+Expense.belongsTo(Admin, {
+  foreignKey: "recordedById",
+  as: "recordedBy",
+});
+
+// Customer merge associations
+Customer.hasMany(CustomerMerge, {
+  foreignKey: "survivorId",
+  as: "merges",
+  onDelete: "CASCADE",
+});
+
+CustomerMerge.belongsTo(Customer, {
+  foreignKey: "survivorId",
+  as: "survivor",
+});
+
+CustomerMerge.belongsTo(Admin, {
+  foreignKey: "mergedById",
+  as: "mergedBy",
+});
+
+// Blacklist associations
+Customer.hasMany(BlacklistEntry, {
+  foreignKey: "customerId",
+  as: "blacklistEntries",
+  onDelete: "SET NULL",
+});
+
+BlacklistEntry.belongsTo(Customer, {
+  foreignKey: "customerId",
+  as: "customer",
+});
+
+BlacklistEntry.belongsTo(Admin, {
+  foreignKey: "addedById",
+  as: "addedBy",
+});
+
+BlacklistEntry.belongsTo(Admin, {
+  foreignKey: "liftedById",
+  as: "liftedBy",
+});
+
 // Export models
 module.exports = {
   Admin,
   Vehicle,
   Customer,
   Booking,
+  PricingRule,
+  DriverAgeRule,
+  PromoCode,
+  Extra,
+  BookingExtra,
+  Payment,
+  Invoice,
+  DocumentSequence,
+  CancellationPolicy,
+  BookingModification,
+  BookingReassignment,
+  Inspection,
+  InspectionPhoto,
+  DamageClaim,
+  DamageClaimPhoto,
+  Fine,
+  ServicePlan,
+  MaintenanceRecord,
+  VehicleDocument,
+  VehicleBlock,
+  Expense,
+  CustomerMerge,
+  BlacklistEntry,
 };
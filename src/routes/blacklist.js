@@ -0,0 +1,46 @@
+// src/routes/blacklist.js - Blacklisted identities (admin only, lifting by super-admin)
+const express = require("express");
+const {
+  getBlacklist,
+  getBlacklistEntry,
+  createBlacklistEntry,
+  updateBlacklistEntry,
+  liftBlacklistEntry,
+} = require("../controllers/blacklist");
+
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateBlacklistEntry,
+  validateBlacklistEntryUpdate,
+  validateBlacklistLift,
+  validateUUID,
+  validatePagination,
+} = require("../utils/validation");
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(authorize("admin", "super-admin"));
+
+router.get("/", validatePagination, getBlacklist);
+router.post("/", validateBlacklistEntry, createBlacklistEntry);
+
+router.get("/:id", validateUUID, getBlacklistEntry);
+router.put(
+  "/:id",
+  validateUUID,
+  validateBlacklistEntryUpdate,
+  updateBlacklistEntry
+);
+
+// Lifting ends the block (super-admin only)
+router.put(
+  "/:id/lift",
+  validateUUID,
+  authorize("super-admin"),
+  validateBlacklistLift,
+  liftBlacklistEntry
+);
+
+module.exports = router;
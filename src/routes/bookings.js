@@ -2,6 +2,7 @@
 const express = require("express");
 const {
   getBookings,
+  exportBookings,
   getBooking,
   createWebsiteBooking,
   createAdminBooking,
@@ -17,6 +18,19 @@ const {
   checkAvailability,
   getCustomerBookings,
   getVehicleCalendar,
+  getBookingPayments,
+  createBookingPayment,
+  getPaymentReceipt,
+  getBookingInvoice,
+  extendBooking,
+  modifyBooking,
+  getBookingModifications,
+  getModificationAddendum,
+  getReassignmentOptions,
+  reassignBooking,
+  getBookingInspections,
+  createInspection,
+  getInspectionReport,
 } = require("../controllers/bookings");
 
 const { protect, authorize } = require("../middleware/auth");
@@ -26,7 +40,19 @@ const {
   validateBookingUpdate,
   validateUUID,
   validatePagination,
+  validatePayment,
+  validateCancellation,
+  validateVehicleReturn,
+  validateBookingExtension,
+  validateBookingModification,
+  validateBookingReassignment,
+  validateInspection,
+  validateExport,
 } = require("../utils/validation");
+const {
+  uploadInspectionFiles,
+  handleUploadError,
+} = require("../middleware/upload");
 
 const router = express.Router();
 
@@ -58,10 +84,7 @@ router.get("/preview-availability/:vehicleId", async (req, res, next) => {
       });
     }
 
-    const { Booking, Vehicle } = require("../models");
-    const {
-      calculateChargedDaysWithLatenessRule,
-    } = require("../utils/bookingUtils");
+    const { Booking, Vehicle, PricingRule } = require("../models");
 
     // Get vehicle
     const vehicle = await Vehicle.findByPk(vehicleId);
@@ -81,16 +104,15 @@ router.get("/preview-availability/:vehicleId", async (req, res, next) => {
       returnTime
     );
 
-    // Calculate pricing
-    const pricing = calculateChargedDaysWithLatenessRule(
+    // Calculate pricing (day by day with pricing rules)
+    const pricing = await PricingRule.calculateBookingPricing(
+      vehicle,
       pickupDate,
       returnDate,
       pickupTime,
       returnTime
     );
 
-    const totalAmount = parseFloat(vehicle.price) * pricing.chargedDays;
-
     res.status(200).json({
       success: true,
       data: {
@@ -104,6 +126,17 @@ router.get("/preview-availability/:vehicleId", async (req, res, next) => {
             returnTime: b.returnTime,
           })
         ),
+        // Maintenance windows and blackout periods (no internal notes)
+        blockedPeriods: [
+          ...availabilityDetails.maintenanceConflicts,
+          ...availabilityDetails.blockConflicts,
+        ].map((period) => ({
+          reason: period.reason || "maintenance",
+          startDate: period.pickupDate,
+          startTime: period.pickupTime,
+          endDate: period.returnDate,
+          endTime: period.returnTime,
+        })),
         pricing: {
           durationMinutes: pricing.durationMinutes,
           durationHours: (pricing.durationMinutes / 60).toFixed(1),
@@ -112,7 +145,8 @@ router.get("/preview-availability/:vehicleId", async (req, res, next) => {
           chargedDays: pricing.chargedDays,
           latenessFeeApplied: pricing.latenessMinutes >= 90,
           dailyRate: vehicle.price,
-          totalAmount: totalAmount,
+          totalAmount: pricing.totalAmount,
+          breakdown: pricing.days,
         },
         message: availabilityDetails.message,
       },
@@ -173,19 +207,78 @@ router.get("/customer/:customerId", validateUUID, getCustomerBookings);
 // General booking list
 router.get("/", validatePagination, getBookings);
 
+// Spreadsheet export with the list filters
+router.get("/export", validateExport, exportBookings);
+
 // Admin booking creation
 router.post("/", validateAdminBooking, createAdminBooking);
 
 // --- Dynamic Routes with :id ---
 
-// Contract generation
+// Contract & invoice generation
 router.get("/:id/contract", validateUUID, generateContract);
+router.get("/:id/invoice", validateUUID, getBookingInvoice);
+router.get("/:id/inspection-report", validateUUID, getInspectionReport);
+
+// Pickup / return inspections (photos and signature as multipart)
+router.get("/:id/inspections", validateUUID, getBookingInspections);
+router.post(
+  "/:id/inspections",
+  validateUUID,
+  uploadInspectionFiles,
+  handleUploadError,
+  validateInspection,
+  createInspection
+);
+
+// Payments ledger
+router.get("/:id/payments", validateUUID, getBookingPayments);
+router.post(
+  "/:id/payments",
+  validateUUID,
+  validatePayment,
+  createBookingPayment
+);
+router.get(
+  "/:id/payments/:paymentId/receipt",
+  validateUUID,
+  getPaymentReceipt
+);
+
+// Extensions & date modifications (with contract addenda)
+router.post(
+  "/:id/extend",
+  validateUUID,
+  validateBookingExtension,
+  extendBooking
+);
+router.post(
+  "/:id/modify",
+  validateUUID,
+  validateBookingModification,
+  modifyBooking
+);
+router.get("/:id/modifications", validateUUID, getBookingModifications);
+router.get(
+  "/:id/modifications/:modificationId/addendum",
+  validateUUID,
+  getModificationAddendum
+);
+
+// Vehicle swap
+router.get("/:id/reassign", validateUUID, getReassignmentOptions);
+router.put(
+  "/:id/reassign",
+  validateUUID,
+  validateBookingReassignment,
+  reassignBooking
+);
 
 // Booking workflow
 router.put("/:id/confirm", validateUUID, confirmBooking);
-router.put("/:id/cancel", validateUUID, cancelBooking);
+router.put("/:id/cancel", validateUUID, validateCancellation, cancelBooking);
 router.put("/:id/pickup", validateUUID, pickupVehicle);
-router.put("/:id/return", validateUUID, returnVehicle);
+router.put("/:id/return", validateUUID, validateVehicleReturn, returnVehicle);
 
 // Generic :id routes (must be last)
 router.get("/:id", validateUUID, getBooking);
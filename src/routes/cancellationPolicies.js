@@ -0,0 +1,36 @@
+// src/routes/cancellationPolicies.js - Cancellation policies management (admin only)
+const express = require("express");
+const {
+  getCancellationPolicies,
+  getCancellationPolicy,
+  createCancellationPolicy,
+  updateCancellationPolicy,
+  deleteCancellationPolicy,
+} = require("../controllers/cancellationPolicies");
+
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateCancellationPolicy,
+  validateCancellationPolicyUpdate,
+  validateUUID,
+} = require("../utils/validation");
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(authorize("admin", "super-admin"));
+
+router.get("/", getCancellationPolicies);
+router.post("/", validateCancellationPolicy, createCancellationPolicy);
+
+router.get("/:id", validateUUID, getCancellationPolicy);
+router.put(
+  "/:id",
+  validateUUID,
+  validateCancellationPolicyUpdate,
+  updateCancellationPolicy
+);
+router.delete("/:id", validateUUID, deleteCancellationPolicy);
+
+module.exports = router;
@@ -2,6 +2,7 @@
 const express = require("express");
 const {
   getCustomers,
+  exportCustomers,
   getCustomer,
   createCustomer,
   updateCustomer,
@@ -14,6 +15,16 @@ const {
   getCustomerStats,
   searchCustomers,
 } = require("../controllers/customers");
+const { getCustomerDamageHistory } = require("../controllers/damages");
+const { getCustomerBlacklistStatus } = require("../controllers/blacklist");
+const { importCustomers } = require("../controllers/imports");
+const {
+  getDuplicateCustomers,
+  mergeCustomers,
+  getCustomerMerges,
+} = require("../controllers/customerMerges");
+const { validationResult } = require("express-validator");
+const ErrorResponse = require("../utils/errorResponse");
 
 const { protect, authorize } = require("../middleware/auth");
 const {
@@ -26,12 +37,17 @@ const {
   processCustomerDocuments,
   validateDocumentType,
   validateFileSize,
+  uploadImportFile,
 } = require("../middleware/upload");
 const {
   validateCustomer,
   validateCustomerUpdate,
   validateUUID,
   validatePagination,
+  validateExport,
+  validateBulkDocuments,
+  validateDuplicateSearch,
+  validateCustomerMerge,
 } = require("../utils/validation");
 
 const router = express.Router();
@@ -48,6 +64,15 @@ router.get("/search", searchCustomers);
 // Get customer statistics - must come before /:id routes
 router.get("/stats", getCustomerStats);
 
+// Spreadsheet export with the list filters - must come before /:id routes
+router.get("/export", validateExport, exportCustomers);
+
+// CSV import: dry-run report, then ?dryRun=false to commit
+router.post("/import", uploadImportFile, handleUploadError, importCustomers);
+
+// Likely duplicates scored on phone, email, documents and name - must come before /:id routes
+router.get("/duplicates", validateDuplicateSearch, getDuplicateCustomers);
+
 // Get all customers with pagination and filtering
 router.get("/", validatePagination, getCustomers);
 
@@ -83,11 +108,33 @@ router.put(
 // Delete customer (super-admin only)
 router.delete("/:id", validateUUID, authorize("super-admin"), deleteCustomer);
 
+// ========== DUPLICATE MERGING ==========
+
+// Merge a duplicate (body.duplicateId) into this customer (super-admin only)
+router.post(
+  "/:id/merge",
+  validateUUID,
+  authorize("super-admin"),
+  validateCustomerMerge,
+  mergeCustomers
+);
+
+// Merges made into this customer (audit trail)
+router.get("/:id/merges", validateUUID, getCustomerMerges);
+
 // ========== STATUS MANAGEMENT ==========
 
 // Update customer status
 router.put("/:id/status", validateUUID, updateCustomerStatus);
 
+// ========== DAMAGE HISTORY ==========
+
+// Damage claims of the customer (checked before confirming a booking)
+router.get("/:id/damages", validateUUID, getCustomerDamageHistory);
+
+// Blacklist entries matching the customer or its document numbers
+router.get("/:id/blacklist", validateUUID, getCustomerBlacklistStatus);
+
 // ========== DOCUMENT UPLOAD ENDPOINTS ==========
 // These routes handle individual document uploads
 
@@ -155,6 +202,8 @@ router.get("/:id/documents/status", validateUUID, async (req, res, next) => {
     }
 
     const documentStatus = customer.hasCompleteDocumentation();
+    const today = new Date().toISOString().split("T")[0];
+    const isExpired = (expiryDate) => !!expiryDate && expiryDate < today;
 
     res.status(200).json({
       success: true,
@@ -169,17 +218,27 @@ router.get("/:id/documents/status", validateUUID, async (req, res, next) => {
             complete: !!(
               customer.driverLicenseNumber && customer.driverLicenseImageData
             ),
+            category: customer.driverLicenseCategory,
+            issueDate: customer.driverLicenseIssueDate,
+            expiryDate: customer.driverLicenseExpiryDate,
+            isExpired: isExpired(customer.driverLicenseExpiryDate),
           },
           passport: {
             hasNumber: !!customer.passportNumber,
             hasImage: !!customer.passportImageData,
             hasIssuedAt: !!customer.passportIssuedAt,
             complete: !!(customer.passportNumber && customer.passportImageData),
+            issueDate: customer.passportIssueDate,
+            expiryDate: customer.passportExpiryDate,
+            isExpired: isExpired(customer.passportExpiryDate),
           },
           cin: {
             hasNumber: !!customer.cinNumber,
             hasImage: !!customer.cinImageData,
             complete: !!(customer.cinNumber && customer.cinImageData),
+            issueDate: customer.cinIssueDate,
+            expiryDate: customer.cinExpiryDate,
+            isExpired: isExpired(customer.cinExpiryDate),
           },
           personal: {
             hasDateOfBirth: !!customer.dateOfBirth,
@@ -336,66 +395,94 @@ router.get(
   }
 );
 
-// Bulk document upload for multiple customers
-router.post("/bulk/documents", async (req, res, next) => {
-  try {
-    const { customers } = req.body; // Array of customer updates
+// Fields the bulk document update may change
+const BULK_DOCUMENT_FIELDS = [
+  "driverLicenseNumber",
+  "driverLicenseCategory",
+  "driverLicenseIssueDate",
+  "driverLicenseExpiryDate",
+  "passportNumber",
+  "passportIssuedAt",
+  "passportIssueDate",
+  "passportExpiryDate",
+  "cinNumber",
+  "cinIssueDate",
+  "cinExpiryDate",
+  "dateOfBirth",
+  "address",
+  "country",
+];
+
+// Bulk update of document details for multiple customers (all or nothing)
+router.post(
+  "/bulk/documents",
+  validateBulkDocuments,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(
+          new ErrorResponse("Validation échouée", 400, errors.array())
+        );
+      }
 
-    if (!customers || !Array.isArray(customers)) {
-      return res.status(400).json({
-        success: false,
-        message:
-          "Format de données invalide. Un tableau de clients est requis.",
+      const { customers } = req.body; // Array of customer updates
+      const { Customer } = require("../models");
+      const { sequelize } = require("../config/database");
+
+      const existing = await Customer.findAll({
+        where: { id: customers.map((update) => update.id) },
       });
-    }
+      const byId = new Map(existing.map((customer) => [customer.id, customer]));
+
+      const missing = customers.filter((update) => !byId.has(update.id));
+      if (missing.length > 0) {
+        return next(
+          new ErrorResponse(
+            "Clients non trouvés, aucune mise à jour effectuée",
+            404,
+            missing.map((update) => ({ customerId: update.id }))
+          )
+        );
+      }
 
-    const { Customer } = require("../models");
-    const results = [];
-    const errors = [];
-
-    for (const customerUpdate of customers) {
-      try {
-        const { id, ...updateData } = customerUpdate;
-
-        const customer = await Customer.findByPk(id);
-        if (!customer) {
-          errors.push({
-            customerId: id,
-            error: "Client non trouvé",
+      // Only document details can be changed here
+      const results = await sequelize.transaction(async (transaction) => {
+        const updated = [];
+        for (const customerUpdate of customers) {
+          const customer = byId.get(customerUpdate.id);
+          const updateData = {};
+          BULK_DOCUMENT_FIELDS.forEach((field) => {
+            if (customerUpdate[field] !== undefined) {
+              updateData[field] = customerUpdate[field];
+            }
           });
-          continue;
-        }
 
-        await customer.update(updateData);
-        results.push({
-          customerId: id,
-          customerName: `${customer.firstName} ${customer.lastName}`,
-          updated: true,
-        });
-      } catch (error) {
-        errors.push({
-          customerId: customerUpdate.id,
-          error: error.message,
-        });
-      }
-    }
+          await customer.update(updateData, { transaction });
+          updated.push({
+            customerId: customer.id,
+            customerName: `${customer.firstName} ${customer.lastName}`,
+            updated: true,
+          });
+        }
+        return updated;
+      });
 
-    res.status(200).json({
-      success: true,
-      message: `Mise à jour en lot terminée. ${results.length} clients mis à jour, ${errors.length} erreurs.`,
-      data: {
-        successful: results,
-        errors: errors,
-        summary: {
-          total: customers.length,
-          successful: results.length,
-          failed: errors.length,
+      res.status(200).json({
+        success: true,
+        message: `Mise à jour en lot terminée. ${results.length} clients mis à jour.`,
+        data: {
+          successful: results,
+          summary: {
+            total: customers.length,
+            successful: results.length,
+          },
         },
-      },
-    });
-  } catch (error) {
-    next(error);
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 module.exports = router;
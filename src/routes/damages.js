@@ -0,0 +1,66 @@
+// src/routes/damages.js - Damage claims management (admin only)
+const express = require("express");
+const {
+  getDamageClaims,
+  getDamageClaim,
+  createDamageClaim,
+  updateDamageClaim,
+  addDamageClaimPhotos,
+  chargeDamageClaim,
+  writeOffDamageClaim,
+  deleteDamageClaim,
+} = require("../controllers/damages");
+
+const { protect, authorize } = require("../middleware/auth");
+const {
+  uploadDamagePhotos,
+  handleUploadError,
+} = require("../middleware/upload");
+const {
+  validateDamageClaim,
+  validateDamageClaimUpdate,
+  validateDamageClaimResolution,
+  validateUUID,
+  validatePagination,
+} = require("../utils/validation");
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(authorize("admin", "super-admin"));
+
+router.get("/", validatePagination, getDamageClaims);
+router.post(
+  "/",
+  uploadDamagePhotos,
+  handleUploadError,
+  validateDamageClaim,
+  createDamageClaim
+);
+
+router.get("/:id", validateUUID, getDamageClaim);
+router.put("/:id", validateUUID, validateDamageClaimUpdate, updateDamageClaim);
+router.delete("/:id", validateUUID, deleteDamageClaim);
+
+router.post(
+  "/:id/photos",
+  validateUUID,
+  uploadDamagePhotos,
+  handleUploadError,
+  addDamageClaimPhotos
+);
+router.put(
+  "/:id/charge",
+  validateUUID,
+  validateDamageClaimResolution,
+  chargeDamageClaim
+);
+router.put(
+  "/:id/write-off",
+  validateUUID,
+  validateDamageClaimResolution,
+  writeOffDamageClaim
+);
+
+module.exports = router;
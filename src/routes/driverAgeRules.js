@@ -0,0 +1,36 @@
+// src/routes/driverAgeRules.js - Driver age bands management (admin only)
+const express = require("express");
+const {
+  getDriverAgeRules,
+  getDriverAgeRule,
+  createDriverAgeRule,
+  updateDriverAgeRule,
+  deleteDriverAgeRule,
+} = require("../controllers/driverAgeRules");
+
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateDriverAgeRule,
+  validateDriverAgeRuleUpdate,
+  validateUUID,
+} = require("../utils/validation");
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(authorize("admin", "super-admin"));
+
+router.get("/", getDriverAgeRules);
+router.post("/", validateDriverAgeRule, createDriverAgeRule);
+
+router.get("/:id", validateUUID, getDriverAgeRule);
+router.put(
+  "/:id",
+  validateUUID,
+  validateDriverAgeRuleUpdate,
+  updateDriverAgeRule
+);
+router.delete("/:id", validateUUID, deleteDriverAgeRule);
+
+module.exports = router;
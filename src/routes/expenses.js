@@ -0,0 +1,32 @@
+// src/routes/expenses.js - Vehicle expenses management (admin only)
+const express = require("express");
+const {
+  getExpenses,
+  getExpense,
+  createExpense,
+  updateExpense,
+  deleteExpense,
+} = require("../controllers/expenses");
+
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateExpense,
+  validateExpenseUpdate,
+  validateUUID,
+  validatePagination,
+} = require("../utils/validation");
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(authorize("admin", "super-admin"));
+
+router.get("/", validatePagination, getExpenses);
+router.post("/", validateExpense, createExpense);
+
+router.get("/:id", validateUUID, getExpense);
+router.put("/:id", validateUUID, validateExpenseUpdate, updateExpense);
+router.delete("/:id", validateUUID, deleteExpense);
+
+module.exports = router;
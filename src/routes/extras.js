@@ -0,0 +1,33 @@
+// src/routes/extras.js - Rental extras catalog
+const express = require("express");
+const {
+  getExtras,
+  getExtra,
+  createExtra,
+  updateExtra,
+  deleteExtra,
+} = require("../controllers/extras");
+
+const { protect, authorize, optionalAuth } = require("../middleware/auth");
+const {
+  validateExtra,
+  validateExtraUpdate,
+  validateUUID,
+} = require("../utils/validation");
+
+const router = express.Router();
+
+// Public route (website extras selection)
+router.get("/", optionalAuth, getExtras);
+
+// Protected routes
+router.use(protect);
+router.use(authorize("admin", "super-admin"));
+
+router.post("/", validateExtra, createExtra);
+
+router.get("/:id", validateUUID, getExtra);
+router.put("/:id", validateUUID, validateExtraUpdate, updateExtra);
+router.delete("/:id", validateUUID, deleteExtra);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+// src/routes/fines.js - Traffic fines and tolls management (admin only)
+const express = require("express");
+const {
+  getFines,
+  getFine,
+  createFine,
+  updateFine,
+  updateFinePayment,
+  getDesignationLetter,
+  deleteFine,
+} = require("../controllers/fines");
+
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateFine,
+  validateFineUpdate,
+  validateFinePayment,
+  validateUUID,
+  validatePagination,
+} = require("../utils/validation");
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(authorize("admin", "super-admin"));
+
+router.get("/", validatePagination, getFines);
+router.post("/", validateFine, createFine);
+
+router.get("/:id", validateUUID, getFine);
+router.put("/:id", validateUUID, validateFineUpdate, updateFine);
+router.delete("/:id", validateUUID, deleteFine);
+
+router.put(
+  "/:id/payment",
+  validateUUID,
+  validateFinePayment,
+  updateFinePayment
+);
+router.get("/:id/designation-letter", validateUUID, getDesignationLetter);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// src/routes/invoices.js - Invoices and credit notes (admin only)
+const express = require("express");
+const {
+  getInvoices,
+  getInvoice,
+  getInvoicePdf,
+} = require("../controllers/invoices");
+
+const { protect, authorize } = require("../middleware/auth");
+const { validateUUID, validatePagination } = require("../utils/validation");
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(authorize("admin", "super-admin"));
+
+router.get("/", validatePagination, getInvoices);
+router.get("/:id", validateUUID, getInvoice);
+router.get("/:id/pdf", validateUUID, getInvoicePdf);
+
+module.exports = router;
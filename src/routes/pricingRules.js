@@ -0,0 +1,31 @@
+// src/routes/pricingRules.js - Pricing rules management (admin only)
+const express = require("express");
+const {
+  getPricingRules,
+  getPricingRule,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+} = require("../controllers/pricingRules");
+
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validatePricingRule,
+  validatePricingRuleUpdate,
+  validateUUID,
+} = require("../utils/validation");
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(authorize("admin", "super-admin"));
+
+router.get("/", getPricingRules);
+router.post("/", validatePricingRule, createPricingRule);
+
+router.get("/:id", validateUUID, getPricingRule);
+router.put("/:id", validateUUID, validatePricingRuleUpdate, updatePricingRule);
+router.delete("/:id", validateUUID, deletePricingRule);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+// src/routes/promotions.js - Promo codes management (admin only)
+const express = require("express");
+const {
+  getPromoCodes,
+  getPromoCode,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+} = require("../controllers/promotions");
+
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validatePromoCode,
+  validatePromoCodeUpdate,
+  validateUUID,
+} = require("../utils/validation");
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(authorize("admin", "super-admin"));
+
+router.get("/", getPromoCodes);
+router.post("/", validatePromoCode, createPromoCode);
+
+router.get("/:id", validateUUID, getPromoCode);
+router.put("/:id", validateUUID, validatePromoCodeUpdate, updatePromoCode);
+router.delete("/:id", validateUUID, deletePromoCode);
+
+module.exports = router;
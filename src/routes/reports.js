@@ -0,0 +1,28 @@
+// src/routes/reports.js - Fleet analytics (admin only)
+const express = require("express");
+const {
+  getRevenueReport,
+  getOccupancyReport,
+} = require("../controllers/reports");
+
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateReportRange,
+  validateRevenueReport,
+} = require("../utils/validation");
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(authorize("admin", "super-admin"));
+
+router.get(
+  "/revenue",
+  validateReportRange,
+  validateRevenueReport,
+  getRevenueReport
+);
+router.get("/occupancy", validateReportRange, getOccupancyReport);
+
+module.exports = router;
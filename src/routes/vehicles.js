@@ -3,6 +3,7 @@ const express = require("express");
 const {
   getBrands,
   getVehicles,
+  exportVehicles,
   getVehicle,
   createVehicle,
   updateVehicle,
@@ -13,10 +14,45 @@ const {
   getAvailableVehicles,
   updateVehicleStatus,
 } = require("../controllers/vehicles");
+const { getVehicleDamageHistory } = require("../controllers/damages");
+const { importVehicles } = require("../controllers/imports");
+const {
+  getUpcomingMaintenance,
+  getServicePlans,
+  createServicePlan,
+  updateServicePlan,
+  deleteServicePlan,
+  getVehicleMaintenance,
+  createMaintenanceRecord,
+  updateMaintenanceRecord,
+  getMaintenanceInvoice,
+  deleteMaintenanceRecord,
+} = require("../controllers/maintenance");
+const {
+  getExpiringDocuments,
+  getVehicleDocuments,
+  createVehicleDocument,
+  updateVehicleDocument,
+  getVehicleDocumentFile,
+  deleteVehicleDocument,
+} = require("../controllers/vehicleDocuments");
+const {
+  getVehicleBlocks,
+  createVehicleBlock,
+  updateVehicleBlock,
+  deleteVehicleBlock,
+} = require("../controllers/vehicleBlocks");
+const {
+  getVehicleProfitability,
+  getFleetProfitability,
+} = require("../controllers/reports");
 
 const { protect, authorize, optionalAuth } = require("../middleware/auth");
 const {
   uploadMultipleImages,
+  uploadMaintenanceInvoice,
+  uploadVehicleDocument,
+  uploadImportFile,
   handleUploadError,
 } = require("../middleware/upload");
 const {
@@ -24,6 +60,16 @@ const {
   validateVehicleUpdate,
   validateUUID,
   validatePagination,
+  validateServicePlan,
+  validateServicePlanUpdate,
+  validateMaintenanceRecord,
+  validateMaintenanceRecordUpdate,
+  validateVehicleDocument,
+  validateVehicleDocumentUpdate,
+  validateVehicleBlock,
+  validateVehicleBlockUpdate,
+  validateReportRange,
+  validateExport,
 } = require("../utils/validation");
 
 const router = express.Router();
@@ -41,6 +87,79 @@ router.get(
   getVehicleStats
 );
 
+// CSV import: dry-run report, then ?dryRun=false to commit
+router.post(
+  "/import",
+  protect,
+  authorize("admin", "super-admin"),
+  uploadImportFile,
+  handleUploadError,
+  importVehicles
+);
+
+router.get(
+  "/export",
+  protect,
+  authorize("admin", "super-admin"),
+  validateExport,
+  exportVehicles
+);
+
+// Maintenance feed and service plans (before /:id)
+router.get(
+  "/maintenance/upcoming",
+  protect,
+  authorize("admin", "super-admin"),
+  getUpcomingMaintenance
+);
+
+router.get(
+  "/maintenance/plans",
+  protect,
+  authorize("admin", "super-admin"),
+  getServicePlans
+);
+
+router.post(
+  "/maintenance/plans",
+  protect,
+  authorize("admin", "super-admin"),
+  validateServicePlan,
+  createServicePlan
+);
+
+router.put(
+  "/maintenance/plans/:planId",
+  protect,
+  authorize("admin", "super-admin"),
+  validateServicePlanUpdate,
+  updateServicePlan
+);
+
+router.delete(
+  "/maintenance/plans/:planId",
+  protect,
+  authorize("admin", "super-admin"),
+  deleteServicePlan
+);
+
+// Fleet profitability report (before /:id)
+router.get(
+  "/profitability",
+  protect,
+  authorize("admin", "super-admin"),
+  validateReportRange,
+  getFleetProfitability
+);
+
+// Fleet document expiry alerts (before /:id)
+router.get(
+  "/documents/expiring",
+  protect,
+  authorize("admin", "super-admin"),
+  getExpiringDocuments
+);
+
 router.post(
   "/",
   protect,
@@ -52,7 +171,7 @@ router.post(
 );
 
 // Single vehicle routes
-router.get("/:id", validateUUID, getVehicle);
+router.get("/:id", validateUUID, optionalAuth, getVehicle);
 
 router.put(
   "/:id",
@@ -101,4 +220,152 @@ router.put(
   updateVehicleStatus
 );
 
+// Damage history
+router.get(
+  "/:id/damages",
+  protect,
+  authorize("admin", "super-admin"),
+  validateUUID,
+  getVehicleDamageHistory
+);
+
+// Maintenance log and scheduled windows
+router.get(
+  "/:id/maintenance",
+  protect,
+  authorize("admin", "super-admin"),
+  validateUUID,
+  getVehicleMaintenance
+);
+
+router.post(
+  "/:id/maintenance",
+  protect,
+  authorize("admin", "super-admin"),
+  validateUUID,
+  uploadMaintenanceInvoice,
+  handleUploadError,
+  validateMaintenanceRecord,
+  createMaintenanceRecord
+);
+
+router.put(
+  "/:id/maintenance/:recordId",
+  protect,
+  authorize("admin", "super-admin"),
+  validateUUID,
+  uploadMaintenanceInvoice,
+  handleUploadError,
+  validateMaintenanceRecordUpdate,
+  updateMaintenanceRecord
+);
+
+router.delete(
+  "/:id/maintenance/:recordId",
+  protect,
+  authorize("admin", "super-admin"),
+  validateUUID,
+  deleteMaintenanceRecord
+);
+
+router.get(
+  "/:id/maintenance/:recordId/invoice",
+  protect,
+  authorize("admin", "super-admin"),
+  validateUUID,
+  getMaintenanceInvoice
+);
+
+// Compliance documents
+router.get(
+  "/:id/documents",
+  protect,
+  authorize("admin", "super-admin"),
+  validateUUID,
+  getVehicleDocuments
+);
+
+router.post(
+  "/:id/documents",
+  protect,
+  authorize("admin", "super-admin"),
+  validateUUID,
+  uploadVehicleDocument,
+  handleUploadError,
+  validateVehicleDocument,
+  createVehicleDocument
+);
+
+router.put(
+  "/:id/documents/:documentId",
+  protect,
+  authorize("admin", "super-admin"),
+  validateUUID,
+  uploadVehicleDocument,
+  handleUploadError,
+  validateVehicleDocumentUpdate,
+  updateVehicleDocument
+);
+
+router.delete(
+  "/:id/documents/:documentId",
+  protect,
+  authorize("admin", "super-admin"),
+  validateUUID,
+  deleteVehicleDocument
+);
+
+router.get(
+  "/:id/documents/:documentId/file",
+  protect,
+  authorize("admin", "super-admin"),
+  validateUUID,
+  getVehicleDocumentFile
+);
+
+// Blackout periods
+router.get(
+  "/:id/blocks",
+  protect,
+  authorize("admin", "super-admin"),
+  validateUUID,
+  getVehicleBlocks
+);
+
+router.post(
+  "/:id/blocks",
+  protect,
+  authorize("admin", "super-admin"),
+  validateUUID,
+  validateVehicleBlock,
+  createVehicleBlock
+);
+
+router.put(
+  "/:id/blocks/:blockId",
+  protect,
+  authorize("admin", "super-admin"),
+  validateUUID,
+  validateVehicleBlockUpdate,
+  updateVehicleBlock
+);
+
+router.delete(
+  "/:id/blocks/:blockId",
+  protect,
+  authorize("admin", "super-admin"),
+  validateUUID,
+  deleteVehicleBlock
+);
+
+// Profitability (revenue, expenses, depreciation)
+router.get(
+  "/:id/profitability",
+  protect,
+  authorize("admin", "super-admin"),
+  validateUUID,
+  validateReportRange,
+  getVehicleProfitability
+);
+
 module.exports = router;
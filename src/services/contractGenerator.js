@@ -1,6 +1,7 @@
 const PDFDocument = require("pdfkit");
 const fs = require("fs");
 const path = require("path");
+const { formatPhone } = require("../utils/phoneUtils");
 
 class ContractGenerator {
   constructor() {
@@ -157,9 +158,27 @@ class ContractGenerator {
     doc.text(`Lieu de retour: ${bookingData.returnLocation}`, 50, 475);
     doc.text(`Durée: ${bookingData.totalDays} jour(s)`, 50, 490);
 
+    // Options / extras
+    const extras = this.getExtrasLines(bookingData);
+    let totalY = 520;
+    if (extras.length > 0) {
+      doc.text("Options:", 50, 505);
+      extras.forEach((line, index) => {
+        doc.text(`- ${line}`, 60, 520 + index * 15);
+      });
+      totalY = 530 + extras.length * 15;
+    }
+
+    // Young / senior driver surcharge, on its own line
+    const ageSurcharge = this.getAgeSurchargeLine(bookingData);
+    if (ageSurcharge) {
+      doc.text(ageSurcharge, 50, totalY - 5);
+      totalY += 15;
+    }
+
     // Total
     doc.fontSize(14).font("Helvetica-Bold");
-    doc.text(`MONTANT TOTAL: ${bookingData.totalAmount} €`, 50, 520);
+    doc.text(`MONTANT TOTAL: ${bookingData.totalAmount} €`, 50, totalY);
 
     // Signature section
     doc.fontSize(10).font("Helvetica");
@@ -170,6 +189,159 @@ class ContractGenerator {
     doc.text("Cachet de l'entreprise:", 300, 700);
   }
 
+  // Addendum to the contract after an extension or a date modification
+  async generateAddendum(bookingData, modification) {
+    const addendumNumber = modification.getAddendumNumber(
+      bookingData.bookingNumber
+    );
+
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: "A4",
+          margin: 50,
+          info: {
+            Title: `Avenant ${addendumNumber}`,
+            Author: "MELHOR QUE NADA CARS",
+            Subject: "Avenant au Contrat de Location",
+            CreationDate: new Date(),
+          },
+        });
+
+        const chunks = [];
+        doc.on("data", (chunk) => chunks.push(chunk));
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+        doc.on("error", (err) => {
+          console.error("PDF generation error:", err);
+          reject(err);
+        });
+
+        this.generateAddendumContent(doc, bookingData, modification);
+        doc.end();
+      } catch (error) {
+        console.error("PDF generation error:", error);
+        reject(error);
+      }
+    });
+  }
+
+  generateAddendumContent(doc, bookingData, modification) {
+    const customer = bookingData.customer;
+    const vehicle = bookingData.vehicle;
+    const difference = parseFloat(modification.amountDifference);
+
+    // Title
+    doc.fontSize(20).font("Helvetica-Bold");
+    doc.text("AVENANT AU CONTRAT DE LOCATION", 50, 50, { align: "center" });
+
+    doc.fontSize(14).fillColor("red");
+    doc.text(
+      `Avenant N°: ${modification.getAddendumNumber(bookingData.bookingNumber)}`,
+      350,
+      80
+    );
+    doc.fillColor("black").fontSize(10).font("Helvetica");
+    doc.text(`Contrat N°: ${bookingData.bookingNumber}`, 350, 100);
+    doc.text(
+      `Date: ${new Date(modification.createdAt).toLocaleDateString("fr-FR")}`,
+      350,
+      115
+    );
+
+    // Parties
+    doc.fontSize(12).font("Helvetica-Bold");
+    doc.text("CLIENT:", 50, 150);
+    doc.fontSize(10).font("Helvetica");
+    doc.text(`Nom: ${customer.firstName} ${customer.lastName}`, 50, 170);
+    doc.text(`Téléphone: ${customer.phone}`, 50, 185);
+
+    doc.fontSize(12).font("Helvetica-Bold");
+    doc.text("VÉHICULE:", 300, 150);
+    doc.fontSize(10).font("Helvetica");
+    doc.text(`${vehicle.brand} ${vehicle.name}`, 300, 170);
+    doc.text(`Plaque: ${vehicle.licensePlate}`, 300, 185);
+
+    // Object
+    doc.fontSize(12).font("Helvetica-Bold");
+    doc.text(
+      modification.type === "extension"
+        ? "OBJET: PROLONGATION DE LA LOCATION"
+        : "OBJET: MODIFICATION DES DATES DE LOCATION",
+      50,
+      225
+    );
+
+    // Previous / new terms
+    const rows = [
+      [
+        "Départ",
+        `${modification.previousPickupDate} à ${modification.previousPickupTime}`,
+        `${modification.newPickupDate} à ${modification.newPickupTime}`,
+      ],
+      [
+        "Retour",
+        `${modification.previousReturnDate} à ${modification.previousReturnTime}`,
+        `${modification.newReturnDate} à ${modification.newReturnTime}`,
+      ],
+      [
+        "Durée",
+        `${modification.previousTotalDays} jour(s)`,
+        `${modification.newTotalDays} jour(s)`,
+      ],
+      [
+        "Montant",
+        `${modification.previousTotalAmount} €`,
+        `${modification.newTotalAmount} €`,
+      ],
+    ];
+
+    let y = 260;
+    doc.fontSize(10).font("Helvetica-Bold");
+    doc.text("Ancien", 180, y);
+    doc.text("Nouveau", 370, y);
+    y += 18;
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+    y += 8;
+
+    doc.font("Helvetica");
+    rows.forEach(([label, previous, next]) => {
+      doc.font("Helvetica-Bold").text(label, 50, y);
+      doc.font("Helvetica").text(previous, 180, y);
+      doc.text(next, 370, y);
+      y += 18;
+    });
+
+    // Amount difference
+    y += 15;
+    doc.fontSize(14).font("Helvetica-Bold");
+    doc.text(
+      `${difference >= 0 ? "SUPPLÉMENT" : "AVOIR"}: ${Math.abs(
+        difference
+      ).toFixed(2)} €`,
+      50,
+      y
+    );
+
+    if (modification.reason) {
+      doc.fontSize(10).font("Helvetica");
+      doc.text(`Motif: ${modification.reason}`, 50, y + 30, { width: 495 });
+    }
+
+    doc.fontSize(10).font("Helvetica");
+    doc.text(
+      "Les autres conditions du contrat de location restent inchangées.",
+      50,
+      y + 60
+    );
+
+    // Signature section
+    doc.text("Signature du client:", 50, 650);
+    doc.text("Date et lieu:", 300, 650);
+
+    doc.text("Signature de l'agence:", 50, 700);
+    doc.text("Cachet de l'entreprise:", 300, 700);
+  }
+
   validateBookingData(bookingData) {
     if (!bookingData) {
       console.error("No booking data provided");
@@ -379,6 +551,21 @@ class ContractGenerator {
       // Montant: [1160, 1060]
       placeText(`${bookingData.totalAmount || 0} €`, 1180, 1050, 9);
 
+      // Options / extras: listed under the amount, one line each
+      const extras = this.getExtrasLines(bookingData);
+      if (extras.length > 0) {
+        placeText("Options:", 1000, 1000, 8);
+        extras.forEach((line, index) => {
+          placeText(line, 1000, 975 - index * 22, 8, 400);
+        });
+      }
+
+      // Driver age surcharge: below the options
+      const ageSurcharge = this.getAgeSurchargeLine(bookingData);
+      if (ageSurcharge) {
+        placeText(ageSurcharge, 1000, 975 - extras.length * 22, 8, 400);
+      }
+
       // Additional information display
       const hasCompleteDocuments = !!(
         customer.driverLicenseNumber &&
@@ -409,6 +596,28 @@ class ContractGenerator {
     }
   }
 
+  // Extras lines from the pricing breakdown, e.g. "Siège enfant x2: 30 €"
+  getExtrasLines(bookingData) {
+    const breakdown = bookingData.pricingBreakdown || {};
+    const extras = Array.isArray(breakdown.extras) ? breakdown.extras : [];
+
+    return extras.map((line) => {
+      const quantity = line.quantity > 1 ? ` x${line.quantity}` : "";
+      const unit = line.pricingType === "per_day" ? "/jour" : "";
+      return `${line.name}${quantity} (${line.unitPrice} €${unit}): ${line.amount} €`;
+    });
+  }
+
+  // Driver age surcharge, e.g. "Supplément conducteur 22 ans (10 €/jour x 5): 50 €"
+  getAgeSurchargeLine(bookingData) {
+    const breakdown = bookingData.pricingBreakdown || {};
+    const line = breakdown.ageSurcharge;
+    if (!line || !(line.amount > 0)) return null;
+
+    const cap = line.maxAmount !== null ? `, max ${line.maxAmount} €` : "";
+    return `${line.label} (${line.dailyAmount} €/jour x ${line.chargedDays}${cap}): ${line.amount} €`;
+  }
+
   // Helper function to get nationality from country code
   getCountryNationality(countryCode) {
     const nationalityMap = {
@@ -432,27 +641,8 @@ class ContractGenerator {
 
   // Helper function to format phone number for contract display
   formatPhoneNumber(phone) {
-    if (!phone) return "";
-
-    // Remove any existing formatting
-    const cleaned = phone.replace(/\s/g, "");
-
-    // Format Moroccan numbers: 0612345678 → 06 12 34 56 78
-    if (
-      cleaned.length === 10 &&
-      (cleaned.startsWith("06") || cleaned.startsWith("07"))
-    ) {
-      return `${cleaned.substring(0, 2)} ${cleaned.substring(
-        2,
-        4
-      )} ${cleaned.substring(4, 6)} ${cleaned.substring(
-        6,
-        8
-      )} ${cleaned.substring(8, 10)}`;
-    }
-
-    // Return original if not standard format
-    return phone;
+    // 0612345678 / +212612345678 → 06 12 34 56 78
+    return formatPhone(phone);
   }
 
   // UPDATED: Validate that customer has required information for contract (simplified)
@@ -554,12 +744,54 @@ class ContractGenerator {
     };
   }
 
-  // UPDATED: Get contract readiness status (simplified)
-  getContractReadiness(customer) {
+  // Documents on file whose expiry date is before the given date
+  getExpiredDocuments(customer, atDate = new Date()) {
+    const date = new Date(atDate).toISOString().split("T")[0];
+    const documents = [
+      {
+        document: "driverLicense",
+        label: "Permis de conduire",
+        number: customer.driverLicenseNumber,
+        expiryDate: customer.driverLicenseExpiryDate,
+      },
+      {
+        document: "passport",
+        label: "Passeport",
+        number: customer.passportNumber,
+        expiryDate: customer.passportExpiryDate,
+      },
+      {
+        document: "cin",
+        label: "CIN",
+        number: customer.cinNumber,
+        expiryDate: customer.cinExpiryDate,
+      },
+    ];
+
+    return documents
+      .filter((doc) => doc.number && doc.expiryDate && doc.expiryDate < date)
+      .map(({ document, label, expiryDate }) => ({
+        document,
+        label,
+        expiryDate,
+      }));
+  }
+
+  // UPDATED: Get contract readiness status (expired documents do not count)
+  getContractReadiness(customer, atDate = new Date()) {
     const missing = this.getMissingCustomerInfo(customer);
+    const expiredDocuments = this.getExpiredDocuments(customer, atDate);
+    const hasValidIdentityDocument = [
+      ["driverLicense", customer.driverLicenseNumber],
+      ["passport", customer.passportNumber],
+      ["cin", customer.cinNumber],
+    ].some(
+      ([document, number]) =>
+        number && !expiredDocuments.some((doc) => doc.document === document)
+    );
 
     return {
-      isReady: missing.hasRequiredFields && missing.hasAnyIdentityDocument,
+      isReady: missing.hasRequiredFields && hasValidIdentityDocument,
       completionPercentage: missing.completionPercentage,
       missingCriticalFields: missing.missingFields.filter((field) =>
         ["Prénom", "Nom", "Téléphone"].includes(field)
@@ -570,12 +802,13 @@ class ContractGenerator {
           field.includes("passeport") ||
           field.includes("CIN")
       ),
-      recommendations: this.getContractRecommendations(customer),
+      expiredDocuments,
+      recommendations: this.getContractRecommendations(customer, atDate),
     };
   }
 
   // NEW: Get recommendations for improving contract completeness
-  getContractRecommendations(customer) {
+  getContractRecommendations(customer, atDate = new Date()) {
     const recommendations = [];
 
     if (!customer.dateOfBirth) {
@@ -597,6 +830,20 @@ class ContractGenerator {
       recommendations.push("Ajouter au moins un document d'identité");
     }
 
+    this.getExpiredDocuments(customer, atDate).forEach(
+      ({ label, expiryDate }) => {
+        recommendations.push(
+          `${label} : date d'expiration dépassée (${expiryDate}), enregistrer le document renouvelé`
+        );
+      }
+    );
+
+    if (customer.driverLicenseNumber && !customer.driverLicenseExpiryDate) {
+      recommendations.push(
+        "Ajouter les dates de délivrance et d'expiration du permis de conduire"
+      );
+    }
+
     if (!customer.email) {
       recommendations.push(
         "Ajouter l'email pour les notifications (optionnel)"
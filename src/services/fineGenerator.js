@@ -0,0 +1,194 @@
+const PDFDocument = require("pdfkit");
+
+const COMPANY_NAME = "MELHOR QUE NADA CARS";
+
+const FINE_TYPE_LABELS = {
+  speeding: "Excès de vitesse",
+  parking: "Stationnement",
+  red_light: "Franchissement de feu rouge",
+  toll: "Péage",
+  other: "Autre infraction",
+};
+
+class FineGenerator {
+  // Driver designation letter sent to the authority that issued the fine
+  async generateDesignationLetter(fine) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: "A4",
+          margin: 50,
+          info: {
+            Title: `Désignation du conducteur ${fine.referenceNumber || ""}`,
+            Author: COMPANY_NAME,
+            Subject: "Désignation du conducteur",
+            CreationDate: new Date(),
+          },
+        });
+
+        const chunks = [];
+        doc.on("data", (chunk) => chunks.push(chunk));
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+        doc.on("error", (err) => {
+          console.error("PDF generation error:", err);
+          reject(err);
+        });
+
+        this.generateLetterContent(doc, fine);
+        doc.end();
+      } catch (error) {
+        console.error("PDF generation error:", error);
+        reject(error);
+      }
+    });
+  }
+
+  formatDate(date) {
+    if (!date) return "";
+    try {
+      return new Date(date).toLocaleDateString("fr-FR", {
+        day: "2-digit",
+        month: "2-digit",
+        year: "numeric",
+      });
+    } catch {
+      return String(date);
+    }
+  }
+
+  drawField(doc, label, value, y) {
+    doc.font("Helvetica-Bold").text(label, 50, y);
+    doc.font("Helvetica").text(value || "-", 220, y, { width: 325 });
+    return y + 16;
+  }
+
+  generateLetterContent(doc, fine) {
+    const { customer, booking, vehicle } = fine;
+
+    // Sender
+    doc.fontSize(16).font("Helvetica-Bold");
+    doc.text(COMPANY_NAME, 50, 50);
+    doc.fontSize(10).font("Helvetica");
+    doc.text("Location de voitures - Tanger, Maroc", 50, 70);
+
+    // Recipient
+    doc.text(fine.authority || "Autorité émettrice", 320, 110, {
+      width: 225,
+    });
+    doc.text(`Tanger, le ${this.formatDate(new Date())}`, 320, 140);
+
+    // Title
+    doc.fontSize(14).font("Helvetica-Bold");
+    doc.text("DÉSIGNATION DU CONDUCTEUR", 50, 190, { align: "center" });
+    doc.fontSize(10).font("Helvetica");
+    doc.text(
+      `Objet: avis de contravention N° ${fine.referenceNumber || "-"}`,
+      50,
+      215
+    );
+
+    doc.text(
+      "Madame, Monsieur,\n\n" +
+        `Le véhicule immatriculé ${fine.licensePlate}, propriété de notre société de location, ` +
+        "faisait l'objet d'un contrat de location au moment de l'infraction ci-dessous. " +
+        "Conformément à la réglementation, nous vous désignons le conducteur responsable:",
+      50,
+      245,
+      { width: 495 }
+    );
+
+    // Offence
+    let y = 320;
+    doc.fontSize(12).font("Helvetica-Bold").text("INFRACTION", 50, y);
+    y += 20;
+    doc.fontSize(10);
+    y = this.drawField(
+      doc,
+      "Nature:",
+      FINE_TYPE_LABELS[fine.type] || fine.type,
+      y
+    );
+    y = this.drawField(
+      doc,
+      "Date et heure:",
+      `${this.formatDate(fine.offenceDate)} à ${fine.offenceTime}`,
+      y
+    );
+    y = this.drawField(doc, "Lieu:", fine.location, y);
+    y = this.drawField(
+      doc,
+      "Véhicule:",
+      vehicle
+        ? `${vehicle.brand} ${vehicle.name} (${fine.licensePlate})`
+        : fine.licensePlate,
+      y
+    );
+
+    // Driver
+    y += 14;
+    doc.fontSize(12).font("Helvetica-Bold").text("CONDUCTEUR DÉSIGNÉ", 50, y);
+    y += 20;
+    doc.fontSize(10);
+    y = this.drawField(
+      doc,
+      "Nom et prénom:",
+      `${customer.lastName.toUpperCase()} ${customer.firstName}`,
+      y
+    );
+    y = this.drawField(
+      doc,
+      "Date de naissance:",
+      this.formatDate(customer.dateOfBirth),
+      y
+    );
+    y = this.drawField(
+      doc,
+      "Adresse:",
+      [customer.address, customer.country].filter(Boolean).join(", "),
+      y
+    );
+    y = this.drawField(
+      doc,
+      "Permis de conduire N°:",
+      customer.driverLicenseNumber,
+      y
+    );
+    y = this.drawField(
+      doc,
+      "Pièce d'identité:",
+      customer.cinNumber
+        ? `CIN ${customer.cinNumber}`
+        : customer.passportNumber
+        ? `Passeport ${customer.passportNumber}`
+        : null,
+      y
+    );
+
+    // Rental contract
+    y += 14;
+    doc.fontSize(12).font("Helvetica-Bold").text("CONTRAT DE LOCATION", 50, y);
+    y += 20;
+    doc.fontSize(10);
+    y = this.drawField(doc, "Contrat N°:", booking.bookingNumber, y);
+    y = this.drawField(
+      doc,
+      "Période:",
+      `du ${this.formatDate(booking.pickupDate)} ${booking.pickupTime} au ${this.formatDate(
+        booking.returnDate
+      )} ${booking.returnTime}`,
+      y
+    );
+
+    doc.text(
+      "Une copie du contrat de location peut être fournie sur demande. " +
+        "Nous vous prions d'agréer, Madame, Monsieur, l'expression de nos salutations distinguées.",
+      50,
+      y + 20,
+      { width: 495 }
+    );
+
+    doc.text("Pour la société, signature et cachet:", 320, 700);
+  }
+}
+
+module.exports = FineGenerator;
@@ -0,0 +1,219 @@
+const PDFDocument = require("pdfkit");
+
+const COMPANY_NAME = "MELHOR QUE NADA CARS";
+
+const ZONE_LABELS = {
+  front: "Avant",
+  rear: "Arrière",
+  left_side: "Côté gauche",
+  right_side: "Côté droit",
+  roof: "Toit",
+  windshield: "Pare-brise",
+  windows: "Vitres",
+  wheels: "Roues / jantes",
+  interior: "Intérieur",
+  trunk: "Coffre",
+};
+
+const DAMAGE_LABELS = {
+  scratch: "Rayure",
+  dent: "Bosse",
+  crack: "Fissure",
+  broken: "Cassé",
+  stain: "Tache",
+  missing: "Manquant",
+};
+
+// pdfkit only embeds JPEG and PNG images
+const EMBEDDABLE_MIMETYPES = ["image/jpeg", "image/jpg", "image/png"];
+
+class InspectionGenerator {
+  // Inspection report (pickup and return side by side) next to the contract
+  async generateReport(booking, inspections) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: "A4",
+          margin: 50,
+          info: {
+            Title: `Etat des lieux ${booking.bookingNumber}`,
+            Author: COMPANY_NAME,
+            Subject: "Etat des lieux du véhicule",
+            CreationDate: new Date(),
+          },
+        });
+
+        const chunks = [];
+        doc.on("data", (chunk) => chunks.push(chunk));
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+        doc.on("error", (err) => {
+          console.error("PDF generation error:", err);
+          reject(err);
+        });
+
+        this.generateReportContent(doc, booking, inspections);
+        doc.end();
+      } catch (error) {
+        console.error("PDF generation error:", error);
+        reject(error);
+      }
+    });
+  }
+
+  formatDateTime(date) {
+    if (!date) return "";
+    return new Date(date).toLocaleString("fr-FR", {
+      day: "2-digit",
+      month: "2-digit",
+      year: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  }
+
+  generateReportContent(doc, booking, inspections) {
+    const pickup = inspections.find((item) => item.type === "pickup");
+    const ret = inspections.find((item) => item.type === "return");
+
+    // Title
+    doc.fontSize(20).font("Helvetica-Bold");
+    doc.text("ÉTAT DES LIEUX DU VÉHICULE", 50, 50, { align: "center" });
+
+    doc.fontSize(14).fillColor("red");
+    doc.text(`Contrat N°: ${booking.bookingNumber}`, 350, 80);
+    doc.fillColor("black").fontSize(10).font("Helvetica");
+
+    doc.text(
+      `Client: ${booking.customer.firstName} ${booking.customer.lastName}`,
+      50,
+      110
+    );
+    doc.text(
+      `Véhicule: ${booking.vehicle.brand} ${booking.vehicle.name} (${booking.vehicle.licensePlate})`,
+      50,
+      125
+    );
+
+    // Readings
+    let y = 160;
+    doc.fontSize(12).font("Helvetica-Bold");
+    doc.text("Départ", 200, y);
+    doc.text("Retour", 370, y);
+    y += 18;
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+    y += 8;
+
+    const rows = [
+      ["Date", (item) => this.formatDateTime(item.createdAt)],
+      ["Kilométrage", (item) => `${item.odometer} km`],
+      ["Carburant", (item) => `${item.fuelLevel}/8`],
+      ["Dommages", (item) => `${(item.checklist || []).length}`],
+      ["Client informé", (item) => (item.customerAcknowledged ? "Oui" : "Non")],
+    ];
+
+    doc.fontSize(10);
+    rows.forEach(([label, format]) => {
+      doc.font("Helvetica-Bold").text(label, 50, y);
+      doc.font("Helvetica");
+      doc.text(pickup ? format(pickup) : "-", 200, y);
+      doc.text(ret ? format(ret) : "-", 370, y);
+      y += 16;
+    });
+
+    if (ret && ret.kilometresDriven !== null) {
+      y += 10;
+      doc.font("Helvetica-Bold");
+      doc.text(`Kilomètres parcourus: ${ret.kilometresDriven} km`, 50, y);
+      y += 16;
+      doc.text(`Carburant manquant: ${ret.fuelShortfall}/8`, 50, y);
+      y += 16;
+    }
+
+    // Damage checklists and photos
+    [pickup, ret].filter(Boolean).forEach((inspection) => {
+      y = this.drawInspectionDetails(doc, inspection, y + 20);
+    });
+
+    // Signature section
+    if (y > 640) {
+      doc.addPage();
+      y = 50;
+    }
+    doc.fontSize(10).font("Helvetica");
+    doc.text("Signature du client:", 50, Math.max(y + 20, 650));
+    doc.text("Signature de l'agence:", 300, Math.max(y + 20, 650));
+  }
+
+  drawInspectionDetails(doc, inspection, y) {
+    if (y > 680) {
+      doc.addPage();
+      y = 50;
+    }
+
+    doc.fontSize(12).font("Helvetica-Bold");
+    doc.text(
+      inspection.type === "pickup"
+        ? "DOMMAGES CONSTATÉS AU DÉPART"
+        : "DOMMAGES CONSTATÉS AU RETOUR",
+      50,
+      y
+    );
+    y += 20;
+    doc.fontSize(10).font("Helvetica");
+
+    const checklist = inspection.checklist || [];
+    if (checklist.length === 0) {
+      doc.text("Aucun dommage constaté.", 50, y);
+      y += 16;
+    }
+
+    checklist.forEach((item) => {
+      const line = `- ${ZONE_LABELS[item.zone] || item.zone}: ${
+        DAMAGE_LABELS[item.damageType] || item.damageType
+      }${item.notes ? ` (${item.notes})` : ""}`;
+      doc.text(line, 60, y, { width: 485 });
+      y += Math.max(14, doc.heightOfString(line, { width: 485 })) + 2;
+    });
+
+    if (inspection.notes) {
+      doc.text(`Remarques: ${inspection.notes}`, 50, y + 4, { width: 495 });
+      y += 24;
+    }
+
+    // Photos, three per row
+    const photos = (inspection.photos || []).filter((photo) =>
+      EMBEDDABLE_MIMETYPES.includes(photo.imageMimetype)
+    );
+
+    photos.forEach((photo, index) => {
+      const column = index % 3;
+      if (column === 0) {
+        if (index > 0) y += 140;
+        if (y > 640) {
+          doc.addPage();
+          y = 50;
+        }
+      }
+
+      const x = 50 + column * 165;
+      try {
+        doc.image(photo.imageData, x, y + 10, { fit: [155, 105] });
+      } catch (imageError) {
+        console.error("Error embedding inspection photo:", imageError);
+      }
+
+      const caption = [
+        photo.zone ? ZONE_LABELS[photo.zone] : null,
+        photo.annotation,
+      ]
+        .filter(Boolean)
+        .join(" - ");
+      doc.fontSize(8).text(caption, x, y + 118, { width: 155, height: 20 });
+      doc.fontSize(10);
+    });
+
+    return photos.length > 0 ? y + 150 : y;
+  }
+}
+
+module.exports = InspectionGenerator;
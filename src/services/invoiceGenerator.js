@@ -0,0 +1,270 @@
+const PDFDocument = require("pdfkit");
+
+const COMPANY_NAME = "MELHOR QUE NADA CARS";
+
+const PAYMENT_TYPE_LABELS = {
+  deposit_hold: "Dépôt de caution",
+  deposit_release: "Restitution de caution",
+  rental_payment: "Paiement de location",
+  refund: "Remboursement",
+  penalty: "Frais d'annulation",
+  deposit_deduction: "Retenue sur caution",
+};
+
+const PAYMENT_METHOD_LABELS = {
+  cash: "Espèces",
+  card: "Carte bancaire",
+  transfer: "Virement",
+};
+
+class InvoiceGenerator {
+  // Render a pdfkit document into a Buffer
+  render(info, draw) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: "A4",
+          margin: 50,
+          info: {
+            ...info,
+            Author: COMPANY_NAME,
+            CreationDate: new Date(),
+          },
+        });
+
+        const chunks = [];
+        doc.on("data", (chunk) => chunks.push(chunk));
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+        doc.on("error", (err) => {
+          console.error("PDF generation error:", err);
+          reject(err);
+        });
+
+        draw(doc);
+        doc.end();
+      } catch (error) {
+        console.error("PDF generation error:", error);
+        reject(error);
+      }
+    });
+  }
+
+  formatAmount(amount) {
+    return `${parseFloat(amount || 0).toFixed(2)} €`;
+  }
+
+  formatDate(date) {
+    if (!date) return "";
+    try {
+      return new Date(date).toLocaleDateString("fr-FR", {
+        day: "2-digit",
+        month: "2-digit",
+        year: "numeric",
+      });
+    } catch {
+      return String(date);
+    }
+  }
+
+  drawHeader(doc, title, number, date) {
+    doc.fontSize(18).font("Helvetica-Bold").fillColor("black");
+    doc.text(COMPANY_NAME, 50, 50);
+    doc.fontSize(10).font("Helvetica");
+    doc.text("Location de voitures - Tanger, Maroc", 50, 72);
+
+    doc.fontSize(16).font("Helvetica-Bold");
+    doc.text(title, 300, 50, { width: 245, align: "right" });
+    doc.fontSize(11).fillColor("red");
+    doc.text(`N° ${number}`, 300, 72, { width: 245, align: "right" });
+    doc.fillColor("black").font("Helvetica").fontSize(10);
+    doc.text(`Date: ${this.formatDate(date)}`, 300, 90, {
+      width: 245,
+      align: "right",
+    });
+
+    doc.moveTo(50, 115).lineTo(545, 115).stroke();
+  }
+
+  drawBillingDetails(doc, details) {
+    doc.fontSize(11).font("Helvetica-Bold");
+    doc.text("CLIENT", 50, 130);
+    doc.fontSize(10).font("Helvetica");
+    doc.text(details.customerName || "", 50, 146);
+    if (details.customerAddress) doc.text(details.customerAddress, 50, 160);
+    if (details.customerPhone) doc.text(details.customerPhone, 50, 174);
+    if (details.customerEmail) doc.text(details.customerEmail, 50, 188);
+
+    doc.fontSize(11).font("Helvetica-Bold");
+    doc.text("LOCATION", 320, 130);
+    doc.fontSize(10).font("Helvetica");
+    doc.text(`Réservation: ${details.bookingNumber || ""}`, 320, 146);
+    doc.text(
+      `Véhicule: ${details.vehicle || ""} ${
+        details.licensePlate ? `(${details.licensePlate})` : ""
+      }`,
+      320,
+      160
+    );
+    doc.text(
+      `Période: ${this.formatDate(details.pickupDate)} - ${this.formatDate(
+        details.returnDate
+      )}`,
+      320,
+      174
+    );
+  }
+
+  drawLines(doc, lines, sign = 1) {
+    let y = 230;
+
+    doc.fontSize(10).font("Helvetica-Bold");
+    doc.text("Désignation", 50, y);
+    doc.text("Qté", 340, y, { width: 40, align: "right" });
+    doc.text("P.U.", 390, y, { width: 70, align: "right" });
+    doc.text("Montant", 470, y, { width: 75, align: "right" });
+    y += 16;
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+    y += 8;
+
+    doc.font("Helvetica");
+    for (const line of lines) {
+      if (y > 720) {
+        doc.addPage();
+        y = 50;
+      }
+
+      doc.text(line.description, 50, y, { width: 280 });
+      const lineHeight = Math.max(
+        14,
+        doc.heightOfString(line.description, { width: 280 })
+      );
+
+      doc.text(String(line.quantity), 340, y, { width: 40, align: "right" });
+      doc.text(this.formatAmount(sign * line.unitPrice), 390, y, {
+        width: 70,
+        align: "right",
+      });
+      doc.text(this.formatAmount(sign * line.amount), 470, y, {
+        width: 75,
+        align: "right",
+      });
+      y += lineHeight + 6;
+    }
+
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+    return y + 10;
+  }
+
+  // --- Invoices & Credit Notes ---
+
+  async generateInvoice(invoice) {
+    const isCreditNote = invoice.documentType === "credit_note";
+    const title = isCreditNote ? "AVOIR" : "FACTURE";
+    const sign = isCreditNote ? -1 : 1;
+
+    return this.render(
+      { Title: `${title} ${invoice.number}`, Subject: title },
+      (doc) => {
+        this.drawHeader(doc, title, invoice.number, invoice.issueDate);
+        this.drawBillingDetails(doc, invoice.billingDetails || {});
+
+        let y = this.drawLines(doc, invoice.lines || [], sign);
+
+        doc.fontSize(12).font("Helvetica-Bold");
+        doc.text("TOTAL TTC", 340, y, { width: 120, align: "right" });
+        doc.text(this.formatAmount(sign * invoice.totalAmount), 470, y, {
+          width: 75,
+          align: "right",
+        });
+        y += 30;
+
+        doc.fontSize(9).font("Helvetica");
+        if (isCreditNote && invoice.creditedInvoice) {
+          doc.text(
+            `Avoir sur la facture N° ${invoice.creditedInvoice.number}`,
+            50,
+            y
+          );
+          y += 14;
+        }
+        if (invoice.reason) {
+          doc.text(`Motif: ${invoice.reason}`, 50, y);
+        }
+      }
+    );
+  }
+
+  // --- Payment Receipts ---
+
+  async generateReceipt(payment, booking) {
+    const title = "REÇU";
+
+    return this.render(
+      { Title: `${title} ${payment.receiptNumber}`, Subject: title },
+      (doc) => {
+        this.drawHeader(doc, title, payment.receiptNumber, payment.paidAt);
+        this.drawBillingDetails(doc, {
+          bookingNumber: booking.bookingNumber,
+          customerName: booking.customer
+            ? `${booking.customer.firstName} ${booking.customer.lastName}`
+            : "",
+          customerPhone: booking.customer ? booking.customer.phone : null,
+          customerEmail: booking.customer ? booking.customer.email : null,
+          vehicle: booking.vehicle
+            ? `${booking.vehicle.brand} ${booking.vehicle.name}`
+            : "",
+          licensePlate: booking.vehicle ? booking.vehicle.licensePlate : null,
+          pickupDate: booking.pickupDate,
+          returnDate: booking.returnDate,
+        });
+
+        let y = 240;
+        doc.fontSize(11).font("Helvetica");
+        doc.text(
+          `Opération: ${PAYMENT_TYPE_LABELS[payment.type] || payment.type}`,
+          50,
+          y
+        );
+        y += 18;
+        doc.text(
+          `Mode de paiement: ${
+            PAYMENT_METHOD_LABELS[payment.method] || payment.method
+          }`,
+          50,
+          y
+        );
+        y += 18;
+        if (payment.reference) {
+          doc.text(`Référence: ${payment.reference}`, 50, y);
+          y += 18;
+        }
+
+        y += 10;
+        doc.fontSize(14).font("Helvetica-Bold");
+        doc.text(`MONTANT: ${this.formatAmount(payment.amount)}`, 50, y);
+        y += 40;
+
+        doc.fontSize(10).font("Helvetica");
+        doc.text(
+          `Total location: ${this.formatAmount(booking.totalAmount)}`,
+          50,
+          y
+        );
+        doc.text(
+          `Déjà réglé: ${this.formatAmount(booking.amountPaid)}`,
+          50,
+          y + 14
+        );
+        doc.text(
+          `Reste à payer: ${this.formatAmount(booking.balanceDue)}`,
+          50,
+          y + 28
+        );
+
+        doc.text("Signature de l'agence:", 50, y + 80);
+      }
+    );
+  }
+}
+
+module.exports = InvoiceGenerator;
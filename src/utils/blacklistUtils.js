@@ -0,0 +1,45 @@
+// src/utils/blacklistUtils.js - Blacklist enforcement when an admin confirms a booking
+const ErrorResponse = require("./errorResponse");
+
+// Roles allowed to confirm a booking despite a blacklist match
+const BLACKLIST_OVERRIDE_ROLES = ["super-admin"];
+
+const isOverrideRequested = (body = {}) =>
+  body.overrideBlacklist === true || body.overrideBlacklist === "true";
+
+/**
+ * Error stopping a confirmation for a blacklisted customer, or null when
+ * nothing matched or a super-admin asked for an override
+ * (body.overrideBlacklist).
+ *
+ * @param {object} blacklist - Result of BlacklistEntry.checkCustomer
+ * @param {object} admin - Admin confirming the booking
+ * @param {object} body - Request body
+ * @returns {ErrorResponse|null}
+ */
+const getBlacklistError = (blacklist, admin, body) => {
+  if (!blacklist.isBlacklisted) return null;
+
+  if (!isOverrideRequested(body)) {
+    return new ErrorResponse(
+      "Customer is blacklisted: a super-admin override is required to confirm this booking",
+      403,
+      blacklist.matches
+    );
+  }
+
+  if (!BLACKLIST_OVERRIDE_ROLES.includes(admin.role)) {
+    return new ErrorResponse(
+      "Only a super-admin can override the blacklist",
+      403,
+      blacklist.matches
+    );
+  }
+
+  return null;
+};
+
+module.exports = {
+  BLACKLIST_OVERRIDE_ROLES,
+  getBlacklistError,
+};
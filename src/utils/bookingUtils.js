@@ -276,6 +276,86 @@ const checkAdvancedAvailability = (
   };
 };
 
+/**
+ * Find the booking holding a vehicle at a given minute (traffic fines, tolls).
+ * Same minute-precision windows as checkAdvancedAvailability: a booking
+ * covers [pickup, return), so at a back-to-back handover the minute belongs
+ * to the booking starting then.
+ *
+ * @param {Array} bookings - Bookings of the vehicle (active or completed)
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {object|null} The responsible booking
+ */
+const findBookingAtTime = (bookings, date, time) => {
+  const at = new Date(`${date}T${time}:00`);
+
+  return (
+    bookings.find((booking) => {
+      if (!["active", "completed"].includes(booking.status)) return false;
+
+      const start = new Date(`${booking.pickupDate}T${booking.pickupTime}:00`);
+      const end = new Date(`${booking.returnDate}T${booking.returnTime}:00`);
+
+      return start <= at && at < end;
+    }) || null
+  );
+};
+
+// --- Modification Helpers ---
+
+/**
+ * Periods newly occupied when a booking moves from `previous` to `next`.
+ * Only these need an availability check: the rest is already held by the
+ * booking itself (e.g. an extension only adds old return -> new return).
+ *
+ * @param {object} previous - { pickupDate, pickupTime, returnDate, returnTime }
+ * @param {object} next - { pickupDate, pickupTime, returnDate, returnTime }
+ * @returns {Array} Added periods with the same shape
+ */
+const getAddedPeriods = (previous, next) => {
+  const toDateTime = (date, time) => new Date(`${date}T${time}:00`);
+
+  const previousStart = toDateTime(previous.pickupDate, previous.pickupTime);
+  const previousEnd = toDateTime(previous.returnDate, previous.returnTime);
+  const nextStart = toDateTime(next.pickupDate, next.pickupTime);
+  const nextEnd = toDateTime(next.returnDate, next.returnTime);
+
+  // No overlap with the current period: everything is new
+  if (!(nextStart < previousEnd && nextEnd > previousStart)) {
+    return [
+      {
+        pickupDate: next.pickupDate,
+        pickupTime: next.pickupTime,
+        returnDate: next.returnDate,
+        returnTime: next.returnTime,
+      },
+    ];
+  }
+
+  const periods = [];
+
+  if (nextStart < previousStart) {
+    periods.push({
+      pickupDate: next.pickupDate,
+      pickupTime: next.pickupTime,
+      returnDate: previous.pickupDate,
+      returnTime: previous.pickupTime,
+    });
+  }
+
+  if (nextEnd > previousEnd) {
+    periods.push({
+      pickupDate: previous.returnDate,
+      pickupTime: previous.returnTime,
+      returnDate: next.returnDate,
+      returnTime: next.returnTime,
+    });
+  }
+
+  return periods;
+};
+
 // --- Display Helpers ---
 
 /**
@@ -364,6 +444,8 @@ module.exports = {
 
   // --- Availability ---
   checkAdvancedAvailability,
+  findBookingAtTime,
+  getAddedPeriods,
 
   // --- Deprecated (Backward Compatibility) ---
   getTimeExcessInfo,
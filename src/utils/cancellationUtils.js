@@ -0,0 +1,68 @@
+// src/utils/cancellationUtils.js - Cancellation penalty and refund computation
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Hours between a moment and the booking pickup (negative once passed).
+ */
+const getHoursBeforePickup = (booking, at = new Date()) => {
+  const pickup = new Date(`${booking.pickupDate}T${booking.pickupTime}:00`);
+  return (pickup - new Date(at)) / (1000 * 60 * 60);
+};
+
+/**
+ * Compute the cancellation penalty and refund due for a booking.
+ *
+ * - Pending (unconfirmed) bookings and bookings without policy are free
+ * - Free until `freeCancellationHours` before pickup
+ * - Later cancellations pay `lateCancellationFeePercent` of the total
+ * - No-show (explicit, or pickup time passed) pays `noShowFeePercent`
+ *
+ * @param {object|null} policy - CancellationPolicy
+ * @param {object} booking - Booking ({ status, pickupDate, pickupTime, totalAmount, amountPaid })
+ * @param {object} options - { at, noShow }
+ * @returns {object} Penalty details
+ */
+const calculateCancellationPenalty = (policy, booking, options = {}) => {
+  const { at = new Date(), noShow = false } = options;
+  const totalAmount = parseFloat(booking.totalAmount) || 0;
+  const amountPaid = parseFloat(booking.amountPaid) || 0;
+  const hoursBeforePickup = getHoursBeforePickup(booking, at);
+  const isNoShow = noShow || hoursBeforePickup <= 0;
+
+  let feePercent = 0;
+  let rule = "free";
+
+  if (!policy) {
+    rule = "no_policy";
+  } else if (booking.status === "pending") {
+    rule = "not_confirmed";
+  } else if (isNoShow) {
+    feePercent = parseFloat(policy.noShowFeePercent);
+    rule = "no_show";
+  } else if (hoursBeforePickup < policy.freeCancellationHours) {
+    feePercent = parseFloat(policy.lateCancellationFeePercent);
+    rule = "late_cancellation";
+  }
+
+  const penaltyAmount = roundAmount((totalAmount * feePercent) / 100);
+
+  return {
+    policyId: policy ? policy.id : null,
+    policyName: policy ? policy.name : null,
+    rule,
+    isNoShow: rule === "no_show",
+    hoursBeforePickup: roundAmount(hoursBeforePickup),
+    feePercent,
+    totalAmount,
+    penaltyAmount,
+    amountPaid,
+    refundDue: roundAmount(Math.max(0, amountPaid - penaltyAmount)),
+    amountToCollect: roundAmount(Math.max(0, penaltyAmount - amountPaid)),
+  };
+};
+
+module.exports = {
+  getHoursBeforePickup,
+  calculateCancellationPenalty,
+};
@@ -0,0 +1,187 @@
+// src/utils/customerDocumentUtils.js - Driver and identity document checks against a rental
+
+// Defaults when a vehicle does not set its own requirements
+const DEFAULT_MINIMUM_AGE = 21;
+const DEFAULT_MINIMUM_LICENSE_YEARS = 2;
+const DEFAULT_LICENSE_CATEGORY = "B";
+
+// Identity documents (the driving licence is checked on its own)
+const IDENTITY_DOCUMENTS = [
+  {
+    document: "passport",
+    label: "Passport",
+    numberField: "passportNumber",
+    expiryField: "passportExpiryDate",
+  },
+  {
+    document: "cin",
+    label: "CIN",
+    numberField: "cinNumber",
+    expiryField: "cinExpiryDate",
+  },
+];
+
+// Whole years between two YYYY-MM-DD dates
+const getYearsBetween = (from, to) => {
+  const [fromYear, fromMonth, fromDay] = from.split("-").map(Number);
+  const [toYear, toMonth, toDay] = to.split("-").map(Number);
+
+  let years = toYear - fromYear;
+  if (toMonth < fromMonth || (toMonth === fromMonth && toDay < fromDay)) {
+    years--;
+  }
+  return years;
+};
+
+// Licence categories typed as "B", "A1, B" or "A1 B"
+const parseLicenseCategories = (value) =>
+  String(value || "")
+    .toUpperCase()
+    .split(/[\s,;/]+/)
+    .filter(Boolean);
+
+/**
+ * Check that a customer may drive a vehicle for a rental period: licence
+ * valid until the return date, held long enough and of the right category,
+ * minimum age reached at pickup, and an identity document still valid.
+ * Documents are valid up to and including their expiry date. Details not
+ * on file yet only give warnings.
+ *
+ * @param {object} customer - Customer with document numbers and dates
+ * @param {object} vehicle - { minimumAge, minimumLicenseYears, requiredLicenseCategory }
+ * @param {string} pickupDate - YYYY-MM-DD
+ * @param {string} returnDate - YYYY-MM-DD
+ * @param {number|null} age - Customer age on the pickup date (null without date of birth)
+ * @returns {object} { isEligible, reasons: [{ code, document, message, ... }], warnings }
+ */
+const checkDriverEligibility = (
+  customer,
+  vehicle,
+  pickupDate,
+  returnDate,
+  age
+) => {
+  const reasons = [];
+  const warnings = [];
+
+  const minimumAge = vehicle.minimumAge || DEFAULT_MINIMUM_AGE;
+  const minimumLicenseYears =
+    vehicle.minimumLicenseYears ?? DEFAULT_MINIMUM_LICENSE_YEARS;
+  const requiredCategory =
+    vehicle.requiredLicenseCategory || DEFAULT_LICENSE_CATEGORY;
+
+  // --- Age ---
+  if (age === null || age === undefined) {
+    warnings.push("No date of birth on file: the driver's age is not checked");
+  } else if (age < minimumAge) {
+    reasons.push({
+      code: "UNDER_MINIMUM_AGE",
+      document: null,
+      message: `Driver is ${age} at pickup, this vehicle requires ${minimumAge}`,
+      age,
+      minimumAge,
+    });
+  }
+
+  // --- Driving licence ---
+  if (!customer.driverLicenseNumber) {
+    warnings.push("No driving licence on file");
+  } else {
+    const expiryDate = customer.driverLicenseExpiryDate;
+    if (!expiryDate) {
+      warnings.push("No expiry date on file for the driving licence");
+    } else if (expiryDate < pickupDate) {
+      reasons.push({
+        code: "LICENSE_EXPIRED",
+        document: "driverLicense",
+        message: `Driving licence expired on ${expiryDate}`,
+        expiryDate,
+      });
+    } else if (expiryDate < returnDate) {
+      reasons.push({
+        code: "LICENSE_EXPIRES_DURING_RENTAL",
+        document: "driverLicense",
+        message: `Driving licence expires on ${expiryDate}, before the return on ${returnDate}`,
+        expiryDate,
+      });
+    }
+
+    const issueDate = customer.driverLicenseIssueDate;
+    if (!issueDate) {
+      warnings.push("No issue date on file for the driving licence");
+    } else {
+      const yearsHeld = getYearsBetween(issueDate, pickupDate);
+      if (yearsHeld < minimumLicenseYears) {
+        reasons.push({
+          code: "LICENSE_HELD_TOO_SHORT",
+          document: "driverLicense",
+          message: `Driving licence held for ${Math.max(
+            yearsHeld,
+            0
+          )} year(s) at pickup, this vehicle requires ${minimumLicenseYears}`,
+          issueDate,
+          yearsHeld: Math.max(yearsHeld, 0),
+          minimumLicenseYears,
+        });
+      }
+    }
+
+    const categories = parseLicenseCategories(customer.driverLicenseCategory);
+    if (categories.length === 0) {
+      warnings.push("No category on file for the driving licence");
+    } else if (!categories.includes(requiredCategory.toUpperCase())) {
+      reasons.push({
+        code: "LICENSE_CATEGORY_MISMATCH",
+        document: "driverLicense",
+        message: `Driving licence covers ${categories.join(
+          ", "
+        )}, this vehicle requires category ${requiredCategory}`,
+        categories,
+        requiredCategory,
+      });
+    }
+  }
+
+  // --- Identity document (one valid passport or CIN is enough) ---
+  const identityDocuments = IDENTITY_DOCUMENTS.filter(
+    ({ numberField }) => customer[numberField]
+  );
+  const expiredDocuments = identityDocuments.filter(
+    ({ expiryField }) =>
+      customer[expiryField] && customer[expiryField] < pickupDate
+  );
+
+  if (
+    identityDocuments.length > 0 &&
+    expiredDocuments.length === identityDocuments.length
+  ) {
+    expiredDocuments.forEach(({ document, label, expiryField }) => {
+      reasons.push({
+        code: "IDENTITY_DOCUMENT_EXPIRED",
+        document,
+        message: `${label} expired on ${customer[expiryField]}`,
+        expiryDate: customer[expiryField],
+      });
+    });
+  } else {
+    expiredDocuments.forEach(({ label, expiryField }) => {
+      warnings.push(`${label} expired on ${customer[expiryField]}`);
+    });
+  }
+
+  return {
+    isEligible: reasons.length === 0,
+    reasons,
+    warnings,
+  };
+};
+
+module.exports = {
+  DEFAULT_MINIMUM_AGE,
+  DEFAULT_MINIMUM_LICENSE_YEARS,
+  DEFAULT_LICENSE_CATEGORY,
+  IDENTITY_DOCUMENTS,
+  getYearsBetween,
+  parseLicenseCategories,
+  checkDriverEligibility,
+};
@@ -0,0 +1,223 @@
+// src/utils/customerMatching.js - Duplicate customer scoring (phone, email, documents, name)
+const { toE164 } = require("./phoneUtils");
+
+// Points given by each matching identifier (score is capped at 100)
+const MATCH_WEIGHTS = {
+  cinNumber: 50,
+  passportNumber: 50,
+  driverLicenseNumber: 40,
+  phone: 40,
+  email: 35,
+  name: 30,
+};
+
+// Two different document numbers of the same kind point to two people
+const DOCUMENT_CONFLICT_PENALTY = 40;
+
+// Pairs scoring below this are not reported by default
+const DEFAULT_MIN_SCORE = 50;
+
+// Name blocks larger than this are too common to compare pairwise
+const MAX_NAME_BLOCK = 50;
+
+const DOCUMENT_FIELDS = ["cinNumber", "passportNumber", "driverLicenseNumber"];
+
+// Phones compared in E.164 (local numbers read in the customer's country);
+// numbers that do not parse are compared on their digits
+const normalizePhone = (phone, country) => {
+  if (!phone) return null;
+  const e164 = toE164(phone, country);
+  if (e164) return e164;
+
+  const digits = String(phone).replace(/\D/g, "");
+  return digits.length >= 8 ? digits : null;
+};
+
+const normalizeEmail = (email) =>
+  email ? String(email).trim().toLowerCase() : null;
+
+// Document numbers without spaces, dashes or case: "ab 123-456" -> "AB123456"
+const normalizeDocument = (value) => {
+  if (!value) return null;
+  const normalized = String(value)
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+  return normalized || null;
+};
+
+// Lower case, no accents or punctuation: "Élodie-Marie" -> "elodie marie"
+const normalizeName = (value) =>
+  String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z]+/g, " ")
+    .trim();
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Similarity of two customers' names between 0 and 1, also trying first
+ * and last name swapped ("Amrani Ali" vs "Ali Amrani").
+ */
+const getNameSimilarity = (a, b) => {
+  const nameA = normalizeName(`${a.firstName} ${a.lastName}`);
+  const candidates = [
+    normalizeName(`${b.firstName} ${b.lastName}`),
+    normalizeName(`${b.lastName} ${b.firstName}`),
+  ];
+
+  return Math.max(
+    ...candidates.map((nameB) => {
+      const length = Math.max(nameA.length, nameB.length);
+      return length === 0 ? 0 : 1 - levenshtein(nameA, nameB) / length;
+    })
+  );
+};
+
+// Normalized identifiers of a customer, computed once per finder run
+const getMatchKeys = (customer) => ({
+  phone: normalizePhone(customer.phone, customer.country),
+  email: normalizeEmail(customer.email),
+  cinNumber: normalizeDocument(customer.cinNumber),
+  passportNumber: normalizeDocument(customer.passportNumber),
+  driverLicenseNumber: normalizeDocument(customer.driverLicenseNumber),
+  lastName: normalizeName(customer.lastName),
+  firstName: normalizeName(customer.firstName),
+});
+
+/**
+ * Likelihood (0-100) that two customers are the same person.
+ *
+ * @param {object} a - Customer
+ * @param {object} b - Customer
+ * @returns {object} { score, matches: [{ field, weight }], conflicts: [field] }
+ */
+const scoreCustomerPair = (
+  a,
+  b,
+  keysA = getMatchKeys(a),
+  keysB = getMatchKeys(b)
+) => {
+  const matches = [];
+  const conflicts = [];
+
+  ["phone", "email", ...DOCUMENT_FIELDS].forEach((field) => {
+    if (!keysA[field] || !keysB[field]) return;
+
+    if (keysA[field] === keysB[field]) {
+      matches.push({ field, weight: MATCH_WEIGHTS[field] });
+    } else if (DOCUMENT_FIELDS.includes(field)) {
+      conflicts.push(field);
+    }
+  });
+
+  // Names alone only count when very close
+  const nameSimilarity = getNameSimilarity(a, b);
+  if (nameSimilarity >= 0.8) {
+    matches.push({
+      field: "name",
+      weight: Math.round(MATCH_WEIGHTS.name * nameSimilarity),
+      similarity: Math.round(nameSimilarity * 100) / 100,
+    });
+  }
+
+  const total =
+    matches.reduce((sum, match) => sum + match.weight, 0) -
+    conflicts.length * DOCUMENT_CONFLICT_PENALTY;
+
+  return {
+    score: Math.max(0, Math.min(100, total)),
+    matches,
+    conflicts,
+  };
+};
+
+/**
+ * Likely duplicate pairs among customers, best matches first. Only pairs
+ * sharing an identifier or a name are compared.
+ *
+ * @param {Array} customers - Customers (without document images)
+ * @param {object} options - { minScore, customerId } (customerId: pairs involving it)
+ * @returns {Array} [{ customers: [a, b], score, matches, conflicts }]
+ */
+const findDuplicatePairs = (
+  customers,
+  { minScore = DEFAULT_MIN_SCORE, customerId = null } = {}
+) => {
+  const keys = new Map(customers.map((c) => [c.id, getMatchKeys(c)]));
+  const blocks = new Map();
+
+  const addToBlock = (blockKey, customer) => {
+    if (!blocks.has(blockKey)) blocks.set(blockKey, []);
+    blocks.get(blockKey).push(customer);
+  };
+
+  customers.forEach((customer) => {
+    const customerKeys = keys.get(customer.id);
+    ["phone", "email", ...DOCUMENT_FIELDS].forEach((field) => {
+      if (customerKeys[field]) {
+        addToBlock(`${field}:${customerKeys[field]}`, customer);
+      }
+    });
+    // Same last name, or names entered the wrong way round
+    if (customerKeys.lastName) {
+      addToBlock(`name:${customerKeys.lastName}`, customer);
+    }
+    if (customerKeys.firstName) {
+      addToBlock(`name:${customerKeys.firstName}`, customer);
+    }
+  });
+
+  const pairs = new Map();
+
+  blocks.forEach((members, blockKey) => {
+    if (blockKey.startsWith("name:") && members.length > MAX_NAME_BLOCK) {
+      return;
+    }
+
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = [members[i], members[j]];
+        if (a.id === b.id) continue;
+        if (customerId && a.id !== customerId && b.id !== customerId) continue;
+
+        const pairKey = [a.id, b.id].sort().join(":");
+        if (pairs.has(pairKey)) continue;
+
+        const result = scoreCustomerPair(a, b, keys.get(a.id), keys.get(b.id));
+        pairs.set(pairKey, { customers: [a, b], ...result });
+      }
+    }
+  });
+
+  return [...pairs.values()]
+    .filter((pair) => pair.score >= minScore)
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  DEFAULT_MIN_SCORE,
+  normalizePhone,
+  normalizeEmail,
+  normalizeDocument,
+  getNameSimilarity,
+  scoreCustomerPair,
+  findDuplicatePairs,
+};
@@ -0,0 +1,168 @@
+// src/utils/discountUtils.js - Discount engine (promo codes + customer tier discounts)
+
+// Automatic discount (percentage) per customer tier, applied only when
+// Customer.isEligibleForDiscount() is true
+const TIER_DISCOUNTS = {
+  bronze: 0,
+  silver: 3,
+  gold: 5,
+  platinum: 10,
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// --- Discount Descriptors ---
+
+/**
+ * Build the automatic tier discount for a customer.
+ *
+ * @param {object} customer - Customer instance
+ * @returns {object|null} Discount descriptor or null when not eligible
+ */
+const getTierDiscount = (customer) => {
+  if (!customer || !customer.isEligibleForDiscount()) return null;
+
+  const tier = customer.getCustomerTier();
+  const percentage = TIER_DISCOUNTS[tier] || 0;
+  if (percentage <= 0) return null;
+
+  return {
+    source: "tier",
+    tier,
+    type: "percentage",
+    value: percentage,
+    label: `Remise fidélité ${tier} (${percentage}%)`,
+  };
+};
+
+/**
+ * Build the discount descriptor for a promo code.
+ */
+const getPromoDiscount = (promoCode) => {
+  const value = parseFloat(promoCode.discountValue);
+
+  return {
+    source: "promo",
+    promoCodeId: promoCode.id,
+    code: promoCode.code,
+    type: promoCode.discountType,
+    value,
+    label:
+      promoCode.discountType === "percentage"
+        ? `Code promo ${promoCode.code} (${value}%)`
+        : `Code promo ${promoCode.code} (-${value} €)`,
+  };
+};
+
+// --- Calculation ---
+
+/**
+ * Calculate the discount amount for a given amount.
+ * Fixed discounts never exceed the discounted amount.
+ */
+const calculateDiscountAmount = (discount, amount) => {
+  if (!discount || !amount || amount <= 0) return 0;
+
+  const value = parseFloat(discount.value) || 0;
+
+  if (discount.type === "percentage") {
+    return roundAmount((amount * Math.min(Math.max(value, 0), 100)) / 100);
+  }
+
+  return roundAmount(Math.min(Math.max(value, 0), amount));
+};
+
+/**
+ * Pick the discount giving the largest reduction (discounts do not stack).
+ */
+const selectBestDiscount = (discounts, amount) => {
+  return discounts.filter(Boolean).reduce((best, discount) => {
+    if (!best) return discount;
+    return calculateDiscountAmount(discount, amount) >
+      calculateDiscountAmount(best, amount)
+      ? discount
+      : best;
+  }, null);
+};
+
+// --- Promo Code Rules ---
+
+// Usage caps, checked again when a booking claims a use
+const PROMO_USAGE_REASONS = {
+  maxUses: "Promo code usage limit reached",
+  maxUsesPerCustomer: "Promo code already used the maximum number of times",
+};
+
+/**
+ * Check the static restrictions of a promo code.
+ * Usage counts are passed in so this stays free of database access.
+ *
+ * @param {object} promoCode - PromoCode instance
+ * @param {object} context - { vehicle, date, customerUsageCount }
+ * @returns {object} { isValid, reason }
+ */
+const checkPromoCodeEligibility = (promoCode, context = {}) => {
+  const { vehicle, date = new Date(), customerUsageCount = 0 } = context;
+  const now = new Date(date);
+
+  if (!promoCode.isActive) {
+    return { isValid: false, reason: "Promo code is not active" };
+  }
+
+  if (promoCode.validFrom && now < new Date(promoCode.validFrom)) {
+    return { isValid: false, reason: "Promo code is not yet valid" };
+  }
+
+  if (promoCode.validUntil && now > new Date(promoCode.validUntil)) {
+    return { isValid: false, reason: "Promo code has expired" };
+  }
+
+  if (promoCode.maxUses !== null && promoCode.maxUses !== undefined) {
+    if (promoCode.usesCount >= promoCode.maxUses) {
+      return { isValid: false, reason: PROMO_USAGE_REASONS.maxUses };
+    }
+  }
+
+  if (
+    promoCode.maxUsesPerCustomer !== null &&
+    promoCode.maxUsesPerCustomer !== undefined &&
+    customerUsageCount >= promoCode.maxUsesPerCustomer
+  ) {
+    return { isValid: false, reason: PROMO_USAGE_REASONS.maxUsesPerCustomer };
+  }
+
+  if (vehicle) {
+    const vehicleIds = promoCode.vehicleIds || [];
+    const brands = promoCode.brands || [];
+    const restricted = vehicleIds.length > 0 || brands.length > 0;
+
+    if (
+      restricted &&
+      !vehicleIds.includes(vehicle.id) &&
+      !brands.includes(vehicle.brand)
+    ) {
+      return {
+        isValid: false,
+        reason: "Promo code is not valid for this vehicle",
+      };
+    }
+  }
+
+  return { isValid: true, reason: null };
+};
+
+module.exports = {
+  TIER_DISCOUNTS,
+
+  // --- Discount Descriptors ---
+  getTierDiscount,
+  getPromoDiscount,
+
+  // --- Calculation ---
+  calculateDiscountAmount,
+  selectBestDiscount,
+
+  // --- Promo Code Rules ---
+  PROMO_USAGE_REASONS,
+  checkPromoCodeEligibility,
+};
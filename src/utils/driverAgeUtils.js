@@ -0,0 +1,136 @@
+// src/utils/driverAgeUtils.js - Young / senior driver age bands (daily surcharge or refusal)
+const ErrorResponse = require("./errorResponse");
+
+const VEHICLE_CATEGORIES = [
+  "economy",
+  "compact",
+  "midsize",
+  "suv",
+  "premium",
+  "luxury",
+  "van",
+];
+
+const AGE_RULE_ACTIONS = ["surcharge", "refuse"];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// --- Rule Matching ---
+
+// Age bounds are inclusive, a missing bound leaves the band open
+const ruleCoversAge = (rule, age) =>
+  (rule.minAge === null || rule.minAge === undefined || age >= rule.minAge) &&
+  (rule.maxAge === null || rule.maxAge === undefined || age <= rule.maxAge);
+
+// Rules without vehicleCategory apply to the whole fleet
+const ruleAppliesToCategory = (rule, vehicle) =>
+  !rule.vehicleCategory || rule.vehicleCategory === vehicle.category;
+
+/**
+ * Resolve the age band of a driver for a vehicle.
+ *
+ * Resolution order: category bands beat fleet-wide bands, then a refusal
+ * beats a surcharge, then the highest daily amount wins.
+ *
+ * @returns {object|null} The winning rule or null when no band applies
+ */
+const resolveAgeRule = (rules, vehicle, age) => {
+  if (age === null || age === undefined) return null;
+
+  const candidates = rules.filter(
+    (rule) =>
+      rule.isActive !== false &&
+      ruleCoversAge(rule, age) &&
+      ruleAppliesToCategory(rule, vehicle)
+  );
+
+  if (candidates.length === 0) return null;
+
+  candidates.sort((a, b) => {
+    const specificityDiff =
+      (b.vehicleCategory ? 1 : 0) - (a.vehicleCategory ? 1 : 0);
+    if (specificityDiff !== 0) return specificityDiff;
+
+    const refusalDiff =
+      (b.action === "refuse" ? 1 : 0) - (a.action === "refuse" ? 1 : 0);
+    if (refusalDiff !== 0) return refusalDiff;
+
+    return parseFloat(b.dailyAmount || 0) - parseFloat(a.dailyAmount || 0);
+  });
+
+  return candidates[0];
+};
+
+// --- Surcharge ---
+
+/**
+ * Build the age surcharge line of a booking.
+ * Amounts are copied so later band changes do not reprice bookings.
+ */
+const buildAgeSurchargeLine = (rule, age) => ({
+  ruleId: rule.id,
+  name: rule.name,
+  label: `Supplément conducteur ${age} ans`,
+  age,
+  vehicleCategory: rule.vehicleCategory || null,
+  dailyAmount: roundAmount(parseFloat(rule.dailyAmount) || 0),
+  maxAmount:
+    rule.maxAmount !== null && rule.maxAmount !== undefined
+      ? roundAmount(parseFloat(rule.maxAmount))
+      : null,
+});
+
+/**
+ * Price an age surcharge line for a number of charged days
+ * (daily amount x charged days, capped at maxAmount per rental).
+ */
+const calculateAgeSurcharge = (line, chargedDays) => {
+  if (!line) return null;
+
+  const amount = line.dailyAmount * chargedDays;
+  return {
+    ...line,
+    chargedDays,
+    amount: roundAmount(
+      line.maxAmount !== null ? Math.min(amount, line.maxAmount) : amount
+    ),
+  };
+};
+
+/**
+ * Error stopping a booking whose driver age is refused for the vehicle,
+ * or null when the driver is accepted.
+ *
+ * @param {object} ageCheck - Result of DriverAgeRule.resolveForDriver
+ * @returns {ErrorResponse|null}
+ */
+const getAgeRefusalError = (ageCheck) => {
+  if (!ageCheck.isRefused) return null;
+
+  const { rule, age } = ageCheck;
+  return new ErrorResponse(
+    `Drivers aged ${age} cannot rent this vehicle`,
+    400,
+    [
+      {
+        code: "AGE_REFUSED",
+        document: null,
+        message: `${rule.name}: drivers aged ${age} are refused${
+          rule.vehicleCategory ? ` for ${rule.vehicleCategory} vehicles` : ""
+        }`,
+        age,
+        ruleId: rule.id,
+        vehicleCategory: rule.vehicleCategory || null,
+      },
+    ]
+  );
+};
+
+module.exports = {
+  VEHICLE_CATEGORIES,
+  AGE_RULE_ACTIONS,
+  resolveAgeRule,
+  buildAgeSurchargeLine,
+  calculateAgeSurcharge,
+  getAgeRefusalError,
+};
@@ -0,0 +1,151 @@
+// src/utils/exportUtils.js - Streaming CSV / Excel exports with localized headers
+const ExcelJS = require("exceljs");
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+const EXPORT_LANGUAGES = ["fr", "en"];
+
+// Rows are read and written this many at a time
+const EXPORT_BATCH_SIZE = 500;
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Text starting with these characters is run as a formula by spreadsheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Decimal columns come back from postgres as strings
+const toNumber = (value) =>
+  value === null || value === undefined ? null : parseFloat(value);
+
+/**
+ * Model attributes read by export columns. Columns without a `field`
+ * (computed or from an association) add nothing, so binary columns are
+ * never loaded unless a column names them.
+ */
+const getExportAttributes = (columns) => [
+  "id",
+  ...new Set(columns.filter((c) => c.field).map((c) => c.field)),
+];
+
+const getCellValue = (column, row) => {
+  const value = column.value ? column.value(row) : row[column.field];
+  return value === undefined ? null : value;
+};
+
+// One CSV line. French spreadsheets expect ";" and decimal commas.
+const toCsvLine = (values, lang) => {
+  const delimiter = lang === "fr" ? ";" : ",";
+
+  const fields = values.map((value) => {
+    if (value === null) return "";
+
+    let text;
+    if (value instanceof Date) {
+      text = value.toISOString();
+    } else if (typeof value === "number") {
+      text = lang === "fr" ? String(value).replace(".", ",") : String(value);
+    } else {
+      text = String(value);
+      if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    }
+
+    const needsQuotes =
+      text.includes(delimiter) || text.includes('"') || /[\r\n]/.test(text);
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+  });
+
+  return `${fields.join(delimiter)}\r\n`;
+};
+
+// Write to the response, waiting when its buffer is full
+const writeChunk = (res, chunk) =>
+  new Promise((resolve) => {
+    if (res.write(chunk)) return resolve();
+
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.once("drain", done);
+    res.once("close", done);
+  });
+
+/**
+ * Stream records to the response as a CSV or XLSX download.
+ *
+ * @param {object} res - Express response
+ * @param {object} options
+ * @param {string} options.format - csv | xlsx
+ * @param {string} options.lang - Header language (fr | en)
+ * @param {string} options.filename - File name without date or extension
+ * @param {string} options.sheetName - Worksheet name (xlsx)
+ * @param {Array} options.columns - [{ header: { fr, en }, field?, value?, width? }]
+ * @param {Function} options.fetchBatch - (offset, limit) => Promise<rows>
+ */
+const streamExport = async (
+  res,
+  { format = "csv", lang = "fr", filename, sheetName, columns, fetchBatch }
+) => {
+  const headers = columns.map((column) => column.header[lang]);
+  const date = new Date().toISOString().split("T")[0];
+
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}-${date}.${format}"`
+  );
+
+  // Read batch after batch until one comes back short
+  const forEachRow = async (writeRow) => {
+    for (let offset = 0; !res.destroyed; offset += EXPORT_BATCH_SIZE) {
+      const rows = await fetchBatch(offset, EXPORT_BATCH_SIZE);
+
+      for (const row of rows) {
+        await writeRow(columns.map((column) => getCellValue(column, row)));
+      }
+
+      if (rows.length < EXPORT_BATCH_SIZE) break;
+    }
+  };
+
+  try {
+    if (format === "xlsx") {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: res,
+        useStyles: true,
+      });
+      const worksheet = workbook.addWorksheet(sheetName);
+
+      worksheet.columns = columns.map((column, index) => ({
+        header: headers[index],
+        width: column.width || 18,
+      }));
+      worksheet.getRow(1).font = { bold: true };
+
+      await forEachRow(async (values) => worksheet.addRow(values).commit());
+
+      worksheet.commit();
+      await workbook.commit();
+    } else {
+      // BOM so that Excel reads the file as UTF-8
+      await writeChunk(res, `\uFEFF${toCsvLine(headers, lang)}`);
+      await forEachRow((values) => writeChunk(res, toCsvLine(values, lang)));
+      res.end();
+    }
+  } catch (error) {
+    // Headers are already sent: the download can only be cut short
+    console.error(`Export ${filename} failed:`, error);
+    res.destroy(error);
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_LANGUAGES,
+  toNumber,
+  getExportAttributes,
+  streamExport,
+};
@@ -0,0 +1,173 @@
+// src/utils/importUtils.js - CSV parsing, row validation and duplicate checks for imports
+const { validationResult } = require("express-validator");
+
+// Larger files must be split (one transaction per file)
+const MAX_IMPORT_ROWS = 2000;
+
+/**
+ * Parse CSV text (quoted fields, "" escapes, line breaks inside quotes).
+ * The delimiter, "," or ";", is taken from the header line.
+ *
+ * @param {string} text - File content
+ * @returns {object} { headers, rows: [{ line, values }] }
+ */
+const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, "");
+  const headerLine = content.split(/\r?\n/, 1)[0];
+  const delimiter =
+    headerLine.split(";").length > headerLine.split(",").length ? ";" : ",";
+
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      record.push(field);
+      records.push({ line: recordLine, values: record });
+      record = [];
+      field = "";
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, values: record });
+  }
+
+  // Blank lines carry no record
+  const [header, ...rows] = records.filter((item) =>
+    item.values.some((value) => value.trim() !== "")
+  );
+
+  return {
+    headers: header ? header.values.map((value) => value.trim()) : [],
+    rows,
+  };
+};
+
+/**
+ * Map CSV columns onto model fields (header = field name, any case).
+ * Empty cells are left out so that optional rules skip them.
+ *
+ * @returns {object} { toRecord(values), unknownColumns }
+ */
+const mapColumns = (headers, fields) => {
+  const byName = fields.reduce((map, field) => {
+    map[field.toLowerCase()] = field;
+    return map;
+  }, {});
+
+  const columns = headers.map((header) => byName[header.toLowerCase()]);
+
+  return {
+    unknownColumns: headers.filter((header, index) => !columns[index]),
+    toRecord: (values) =>
+      columns.reduce((record, field, index) => {
+        const value = (values[index] || "").trim();
+        if (field && value !== "") {
+          record[field] = value;
+        }
+        return record;
+      }, {}),
+  };
+};
+
+/**
+ * Run express-validator chains on a plain object, as for a request body.
+ * Sanitizers (trim, normalizeEmail...) apply to the returned data.
+ *
+ * @returns {object} { data, errors: [{ field, message, value }] }
+ */
+const runValidators = async (validators, data) => {
+  const req = { body: { ...data } };
+
+  for (const validator of validators) {
+    await validator.run(req);
+  }
+
+  return {
+    data: req.body,
+    errors: validationResult(req)
+      .array()
+      .map((error) => ({
+        field: error.path,
+        message: error.msg,
+        value: error.value,
+      })),
+  };
+};
+
+/**
+ * Flag rows sharing a unique value with an earlier row of the file or
+ * with an existing record.
+ *
+ * @param {Array} rows - [{ line, data, errors }] (errors are appended)
+ * @param {Array} keys - [{ field, normalize }]
+ * @param {Array} existing - Records already in the database
+ * @param {object} messages - { existing(record), file(line) } error texts
+ */
+const flagDuplicates = (rows, keys, existing, messages) => {
+  keys.forEach(({ field, normalize }) => {
+    const known = new Map();
+    existing.forEach((record) => {
+      if (record[field]) known.set(normalize(record[field]), record);
+    });
+
+    const seen = new Map();
+    rows.forEach((row) => {
+      if (!row.data[field]) return;
+      const value = normalize(row.data[field]);
+
+      if (known.has(value)) {
+        row.errors.push({
+          field,
+          message: messages.existing(known.get(value)),
+          value: row.data[field],
+          existingId: known.get(value).id,
+        });
+      } else if (seen.has(value)) {
+        row.errors.push({
+          field,
+          message: messages.file(seen.get(value)),
+          value: row.data[field],
+        });
+      } else {
+        seen.set(value, row.line);
+      }
+    });
+  });
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  mapColumns,
+  runValidators,
+  flagDuplicates,
+};
@@ -0,0 +1,102 @@
+// src/utils/inspectionUtils.js - Pickup / return inspection checklist and comparison
+
+// Zones checked on every inspection
+const INSPECTION_ZONES = [
+  "front",
+  "rear",
+  "left_side",
+  "right_side",
+  "roof",
+  "windshield",
+  "windows",
+  "wheels",
+  "interior",
+  "trunk",
+];
+
+const DAMAGE_TYPES = ["scratch", "dent", "crack", "broken", "stain", "missing"];
+
+// Fuel gauge read in eighths (0 = empty, 8 = full)
+const FUEL_LEVEL_MAX = 8;
+
+/**
+ * Parse and check a damage checklist (JSON string from multipart forms).
+ * Zones not listed are considered in good condition.
+ *
+ * @param {string|Array} raw - [{ zone, damageType, notes }]
+ * @returns {object} { checklist, errors }
+ */
+const normalizeChecklist = (raw) => {
+  if (raw === undefined || raw === null || raw === "") {
+    return { checklist: [], errors: [] };
+  }
+
+  let items = raw;
+  if (typeof raw === "string") {
+    try {
+      items = JSON.parse(raw);
+    } catch {
+      return { checklist: [], errors: ["Checklist must be valid JSON"] };
+    }
+  }
+
+  if (!Array.isArray(items)) {
+    return { checklist: [], errors: ["Checklist must be an array"] };
+  }
+
+  const errors = [];
+  const checklist = items.map((item, index) => {
+    if (!INSPECTION_ZONES.includes(item.zone)) {
+      errors.push(`Item ${index + 1}: unknown zone "${item.zone}"`);
+    }
+    if (!DAMAGE_TYPES.includes(item.damageType)) {
+      errors.push(
+        `Item ${index + 1}: damage type must be one of ${DAMAGE_TYPES.join(
+          ", "
+        )}`
+      );
+    }
+
+    return {
+      zone: item.zone,
+      damageType: item.damageType,
+      notes: item.notes ? String(item.notes).slice(0, 500) : null,
+    };
+  });
+
+  return { checklist, errors };
+};
+
+/**
+ * Compare the return inspection with the pickup one.
+ *
+ * @param {object|null} pickup - Pickup inspection ({ odometer, fuelLevel, checklist })
+ * @param {object} ret - Return inspection
+ * @returns {object} { kilometresDriven, fuelShortfall, newDamages }
+ */
+const compareInspections = (pickup, ret) => {
+  if (!pickup) {
+    return { kilometresDriven: null, fuelShortfall: null, newDamages: [] };
+  }
+
+  const known = new Set(
+    (pickup.checklist || []).map((item) => `${item.zone}:${item.damageType}`)
+  );
+
+  return {
+    kilometresDriven: Math.max(0, ret.odometer - pickup.odometer),
+    // In eighths of a tank
+    fuelShortfall: Math.max(0, pickup.fuelLevel - ret.fuelLevel),
+    newDamages: (ret.checklist || []).filter(
+      (item) => !known.has(`${item.zone}:${item.damageType}`)
+    ),
+  };
+};
+
+module.exports = {
+  INSPECTION_ZONES,
+  DAMAGE_TYPES,
+  FUEL_LEVEL_MAX,
+  normalizeChecklist,
+  compareInspections,
+};
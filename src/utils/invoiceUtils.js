@@ -0,0 +1,215 @@
+// src/utils/invoiceUtils.js - Invoice numbering and line items
+
+// Number prefixes per document type (FA = facture, AV = avoir, RE = reçu)
+const DOCUMENT_PREFIXES = {
+  invoice: "FA",
+  credit_note: "AV",
+  receipt: "RE",
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// --- Numbering ---
+
+/**
+ * Format a legal document number, e.g. FA-2025-00042.
+ */
+const formatDocumentNumber = (documentType, year, sequence) => {
+  const prefix = DOCUMENT_PREFIXES[documentType];
+  if (!prefix) {
+    throw new Error(`Unknown document type: ${documentType}`);
+  }
+  return `${prefix}-${year}-${String(sequence).padStart(5, "0")}`;
+};
+
+// --- Line Items ---
+
+/**
+ * Group consecutive rental days priced at the same rate and rule.
+ */
+const groupRentalDays = (days) => {
+  const groups = [];
+
+  for (const day of days || []) {
+    const last = groups[groups.length - 1];
+    if (last && last.rate === day.rate && last.ruleId === day.ruleId) {
+      last.quantity++;
+      last.to = day.date;
+    } else {
+      groups.push({
+        rate: day.rate,
+        ruleId: day.ruleId,
+        ruleName: day.ruleName,
+        quantity: 1,
+        from: day.date,
+        to: day.date,
+      });
+    }
+  }
+
+  return groups;
+};
+
+/**
+ * Invoice description of a charge line (return charges, damages).
+ */
+const describeCharge = (charge) => {
+  switch (charge.type) {
+    case "excess_km":
+      return `${charge.label} (${charge.kilometresDriven} km parcourus, ${charge.includedKm} km inclus)`;
+    case "fuel":
+      return `${charge.label} (${charge.fuelShortfall}/8 de réservoir)`;
+    default:
+      return charge.description
+        ? `${charge.label} - ${charge.description}`
+        : charge.label;
+  }
+};
+
+/**
+ * Build invoice lines from a booking pricing breakdown.
+ * Amounts are positive; the discount line is negative.
+ *
+ * @param {object} booking - Booking with pricingBreakdown and vehicle
+ * @returns {Array} [{ description, quantity, unitPrice, amount }]
+ */
+const buildInvoiceLines = (booking) => {
+  const breakdown = booking.pricingBreakdown || {};
+  const vehicleName = booking.vehicle
+    ? `${booking.vehicle.brand} ${booking.vehicle.name}`
+    : "Véhicule";
+  const lines = [];
+
+  const groups = groupRentalDays(breakdown.days);
+
+  if (groups.length === 0) {
+    // Bookings priced before the day-by-day breakdown existed
+    lines.push({
+      description: `Location ${vehicleName}`,
+      quantity: booking.totalDays,
+      unitPrice: parseFloat(booking.dailyRate),
+      amount: roundAmount(booking.totalDays * parseFloat(booking.dailyRate)),
+    });
+  }
+
+  for (const group of groups) {
+    const period =
+      group.from === group.to ? group.from : `${group.from} → ${group.to}`;
+    const rule = group.ruleName ? ` - ${group.ruleName}` : "";
+
+    lines.push({
+      description: `Location ${vehicleName} (${period})${rule}`,
+      quantity: group.quantity,
+      unitPrice: group.rate,
+      amount: roundAmount(group.rate * group.quantity),
+    });
+  }
+
+  if (breakdown.discount && breakdown.discountAmount > 0) {
+    lines.push({
+      description: breakdown.discount.label,
+      quantity: 1,
+      unitPrice: -breakdown.discountAmount,
+      amount: -breakdown.discountAmount,
+    });
+  }
+
+  for (const extra of breakdown.extras || []) {
+    lines.push({
+      description:
+        extra.pricingType === "per_day"
+          ? `${extra.name} (${extra.unitPrice} €/jour)`
+          : extra.name,
+      quantity: extra.quantity,
+      unitPrice: roundAmount(extra.amount / extra.quantity),
+      amount: extra.amount,
+    });
+  }
+
+  // Young / senior driver surcharge (unit price lowered when capped)
+  const ageSurcharge = breakdown.ageSurcharge;
+  if (ageSurcharge && ageSurcharge.amount > 0) {
+    lines.push({
+      description: ageSurcharge.label,
+      quantity: ageSurcharge.chargedDays,
+      unitPrice: roundAmount(ageSurcharge.amount / ageSurcharge.chargedDays),
+      amount: ageSurcharge.amount,
+    });
+  }
+
+  // Return charges (excess kilometres, missing fuel, damages)
+  for (const charge of breakdown.charges || []) {
+    lines.push({
+      description: describeCharge(charge),
+      quantity: charge.quantity,
+      unitPrice: charge.unitPrice,
+      amount: charge.amount,
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Negative lines carrying earlier refund credit notes onto a reissued
+ * invoice: the refunded amount stays off the amount billed.
+ *
+ * @param {Array} creditNotes - Refund credit notes ({ id, number, totalAmount })
+ * @returns {Array} [{ description, quantity, unitPrice, amount, creditNoteId }]
+ */
+const buildRefundCreditLines = (creditNotes) => {
+  return (creditNotes || []).map((creditNote) => {
+    const amount = -parseFloat(creditNote.totalAmount);
+
+    return {
+      description: `Remboursement (avoir ${creditNote.number})`,
+      quantity: 1,
+      unitPrice: amount,
+      amount,
+      creditNoteId: creditNote.id,
+    };
+  });
+};
+
+/**
+ * Sum invoice lines.
+ */
+const sumInvoiceLines = (lines) => {
+  return roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+};
+
+/**
+ * Snapshot of the billed party and rental, frozen on the document.
+ */
+const buildBillingDetails = (booking) => {
+  const customer = booking.customer || {};
+  const vehicle = booking.vehicle || {};
+
+  return {
+    bookingNumber: booking.bookingNumber,
+    customerName: `${customer.firstName || ""} ${
+      customer.lastName || ""
+    }`.trim(),
+    customerAddress: customer.address || null,
+    customerPhone: customer.phone || null,
+    customerEmail: customer.email || null,
+    vehicle: `${vehicle.brand || ""} ${vehicle.name || ""}`.trim(),
+    licensePlate: vehicle.licensePlate || null,
+    pickupDate: booking.pickupDate,
+    returnDate: booking.returnDate,
+  };
+};
+
+module.exports = {
+  DOCUMENT_PREFIXES,
+
+  // --- Numbering ---
+  formatDocumentNumber,
+
+  // --- Line Items ---
+  groupRentalDays,
+  buildInvoiceLines,
+  buildRefundCreditLines,
+  sumInvoiceLines,
+  buildBillingDetails,
+};
@@ -0,0 +1,118 @@
+// src/utils/maintenanceUtils.js - Service plan due dates and maintenance windows
+
+const MAINTENANCE_TYPES = [
+  "oil_change",
+  "technical_visit",
+  "tires",
+  "brakes",
+  "general_service",
+  "repair",
+  "other",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Add months to a YYYY-MM-DD date string (UTC-safe).
+ * Month-end dates stay in the target month (Jan 31 + 1 month = Feb 28).
+ */
+const addMonths = (dateString, months) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  const day = date.getUTCDate();
+
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+
+  // Day 0 of the next month = last day of the target month
+  const lastDay = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+
+  return date.toISOString().split("T")[0];
+};
+
+/**
+ * Next due date / odometer of a service plan from the last service.
+ * Without any service recorded, the plan counts from the vehicle entry in
+ * the fleet (date) and from 0 km.
+ *
+ * @param {object} plan - { intervalKm, intervalMonths }
+ * @param {object|null} lastService - { date, odometer }
+ * @param {string} fallbackDate - YYYY-MM-DD used without last service
+ * @returns {object} { lastServiceDate, lastServiceOdometer, dueDate, dueMileage }
+ */
+const calculateServiceDue = (plan, lastService, fallbackDate) => {
+  const lastServiceDate = lastService ? lastService.date : null;
+  const lastServiceOdometer =
+    lastService && lastService.odometer !== null ? lastService.odometer : null;
+
+  const baseDate = lastServiceDate || fallbackDate;
+  const baseOdometer = lastServiceOdometer || 0;
+
+  return {
+    lastServiceDate,
+    lastServiceOdometer,
+    dueDate:
+      plan.intervalMonths && baseDate
+        ? addMonths(baseDate, plan.intervalMonths)
+        : null,
+    dueMileage: plan.intervalKm ? baseOdometer + plan.intervalKm : null,
+  };
+};
+
+/**
+ * How close a service is, by date and/or by mileage.
+ *
+ * @param {object} due - { dueDate, dueMileage }
+ * @param {object} options - { today, mileage, daysAhead, kmAhead }
+ * @returns {object} { daysRemaining, kmRemaining, isOverdue, isUpcoming }
+ */
+const getServiceUrgency = (due, { today, mileage, daysAhead, kmAhead }) => {
+  const daysRemaining = due.dueDate
+    ? Math.round(
+        (new Date(`${due.dueDate}T00:00:00Z`) -
+          new Date(`${today}T00:00:00Z`)) /
+          DAY_MS
+      )
+    : null;
+  const kmRemaining =
+    due.dueMileage !== null ? due.dueMileage - (mileage || 0) : null;
+
+  const isOverdue =
+    (daysRemaining !== null && daysRemaining < 0) ||
+    (kmRemaining !== null && kmRemaining < 0);
+
+  return {
+    daysRemaining,
+    kmRemaining,
+    isOverdue,
+    isUpcoming:
+      isOverdue ||
+      (daysRemaining !== null && daysRemaining <= daysAhead) ||
+      (kmRemaining !== null && kmRemaining <= kmAhead),
+  };
+};
+
+/**
+ * Present maintenance windows as booking-like periods so they go through
+ * the same minute-precision overlap check as bookings.
+ */
+const toBlockingPeriod = (record) => ({
+  id: record.id,
+  status: "active",
+  pickupDate: record.startDate,
+  pickupTime: record.startTime,
+  returnDate: record.endDate,
+  returnTime: record.endTime,
+  maintenanceType: record.type,
+  isMaintenance: true,
+});
+
+module.exports = {
+  MAINTENANCE_TYPES,
+  addMonths,
+  calculateServiceDue,
+  getServiceUrgency,
+  toBlockingPeriod,
+};
@@ -0,0 +1,139 @@
+// src/utils/paymentUtils.js - Payments ledger calculations (balances and deposits)
+
+// "penalty" records a cancellation fee retained by the agency: no money moves
+// "deposit_deduction" keeps part of the deposit to pay a damage claim
+const PAYMENT_TYPES = [
+  "deposit_hold",
+  "deposit_release",
+  "rental_payment",
+  "refund",
+  "penalty",
+  "deposit_deduction",
+];
+
+const PAYMENT_METHODS = ["cash", "card", "transfer"];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const sumByType = (payments, type) =>
+  payments
+    .filter((payment) => payment.type === type)
+    .reduce((sum, payment) => sum + parseFloat(payment.amount), 0);
+
+/**
+ * Summarize the ledger entries of a booking.
+ * Deposits are tracked apart: they never count towards the rental amount,
+ * except the part deducted to pay a damage claim.
+ *
+ * @param {Array} payments - Payment entries ({ type, amount })
+ * @returns {object} { amountPaid, amountRefunded, depositHeld, depositReleased, depositDeducted, penaltyCharged }
+ */
+const summarizePayments = (payments) => {
+  const list = payments || [];
+  const rentalPaid = sumByType(list, "rental_payment");
+  const amountRefunded = sumByType(list, "refund");
+  const depositTotal = sumByType(list, "deposit_hold");
+  const depositReleased = sumByType(list, "deposit_release");
+  const depositDeducted = sumByType(list, "deposit_deduction");
+
+  return {
+    amountPaid: roundAmount(rentalPaid + depositDeducted - amountRefunded),
+    amountRefunded: roundAmount(amountRefunded),
+    depositHeld: roundAmount(
+      depositTotal - depositReleased - depositDeducted
+    ),
+    depositReleased: roundAmount(depositReleased),
+    depositDeducted: roundAmount(depositDeducted),
+    penaltyCharged: roundAmount(sumByType(list, "penalty")),
+  };
+};
+
+/**
+ * Remaining amount to collect on a booking (never negative).
+ */
+const calculateBalanceDue = (totalAmount, amountPaid) => {
+  return roundAmount(
+    Math.max(0, parseFloat(totalAmount || 0) - parseFloat(amountPaid || 0))
+  );
+};
+
+/**
+ * Check a new ledger entry against the current booking balances.
+ *
+ * @param {object} entry - { type, amount }
+ * @param {object} balances - { amountPaid, depositHeld, balanceDue, status }
+ * @returns {object} { isValid, reason }
+ */
+const validatePaymentEntry = (entry, balances) => {
+  const amount = parseFloat(entry.amount);
+
+  if (!amount || amount <= 0) {
+    return { isValid: false, reason: "Payment amount must be positive" };
+  }
+
+  if (balances.status === "cancelled") {
+    // A cancellation fee still owed can be collected
+    const collectsFee =
+      entry.type === "rental_payment" &&
+      amount <= parseFloat(balances.balanceDue || 0);
+
+    if (!collectsFee && !["refund", "deposit_release"].includes(entry.type)) {
+      return {
+        isValid: false,
+        reason:
+          "Only refunds, deposit releases and cancellation fees are allowed on cancelled bookings",
+      };
+    }
+  }
+
+  if (entry.type === "refund" && amount > parseFloat(balances.amountPaid)) {
+    return {
+      isValid: false,
+      reason: `Refund cannot exceed the amount paid (€${balances.amountPaid})`,
+    };
+  }
+
+  if (
+    ["deposit_release", "deposit_deduction"].includes(entry.type) &&
+    amount > parseFloat(balances.depositHeld)
+  ) {
+    return {
+      isValid: false,
+      reason: `${
+        entry.type === "deposit_release" ? "Release" : "Deduction"
+      } cannot exceed the deposit held (€${balances.depositHeld})`,
+    };
+  }
+
+  return { isValid: true, reason: null };
+};
+
+/**
+ * Part of a refund that lowers the amount billed (to credit on the invoice).
+ * Giving back an overpayment changes nothing to what was billed, unless the
+ * whole refund is explicitly credited.
+ *
+ * @param {number} amount - Refund amount
+ * @param {object} balances - { amountPaid, amountDue } before the refund
+ * @param {boolean} creditInvoice - Credit the whole refund
+ * @returns {number} Amount to credit (0 = no credit note)
+ */
+const calculateRefundCredit = (amount, balances, creditInvoice = false) => {
+  if (creditInvoice) return roundAmount(parseFloat(amount));
+
+  const overpaid = Math.max(
+    0,
+    parseFloat(balances.amountPaid || 0) - parseFloat(balances.amountDue || 0)
+  );
+
+  return roundAmount(Math.max(0, parseFloat(amount) - overpaid));
+};
+
+module.exports = {
+  PAYMENT_TYPES,
+  PAYMENT_METHODS,
+  summarizePayments,
+  calculateBalanceDue,
+  validatePaymentEntry,
+  calculateRefundCredit,
+};
@@ -0,0 +1,59 @@
+// src/utils/phoneUtils.js - Phone numbers stored in E.164 (+212612345678)
+const { parsePhoneNumberFromString } = require("libphonenumber-js/max");
+
+// Region used for local numbers (0612345678) when no country is known
+const DEFAULT_PHONE_COUNTRY = "MA";
+
+const E164_REGEX = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Parse a phone typed in any form ("06 12 34 56 78", "+212 612-345678",
+ * "00212612345678") into E.164. Local numbers are read in `country`.
+ *
+ * @param {string} value - Phone as typed
+ * @param {string} country - ISO 3166 alpha-2 region for local numbers
+ * @returns {string|null} E.164 number, or null when it is not a valid number
+ */
+const toE164 = (value, country = DEFAULT_PHONE_COUNTRY) => {
+  if (!value) return null;
+
+  // "00" is the international prefix in Morocco and most of Europe
+  const text = String(value).trim().replace(/^00/, "+");
+  const region = (country || DEFAULT_PHONE_COUNTRY).toUpperCase();
+
+  try {
+    const phone = parsePhoneNumberFromString(text, region);
+    return phone && phone.isValid() ? phone.number : null;
+  } catch (error) {
+    // Unknown region code
+    return null;
+  }
+};
+
+const isE164 = (value) => E164_REGEX.test(String(value || ""));
+
+/**
+ * Phone for display: national form for Moroccan numbers ("06 12 34 56 78"),
+ * international form otherwise ("+33 6 12 34 56 78").
+ */
+const formatPhone = (value) => {
+  if (!value) return "";
+
+  const phone = parsePhoneNumberFromString(
+    String(value).trim().replace(/^00/, "+"),
+    DEFAULT_PHONE_COUNTRY
+  );
+  if (!phone || !phone.isValid()) return String(value);
+
+  return phone.country === DEFAULT_PHONE_COUNTRY
+    ? phone.formatNational()
+    : phone.formatInternational();
+};
+
+module.exports = {
+  DEFAULT_PHONE_COUNTRY,
+  E164_REGEX,
+  toE164,
+  isE164,
+  formatPhone,
+};
@@ -0,0 +1,354 @@
+// src/utils/pricingUtils.js - Day-by-day pricing with seasonal/date-based rules
+const { calculateChargedDaysWithLatenessRule } = require("./bookingUtils");
+const { calculateDiscountAmount } = require("./discountUtils");
+const { FUEL_LEVEL_MAX } = require("./inspectionUtils");
+const { calculateAgeSurcharge } = require("./driverAgeUtils");
+
+// --- Date Helpers ---
+
+/**
+ * Add a number of days to a YYYY-MM-DD date string (UTC-safe).
+ */
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+};
+
+/**
+ * Get day of week (0 = Sunday ... 6 = Saturday) for a YYYY-MM-DD date string.
+ */
+const getDayOfWeek = (dateString) => {
+  return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// --- Rule Matching ---
+
+/**
+ * Check whether a pricing rule targets the given vehicle.
+ * Rules without vehicleId and brand apply to the whole fleet.
+ */
+const ruleAppliesToVehicle = (rule, vehicle) => {
+  if (rule.vehicleId) return rule.vehicleId === vehicle.id;
+  if (rule.brand) return rule.brand === vehicle.brand;
+  return true;
+};
+
+/**
+ * Check whether a pricing rule is in effect on the given date.
+ */
+const ruleAppliesToDate = (rule, dateString) => {
+  if (rule.isActive === false) return false;
+  if (rule.startDate && dateString < rule.startDate) return false;
+  if (rule.endDate && dateString > rule.endDate) return false;
+
+  if (Array.isArray(rule.daysOfWeek) && rule.daysOfWeek.length > 0) {
+    return rule.daysOfWeek.map(Number).includes(getDayOfWeek(dateString));
+  }
+
+  return true;
+};
+
+// Vehicle rules beat brand rules, which beat fleet-wide rules
+const getRuleSpecificity = (rule) => {
+  if (rule.vehicleId) return 2;
+  if (rule.brand) return 1;
+  return 0;
+};
+
+/**
+ * Resolve the rule that prices a given day.
+ *
+ * Resolution order: highest priority, then most specific target
+ * (vehicle > brand > fleet), then most recently created.
+ *
+ * @returns {object|null} The winning rule or null when the base rate applies
+ */
+const resolveRuleForDate = (rules, vehicle, dateString) => {
+  const candidates = rules.filter(
+    (rule) =>
+      ruleAppliesToVehicle(rule, vehicle) && ruleAppliesToDate(rule, dateString)
+  );
+
+  if (candidates.length === 0) return null;
+
+  candidates.sort((a, b) => {
+    const priorityDiff = (b.priority || 0) - (a.priority || 0);
+    if (priorityDiff !== 0) return priorityDiff;
+
+    const specificityDiff = getRuleSpecificity(b) - getRuleSpecificity(a);
+    if (specificityDiff !== 0) return specificityDiff;
+
+    return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+  });
+
+  return candidates[0];
+};
+
+/**
+ * Apply a rule to the base daily rate.
+ * - fixed: the rule value replaces the daily rate
+ * - percentage: the base rate is adjusted by the rule value (e.g. 20 = +20%, -10 = -10%)
+ */
+const applyRuleToRate = (rule, baseRate) => {
+  if (!rule) return roundAmount(baseRate);
+
+  const value = parseFloat(rule.adjustmentValue);
+
+  if (rule.adjustmentType === "fixed") {
+    return roundAmount(Math.max(0, value));
+  }
+
+  return roundAmount(Math.max(0, baseRate * (1 + value / 100)));
+};
+
+// --- Extras ---
+
+/**
+ * Build the pricing line of an extra selected on a booking.
+ * The unit price is copied so later catalog changes do not reprice bookings.
+ */
+const buildExtraLine = (extra, quantity = 1) => ({
+  extraId: extra.id,
+  name: extra.name,
+  pricingType: extra.pricingType,
+  unitPrice: roundAmount(parseFloat(extra.price)),
+  quantity: parseInt(quantity) || 1,
+});
+
+/**
+ * Price extras lines for a number of charged days.
+ * - per_day: unit price x quantity x charged days
+ * - per_rental: unit price x quantity
+ */
+const calculateExtrasCharges = (extras, chargedDays) => {
+  return (extras || []).map((line) => {
+    const units = line.pricingType === "per_day" ? chargedDays : 1;
+    return {
+      ...line,
+      amount: roundAmount(line.unitPrice * line.quantity * units),
+    };
+  });
+};
+
+// --- Return Charges ---
+
+const MILEAGE_LIMIT_TYPES = ["unlimited", "per_day"];
+
+/**
+ * Resolve the mileage allowance of a booking.
+ * A booking-level allowance (set by an admin) overrides the vehicle one.
+ *
+ * @returns {object} { limitType, dailyLimit, excessKmRate, source }
+ */
+const resolveMileageAllowance = (booking, vehicle) => {
+  const terms = booking.mileageLimitType ? booking : vehicle;
+
+  return {
+    limitType: terms.mileageLimitType || "unlimited",
+    dailyLimit:
+      terms.dailyMileageLimit !== null && terms.dailyMileageLimit !== undefined
+        ? parseInt(terms.dailyMileageLimit)
+        : null,
+    excessKmRate: roundAmount(parseFloat(terms.excessKmRate) || 0),
+    source: booking.mileageLimitType ? "booking" : "vehicle",
+  };
+};
+
+/**
+ * Price the kilometres driven beyond the allowance.
+ * Allowance = daily limit x charged days; unlimited mileage is never charged.
+ *
+ * @returns {object|null} Charge line, or null when nothing is owed
+ */
+const calculateExcessKmCharge = (allowance, chargedDays, kilometresDriven) => {
+  if (
+    allowance.limitType !== "per_day" ||
+    allowance.dailyLimit === null ||
+    kilometresDriven === null ||
+    kilometresDriven === undefined
+  ) {
+    return null;
+  }
+
+  const includedKm = allowance.dailyLimit * chargedDays;
+  const excessKm = Math.max(0, kilometresDriven - includedKm);
+  if (excessKm === 0 || allowance.excessKmRate <= 0) return null;
+
+  return {
+    type: "excess_km",
+    label: "Kilomètres supplémentaires",
+    includedKm,
+    kilometresDriven,
+    quantity: excessKm,
+    unitPrice: allowance.excessKmRate,
+    amount: roundAmount(excessKm * allowance.excessKmRate),
+  };
+};
+
+/**
+ * Price the fuel missing at return (shortfall read in eighths of a tank).
+ *
+ * @returns {object|null} Charge line, or null when nothing is owed
+ */
+const calculateFuelCharge = (fuelShortfall, tankCapacity, refillRate) => {
+  const rate = roundAmount(parseFloat(refillRate) || 0);
+  if (!fuelShortfall || !tankCapacity || rate <= 0) return null;
+
+  const litres =
+    Math.round(((fuelShortfall * tankCapacity) / FUEL_LEVEL_MAX) * 10) / 10;
+
+  return {
+    type: "fuel",
+    label: "Complément carburant",
+    fuelShortfall,
+    quantity: litres,
+    unitPrice: rate,
+    amount: roundAmount(litres * rate),
+  };
+};
+
+// --- Breakdown ---
+
+/**
+ * Compute the final total from a pricing breakdown.
+ * Single place where all pricing components are summed up.
+ *
+ * Adjustments carried by the breakdown:
+ * - discount: promo code or tier discount, applied to the rental amount
+ * - extras: selected extras lines, never discounted
+ * - charges: return charges (excess kilometres, fuel), never discounted
+ * - ageSurcharge: young / senior driver surcharge per charged day, never discounted
+ */
+const summarizePricing = (breakdown) => {
+  const discount = breakdown.discount || null;
+  const discountAmount = calculateDiscountAmount(
+    discount,
+    breakdown.rentalAmount
+  );
+
+  const extras = calculateExtrasCharges(
+    breakdown.extras,
+    breakdown.chargedDays
+  );
+  const extrasAmount = roundAmount(
+    extras.reduce((sum, line) => sum + line.amount, 0)
+  );
+
+  const charges = breakdown.charges || [];
+  const chargesAmount = roundAmount(
+    charges.reduce((sum, line) => sum + line.amount, 0)
+  );
+
+  const ageSurcharge = calculateAgeSurcharge(
+    breakdown.ageSurcharge,
+    breakdown.chargedDays
+  );
+  const ageSurchargeAmount = ageSurcharge ? ageSurcharge.amount : 0;
+
+  return {
+    ...breakdown,
+    discount,
+    discountAmount,
+    extras,
+    extrasAmount,
+    charges,
+    chargesAmount,
+    ageSurcharge,
+    ageSurchargeAmount,
+    totalAmount: roundAmount(
+      Math.max(0, breakdown.rentalAmount - discountAmount) +
+        extrasAmount +
+        chargesAmount +
+        ageSurchargeAmount
+    ),
+  };
+};
+
+/**
+ * Price a rental day by day.
+ *
+ * Charged days come from the 90-minute lateness rule; charged day N is
+ * priced with the rule in effect on pickupDate + N days.
+ *
+ * @param {Array} rules - Candidate pricing rules
+ * @param {object} vehicle - Vehicle ({ id, brand })
+ * @param {number|string} baseRate - Daily rate before rules
+ * @param {object} adjustments - Optional { discount, extras, charges, ageSurcharge } kept on the breakdown
+ * @returns {object} { baseRate, chargedDays, fullDays, latenessMinutes, durationMinutes, days, rentalAmount, discountAmount, extras, extrasAmount, charges, chargesAmount, ageSurcharge, ageSurchargeAmount, totalAmount }
+ */
+const buildPricingBreakdown = (
+  rules,
+  vehicle,
+  baseRate,
+  pickupDate,
+  returnDate,
+  pickupTime,
+  returnTime,
+  adjustments = {}
+) => {
+  const rate = parseFloat(baseRate);
+  const pricing = calculateChargedDaysWithLatenessRule(
+    pickupDate,
+    returnDate,
+    pickupTime,
+    returnTime
+  );
+
+  const days = [];
+  for (let i = 0; i < pricing.chargedDays; i++) {
+    const date = addDays(pickupDate, i);
+    const rule = resolveRuleForDate(rules, vehicle, date);
+
+    days.push({
+      date,
+      rate: applyRuleToRate(rule, rate),
+      ruleId: rule ? rule.id : null,
+      ruleName: rule ? rule.name : null,
+    });
+  }
+
+  const rentalAmount = roundAmount(
+    days.reduce((sum, day) => sum + day.rate, 0)
+  );
+
+  return summarizePricing({
+    baseRate: roundAmount(rate),
+    chargedDays: pricing.chargedDays,
+    fullDays: pricing.fullDays,
+    latenessMinutes: pricing.latenessMinutes,
+    durationMinutes: pricing.durationMinutes,
+    days,
+    rentalAmount,
+    ...adjustments,
+  });
+};
+
+module.exports = {
+  // --- Breakdown ---
+  buildPricingBreakdown,
+  summarizePricing,
+
+  // --- Extras ---
+  buildExtraLine,
+  calculateExtrasCharges,
+
+  // --- Return Charges ---
+  MILEAGE_LIMIT_TYPES,
+  resolveMileageAllowance,
+  calculateExcessKmCharge,
+  calculateFuelCharge,
+
+  // --- Rule Matching ---
+  resolveRuleForDate,
+  applyRuleToRate,
+  ruleAppliesToDate,
+  ruleAppliesToVehicle,
+
+  // --- Helpers ---
+  addDays,
+  getDayOfWeek,
+  roundAmount,
+};
@@ -0,0 +1,244 @@
+// src/utils/reportUtils.js - Date ranges, revenue recognition and depreciation for reports
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bookings whose revenue is earned (pending and cancelled ones are not)
+const REVENUE_STATUSES = ["confirmed", "active", "completed"];
+
+// Revenue definitions a report can be built on
+const REVENUE_DEFINITIONS = {
+  // Committed business, including rentals still to come or under way
+  confirmed: REVENUE_STATUSES,
+  // Rentals that are over and whose vehicle has been returned
+  completed: ["completed"],
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// YYYY-MM-DD of a local date
+const formatDate = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+/**
+ * Report range as datetimes: from 00:00 on `from` to 24:00 on `to`.
+ *
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {object} { start, end, days }
+ */
+const getReportRange = (from, to) => {
+  const start = new Date(`${from}T00:00:00`);
+  const end = new Date(`${to}T00:00:00`);
+  end.setDate(end.getDate() + 1);
+
+  return { start, end, days: Math.round((end - start) / DAY_MS) };
+};
+
+// Default report range: the last 12 months up to today
+const getDefaultRange = () => {
+  const to = new Date();
+  const from = new Date(to);
+  from.setFullYear(from.getFullYear() - 1);
+  from.setDate(from.getDate() + 1);
+
+  return {
+    from: formatDate(from),
+    to: formatDate(to),
+  };
+};
+
+// Milliseconds two [start, end) periods have in common
+const getOverlapMs = (startA, endA, startB, endB) =>
+  Math.max(0, Math.min(endA, endB) - Math.max(startA, startB));
+
+// Booking, maintenance window or block as a { start, end } interval
+const toInterval = (startDate, startTime, endDate, endTime) => ({
+  start: new Date(`${startDate}T${startTime || "00:00"}:00`),
+  end: new Date(`${endDate}T${endTime || "23:59"}:00`),
+});
+
+// Merge overlapping intervals so shared time is only counted once
+const mergeIntervals = (intervals) =>
+  [...intervals]
+    .filter((interval) => interval.end > interval.start)
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, interval) => {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) {
+        last.end = new Date(Math.max(last.end, interval.end));
+      } else {
+        merged.push({ start: interval.start, end: interval.end });
+      }
+      return merged;
+    }, []);
+
+// Time covered by intervals inside [start, end), in milliseconds
+const sumOverlapMs = (intervals, start, end) =>
+  mergeIntervals(intervals).reduce(
+    (total, interval) =>
+      total + getOverlapMs(interval.start, interval.end, start, end),
+    0
+  );
+
+/**
+ * Periods (day, week starting Monday, or calendar month) covered by the
+ * report range, clipped to it.
+ *
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {string} groupBy - day | week | month
+ * @returns {Array} [{ key, start, end }] (key: YYYY-MM-DD, or YYYY-MM by month)
+ */
+const getPeriodBuckets = (from, to, groupBy = "month") => {
+  const range = getReportRange(from, to);
+  const buckets = [];
+  const cursor = new Date(range.start);
+
+  if (groupBy === "month") {
+    cursor.setDate(1);
+  } else if (groupBy === "week") {
+    cursor.setDate(cursor.getDate() - ((cursor.getDay() + 6) % 7));
+  }
+
+  while (cursor < range.end) {
+    const next = new Date(cursor);
+    if (groupBy === "month") {
+      next.setMonth(next.getMonth() + 1);
+    } else {
+      next.setDate(next.getDate() + (groupBy === "week" ? 7 : 1));
+    }
+
+    buckets.push({
+      key:
+        groupBy === "month"
+          ? formatDate(cursor).slice(0, 7)
+          : formatDate(cursor),
+      start: new Date(Math.max(cursor, range.start)),
+      end: new Date(Math.min(next, range.end)),
+    });
+    cursor.setTime(next.getTime());
+  }
+
+  return buckets;
+};
+
+/**
+ * Range to compare a report with: the same number of days just before it,
+ * or the same dates one year earlier.
+ *
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {string} compare - previous | year
+ * @returns {object} { from, to }
+ */
+const getComparisonRange = (from, to, compare = "previous") => {
+  const start = new Date(`${from}T00:00:00`);
+  const end = new Date(`${to}T00:00:00`);
+
+  if (compare === "year") {
+    start.setFullYear(start.getFullYear() - 1);
+    end.setFullYear(end.getFullYear() - 1);
+  } else {
+    const { days } = getReportRange(from, to);
+    start.setDate(start.getDate() - days);
+    end.setDate(end.getDate() - days);
+  }
+
+  return { from: formatDate(start), to: formatDate(end) };
+};
+
+// Change between two periods in %, null when there is nothing to compare to
+const getPercentChange = (current, previous) =>
+  previous > 0 ? roundAmount(((current - previous) / previous) * 100) : null;
+
+/**
+ * Part of a booking inside the report range. Revenue is recognised over
+ * the rental period, in proportion of the time falling inside the range.
+ *
+ * @param {object} booking - { pickupDate, pickupTime, returnDate, returnTime, totalAmount, totalDays }
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end (exclusive)
+ * @returns {object} { share, revenue, rentalDays, hours }
+ */
+const allocateBookingRevenue = (booking, start, end) => {
+  const pickup = new Date(
+    `${booking.pickupDate}T${booking.pickupTime || "00:00"}:00`
+  );
+  const ret = new Date(
+    `${booking.returnDate}T${booking.returnTime || "23:59"}:00`
+  );
+  const duration = ret - pickup;
+
+  if (duration <= 0) {
+    return { share: 0, revenue: 0, rentalDays: 0, hours: 0 };
+  }
+
+  const overlap = getOverlapMs(pickup, ret, start, end);
+  const share = overlap / duration;
+
+  return {
+    share,
+    revenue: (parseFloat(booking.totalAmount) || 0) * share,
+    // Charged days (lateness rule) spread over the rental
+    rentalDays: (booking.totalDays || 0) * share,
+    hours: overlap / (60 * 60 * 1000),
+  };
+};
+
+/**
+ * Straight-line depreciation of a vehicle over a date range.
+ * (purchasePrice - residualValue) is spread evenly over usefulLifeYears
+ * from the purchase date; nothing is depreciated outside that life.
+ *
+ * @param {object} vehicle - { purchasePrice, purchaseDate, residualValue, usefulLifeYears }
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {object|null} { amount, dailyRate, bookValue } (null without purchase data)
+ */
+const calculateDepreciation = (vehicle, from, to) => {
+  const purchasePrice = parseFloat(vehicle.purchasePrice);
+  if (!purchasePrice || !vehicle.purchaseDate) return null;
+
+  const residualValue = parseFloat(vehicle.residualValue) || 0;
+  const lifeYears = vehicle.usefulLifeYears || 5;
+
+  const lifeStart = new Date(`${vehicle.purchaseDate}T00:00:00`);
+  const lifeEnd = new Date(lifeStart);
+  lifeEnd.setFullYear(lifeEnd.getFullYear() + lifeYears);
+
+  const depreciable = Math.max(0, purchasePrice - residualValue);
+  const dailyRate = depreciable / ((lifeEnd - lifeStart) / DAY_MS);
+
+  const { start, end } = getReportRange(from, to);
+  const amount =
+    (getOverlapMs(lifeStart, lifeEnd, start, end) / DAY_MS) * dailyRate;
+  const depreciatedToDate =
+    (getOverlapMs(lifeStart, lifeEnd, lifeStart, end) / DAY_MS) * dailyRate;
+
+  return {
+    amount: roundAmount(amount),
+    dailyRate: roundAmount(dailyRate),
+    bookValue: roundAmount(purchasePrice - depreciatedToDate),
+  };
+};
+
+module.exports = {
+  REVENUE_STATUSES,
+  REVENUE_DEFINITIONS,
+  getReportRange,
+  getDefaultRange,
+  getOverlapMs,
+  toInterval,
+  mergeIntervals,
+  sumOverlapMs,
+  getPeriodBuckets,
+  getComparisonRange,
+  getPercentChange,
+  allocateBookingRevenue,
+  calculateDepreciation,
+  roundAmount,
+};
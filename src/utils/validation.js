@@ -1,5 +1,10 @@
 // src/utils/validation.js - UPDATED: Removed validation for city, postalCode, emergencyContact, notes, and referralCode
 const { body, param, query } = require("express-validator");
+const { INSPECTION_ZONES, DAMAGE_TYPES } = require("./inspectionUtils");
+const { MAINTENANCE_TYPES } = require("./maintenanceUtils");
+const { VEHICLE_DOCUMENT_TYPES } = require("./vehicleDocumentUtils");
+const { E164_REGEX, toE164 } = require("./phoneUtils");
+const { VEHICLE_CATEGORIES, AGE_RULE_ACTIONS } = require("./driverAgeUtils");
 
 // Admin registration validation
 exports.validateAdminRegistration = [
@@ -138,15 +143,94 @@ exports.validateVehicle = [
     .withMessage("License plate must be between 1 and 20 characters"),
 
   body("whatsappNumber")
-    .matches(/^0[67]\d{8}$/)
+    .customSanitizer((value) => toE164(value) || value)
+    .matches(E164_REGEX)
     .withMessage(
-      "Please enter a valid WhatsApp number (06XXXXXXXX or 07XXXXXXXX)"
+      "Please enter a valid WhatsApp number (e.g. 0612345678 or +212612345678)"
     ),
 
   body("caution")
     .isFloat({ min: 0 })
     .withMessage("Caution must be a positive number"),
 
+  body("cancellationPolicyId")
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage("Invalid cancellation policy ID format"),
+
+  body("mileageLimitType")
+    .optional()
+    .isIn(["unlimited", "per_day"])
+    .withMessage("Mileage limit type must be unlimited or per_day"),
+
+  body("dailyMileageLimit")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Daily mileage limit must be a positive integer")
+    .custom((value, { req }) => {
+      if (req.body.mileageLimitType === "per_day" && !value) {
+        throw new Error("Daily mileage limit is required for per_day limits");
+      }
+      return true;
+    }),
+
+  body("excessKmRate")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Excess kilometre rate must be a positive number"),
+
+  body("fuelTankCapacity")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Fuel tank capacity must be a positive integer (litres)"),
+
+  body("fuelRefillRate")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Fuel refill rate must be a positive number"),
+
+  body("purchasePrice")
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage("Purchase price must be a positive number"),
+
+  body("purchaseDate")
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage("Please enter a valid purchase date"),
+
+  body("residualValue")
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage("Residual value must be a positive number"),
+
+  body("usefulLifeYears")
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage("Useful life must be between 1 and 30 years"),
+
+  body("category")
+    .optional()
+    .isIn(VEHICLE_CATEGORIES)
+    .withMessage(`Category must be ${VEHICLE_CATEGORIES.join(", ")}`),
+
+  body("minimumAge")
+    .optional()
+    .isInt({ min: 18, max: 99 })
+    .withMessage("Minimum driver age must be between 18 and 99"),
+
+  body("minimumLicenseYears")
+    .optional()
+    .isInt({ min: 0, max: 50 })
+    .withMessage("Minimum years of licence must be between 0 and 50"),
+
+  body("requiredLicenseCategory")
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isLength({ min: 1, max: 5 })
+    .withMessage("Required licence category cannot be more than 5 characters"),
+
   body("mileage")
     .optional()
     .isInt({ min: 0 })
@@ -273,9 +357,10 @@ exports.validateVehicleUpdate = [
 
   body("whatsappNumber")
     .optional()
-    .matches(/^0[67]\d{8}$/)
+    .customSanitizer((value) => toE164(value) || value)
+    .matches(E164_REGEX)
     .withMessage(
-      "Please enter a valid WhatsApp number (06XXXXXXXX or 07XXXXXXXX)"
+      "Please enter a valid WhatsApp number (e.g. 0612345678 or +212612345678)"
     ),
 
   body("caution")
@@ -283,6 +368,84 @@ exports.validateVehicleUpdate = [
     .isFloat({ min: 0 })
     .withMessage("Caution must be a positive number"),
 
+  body("cancellationPolicyId")
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage("Invalid cancellation policy ID format"),
+
+  body("mileageLimitType")
+    .optional()
+    .isIn(["unlimited", "per_day"])
+    .withMessage("Mileage limit type must be unlimited or per_day"),
+
+  body("dailyMileageLimit")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Daily mileage limit must be a positive integer")
+    .custom((value, { req }) => {
+      if (req.body.mileageLimitType === "per_day" && !value) {
+        throw new Error("Daily mileage limit is required for per_day limits");
+      }
+      return true;
+    }),
+
+  body("excessKmRate")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Excess kilometre rate must be a positive number"),
+
+  body("fuelTankCapacity")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Fuel tank capacity must be a positive integer (litres)"),
+
+  body("fuelRefillRate")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Fuel refill rate must be a positive number"),
+
+  body("purchasePrice")
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage("Purchase price must be a positive number"),
+
+  body("purchaseDate")
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage("Please enter a valid purchase date"),
+
+  body("residualValue")
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage("Residual value must be a positive number"),
+
+  body("usefulLifeYears")
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage("Useful life must be between 1 and 30 years"),
+
+  body("category")
+    .optional()
+    .isIn(VEHICLE_CATEGORIES)
+    .withMessage(`Category must be ${VEHICLE_CATEGORIES.join(", ")}`),
+
+  body("minimumAge")
+    .optional()
+    .isInt({ min: 18, max: 99 })
+    .withMessage("Minimum driver age must be between 18 and 99"),
+
+  body("minimumLicenseYears")
+    .optional()
+    .isInt({ min: 0, max: 50 })
+    .withMessage("Minimum years of licence must be between 0 and 50"),
+
+  body("requiredLicenseCategory")
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isLength({ min: 1, max: 5 })
+    .withMessage("Required licence category cannot be more than 5 characters"),
+
   body("mileage")
     .optional()
     .isInt({ min: 0 })
@@ -310,6 +473,58 @@ exports.validateVehicleUpdate = [
     .withMessage("Please enter a valid date for last oil change"),
 ];
 
+// Customer document dates (licence category, issue and expiry dates), also
+// used for each entry of a bulk update with prefix "customers.*."
+const customerDocumentDateFields = (prefix = "") => [
+  body(`${prefix}driverLicenseCategory`)
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage(
+      "La catégorie du permis de conduire ne peut pas dépasser 20 caractères"
+    ),
+
+  body(
+    ["driverLicenseIssueDate", "passportIssueDate", "cinIssueDate"].map(
+      (field) => `${prefix}${field}`
+    )
+  )
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage("Veuillez saisir une date de délivrance valide")
+    .custom((value) => {
+      if (new Date(value) > new Date()) {
+        throw new Error("La date de délivrance ne peut pas être dans le futur");
+      }
+      return true;
+    }),
+
+  body(
+    ["driverLicenseExpiryDate", "passportExpiryDate", "cinExpiryDate"].map(
+      (field) => `${prefix}${field}`
+    )
+  )
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage("Veuillez saisir une date d'expiration valide")
+    .custom((value, { req, path }) => {
+      // Issue date of the same document, sent alongside
+      const [, index, document] = path.match(
+        /^(?:customers\[(\d+)\]\.)?(\w+)ExpiryDate$/
+      );
+      const source =
+        index === undefined ? req.body : req.body.customers[index] || {};
+      const issueDate = source[`${document}IssueDate`];
+
+      if (issueDate && new Date(value) <= new Date(issueDate)) {
+        throw new Error(
+          "La date d'expiration doit être postérieure à la date de délivrance"
+        );
+      }
+      return true;
+    }),
+];
+
 // UPDATED: Customer validation with simplified fields (removed city, postalCode, notes, emergencyContact)
 exports.validateCustomer = [
   // Basic required fields
@@ -336,9 +551,12 @@ exports.validateCustomer = [
 
   // Phone validation
   body("phone")
-    .matches(/^\+\d{10,15}$/)
+    .customSanitizer(
+      (value, { req }) => toE164(value, req.body.country) || value
+    )
+    .matches(E164_REGEX)
     .withMessage(
-      "Veuillez saisir un numéro de téléphone international valide (ex: +212612345678)"
+      "Veuillez saisir un numéro de téléphone valide (ex: 0612345678 ou +212612345678)"
     )
     .custom((value) => {
       if (value.length < 10 || value.length > 16) {
@@ -414,6 +632,83 @@ exports.validateCustomer = [
     .trim()
     .isLength({ max: 20 })
     .withMessage("Le numéro CIN ne peut pas dépasser 20 caractères"),
+
+  ...customerDocumentDateFields(),
+];
+
+// Bulk update of customer document details (POST /customers/bulk/documents)
+exports.validateBulkDocuments = [
+  body("customers")
+    .isArray({ min: 1, max: 200 })
+    .withMessage("Un tableau de 1 à 200 clients est requis"),
+
+  body("customers.*.id").isUUID().withMessage("ID client invalide"),
+
+  body("customers.*.dateOfBirth")
+    .optional()
+    .isISO8601()
+    .withMessage("Veuillez saisir une date de naissance valide"),
+
+  body("customers.*.address")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("L'adresse ne peut pas dépasser 500 caractères"),
+
+  body("customers.*.country")
+    .optional()
+    .isLength({ min: 2, max: 2 })
+    .withMessage("Le code pays doit contenir exactement 2 caractères"),
+
+  body([
+    "customers.*.driverLicenseNumber",
+    "customers.*.passportNumber",
+    "customers.*.cinNumber",
+  ])
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage("Le numéro de document ne peut pas dépasser 20 caractères"),
+
+  body("customers.*.passportIssuedAt")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage(
+      "Le lieu de délivrance du passeport ne peut pas dépasser 100 caractères"
+    ),
+
+  ...customerDocumentDateFields("customers.*."),
+];
+
+// Duplicate customer search
+exports.validateDuplicateSearch = [
+  query("minScore")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Le score minimum doit être compris entre 1 et 100"),
+
+  query("customerId").optional().isUUID().withMessage("ID client invalide"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("La limite doit être comprise entre 1 et 200"),
+];
+
+// Merge of a duplicate into the customer of the URL
+exports.validateCustomerMerge = [
+  body("duplicateId")
+    .notEmpty()
+    .withMessage("L'ID du doublon est requis")
+    .isUUID()
+    .withMessage("ID client invalide"),
+
+  body("reason")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Le motif ne peut pas dépasser 500 caractères"),
 ];
 
 // UPDATED: Customer update validation with simplified fields
@@ -443,9 +738,12 @@ exports.validateCustomerUpdate = [
 
   // Phone validation with proper Moroccan format
   body("phone")
-    .matches(/^\+\d{10,15}$/)
+    .customSanitizer(
+      (value, { req }) => toE164(value, req.body.country) || value
+    )
+    .matches(E164_REGEX)
     .withMessage(
-      "Veuillez saisir un numéro de téléphone international valide (ex: +212612345678)"
+      "Veuillez saisir un numéro de téléphone valide (ex: 0612345678 ou +212612345678)"
     )
     .custom((value) => {
       if (value.length < 10 || value.length > 16) {
@@ -519,6 +817,8 @@ exports.validateCustomerUpdate = [
     .isLength({ max: 20 })
     .withMessage("Le numéro CIN ne peut pas dépasser 20 caractères"),
 
+  ...customerDocumentDateFields(),
+
   body("status")
     .optional()
     .isIn(["active", "inactive", "blocked"])
@@ -699,9 +999,12 @@ exports.validateWebsiteBooking = [
     .withMessage("Le nom doit contenir entre 2 et 50 caractères"),
 
   body("phone")
-    .matches(/^\+\d{10,15}$/)
+    .customSanitizer(
+      (value, { req }) => toE164(value, req.body.country) || value
+    )
+    .matches(E164_REGEX)
     .withMessage(
-      "Veuillez saisir un numéro de téléphone international valide (ex: +212612345678)"
+      "Veuillez saisir un numéro de téléphone valide (ex: 0612345678 ou +212612345678)"
     )
     .custom((value) => {
       if (value.length < 10 || value.length > 16) {
@@ -779,6 +1082,21 @@ exports.validateWebsiteBooking = [
       "Custom Location",
     ])
     .withMessage("Please select a valid return location"),
+
+  body("promoCode")
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage("Promo code cannot be more than 30 characters"),
+
+  body("extras").optional().isArray().withMessage("Extras must be an array"),
+
+  body("extras.*.extraId").isUUID().withMessage("Invalid extra ID format"),
+
+  body("extras.*.quantity")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Extra quantity must be a positive integer"),
 ];
 
 // UPDATED: Admin booking validation (simplified)
@@ -845,6 +1163,47 @@ exports.validateAdminBooking = [
     .trim()
     .notEmpty()
     .withMessage("Return location is required"),
+
+  body("promoCode")
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage("Promo code cannot be more than 30 characters"),
+
+  body("extras").optional().isArray().withMessage("Extras must be an array"),
+
+  body("extras.*.extraId").isUUID().withMessage("Invalid extra ID format"),
+
+  body("extras.*.quantity")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Extra quantity must be a positive integer"),
+
+  body("mileageLimitType")
+    .optional({ nullable: true })
+    .isIn(["unlimited", "per_day"])
+    .withMessage("Mileage limit type must be unlimited or per_day"),
+
+  body("dailyMileageLimit")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Daily mileage limit must be a positive integer")
+    .custom((value, { req }) => {
+      if (req.body.mileageLimitType === "per_day" && !value) {
+        throw new Error("Daily mileage limit is required for per_day limits");
+      }
+      return true;
+    }),
+
+  body("excessKmRate")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Excess kilometre rate must be a positive number"),
+
+  body("allowExpiredDocuments")
+    .optional()
+    .isBoolean()
+    .withMessage("allowExpiredDocuments must be a boolean"),
 ];
 
 exports.validateBookingUpdate = [
@@ -900,6 +1259,27 @@ exports.validateBookingUpdate = [
     .trim()
     .isLength({ max: 500 })
     .withMessage("Notes cannot be more than 500 characters"),
+
+  body("mileageLimitType")
+    .optional({ nullable: true })
+    .isIn(["unlimited", "per_day"])
+    .withMessage("Mileage limit type must be unlimited or per_day"),
+
+  body("dailyMileageLimit")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Daily mileage limit must be a positive integer")
+    .custom((value, { req }) => {
+      if (req.body.mileageLimitType === "per_day" && !value) {
+        throw new Error("Daily mileage limit is required for per_day limits");
+      }
+      return true;
+    }),
+
+  body("excessKmRate")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Excess kilometre rate must be a positive number"),
 ];
 
 // Parameter validations
@@ -917,3 +1297,1511 @@ exports.validatePagination = [
     .isInt({ min: 1, max: 100 })
     .withMessage("Limit must be between 1 and 100"),
 ];
+
+// Pricing rule validation
+exports.validatePricingRule = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Rule name is required")
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Rule name must be between 1 and 100 characters"),
+
+  body("ruleType")
+    .optional()
+    .isIn(["season", "holiday", "weekend", "custom"])
+    .withMessage("Rule type must be season, holiday, weekend or custom"),
+
+  body("vehicleId")
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage("Invalid vehicle ID format"),
+
+  body("brand")
+    .optional({ nullable: true })
+    .isIn([
+      "Audi",
+      "BMW",
+      "Citroën",
+      "Cupra",
+      "Dacia",
+      "Fiat",
+      "Ford",
+      "Hyundai",
+      "KIA",
+      "Mercedes",
+      "Nissan",
+      "Opel",
+      "Peugeot",
+      "Porsche",
+      "Renault",
+      "SEAT",
+      "Skoda",
+      "Tesla",
+      "Toyota",
+      "Volkswagen",
+      "Volvo",
+    ])
+    .withMessage("Please select a valid brand"),
+
+  body("startDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Please enter a valid start date"),
+
+  body("endDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Please enter a valid end date")
+    .custom((value, { req }) => {
+      if (value && req.body.startDate && value < req.body.startDate) {
+        throw new Error("End date cannot be before start date");
+      }
+      return true;
+    }),
+
+  body("daysOfWeek")
+    .optional()
+    .isArray()
+    .withMessage("Days of week must be an array"),
+
+  body("daysOfWeek.*")
+    .optional()
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Days of week must be between 0 (Sunday) and 6 (Saturday)"),
+
+  body("adjustmentType")
+    .isIn(["fixed", "percentage"])
+    .withMessage("Adjustment type must be fixed or percentage"),
+
+  body("adjustmentValue")
+    .isFloat()
+    .withMessage("Adjustment value must be a number")
+    .custom((value, { req }) => {
+      if (req.body.adjustmentType === "fixed" && parseFloat(value) < 0) {
+        throw new Error("Fixed daily rate must be a positive number");
+      }
+      if (req.body.adjustmentType === "percentage" && parseFloat(value) < -100) {
+        throw new Error("Percentage cannot be lower than -100");
+      }
+      return true;
+    }),
+
+  body("priority")
+    .optional()
+    .isInt()
+    .withMessage("Priority must be an integer"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("Active status must be true or false"),
+];
+
+// Pricing rule update validation (same as create but with optional fields)
+exports.validatePricingRuleUpdate = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Rule name cannot be empty")
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Rule name must be between 1 and 100 characters"),
+
+  body("ruleType")
+    .optional()
+    .isIn(["season", "holiday", "weekend", "custom"])
+    .withMessage("Rule type must be season, holiday, weekend or custom"),
+
+  body("vehicleId")
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage("Invalid vehicle ID format"),
+
+  body("startDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Please enter a valid start date"),
+
+  body("endDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Please enter a valid end date"),
+
+  body("daysOfWeek")
+    .optional()
+    .isArray()
+    .withMessage("Days of week must be an array"),
+
+  body("daysOfWeek.*")
+    .optional()
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Days of week must be between 0 (Sunday) and 6 (Saturday)"),
+
+  body("adjustmentType")
+    .optional()
+    .isIn(["fixed", "percentage"])
+    .withMessage("Adjustment type must be fixed or percentage"),
+
+  body("adjustmentValue")
+    .optional()
+    .isFloat()
+    .withMessage("Adjustment value must be a number"),
+
+  body("priority")
+    .optional()
+    .isInt()
+    .withMessage("Priority must be an integer"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("Active status must be true or false"),
+];
+
+// Driver age rule validation (bounds checked against each other when both are sent)
+const driverAgeRuleFields = [
+  body(["minAge", "maxAge"])
+    .optional({ nullable: true })
+    .isInt({ min: 16, max: 120 })
+    .withMessage("Ages must be between 16 and 120"),
+
+  body("maxAge").custom((value, { req }) => {
+    if (
+      value !== undefined &&
+      value !== null &&
+      req.body.minAge !== undefined &&
+      req.body.minAge !== null &&
+      parseInt(value, 10) < parseInt(req.body.minAge, 10)
+    ) {
+      throw new Error("Maximum age cannot be below the minimum age");
+    }
+    return true;
+  }),
+
+  body("vehicleCategory")
+    .optional({ nullable: true })
+    .isIn(VEHICLE_CATEGORIES)
+    .withMessage(`Vehicle category must be ${VEHICLE_CATEGORIES.join(", ")}`),
+
+  body("dailyAmount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Daily amount must be a positive number"),
+
+  body("maxAmount")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Maximum amount must be a positive number"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("Active status must be true or false"),
+];
+
+exports.validateDriverAgeRule = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Rule name is required")
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Rule name must be between 1 and 100 characters"),
+
+  body("action")
+    .optional()
+    .isIn(AGE_RULE_ACTIONS)
+    .withMessage("Action must be surcharge or refuse"),
+
+  body("minAge").custom((value, { req }) => {
+    if (
+      (value === undefined || value === null) &&
+      (req.body.maxAge === undefined || req.body.maxAge === null)
+    ) {
+      throw new Error("A minimum and/or maximum age is required");
+    }
+    return true;
+  }),
+
+  body("dailyAmount").custom((value, { req }) => {
+    if (
+      (req.body.action || "surcharge") === "surcharge" &&
+      !(parseFloat(value) > 0)
+    ) {
+      throw new Error("A surcharge needs a daily amount");
+    }
+    return true;
+  }),
+
+  ...driverAgeRuleFields,
+];
+
+exports.validateDriverAgeRuleUpdate = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Rule name cannot be empty")
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Rule name must be between 1 and 100 characters"),
+
+  body("action")
+    .optional()
+    .isIn(AGE_RULE_ACTIONS)
+    .withMessage("Action must be surcharge or refuse"),
+
+  ...driverAgeRuleFields,
+];
+
+// Promo code validation
+exports.validatePromoCode = [
+  body("code")
+    .trim()
+    .notEmpty()
+    .withMessage("Promo code is required")
+    .isLength({ max: 30 })
+    .withMessage("Promo code cannot be more than 30 characters")
+    .matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage("Promo code must contain only letters, numbers, - and _"),
+
+  body("description")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot be more than 500 characters"),
+
+  body("discountType")
+    .isIn(["percentage", "fixed"])
+    .withMessage("Discount type must be percentage or fixed"),
+
+  body("discountValue")
+    .isFloat({ min: 0 })
+    .withMessage("Discount value must be a positive number")
+    .custom((value, { req }) => {
+      if (req.body.discountType === "percentage" && parseFloat(value) > 100) {
+        throw new Error("Percentage discount cannot exceed 100");
+      }
+      return true;
+    }),
+
+  body("validFrom")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Please enter a valid start date"),
+
+  body("validUntil")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Please enter a valid end date")
+    .custom((value, { req }) => {
+      if (
+        value &&
+        req.body.validFrom &&
+        new Date(value) < new Date(req.body.validFrom)
+      ) {
+        throw new Error("Validity end cannot be before validity start");
+      }
+      return true;
+    }),
+
+  body("maxUses")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Maximum uses must be a positive integer"),
+
+  body("maxUsesPerCustomer")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Maximum uses per customer must be a positive integer"),
+
+  body("vehicleIds")
+    .optional()
+    .isArray()
+    .withMessage("Vehicle IDs must be an array"),
+
+  body("vehicleIds.*").isUUID().withMessage("Invalid vehicle ID format"),
+
+  body("brands").optional().isArray().withMessage("Brands must be an array"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("Active status must be true or false"),
+];
+
+// Promo code update validation (same as create but with optional fields)
+exports.validatePromoCodeUpdate = [
+  body("code")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Promo code cannot be empty")
+    .isLength({ max: 30 })
+    .withMessage("Promo code cannot be more than 30 characters")
+    .matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage("Promo code must contain only letters, numbers, - and _"),
+
+  body("description")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot be more than 500 characters"),
+
+  body("discountType")
+    .optional()
+    .isIn(["percentage", "fixed"])
+    .withMessage("Discount type must be percentage or fixed"),
+
+  body("discountValue")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Discount value must be a positive number"),
+
+  body("validFrom")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Please enter a valid start date"),
+
+  body("validUntil")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Please enter a valid end date"),
+
+  body("maxUses")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Maximum uses must be a positive integer"),
+
+  body("maxUsesPerCustomer")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Maximum uses per customer must be a positive integer"),
+
+  body("vehicleIds")
+    .optional()
+    .isArray()
+    .withMessage("Vehicle IDs must be an array"),
+
+  body("vehicleIds.*").isUUID().withMessage("Invalid vehicle ID format"),
+
+  body("brands").optional().isArray().withMessage("Brands must be an array"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("Active status must be true or false"),
+];
+
+// Extra validation
+exports.validateExtra = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Extra name is required")
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Extra name must be between 1 and 100 characters"),
+
+  body("description")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot be more than 500 characters"),
+
+  body("category")
+    .optional()
+    .isIn(["child_seat", "gps", "additional_driver", "insurance", "other"])
+    .withMessage("Please select a valid category"),
+
+  body("pricingType")
+    .isIn(["per_day", "per_rental"])
+    .withMessage("Pricing type must be per_day or per_rental"),
+
+  body("price")
+    .isFloat({ min: 0 })
+    .withMessage("Price must be a positive number"),
+
+  body("stockQuantity")
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage("Stock quantity must be a positive integer"),
+
+  body("maxPerBooking")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Maximum per booking must be a positive integer"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("Active status must be true or false"),
+];
+
+// Extra update validation (same as create but with optional fields)
+exports.validateExtraUpdate = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Extra name cannot be empty")
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Extra name must be between 1 and 100 characters"),
+
+  body("description")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot be more than 500 characters"),
+
+  body("category")
+    .optional()
+    .isIn(["child_seat", "gps", "additional_driver", "insurance", "other"])
+    .withMessage("Please select a valid category"),
+
+  body("pricingType")
+    .optional()
+    .isIn(["per_day", "per_rental"])
+    .withMessage("Pricing type must be per_day or per_rental"),
+
+  body("price")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Price must be a positive number"),
+
+  body("stockQuantity")
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage("Stock quantity must be a positive integer"),
+
+  body("maxPerBooking")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Maximum per booking must be a positive integer"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("Active status must be true or false"),
+];
+
+// Booking payment validation
+exports.validatePayment = [
+  body("type")
+    .isIn(["deposit_hold", "deposit_release", "rental_payment", "refund"])
+    .withMessage(
+      "Payment type must be deposit_hold, deposit_release, rental_payment or refund"
+    ),
+
+  body("method")
+    .isIn(["cash", "card", "transfer"])
+    .withMessage("Payment method must be cash, card or transfer"),
+
+  // Amount may be omitted for a deposit hold (defaults to the vehicle caution)
+  body("amount")
+    .if(body("type").not().equals("deposit_hold"))
+    .notEmpty()
+    .withMessage("Amount is required"),
+
+  body("amount")
+    .optional({ nullable: true })
+    .isFloat({ gt: 0 })
+    .withMessage("Amount must be a positive number"),
+
+  body("reference")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Reference cannot be more than 100 characters"),
+
+  body("notes")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot be more than 500 characters"),
+
+  body("paidAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Please enter a valid payment date"),
+
+  body("creditInvoice")
+    .optional()
+    .isBoolean()
+    .withMessage("creditInvoice must be a boolean"),
+];
+
+// Booking extension validation
+exports.validateBookingExtension = [
+  body("returnDate")
+    .notEmpty()
+    .withMessage("New return date is required")
+    .isISO8601()
+    .withMessage("Please enter a valid return date"),
+
+  body("returnTime")
+    .optional()
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("Please enter a valid return time (HH:MM format)"),
+
+  body("reason")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot be more than 500 characters"),
+];
+
+// Booking dates modification validation
+exports.validateBookingModification = [
+  body("pickupDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Please enter a valid pickup date"),
+
+  body("returnDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Please enter a valid return date"),
+
+  body("pickupTime")
+    .optional()
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("Please enter a valid pickup time (HH:MM format)"),
+
+  body("returnTime")
+    .optional()
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("Please enter a valid return time (HH:MM format)"),
+
+  body("reason")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot be more than 500 characters"),
+];
+
+// Booking vehicle reassignment validation
+exports.validateBookingReassignment = [
+  body("vehicleId")
+    .notEmpty()
+    .withMessage("Vehicle ID is required")
+    .isUUID()
+    .withMessage("Invalid vehicle ID format"),
+
+  body("keepDailyRate")
+    .optional()
+    .isBoolean()
+    .withMessage("Keep daily rate must be true or false"),
+
+  body("dailyRate")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Daily rate must be a positive number"),
+
+  body("previousVehicleStatus")
+    .optional()
+    .isIn(["active", "maintenance", "inactive"])
+    .withMessage("Previous vehicle status must be active, maintenance or inactive"),
+
+  body("reason")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot be more than 500 characters"),
+];
+
+// Inspection validation (multipart form: values arrive as strings)
+exports.validateInspection = [
+  body("type")
+    .isIn(["pickup", "return"])
+    .withMessage("Inspection type must be pickup or return"),
+
+  body("odometer")
+    .notEmpty()
+    .withMessage("Odometer reading is required")
+    .isInt({ min: 0 })
+    .withMessage("Odometer must be a positive integer"),
+
+  body("fuelLevel")
+    .notEmpty()
+    .withMessage("Fuel level is required")
+    .isInt({ min: 0, max: 8 })
+    .withMessage("Fuel level must be between 0 and 8 (eighths of a tank)"),
+
+  body("customerAcknowledged")
+    .optional()
+    .isBoolean()
+    .withMessage("Customer acknowledgement must be true or false"),
+
+  body("notes")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Notes cannot be more than 1000 characters"),
+];
+
+// Booking cancellation validation
+exports.validateCancellation = [
+  body("cancellationReason")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Cancellation reason cannot be more than 500 characters"),
+
+  body("noShow")
+    .optional()
+    .isBoolean()
+    .withMessage("No-show must be true or false"),
+
+  body("refundMethod")
+    .optional()
+    .isIn(["cash", "card", "transfer"])
+    .withMessage("Refund method must be cash, card or transfer"),
+];
+
+// Vehicle return validation
+exports.validateVehicleReturn = [
+  body("allowOutstandingBalance")
+    .optional()
+    .isBoolean()
+    .withMessage("allowOutstandingBalance must be true or false"),
+];
+
+// Cancellation policy validation
+exports.validateCancellationPolicy = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Policy name is required")
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Policy name must be between 1 and 100 characters"),
+
+  body("description")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot be more than 500 characters"),
+
+  body("freeCancellationHours")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Free cancellation hours must be a positive integer"),
+
+  body("lateCancellationFeePercent")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Late cancellation fee must be between 0 and 100 percent"),
+
+  body("noShowFeePercent")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("No-show fee must be between 0 and 100 percent"),
+
+  body("source")
+    .optional({ nullable: true })
+    .isIn(["website", "admin"])
+    .withMessage("Source must be website or admin"),
+
+  body("isDefault")
+    .optional()
+    .isBoolean()
+    .withMessage("Default status must be true or false"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("Active status must be true or false"),
+];
+
+// Cancellation policy update validation (same as create but with optional fields)
+exports.validateCancellationPolicyUpdate = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Policy name cannot be empty")
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Policy name must be between 1 and 100 characters"),
+
+  body("description")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot be more than 500 characters"),
+
+  body("freeCancellationHours")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Free cancellation hours must be a positive integer"),
+
+  body("lateCancellationFeePercent")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Late cancellation fee must be between 0 and 100 percent"),
+
+  body("noShowFeePercent")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("No-show fee must be between 0 and 100 percent"),
+
+  body("source")
+    .optional({ nullable: true })
+    .isIn(["website", "admin"])
+    .withMessage("Source must be website or admin"),
+
+  body("isDefault")
+    .optional()
+    .isBoolean()
+    .withMessage("Default status must be true or false"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("Active status must be true or false"),
+];
+
+// Damage claim validations
+exports.validateDamageClaim = [
+  body("bookingId")
+    .notEmpty()
+    .withMessage("Booking ID is required")
+    .isUUID()
+    .withMessage("Invalid booking ID format"),
+
+  body("inspectionId")
+    .optional({ nullable: true, checkFalsy: true })
+    .isUUID()
+    .withMessage("Invalid inspection ID format"),
+
+  body("zone")
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(INSPECTION_ZONES)
+    .withMessage("Invalid damage zone"),
+
+  body("damageType")
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(DAMAGE_TYPES)
+    .withMessage("Invalid damage type"),
+
+  body("description")
+    .trim()
+    .notEmpty()
+    .withMessage("Damage description is required")
+    .isLength({ max: 1000 })
+    .withMessage("Description cannot be more than 1000 characters"),
+
+  body("estimatedCost")
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage("Estimated cost must be a positive number"),
+
+  body("notes")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Notes cannot be more than 1000 characters"),
+];
+
+exports.validateDamageClaimUpdate = [
+  body("zone")
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(INSPECTION_ZONES)
+    .withMessage("Invalid damage zone"),
+
+  body("damageType")
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(DAMAGE_TYPES)
+    .withMessage("Invalid damage type"),
+
+  body("description")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Damage description cannot be empty")
+    .isLength({ max: 1000 })
+    .withMessage("Description cannot be more than 1000 characters"),
+
+  body("estimatedCost")
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage("Estimated cost must be a positive number"),
+
+  body("finalCost")
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage("Final cost must be a positive number"),
+
+  body("notes")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Notes cannot be more than 1000 characters"),
+];
+
+exports.validateDamageClaimResolution = [
+  body("finalCost")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Final cost must be a positive number"),
+
+  body("deductFromDeposit")
+    .optional()
+    .isBoolean()
+    .withMessage("deductFromDeposit must be true or false"),
+
+  body("notes")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Notes cannot be more than 1000 characters"),
+];
+
+// Fine validations
+exports.validateFine = [
+  body("licensePlate")
+    .trim()
+    .notEmpty()
+    .withMessage("License plate is required")
+    .isLength({ max: 20 })
+    .withMessage("License plate cannot be more than 20 characters"),
+
+  body("offenceAt")
+    .notEmpty()
+    .withMessage("Offence date and time are required")
+    .matches(/^\d{4}-\d{2}-\d{2}[T ]([0-1][0-9]|2[0-3]):[0-5][0-9]/)
+    .withMessage("Offence time must be formatted as YYYY-MM-DDTHH:MM"),
+
+  body("type")
+    .optional()
+    .isIn(["speeding", "parking", "red_light", "toll", "other"])
+    .withMessage(
+      "Fine type must be speeding, parking, red_light, toll or other"
+    ),
+
+  body("referenceNumber")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Reference number cannot be more than 50 characters"),
+
+  body("authority")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage("Authority cannot be more than 150 characters"),
+
+  body("location")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage("Location cannot be more than 255 characters"),
+
+  body("amount")
+    .isFloat({ min: 0 })
+    .withMessage("Amount must be a positive number"),
+
+  body("dueDate")
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage("Please enter a valid due date"),
+];
+
+exports.validateFineUpdate = [
+  body("licensePlate")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("License plate cannot be empty")
+    .isLength({ max: 20 })
+    .withMessage("License plate cannot be more than 20 characters"),
+
+  body("offenceAt")
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}[T ]([0-1][0-9]|2[0-3]):[0-5][0-9]/)
+    .withMessage("Offence time must be formatted as YYYY-MM-DDTHH:MM"),
+
+  body("type")
+    .optional()
+    .isIn(["speeding", "parking", "red_light", "toll", "other"])
+    .withMessage(
+      "Fine type must be speeding, parking, red_light, toll or other"
+    ),
+
+  body("referenceNumber")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Reference number cannot be more than 50 characters"),
+
+  body("amount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Amount must be a positive number"),
+
+  body("dueDate")
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage("Please enter a valid due date"),
+];
+
+exports.validateFinePayment = [
+  body("paymentStatus")
+    .isIn([
+      "unpaid",
+      "paid_by_customer",
+      "paid_by_agency",
+      "contested",
+      "cancelled",
+    ])
+    .withMessage(
+      "Payment status must be unpaid, paid_by_customer, paid_by_agency, contested or cancelled"
+    ),
+
+  body("paidAt")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Please enter a valid payment date"),
+];
+
+exports.validateServicePlan = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Plan name is required")
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Plan name must be between 2 and 100 characters"),
+
+  body("maintenanceType")
+    .isIn(MAINTENANCE_TYPES)
+    .withMessage(
+      `Maintenance type must be one of ${MAINTENANCE_TYPES.join(", ")}`
+    ),
+
+  body("vehicleId")
+    .optional({ nullable: true, checkFalsy: true })
+    .isUUID()
+    .withMessage("Invalid vehicle ID format"),
+
+  body("intervalKm")
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 1 })
+    .withMessage("Kilometre interval must be a positive integer"),
+
+  body("intervalMonths")
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 1, max: 120 })
+    .withMessage("Month interval must be between 1 and 120"),
+
+  body().custom((value) => {
+    if (!value.intervalKm && !value.intervalMonths) {
+      throw new Error("A service plan needs a km and/or months interval");
+    }
+    return true;
+  }),
+];
+
+exports.validateServicePlanUpdate = [
+  param("planId").isUUID().withMessage("Invalid plan ID format"),
+
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Plan name must be between 2 and 100 characters"),
+
+  body("maintenanceType")
+    .optional()
+    .isIn(MAINTENANCE_TYPES)
+    .withMessage(
+      `Maintenance type must be one of ${MAINTENANCE_TYPES.join(", ")}`
+    ),
+
+  body("intervalKm")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Kilometre interval must be a positive integer"),
+
+  body("intervalMonths")
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 120 })
+    .withMessage("Month interval must be between 1 and 120"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean"),
+];
+
+exports.validateMaintenanceRecord = [
+  body("type")
+    .isIn(MAINTENANCE_TYPES)
+    .withMessage(
+      `Maintenance type must be one of ${MAINTENANCE_TYPES.join(", ")}`
+    ),
+
+  body("status")
+    .optional()
+    .isIn(["scheduled", "completed"])
+    .withMessage("Status must be scheduled or completed"),
+
+  body("servicePlanId")
+    .optional({ nullable: true, checkFalsy: true })
+    .isUUID()
+    .withMessage("Invalid service plan ID format"),
+
+  body("startDate")
+    .if(body("status").equals("scheduled"))
+    .notEmpty()
+    .withMessage("Start date is required for a scheduled maintenance"),
+
+  body("endDate")
+    .if(body("status").equals("scheduled"))
+    .notEmpty()
+    .withMessage("End date is required for a scheduled maintenance"),
+
+  body(["startDate", "endDate", "date"])
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage("Please enter a valid date"),
+
+  body(["startTime", "endTime"])
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("Please enter a valid time (HH:MM format)"),
+
+  body("odometer")
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 0 })
+    .withMessage("Odometer must be a positive integer"),
+
+  body("cost")
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage("Cost must be a positive number"),
+
+  body("garage")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage("Garage cannot be more than 150 characters"),
+];
+
+exports.validateMaintenanceRecordUpdate = [
+  param("recordId").isUUID().withMessage("Invalid record ID format"),
+
+  body("type")
+    .optional()
+    .isIn(MAINTENANCE_TYPES)
+    .withMessage(
+      `Maintenance type must be one of ${MAINTENANCE_TYPES.join(", ")}`
+    ),
+
+  body("status")
+    .optional()
+    .isIn(["scheduled", "completed", "cancelled"])
+    .withMessage("Status must be scheduled, completed or cancelled"),
+
+  body(["startDate", "endDate", "date"])
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage("Please enter a valid date"),
+
+  body(["startTime", "endTime"])
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("Please enter a valid time (HH:MM format)"),
+
+  body("odometer")
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 0 })
+    .withMessage("Odometer must be a positive integer"),
+
+  body("cost")
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage("Cost must be a positive number"),
+
+  body("garage")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage("Garage cannot be more than 150 characters"),
+];
+
+exports.validateVehicleDocument = [
+  body("type")
+    .isIn(VEHICLE_DOCUMENT_TYPES)
+    .withMessage(
+      `Document type must be one of ${VEHICLE_DOCUMENT_TYPES.join(", ")}`
+    ),
+
+  body("expiryDate")
+    .notEmpty()
+    .withMessage("Expiry date is required")
+    .isISO8601()
+    .withMessage("Please enter a valid expiry date"),
+
+  body("issueDate")
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage("Please enter a valid issue date"),
+
+  body("documentNumber")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Document number cannot be more than 100 characters"),
+
+  body("issuer")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage("Issuer cannot be more than 150 characters"),
+];
+
+exports.validateVehicleDocumentUpdate = [
+  param("documentId").isUUID().withMessage("Invalid document ID format"),
+
+  body("type")
+    .optional()
+    .isIn(VEHICLE_DOCUMENT_TYPES)
+    .withMessage(
+      `Document type must be one of ${VEHICLE_DOCUMENT_TYPES.join(", ")}`
+    ),
+
+  body("expiryDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Please enter a valid expiry date"),
+
+  body("issueDate")
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage("Please enter a valid issue date"),
+
+  body("documentNumber")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Document number cannot be more than 100 characters"),
+
+  body("issuer")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage("Issuer cannot be more than 150 characters"),
+];
+
+exports.validateVehicleBlock = [
+  body("reason")
+    .isIn(["maintenance", "private_use", "transfer", "body_shop"])
+    .withMessage(
+      "Reason must be maintenance, private_use, transfer or body_shop"
+    ),
+
+  body("startDate")
+    .notEmpty()
+    .withMessage("Start date is required")
+    .isISO8601()
+    .withMessage("Please enter a valid start date"),
+
+  body("endDate")
+    .notEmpty()
+    .withMessage("End date is required")
+    .isISO8601()
+    .withMessage("Please enter a valid end date")
+    .custom((value, { req }) => {
+      const start = new Date(
+        `${req.body.startDate}T${req.body.startTime || "00:00"}:00`
+      );
+      const end = new Date(`${value}T${req.body.endTime || "23:59"}:00`);
+      if (end <= start) {
+        throw new Error("Block end must be after its start");
+      }
+      return true;
+    }),
+
+  body(["startTime", "endTime"])
+    .optional()
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("Please enter a valid time (HH:MM format)"),
+];
+
+exports.validateVehicleBlockUpdate = [
+  param("blockId").isUUID().withMessage("Invalid block ID format"),
+
+  body("reason")
+    .optional()
+    .isIn(["maintenance", "private_use", "transfer", "body_shop"])
+    .withMessage(
+      "Reason must be maintenance, private_use, transfer or body_shop"
+    ),
+
+  body(["startDate", "endDate"])
+    .optional()
+    .isISO8601()
+    .withMessage("Please enter a valid date"),
+
+  body(["startTime", "endTime"])
+    .optional()
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("Please enter a valid time (HH:MM format)"),
+];
+
+exports.validateExpense = [
+  body("vehicleId").isUUID().withMessage("Valid vehicle ID is required"),
+
+  body("category")
+    .isIn([
+      "fuel",
+      "repair",
+      "insurance",
+      "loan_installment",
+      "cleaning",
+      "other",
+    ])
+    .withMessage(
+      "Category must be fuel, repair, insurance, loan_installment, cleaning or other"
+    ),
+
+  body("amount")
+    .isFloat({ min: 0 })
+    .withMessage("Amount must be a positive number"),
+
+  body("date")
+    .notEmpty()
+    .withMessage("Expense date is required")
+    .isISO8601()
+    .withMessage("Please enter a valid expense date"),
+
+  body("description")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage("Description cannot be more than 255 characters"),
+
+  body("supplier")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage("Supplier cannot be more than 150 characters"),
+
+  body("reference")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Reference cannot be more than 100 characters"),
+];
+
+exports.validateExpenseUpdate = [
+  body("category")
+    .optional()
+    .isIn([
+      "fuel",
+      "repair",
+      "insurance",
+      "loan_installment",
+      "cleaning",
+      "other",
+    ])
+    .withMessage(
+      "Category must be fuel, repair, insurance, loan_installment, cleaning or other"
+    ),
+
+  body("amount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Amount must be a positive number"),
+
+  body("date")
+    .optional()
+    .isISO8601()
+    .withMessage("Please enter a valid expense date"),
+
+  body("description")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage("Description cannot be more than 255 characters"),
+
+  body("supplier")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage("Supplier cannot be more than 150 characters"),
+
+  body("reference")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Reference cannot be more than 100 characters"),
+];
+
+exports.validateReportRange = [
+  query(["from", "to"])
+    .optional()
+    .isISO8601()
+    .withMessage("Please enter valid report dates (YYYY-MM-DD)"),
+
+  query("to")
+    .optional()
+    .custom((value, { req }) => {
+      if (req.query.from && value < req.query.from) {
+        throw new Error("Report end date must be after its start date");
+      }
+      return true;
+    }),
+
+  query("vehicleId")
+    .optional()
+    .isUUID()
+    .withMessage("Invalid vehicle ID format"),
+];
+
+// Revenue report options (used after validateReportRange)
+exports.validateRevenueReport = [
+  query("groupBy")
+    .optional()
+    .isIn(["day", "week", "month"])
+    .withMessage("Group by must be day, week or month")
+    .custom((value, { req }) => {
+      if (value === "day" && req.query.from && req.query.to) {
+        const days =
+          (new Date(req.query.to) - new Date(req.query.from)) / 86400000;
+        if (days > 366) {
+          throw new Error("Daily reports cannot cover more than a year");
+        }
+      }
+      return true;
+    }),
+
+  query("definition")
+    .optional()
+    .isIn(["confirmed", "completed"])
+    .withMessage("Revenue definition must be confirmed or completed"),
+
+  query("compare")
+    .optional()
+    .isIn(["previous", "year"])
+    .withMessage("Comparison must be previous or year"),
+
+  query("source")
+    .optional()
+    .isIn(["website", "admin"])
+    .withMessage("Source must be website or admin"),
+];
+
+// Spreadsheet export options (bookings, customers, vehicles)
+exports.validateExport = [
+  query("format")
+    .optional()
+    .isIn(["csv", "xlsx"])
+    .withMessage("Export format must be csv or xlsx"),
+
+  query("lang")
+    .optional()
+    .isIn(["fr", "en"])
+    .withMessage("Export language must be fr or en"),
+
+  query("order")
+    .optional()
+    .isIn(["ASC", "DESC", "asc", "desc"])
+    .withMessage("Order must be ASC or DESC"),
+];
+
+// Blacklist entry validation
+const BLACKLIST_CATEGORIES = [
+  "unpaid",
+  "damage",
+  "theft",
+  "fraud",
+  "behaviour",
+  "other",
+];
+
+const blacklistEntryFields = [
+  body(["firstName", "lastName"])
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Names must be between 2 and 50 characters"),
+
+  body(["cinNumber", "passportNumber", "driverLicenseNumber"])
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage("Document numbers cannot be more than 20 characters"),
+
+  body("evidence")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Evidence cannot be more than 2000 characters"),
+
+  body("expiresAt")
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage("Please enter a valid expiry date"),
+];
+
+exports.validateBlacklistEntry = [
+  body("customerId")
+    .optional({ values: "falsy" })
+    .isUUID()
+    .withMessage("Invalid customer ID format"),
+
+  body("customerId").custom((value, { req }) => {
+    const hasDocument = [
+      "cinNumber",
+      "passportNumber",
+      "driverLicenseNumber",
+    ].some((field) => req.body[field]);
+    if (!value && !hasDocument) {
+      throw new Error(
+        "A customer or an identity document number (CIN, passport, license) is required"
+      );
+    }
+    return true;
+  }),
+
+  body("category")
+    .isIn(BLACKLIST_CATEGORIES)
+    .withMessage(
+      "Category must be unpaid, damage, theft, fraud, behaviour or other"
+    ),
+
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("Reason is required")
+    .isLength({ max: 1000 })
+    .withMessage("Reason cannot be more than 1000 characters"),
+
+  ...blacklistEntryFields,
+];
+
+exports.validateBlacklistEntryUpdate = [
+  body("category")
+    .optional()
+    .isIn(BLACKLIST_CATEGORIES)
+    .withMessage(
+      "Category must be unpaid, damage, theft, fraud, behaviour or other"
+    ),
+
+  body("reason")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Reason cannot be empty")
+    .isLength({ max: 1000 })
+    .withMessage("Reason cannot be more than 1000 characters"),
+
+  ...blacklistEntryFields,
+];
+
+exports.validateBlacklistLift = [
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("A reason is required to lift a blacklist entry")
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot be more than 500 characters"),
+];
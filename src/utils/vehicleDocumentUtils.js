@@ -0,0 +1,103 @@
+// src/utils/vehicleDocumentUtils.js - Vehicle compliance documents and expiry checks
+
+// Papers a vehicle must carry to be rented out
+const VEHICLE_DOCUMENT_TYPES = [
+  "carte_grise",
+  "insurance",
+  "vignette",
+  "technical_inspection",
+];
+
+const VEHICLE_DOCUMENT_LABELS = {
+  carte_grise: "Registration (carte grise)",
+  insurance: "Insurance policy",
+  vignette: "Road-tax vignette",
+  technical_inspection: "Technical inspection certificate",
+};
+
+/**
+ * Keep the current document of each type: the one expiring last
+ * (older documents are previous renewals).
+ *
+ * @param {Array} documents - Documents of one vehicle ({ type, expiryDate })
+ * @returns {object} { [type]: document }
+ */
+const getCurrentDocuments = (documents) =>
+  documents.reduce((current, document) => {
+    const previous = current[document.type];
+    if (!previous || document.expiryDate > previous.expiryDate) {
+      current[document.type] = document;
+    }
+    return current;
+  }, {});
+
+/**
+ * Check the vehicle papers against a rental period. A document is valid
+ * up to and including its expiry date.
+ *
+ * @param {Array} documents - Documents of the vehicle
+ * @param {string} pickupDate - YYYY-MM-DD
+ * @param {string} returnDate - YYYY-MM-DD
+ * @returns {object} { isCompliant, expired, expiringDuringRental, missing, issues, warnings }
+ */
+const checkDocumentCompliance = (documents, pickupDate, returnDate) => {
+  const current = getCurrentDocuments(documents);
+  const expired = [];
+  const expiringDuringRental = [];
+  const missing = [];
+
+  VEHICLE_DOCUMENT_TYPES.forEach((type) => {
+    const document = current[type];
+    if (!document) {
+      missing.push(type);
+      return;
+    }
+
+    const entry = {
+      documentId: document.id,
+      type,
+      label: VEHICLE_DOCUMENT_LABELS[type],
+      expiryDate: document.expiryDate,
+    };
+
+    if (document.expiryDate < pickupDate) {
+      expired.push(entry);
+    } else if (document.expiryDate < returnDate) {
+      expiringDuringRental.push(entry);
+    }
+  });
+
+  const issues = [
+    ...expired.map((entry) => `${entry.label} expired on ${entry.expiryDate}`),
+    ...expiringDuringRental.map(
+      (entry) =>
+        `${entry.label} expires on ${entry.expiryDate}, during the rental`
+    ),
+  ];
+
+  // Papers not on file yet do not block the rental
+  const warnings =
+    missing.length > 0
+      ? [
+          `No document on file for: ${missing
+            .map((type) => VEHICLE_DOCUMENT_LABELS[type])
+            .join(", ")}`,
+        ]
+      : [];
+
+  return {
+    isCompliant: expired.length === 0 && expiringDuringRental.length === 0,
+    expired,
+    expiringDuringRental,
+    missing,
+    issues,
+    warnings,
+  };
+};
+
+module.exports = {
+  VEHICLE_DOCUMENT_TYPES,
+  VEHICLE_DOCUMENT_LABELS,
+  getCurrentDocuments,
+  checkDocumentCompliance,
+};
@@ -0,0 +1,89 @@
+// test/bookingPayments.test.js - Refunds only credit the invoice when they lower the amount billed
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+
+const { Booking, Payment, Invoice } = require("../src/models");
+const { sequelize } = require("../src/config/database");
+const {
+  createBookingPayment,
+} = require("../src/controllers/bookings/bookingPayments");
+
+const BOOKING_ID = "11111111-1111-4111-8111-111111111111";
+
+let originals;
+let credits;
+
+const stub = (target, name, fn) => {
+  originals.push([target, name, target[name]]);
+  target[name] = fn;
+};
+
+// Run an asyncHandler controller, resolving with the JSON sent
+const callHandler = (handler, req) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      status() {
+        return res;
+      },
+      json: resolve,
+    };
+    handler(req, res, reject);
+  });
+
+const refund = (amount, extra = {}) =>
+  callHandler(createBookingPayment, {
+    params: { id: BOOKING_ID },
+    body: { type: "refund", method: "cash", amount, ...extra },
+    admin: { id: "admin" },
+  });
+
+beforeEach(() => {
+  originals = [];
+  credits = [];
+
+  // €500 rental, €600 collected: €100 paid too much
+  const booking = Booking.build({
+    id: BOOKING_ID,
+    bookingNumber: "BK-0001",
+    totalAmount: 500,
+    amountPaid: 600,
+    status: "completed",
+  });
+
+  stub(sequelize, "transaction", async (fn) => fn({}));
+  stub(Booking, "findByPk", async () => booking);
+  stub(Payment, "record", async (data) => ({ id: "payment", ...data }));
+  stub(Payment, "findAll", async () => []);
+  stub(Invoice, "creditForBooking", async (bookingId, options) => {
+    credits.push(options);
+    return { number: "AV-2026-00001", amount: options.amount };
+  });
+});
+
+afterEach(() => {
+  originals.reverse().forEach(([target, name, fn]) => {
+    target[name] = fn;
+  });
+});
+
+test("refunding an overpayment issues no credit note", async () => {
+  const body = await refund(100);
+
+  assert.strictEqual(credits.length, 0);
+  assert.strictEqual(body.data.creditNote, null);
+});
+
+test("only the refund beyond the overpayment is credited", async () => {
+  const body = await refund(150);
+
+  assert.strictEqual(credits.length, 1);
+  assert.strictEqual(credits[0].amount, 50);
+  assert.strictEqual(body.data.creditNote.amount, 50);
+});
+
+test("creditInvoice credits the whole refund", async () => {
+  await refund(100, { creditInvoice: true });
+
+  assert.strictEqual(credits.length, 1);
+  assert.strictEqual(credits[0].amount, 100);
+});
@@ -0,0 +1,126 @@
+// test/customerMerges.test.js - Merging customers keeps blacklist entries attached
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+
+const {
+  Customer,
+  Booking,
+  Invoice,
+  DamageClaim,
+  Fine,
+  CustomerMerge,
+  BlacklistEntry,
+} = require("../src/models");
+const { sequelize } = require("../src/config/database");
+const { mergeCustomers } = require("../src/controllers/customerMerges");
+
+const SURVIVOR_ID = "11111111-1111-4111-8111-111111111111";
+const DUPLICATE_ID = "22222222-2222-4222-8222-222222222222";
+
+let originals;
+let entries;
+
+// Stand-in for the database: blacklist rows kept in memory
+const stub = (target, name, fn) => {
+  originals.push([target, name, target[name]]);
+  target[name] = fn;
+};
+
+const buildCustomer = (id, data) => {
+  const customer = Customer.build({
+    id,
+    firstName: "Karim",
+    lastName: "Alaoui",
+    phone: "+212612345678",
+    ...data,
+  });
+  customer.update = async (updates) => Object.assign(customer, updates);
+  customer.recalculateStats = async () => customer;
+  customer.destroy = async () => {
+    // ON DELETE SET NULL of customers -> blacklist_entries
+    entries
+      .filter((entry) => entry.customerId === id)
+      .forEach((entry) => {
+        entry.customerId = null;
+      });
+  };
+  return customer;
+};
+
+// Run an asyncHandler controller, resolving with the JSON sent
+const callHandler = (handler, req) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      status() {
+        return res;
+      },
+      json: resolve,
+    };
+    handler(req, res, reject);
+  });
+
+beforeEach(() => {
+  originals = [];
+  entries = [];
+
+  stub(sequelize, "transaction", async (fn) => fn({}));
+  [Booking, Invoice, DamageClaim, Fine, CustomerMerge].forEach((model) => {
+    stub(model, "update", async () => [0]);
+  });
+  stub(CustomerMerge, "create", async (data) => data);
+
+  stub(BlacklistEntry, "update", async (values, { where }) => {
+    const moved = entries.filter(
+      (entry) => entry.customerId === where.customerId
+    );
+    moved.forEach((entry) => Object.assign(entry, values));
+    return [moved.length];
+  });
+  // Entries without document numbers are only found through customerId
+  stub(BlacklistEntry, "findAll", async () =>
+    entries.filter((entry) => entry.customerId === SURVIVOR_ID)
+  );
+  stub(BlacklistEntry, "count", async () => 0);
+});
+
+afterEach(() => {
+  originals.reverse().forEach(([target, name, fn]) => {
+    target[name] = fn;
+  });
+});
+
+test("a blacklisted duplicate leaves the survivor blacklisted", async () => {
+  const survivor = buildCustomer(SURVIVOR_ID, { status: "active" });
+  const duplicate = buildCustomer(DUPLICATE_ID, {
+    status: "blocked",
+    email: "karim@example.com",
+  });
+  entries.push(
+    BlacklistEntry.build({
+      id: "33333333-3333-4333-8333-333333333333",
+      customerId: DUPLICATE_ID,
+      firstName: "Karim",
+      lastName: "Alaoui",
+      category: "unpaid",
+      reason: "Unpaid rental",
+    })
+  );
+
+  stub(Customer, "findByPk", async (id) =>
+    id === SURVIVOR_ID ? survivor : duplicate
+  );
+
+  const body = await callHandler(mergeCustomers, {
+    params: { id: SURVIVOR_ID },
+    body: { duplicateId: DUPLICATE_ID },
+    admin: { id: "admin", email: "admin@example.com" },
+  });
+
+  assert.strictEqual(body.data.merge.movedRecords.blacklistEntries, 1);
+  assert.strictEqual(entries[0].customerId, SURVIVOR_ID);
+  assert.strictEqual(survivor.status, "blocked");
+
+  const blacklist = await BlacklistEntry.checkCustomer(survivor);
+  assert.strictEqual(blacklist.isBlacklisted, true);
+  assert.deepStrictEqual(blacklist.matches[0].matchedOn, ["customer"]);
+});
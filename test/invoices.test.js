@@ -0,0 +1,145 @@
+// test/invoices.test.js - Reissued invoices stay net of the refunds already credited
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+
+const { Invoice, Booking, DocumentSequence } = require("../src/models");
+const { sequelize } = require("../src/config/database");
+
+const BOOKING_ID = "11111111-1111-4111-8111-111111111111";
+const CUSTOMER_ID = "22222222-2222-4222-8222-222222222222";
+
+let originals;
+let documents;
+
+const stub = (target, name, fn) => {
+  originals.push([target, name, target[name]]);
+  target[name] = fn;
+};
+
+// Stand-in for the database: invoices and credit notes kept in memory
+const addDocument = (data) => {
+  const document = Invoice.build({
+    bookingId: BOOKING_ID,
+    customerId: CUSTOMER_ID,
+    year: 2026,
+    sequence: documents.length + 1,
+    ...data,
+  });
+  documents.push(document);
+  return document;
+};
+
+const buildBooking = (days) => ({
+  id: BOOKING_ID,
+  bookingNumber: "BK-0001",
+  customerId: CUSTOMER_ID,
+  totalDays: days.length,
+  dailyRate: 100,
+  pricingBreakdown: { days },
+  vehicle: { brand: "Renault", name: "Clio" },
+  customer: { firstName: "Karim", lastName: "Alaoui" },
+});
+
+const rentalDays = (count) =>
+  Array.from({ length: count }, (_, index) => ({
+    date: `2026-07-${String(10 + index).padStart(2, "0")}`,
+    rate: 100,
+    ruleId: null,
+  }));
+
+beforeEach(() => {
+  originals = [];
+  documents = [];
+
+  stub(sequelize, "transaction", async (fn) =>
+    fn({ LOCK: { UPDATE: "UPDATE" } })
+  );
+  stub(Booking, "findByPk", async () => ({ id: BOOKING_ID }));
+  stub(DocumentSequence, "allocate", async (documentType) => ({
+    year: 2026,
+    sequence: documents.length + 1,
+    number: `${documentType === "invoice" ? "FA" : "AV"}-2026-0000${
+      documents.length + 1
+    }`,
+  }));
+  stub(Invoice, "create", async (data) => addDocument(data));
+  stub(
+    Invoice,
+    "findOne",
+    async () =>
+      documents.filter((doc) => doc.documentType === "invoice").pop() || null
+  );
+  stub(Invoice, "findAll", async () =>
+    documents.filter(
+      (doc) => doc.documentType === "credit_note" && doc.paymentId
+    )
+  );
+  stub(Invoice, "sum", async (field, { where }) =>
+    documents
+      .filter((doc) => doc.creditedInvoiceId === where.creditedInvoiceId)
+      .reduce((sum, doc) => sum + parseFloat(doc.totalAmount), 0)
+  );
+});
+
+afterEach(() => {
+  originals.reverse().forEach(([target, name, fn]) => {
+    target[name] = fn;
+  });
+});
+
+test("reissuing after a partial refund keeps the refund off the new invoice", async () => {
+  const { invoice: first } = await Invoice.issueForBooking(
+    buildBooking(rentalDays(5))
+  );
+  assert.strictEqual(parseFloat(first.totalAmount), 500);
+
+  // €100 refunded and credited on the first invoice
+  await Invoice.creditForBooking(
+    BOOKING_ID,
+    {
+      amount: 100,
+      reason: "Remboursement",
+      paymentId: "33333333-3333-4333-8333-333333333333",
+    },
+    {}
+  );
+
+  // One more day after a late return
+  const { invoice, creditNote, created } = await Invoice.issueForBooking(
+    buildBooking(rentalDays(6))
+  );
+
+  assert.strictEqual(created, true);
+  assert.strictEqual(parseFloat(creditNote.totalAmount), 400);
+  assert.strictEqual(parseFloat(invoice.totalAmount), 500);
+  assert.strictEqual(invoice.lines[invoice.lines.length - 1].amount, -100);
+
+  // Billed overall: 500 - 100 - 400 + 500 = 600 rental - 100 refunded
+  const billed = documents.reduce(
+    (sum, doc) =>
+      sum +
+      (doc.documentType === "invoice" ? 1 : -1) * parseFloat(doc.totalAmount),
+    0
+  );
+  assert.strictEqual(billed, 500);
+});
+
+test("an unchanged booking keeps its invoice after a refund", async () => {
+  const booking = buildBooking(rentalDays(5));
+  const { invoice: first } = await Invoice.issueForBooking(booking);
+
+  await Invoice.creditForBooking(
+    BOOKING_ID,
+    {
+      amount: 100,
+      reason: "Remboursement",
+      paymentId: "33333333-3333-4333-8333-333333333333",
+    },
+    {}
+  );
+
+  const { invoice, created } = await Invoice.issueForBooking(booking);
+
+  assert.strictEqual(created, false);
+  assert.strictEqual(invoice, first);
+});
@@ -0,0 +1,31 @@
+// test/maintenanceUtils.test.js - Service due dates at month ends
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const {
+  addMonths,
+  calculateServiceDue,
+} = require("../src/utils/maintenanceUtils");
+
+test("addMonths keeps month-end dates in the target month", () => {
+  assert.strictEqual(addMonths("2025-01-31", 1), "2025-02-28");
+  assert.strictEqual(addMonths("2024-01-31", 1), "2024-02-29");
+  assert.strictEqual(addMonths("2025-08-31", 1), "2025-09-30");
+  assert.strictEqual(addMonths("2025-08-31", 6), "2026-02-28");
+});
+
+test("addMonths keeps the day when the target month has it", () => {
+  assert.strictEqual(addMonths("2025-01-15", 1), "2025-02-15");
+  assert.strictEqual(addMonths("2025-11-30", 3), "2026-02-28");
+  assert.strictEqual(addMonths("2025-03-31", 12), "2026-03-31");
+});
+
+test("a service on Aug 31 is due on the last day of the target month", () => {
+  const due = calculateServiceDue(
+    { intervalKm: null, intervalMonths: 1 },
+    { date: "2025-08-31", odometer: 12000 },
+    "2025-01-01"
+  );
+
+  assert.strictEqual(due.dueDate, "2025-09-30");
+});
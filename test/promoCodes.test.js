@@ -0,0 +1,101 @@
+// test/promoCodes.test.js - Promo code uses are claimed against both caps under a row lock
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+
+const { PromoCode, Booking } = require("../src/models");
+
+const CUSTOMER_ID = "11111111-1111-4111-8111-111111111111";
+
+let originals;
+let locks;
+let customerBookings;
+
+const stub = (target, name, fn) => {
+  originals.push([target, name, target[name]]);
+  target[name] = fn;
+};
+
+const transaction = { LOCK: { UPDATE: "UPDATE" } };
+
+// Validated before the transaction, re-read locked when the use is claimed
+const buildPromo = (stored) => {
+  const promo = PromoCode.build({
+    id: "22222222-2222-4222-8222-222222222222",
+    code: "SUMMER25",
+    discountType: "percentage",
+    discountValue: 25,
+    usesCount: 0,
+  });
+
+  const row = PromoCode.build({ ...promo.get(), ...stored });
+  row.increment = async () => {
+    row.usesCount += 1;
+    return row;
+  };
+
+  stub(PromoCode, "findByPk", async (id, options) => {
+    locks.push(options.lock);
+    return row;
+  });
+
+  return { promo, row };
+};
+
+beforeEach(() => {
+  originals = [];
+  locks = [];
+  customerBookings = 0;
+
+  stub(Booking, "count", async () => customerBookings);
+});
+
+afterEach(() => {
+  originals.reverse().forEach(([target, name, fn]) => {
+    target[name] = fn;
+  });
+});
+
+test("a use is claimed on the locked promo row", async () => {
+  const { promo, row } = buildPromo({ maxUses: 10, usesCount: 3 });
+
+  const usage = await promo.recordUsage(transaction, {
+    customerId: CUSTOMER_ID,
+  });
+
+  assert.deepStrictEqual(usage, { isValid: true, reason: null });
+  assert.deepStrictEqual(locks, ["UPDATE"]);
+  assert.strictEqual(row.usesCount, 4);
+  assert.strictEqual(promo.usesCount, 4);
+});
+
+test("the global cap reached since validation rejects the use", async () => {
+  const { promo, row } = buildPromo({ maxUses: 10, usesCount: 10 });
+
+  const usage = await promo.recordUsage(transaction, {
+    customerId: CUSTOMER_ID,
+  });
+
+  assert.strictEqual(usage.isValid, false);
+  assert.strictEqual(
+    promo.formatRejection(usage.reason),
+    "Promo code usage limit reached (SUMMER25)"
+  );
+  assert.strictEqual(row.usesCount, 10);
+});
+
+test("a concurrent booking of the same customer counts against their cap", async () => {
+  const { promo, row } = buildPromo({ maxUsesPerCustomer: 1 });
+  // Committed by the other booking while this one waited for the lock
+  customerBookings = 1;
+
+  const usage = await promo.recordUsage(transaction, {
+    customerId: CUSTOMER_ID,
+  });
+
+  assert.strictEqual(usage.isValid, false);
+  assert.strictEqual(
+    promo.formatRejection(usage.reason),
+    "Promo code already used the maximum number of times (SUMMER25)"
+  );
+  assert.strictEqual(row.usesCount, 0);
+});
@@ -0,0 +1,37 @@
+// test/reportUtils.test.js - Default report range on a server ahead of UTC
+const { test, mock, before, after } = require("node:test");
+const assert = require("node:assert");
+
+const { getDefaultRange } = require("../src/utils/reportUtils");
+
+let timezone;
+
+before(() => {
+  // New Zealand summer time: UTC+13, already tomorrow in the evening UTC
+  timezone = process.env.TZ;
+  process.env.TZ = "Pacific/Auckland";
+});
+
+after(() => {
+  if (timezone === undefined) {
+    delete process.env.TZ;
+  } else {
+    process.env.TZ = timezone;
+  }
+});
+
+test("the default range ends on the local date", () => {
+  mock.timers.enable({
+    apis: ["Date"],
+    now: new Date("2026-03-15T20:30:00Z"),
+  });
+
+  try {
+    assert.deepStrictEqual(getDefaultRange(), {
+      from: "2025-03-17",
+      to: "2026-03-16",
+    });
+  } finally {
+    mock.timers.reset();
+  }
+});
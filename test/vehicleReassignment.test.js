@@ -0,0 +1,109 @@
+// test/vehicleReassignment.test.js - Replacement vehicles skip maintenance windows and blocks
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+
+const {
+  Vehicle,
+  Booking,
+  MaintenanceRecord,
+  VehicleBlock,
+} = require("../src/models");
+
+const CURRENT_ID = "11111111-1111-4111-8111-111111111111";
+const IN_MAINTENANCE_ID = "22222222-2222-4222-8222-222222222222";
+const BLOCKED_ID = "33333333-3333-4333-8333-333333333333";
+const FREE_ID = "44444444-4444-4444-8444-444444444444";
+
+let originals;
+
+const stub = (target, name, fn) => {
+  originals.push([target, name, target[name]]);
+  target[name] = fn;
+};
+
+const buildVehicle = (id, licensePlate) =>
+  Vehicle.build({
+    id,
+    name: "Clio",
+    brand: "Renault",
+    year: 2023,
+    licensePlate,
+    price: 300,
+    transmission: "manual",
+    fuelType: "diesel",
+    seats: 5,
+    available: true,
+  });
+
+beforeEach(() => {
+  originals = [];
+
+  stub(Vehicle, "findAll", async () => [
+    buildVehicle(IN_MAINTENANCE_ID, "22222-A-1"),
+    buildVehicle(BLOCKED_ID, "33333-A-1"),
+    buildVehicle(FREE_ID, "44444-A-1"),
+  ]);
+  // Excluded by the per-day check: each one gets the minute-precision check
+  stub(Vehicle, "getAvailableForDateRange", async () => []);
+  stub(Booking, "findAll", async () => []);
+
+  stub(MaintenanceRecord, "findAll", async ({ where }) =>
+    where.vehicleId === IN_MAINTENANCE_ID
+      ? [
+          MaintenanceRecord.build({
+            id: "55555555-5555-4555-8555-555555555555",
+            vehicleId: IN_MAINTENANCE_ID,
+            type: "technical_visit",
+            status: "scheduled",
+            startDate: "2026-07-11",
+            startTime: "09:00",
+            endDate: "2026-07-11",
+            endTime: "17:00",
+          }),
+        ]
+      : []
+  );
+  stub(VehicleBlock, "findAll", async ({ where }) =>
+    where.vehicleId === BLOCKED_ID
+      ? [
+          VehicleBlock.build({
+            id: "66666666-6666-4666-8666-666666666666",
+            vehicleId: BLOCKED_ID,
+            startDate: "2026-07-12",
+            startTime: "00:00",
+            endDate: "2026-07-13",
+            endTime: "23:59",
+            reason: "Loan to the garage",
+          }),
+        ]
+      : []
+  );
+});
+
+afterEach(() => {
+  originals.reverse().forEach(([target, name, fn]) => {
+    target[name] = fn;
+  });
+});
+
+test("candidates in maintenance or blocked on the booking dates are not suggested", async () => {
+  const booking = Booking.build({
+    id: "77777777-7777-4777-8777-777777777777",
+    vehicleId: CURRENT_ID,
+    pickupDate: "2026-07-10",
+    pickupTime: "10:00",
+    returnDate: "2026-07-14",
+    returnTime: "10:00",
+    status: "confirmed",
+  });
+
+  const candidates = await Vehicle.getReassignmentCandidates(
+    booking,
+    buildVehicle(CURRENT_ID, "11111-A-1")
+  );
+
+  assert.deepStrictEqual(
+    candidates.map((candidate) => candidate.id),
+    [FREE_ID]
+  );
+});